@@ -0,0 +1,311 @@
+/**
+ * BACKUP.JS - Export, Import & Share Links
+ * ========================================
+ *
+ * This module adds the "Your data" section to the settings panel and the
+ * import confirmation panel. The backup format, validation and merging
+ * live in backup-utils.js.
+ *
+ * Key Features:
+ * - Download all user data as a JSON file
+ * - Import a file with a merge or replace choice
+ * - Share link (#import=...) and QR code for settings and collections
+ * - Opening a share link offers to import it
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import {
+  exportBackup, parseBackup, summarizeBackup, applyBackup,
+  createShareUrl, readSharedBackup, clearShareFragment
+} from './utils/backup-utils.js';
+import { formatDateTime } from './utils/history-utils.js';
+import { openPanel, closePanel, createActionButton } from './utils/panel-utils.js';
+import { showToast, downloadTextFile } from './utils/dom-utils.js';
+
+// ====================================
+// BACKUP CONSTANTS
+// ====================================
+
+/** @type {string} Import confirmation panel ID */
+const IMPORT_PANEL_ID = 'import-panel';
+
+/** @type {string} QR code generator, loaded only when a QR code is requested */
+const QR_LIBRARY_URL = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.js';
+
+/** @type {Promise<Function>|null} Pending or finished QR library load */
+let qrLibraryPromise = null;
+
+// ====================================
+// INITIALIZATION
+// ====================================
+
+/**
+ * Offers to import a backup when the page was opened from a share link
+ */
+export function initializeBackup() {
+  const text = readSharedBackup();
+  if(text === null) {
+    return;
+  }
+
+  clearShareFragment();
+  openImport(text, 'share link');
+}
+
+/**
+ * Validates backup text and shows the confirmation panel, or why it was rejected
+ * @param {string} text - Backup JSON
+ * @param {string} source - Where it came from, for messages ('file', 'share link')
+ */
+function openImport(text, source) {
+  let result;
+  try {
+    result = parseBackup(text);
+  } catch(error) {
+    console.error(`❌ [Backup] Failed to read ${source}:`, error);
+    showToast(`❌ Could not import this ${source}: it is damaged`);
+
+    return;
+  }
+
+  const { backup, errors } = result;
+  if(!backup) {
+    console.warn(`⚠️ [Backup] Rejected ${source}:`, errors);
+    showToast(`❌ Could not import this ${source}: ${errors[0]}`);
+
+    return;
+  }
+
+  openImportPanel(backup);
+}
+
+// ====================================
+// SETTINGS SECTION
+// ====================================
+
+/**
+ * Builds the "Your data" section of the settings panel
+ * @returns {HTMLFieldSetElement} Section element
+ */
+export function createBackupSection() {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'settings-section backup-section';
+
+  const legend = document.createElement('legend');
+  legend.className = 'headers';
+  legend.innerText = 'Your data';
+
+  const description = document.createElement('p');
+  description.className = 'text backup-description';
+  description.innerText = 'Move your favorites, collections, history and settings to another device.';
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    fileInput.value = '';
+    if(file) {
+      openImport(await file.text(), 'file');
+    }
+  });
+
+  const shareResult = document.createElement('div');
+  shareResult.className = 'backup-share';
+  shareResult.hidden = true;
+
+  const actions = document.createElement('div');
+  actions.className = 'backup-actions';
+  actions.appendChild(createActionButton('Export file', 'fa-download', () => {
+    downloadTextFile(`pokedex-backup-${new Date().toISOString().slice(0, 10)}.json`, exportBackup());
+    showToast('💾 Backup downloaded');
+  }));
+  actions.appendChild(createActionButton('Import file', 'fa-upload', () => fileInput.click()));
+  actions.appendChild(createActionButton('Share link', 'fa-qrcode', () => renderShareLink(shareResult)));
+
+  fieldset.appendChild(legend);
+  fieldset.appendChild(description);
+  fieldset.appendChild(actions);
+  fieldset.appendChild(fileInput);
+  fieldset.appendChild(shareResult);
+
+  return fieldset;
+} //createBackupSection
+
+/**
+ * Shows a share link with copy button and QR code
+ * @param {HTMLElement} container - Where to show the link
+ */
+function renderShareLink(container) {
+  const url = createShareUrl();
+  if(!url) {
+    showToast('Your collections are too large for a link. Use Export file instead.');
+
+    return;
+  }
+
+  container.innerHTML = '';
+  container.hidden = false;
+
+  const note = document.createElement('p');
+  note.className = 'text backup-description';
+  note.innerText = 'Includes settings and collections (not history). Open it on the other device:';
+
+  const row = document.createElement('div');
+  row.className = 'backup-share-row';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.readOnly = true;
+  input.value = url;
+  input.className = 'backup-share-input';
+  input.setAttribute('aria-label', 'Share link');
+  input.addEventListener('focus', () => input.select());
+
+  const copyButton = createActionButton('Copy', 'fa-copy', async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      showToast('📋 Link copied');
+    } catch(error) {
+      input.select();
+      showToast('Press Ctrl+C (or long-press) to copy the selected link');
+    }
+  });
+
+  const qrImage = document.createElement('img');
+  qrImage.className = 'backup-qr';
+  qrImage.alt = 'QR code of the share link';
+  qrImage.hidden = true;
+
+  row.appendChild(input);
+  row.appendChild(copyButton);
+  container.appendChild(note);
+  container.appendChild(row);
+  container.appendChild(qrImage);
+
+  loadQrLibrary()
+    .then(qrcode => {
+      const qr = qrcode(0, 'L');
+      qr.addData(url);
+      qr.make();
+      qrImage.src = qr.createDataURL(3, 4);
+      qrImage.hidden = false;
+    })
+    .catch(error => console.warn('⚠️ [Backup] QR code unavailable:', error.message));
+} //renderShareLink
+
+/**
+ * Loads the QR code generator on first use
+ * @returns {Promise<Function>} The library's qrcode() factory
+ */
+function loadQrLibrary() {
+  if(!qrLibraryPromise) {
+    qrLibraryPromise = new Promise((resolve, reject) => {
+      if(window.qrcode) {
+        resolve(window.qrcode);
+
+        return;
+      }
+
+      const script = document.createElement('script');
+      script.src = QR_LIBRARY_URL;
+      script.onload = () => resolve(window.qrcode);
+      script.onerror = () => {
+        qrLibraryPromise = null;
+        reject(new Error('QR code library failed to load'));
+      };
+      document.body.appendChild(script);
+    });
+  }
+
+  return qrLibraryPromise;
+}
+
+// ====================================
+// IMPORT PANEL
+// ====================================
+
+/**
+ * Shows what a backup contains and asks whether to merge or replace
+ * @param {{exportedAt: string|null, data: Object}} backup - Validated backup
+ */
+function openImportPanel(backup) {
+  const { body } = openPanel({
+    id: IMPORT_PANEL_ID,
+    title: 'Import Data',
+    className: 'settings-panel import-panel'
+  });
+
+  const intro = document.createElement('p');
+  intro.className = 'text backup-description';
+  intro.innerText = backup.exportedAt
+    ? `Backup date: ${formatDateTime(backup.exportedAt)}. It contains:`
+    : 'This backup contains:';
+
+  const summary = document.createElement('ul');
+  summary.className = 'import-summary';
+  summarizeBackup(backup).forEach(line => {
+    const item = document.createElement('li');
+    item.innerHTML = `<strong>${line.label}</strong> <span class="import-summary-detail"></span>`;
+    item.querySelector('.import-summary-detail').innerText = line.detail;
+    summary.appendChild(item);
+  });
+
+  const modes = document.createElement('fieldset');
+  modes.className = 'settings-section';
+  modes.innerHTML = '<legend class="headers">How to import</legend>';
+  [
+    { value: 'merge', label: 'Merge', description: 'Keep what is on this device and add what is new.' },
+    { value: 'replace', label: 'Replace', description: 'Overwrite the parts listed above with the backup.' }
+  ].forEach((mode, index) => {
+    const label = document.createElement('label');
+    label.className = 'import-mode';
+
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'import-mode';
+    input.value = mode.value;
+    input.checked = index === 0;
+
+    const text = document.createElement('span');
+    text.innerHTML = `<strong>${mode.label}</strong><br><span class="import-mode-description">${mode.description}</span>`;
+
+    label.appendChild(input);
+    label.appendChild(text);
+    modes.appendChild(label);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'backup-actions import-actions';
+  actions.appendChild(createActionButton('Cancel', 'fa-xmark', () => closePanel()));
+  actions.appendChild(createActionButton('Import', 'fa-file-import', () => {
+    const mode = modes.querySelector('input[name="import-mode"]:checked').value;
+    if(mode === 'replace' && !window.confirm('Replace your data on this device with the backup? This cannot be undone.')) {
+      return;
+    }
+
+    let written = [];
+    try {
+      written = applyBackup(backup, mode);
+    } catch(error) {
+      console.error('❌ [Backup] Import failed:', error);
+    }
+
+    closePanel();
+    showToast(written.length > 0 ? `✅ Backup imported (${mode === 'merge' ? 'merged' : 'replaced'})` : '❌ Nothing could be imported');
+  }));
+
+  body.appendChild(intro);
+  body.appendChild(summary);
+  body.appendChild(modes);
+  body.appendChild(actions);
+} //openImportPanel
@@ -0,0 +1,329 @@
+/**
+ * CACHE-INSPECTOR.JS - Storage Screen
+ * ===================================
+ *
+ * This module shows what the service worker has cached: each cache
+ * (app files, pages and media, Pokémon data) with its entry count, size and
+ * oldest and newest entry, and every Pokémon with cached data or media. Caches
+ * and single Pokémon can be purged, and stale API entries refreshed on demand.
+ *
+ * All cache access goes through window.ServiceWorkerManager (sw-manager.js).
+ * The offline Pokédex download has its own settings section (offline-dex.js).
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { formatBytes } from './utils/cache-utils.js';
+import { formatDateTime } from './utils/history-utils.js';
+import { openPanel, getPanelBody, createActionButton } from './utils/panel-utils.js';
+import { capitalizeAfterHyphen } from './utils/data-utils.js';
+import { showToast } from './utils/dom-utils.js';
+
+// ====================================
+// CACHE INSPECTOR CONSTANTS
+// ====================================
+
+/** @type {string} Panel ID */
+const CACHE_INSPECTOR_PANEL_ID = 'cache-inspector-panel';
+
+/** @type {Object<string, {label: string, description: string}>} Cache kinds reported by the service worker */
+const CACHE_KINDS = {
+  static: { label: 'App files', description: 'Pages, styles and scripts saved when the app was installed' },
+  dynamic: { label: 'Pages and media', description: 'Pages, sprites, artwork and cries saved while browsing' },
+  api: { label: 'Pokémon data', description: 'PokeAPI responses' }
+};
+
+// ====================================
+// SETTINGS SECTION
+// ====================================
+
+/**
+ * Builds the "Storage" section of the settings panel
+ * @returns {HTMLFieldSetElement} Section element
+ */
+export function createStorageSection() {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'settings-section cache-inspector-section';
+
+  const legend = document.createElement('legend');
+  legend.className = 'headers';
+  legend.innerText = 'Storage';
+
+  const description = document.createElement('p');
+  description.className = 'text backup-description';
+  description.innerText = 'See what is cached on this device, free up space or refresh outdated data.';
+
+  const actions = document.createElement('div');
+  actions.className = 'backup-actions';
+  actions.appendChild(createActionButton('Manage storage', 'fa-database', () => openCacheInspectorPanel()));
+
+  fieldset.appendChild(legend);
+  fieldset.appendChild(description);
+  fieldset.appendChild(actions);
+
+  return fieldset;
+}
+
+// ====================================
+// STORAGE PANEL
+// ====================================
+
+/**
+ * Opens the storage panel
+ */
+export function openCacheInspectorPanel() {
+  const { body } = openPanel({
+    id: CACHE_INSPECTOR_PANEL_ID,
+    title: 'Storage',
+    className: 'settings-panel cache-inspector-panel'
+  });
+
+  if(!window.ServiceWorkerManager || !navigator.serviceWorker || !navigator.serviceWorker.controller) {
+    body.innerHTML = '<p class="text cache-inspector-status">Nothing is cached yet: the service worker is not active. Reload the page once it has been installed.</p>';
+
+    return;
+  }
+
+  renderCacheInspector(body);
+}
+
+/**
+ * Reads the caches and fills the panel
+ * @param {HTMLElement} body - Panel body
+ * @returns {Promise<void>}
+ */
+async function renderCacheInspector(body) {
+  body.innerHTML = '<p class="text cache-inspector-status" aria-live="polite">Reading caches…</p>';
+
+  let report;
+  try {
+    report = await window.ServiceWorkerManager.inspectCaches();
+  } catch(error) {
+    body.querySelector('.cache-inspector-status').innerText = 'The caches could not be read. Try again later.';
+
+    return;
+  }
+
+  // The panel may have been closed or replaced while reading
+  if(getPanelBody(CACHE_INSPECTOR_PANEL_ID) !== body) {
+    return;
+  }
+
+  body.innerHTML = '';
+  body.appendChild(await createUsageSummary(report.caches));
+  body.appendChild(createToolbar(body));
+  body.appendChild(createCacheTable(body, report.caches));
+  body.appendChild(createPokemonSection(body, report.pokemon));
+} //renderCacheInspector
+
+/**
+ * Summarizes the total size of the caches and the browser's storage estimate
+ * @param {Array<Object>} cacheSummaries - Caches from inspectCaches
+ * @returns {Promise<HTMLParagraphElement>} Summary line
+ */
+async function createUsageSummary(cacheSummaries) {
+  const summary = document.createElement('p');
+  summary.className = 'text cache-inspector-status';
+
+  const bytes = cacheSummaries.reduce((total, cache) => total + cache.bytes, 0);
+  const entries = cacheSummaries.reduce((total, cache) => total + cache.count, 0);
+  summary.innerText = `${entries.toLocaleString()} cached ${entries === 1 ? 'entry' : 'entries'}, ${formatBytes(bytes)}.`;
+
+  if(navigator.storage && navigator.storage.estimate) {
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      summary.innerText += ` This site uses ${formatBytes(usage)} of ${formatBytes(quota)} available.`;
+    } catch(error) {
+      // The estimate is optional
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Creates the panel-wide actions
+ * @param {HTMLElement} body - Panel body, re-rendered after each action
+ * @returns {HTMLDivElement} Toolbar
+ */
+function createToolbar(body) {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'backup-actions cache-inspector-toolbar';
+
+  const refreshButton = createActionButton('Refresh stale now', 'fa-arrows-rotate', async () => {
+    refreshButton.disabled = true;
+    try {
+      const { stale, updated, failed } = await window.ServiceWorkerManager.refreshStaleCache();
+      showToast(stale === 0 ? '✅ Cached Pokémon data is up to date'
+        : `🔄 Refreshed ${updated} of ${stale} stale ${stale === 1 ? 'entry' : 'entries'}${failed > 0 ? ` (${failed} failed)` : ''}`);
+    } catch(error) {
+      showToast('❌ Stale entries could not be refreshed');
+    }
+    renderCacheInspector(body);
+  });
+
+  const clearButton = createActionButton('Clear all', 'fa-trash', () => {
+    clearCache(body, null, 'Clear every cache? The app downloads what it needs again the next time you are online.');
+  });
+
+  toolbar.appendChild(refreshButton);
+  toolbar.appendChild(createActionButton('Reload', 'fa-rotate-right', () => renderCacheInspector(body)));
+  toolbar.appendChild(clearButton);
+
+  return toolbar;
+}
+
+/**
+ * Creates the table of caches
+ * @param {HTMLElement} body - Panel body, re-rendered after a purge
+ * @param {Array<Object>} cacheSummaries - Caches from inspectCaches
+ * @returns {HTMLTableElement} Table
+ */
+function createCacheTable(body, cacheSummaries) {
+  const table = document.createElement('table');
+  table.className = 'cache-inspector-table';
+  table.innerHTML = '<thead><tr><th scope="col">Cache</th><th scope="col">Entries</th><th scope="col">Size</th><th scope="col">Oldest</th><th scope="col">Newest</th><th scope="col" aria-label="Actions"></th></tr></thead>';
+
+  const tbody = document.createElement('tbody');
+  cacheSummaries.forEach(cache => {
+    const kind = CACHE_KINDS[cache.kind] || { label: cache.name, description: '' };
+    const row = document.createElement('tr');
+
+    const name = document.createElement('th');
+    name.scope = 'row';
+    name.innerHTML = '<span class="cache-inspector-name"></span><span class="cache-inspector-detail"></span>';
+    name.querySelector('.cache-inspector-name').innerText = kind.label;
+    name.querySelector('.cache-inspector-detail').innerText = kind.description;
+    name.title = cache.name;
+    row.appendChild(name);
+
+    row.appendChild(createCell(cache.count.toLocaleString()));
+    row.appendChild(createCell(formatBytes(cache.bytes)));
+    row.appendChild(createCell(cache.oldest ? formatDateTime(cache.oldest.date) : '—', cache.oldest && cache.oldest.url));
+    row.appendChild(createCell(cache.newest ? formatDateTime(cache.newest.date) : '—', cache.newest && cache.newest.url));
+
+    const actions = document.createElement('td');
+    const purgeButton = createActionButton('Clear', 'fa-trash', () => {
+      const warning = cache.kind === 'static' ? ' The app will not open offline until it is reloaded online.' : '';
+      clearCache(body, cache.name, `Clear "${kind.label}" (${cache.count.toLocaleString()} entries)?${warning}`);
+    });
+    purgeButton.disabled = cache.count === 0;
+    purgeButton.setAttribute('aria-label', `Clear ${kind.label}`);
+    actions.appendChild(purgeButton);
+    row.appendChild(actions);
+
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+
+  return table;
+} //createCacheTable
+
+/**
+ * Creates the filterable list of cached Pokémon
+ * @param {HTMLElement} body - Panel body, re-rendered after a purge
+ * @param {Array<Object>} pokemon - Pokémon from inspectCaches
+ * @returns {HTMLElement} Section
+ */
+function createPokemonSection(body, pokemon) {
+  const section = document.createElement('fieldset');
+  section.className = 'settings-section cache-inspector-pokemon';
+  section.innerHTML = '<legend class="headers">Cached Pokémon</legend>';
+
+  if(pokemon.length === 0) {
+    section.insertAdjacentHTML('beforeend', '<p class="text backup-description">No Pokémon are cached.</p>');
+
+    return section;
+  }
+
+  const filter = document.createElement('input');
+  filter.type = 'search';
+  filter.className = 'backup-share-input cache-inspector-filter';
+  filter.placeholder = `Filter ${pokemon.length.toLocaleString()} Pokémon`;
+  filter.setAttribute('aria-label', 'Filter cached Pokémon');
+
+  const list = document.createElement('ul');
+  list.className = 'cache-inspector-list';
+
+  pokemon.forEach(entry => {
+    const label = `${entry.id ? `#${entry.id} ` : ''}${entry.name ? capitalizeAfterHyphen(entry.name) : ''}`.trim();
+
+    const item = document.createElement('li');
+    item.className = 'cache-inspector-item';
+    item.dataset.search = label.toLowerCase();
+    item.innerHTML = '<span class="cache-inspector-name"></span><span class="cache-inspector-detail"></span>';
+    item.querySelector('.cache-inspector-name').innerText = label;
+    item.querySelector('.cache-inspector-detail').innerText = `${entry.count} ${entry.count === 1 ? 'entry' : 'entries'}, ${formatBytes(entry.bytes)}`;
+
+    const purgeButton = createActionButton('Purge', 'fa-trash', async () => {
+      purgeButton.disabled = true;
+      try {
+        const { deleted } = await window.ServiceWorkerManager.purgeCacheEntries(entry.entries);
+        showToast(`🗑️ Removed ${deleted} cached ${deleted === 1 ? 'entry' : 'entries'} for ${label}`);
+      } catch(error) {
+        showToast(`❌ ${label} could not be purged`);
+      }
+      renderCacheInspector(body);
+    });
+    purgeButton.setAttribute('aria-label', `Purge ${label}`);
+    item.appendChild(purgeButton);
+
+    list.appendChild(item);
+  });
+
+  filter.addEventListener('input', () => {
+    const query = filter.value.trim().toLowerCase();
+    list.querySelectorAll('.cache-inspector-item').forEach(item => {
+      item.hidden = query !== '' && !item.dataset.search.includes(query);
+    });
+  });
+
+  section.appendChild(filter);
+  section.appendChild(list);
+
+  return section;
+} //createPokemonSection
+
+/**
+ * Clears one cache, or all of them, after confirmation
+ * @param {HTMLElement} body - Panel body, re-rendered afterwards
+ * @param {string|null} cacheName - Cache to clear, or null for every cache
+ * @param {string} question - Confirmation text
+ * @returns {Promise<void>}
+ */
+async function clearCache(body, cacheName, question) {
+  if(!window.confirm(question)) {
+    return;
+  }
+
+  try {
+    await window.ServiceWorkerManager.clearCaches(cacheName || undefined);
+    showToast(cacheName ? '🗑️ Cache cleared' : '🗑️ All caches cleared');
+  } catch(error) {
+    showToast('❌ The cache could not be cleared');
+  }
+  renderCacheInspector(body);
+}
+
+/**
+ * Creates a table cell
+ * @param {string} text - Cell text
+ * @param {string|null} [title] - Tooltip, e.g. the entry's URL
+ * @returns {HTMLTableCellElement} Cell
+ */
+function createCell(text, title = null) {
+  const cell = document.createElement('td');
+  cell.innerText = text;
+  if(title) {
+    cell.title = title;
+  }
+
+  return cell;
+}
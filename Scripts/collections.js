@@ -0,0 +1,484 @@
+/**
+ * COLLECTIONS.JS - Favorites & Collections Interface
+ * ==================================================
+ *
+ * This module provides the favorite star and "add to collection" button on
+ * the info card, and the collections panel for browsing, renaming,
+ * deleting and reordering collections. Data lives in collections-utils.js.
+ *
+ * Key Features:
+ * - One-click star for the Pokemon on screen
+ * - Collection picker with checkboxes and inline "new collection"
+ * - Collections panel with sprite list, reordering and removal
+ * - Clicking a Pokemon in a collection loads it through generatePokemon
+ * - Stays in sync across tabs through the 'collections-change' event
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import {
+  FAVORITES_ID, MAX_COLLECTION_NAME_LENGTH, COLLECTIONS_CHANGE_EVENT,
+  getCollections, getCollection, isInCollection, isFavorite, createCollection,
+  renameCollection, deleteCollection, addToCollection, removeFromCollection,
+  moveCollectionEntry, toggleFavorite
+} from './utils/collections-utils.js';
+import { openPanel, closePanel, getPanelBody, createActionButton } from './utils/panel-utils.js';
+import { showToast } from './utils/dom-utils.js';
+import { punctuationNameCheck } from './utils/data-utils.js';
+import { DEFAULT_SPRITE_BASE_URL, resolveSpriteUrl } from './utils/config-utils.js';
+
+// ====================================
+// DOM ELEMENT REFERENCES
+// ====================================
+
+/** @type {HTMLButtonElement} Star button on the info card */
+const FavoriteButton = document.getElementById('favorite-button');
+
+/** @type {HTMLButtonElement} "Add to collection" button on the info card */
+const CollectionAddButton = document.getElementById('collection-add-button');
+
+/** @type {HTMLButtonElement} Header button opening the collections panel */
+const CollectionsButton = document.getElementById('collections-button');
+
+// ====================================
+// COLLECTION CONSTANTS & STATE
+// ====================================
+
+/** @type {string} Collections panel ID */
+const COLLECTIONS_PANEL_ID = 'collections-panel';
+
+/** @type {string} Collection picker panel ID */
+const PICKER_PANEL_ID = 'collection-picker-panel';
+
+/** @type {string} Base URL for list sprites */
+const EntrySpriteUrl = `${DEFAULT_SPRITE_BASE_URL}/pokemon/`;
+
+/** @type {{name: string, id: number, varietyId: number, isForm: boolean}|null} Pokemon on screen */
+let currentEntry = null;
+
+/** @type {string} Collection shown in the collections panel */
+let selectedCollectionId = FAVORITES_ID;
+
+// ====================================
+// INITIALIZATION
+// ====================================
+
+/**
+ * Wires up the info card buttons, header button and change listener
+ */
+export function initializeCollections() {
+  if(FavoriteButton) {
+    FavoriteButton.addEventListener('click', () => {
+      if(!currentEntry) {
+        return;
+      }
+
+      const starred = toggleFavorite(currentEntry);
+      showToast(starred ? `⭐ Added ${getDisplayName(currentEntry)} to Favorites` : `Removed ${getDisplayName(currentEntry)} from Favorites`);
+    });
+  }
+
+  if(CollectionAddButton) {
+    CollectionAddButton.addEventListener('click', openCollectionPicker);
+  }
+
+  if(CollectionsButton) {
+    CollectionsButton.addEventListener('click', () => openCollectionsPanel());
+  }
+
+  window.addEventListener(COLLECTIONS_CHANGE_EVENT, () => {
+    updateFavoriteButton();
+    refreshOpenPanels();
+  });
+} //initializeCollections
+
+/**
+ * Updates the info card controls for the Pokemon on screen
+ * @param {Object} pokemon - Pokemon object from pokemon.js
+ */
+export function displayCollectionControls(pokemon) {
+  currentEntry = {
+    name: pokemon.varietyName,
+    id: pokemon.id,
+    varietyId: pokemon.varietyId,
+    isForm: pokemon.isForm
+  };
+
+  updateFavoriteButton();
+}
+
+/**
+ * Reflects the favorite state of the current Pokemon on the star
+ */
+function updateFavoriteButton() {
+  if(!FavoriteButton || !currentEntry) {
+    return;
+  }
+
+  const starred = isFavorite(currentEntry.name);
+  const name = getDisplayName(currentEntry);
+
+  FavoriteButton.setAttribute('aria-pressed', String(starred));
+  FavoriteButton.setAttribute('aria-label', starred ? `Remove ${name} from favorites` : `Add ${name} to favorites`);
+  FavoriteButton.title = starred ? 'Remove from favorites' : 'Add to favorites';
+  FavoriteButton.innerHTML = `<i class="${starred ? 'fa-solid' : 'fa-regular'} fa-star"></i>`;
+}
+
+/**
+ * Re-renders whichever collections panel is open after a change
+ */
+function refreshOpenPanels() {
+  const collectionsBody = getPanelBody(COLLECTIONS_PANEL_ID);
+  if(collectionsBody) {
+    renderCollectionsPanel(collectionsBody);
+  }
+
+  const pickerBody = getPanelBody(PICKER_PANEL_ID);
+  if(pickerBody) {
+    renderCollectionPicker(pickerBody);
+  }
+}
+
+// ====================================
+// COLLECTION PICKER
+// ====================================
+
+/**
+ * Opens the checklist of collections for the Pokemon on screen
+ */
+function openCollectionPicker() {
+  if(!currentEntry) {
+    return;
+  }
+
+  const { body } = openPanel({
+    id: PICKER_PANEL_ID,
+    title: `Add ${getDisplayName(currentEntry)} to…`,
+    className: 'collections-panel'
+  });
+
+  renderCollectionPicker(body);
+}
+
+/**
+ * Renders one checkbox per collection and a form for a new collection
+ * @param {HTMLElement} body - Panel body
+ */
+function renderCollectionPicker(body) {
+  // Re-rendering after a toggle should not lose the keyboard position
+  const focusedIndex = [...body.querySelectorAll('.collection-picker-option input')].indexOf(document.activeElement);
+
+  const list = document.createElement('ul');
+  list.className = 'collection-picker-list';
+
+  getCollections().forEach(collection => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    label.className = 'collection-picker-option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = isInCollection(collection.id, currentEntry.name);
+    checkbox.addEventListener('change', () => {
+      if(checkbox.checked) {
+        addToCollection(collection.id, currentEntry);
+      } else {
+        removeFromCollection(collection.id, currentEntry.name);
+      }
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${collection.name} `));
+
+    const count = document.createElement('span');
+    count.className = 'collection-count';
+    count.innerText = `(${collection.entries.length})`;
+    label.appendChild(count);
+
+    item.appendChild(label);
+    list.appendChild(item);
+  });
+
+  const form = createNameForm('New collection', name => {
+    const collection = createCollection(name);
+    if(collection) {
+      addToCollection(collection.id, currentEntry);
+    }
+  });
+
+  const openButton = document.createElement('button');
+  openButton.type = 'button';
+  openButton.className = 'secondary-btn collection-open-all';
+  openButton.innerText = 'Manage collections';
+  openButton.addEventListener('click', () => openCollectionsPanel());
+
+  body.innerHTML = '';
+  body.appendChild(list);
+  body.appendChild(form);
+  body.appendChild(openButton);
+
+  if(focusedIndex !== -1) {
+    const checkboxes = body.querySelectorAll('.collection-picker-option input');
+    checkboxes[Math.min(focusedIndex, checkboxes.length - 1)].focus();
+  }
+} //renderCollectionPicker
+
+// ====================================
+// COLLECTIONS PANEL
+// ====================================
+
+/**
+ * Opens the collections panel
+ * @param {string} [collectionId] - Collection to show; keeps the last one shown when omitted
+ * @example
+ * openCollectionsPanel('favorites');
+ */
+export function openCollectionsPanel(collectionId) {
+  if(collectionId) {
+    selectedCollectionId = collectionId;
+  }
+
+  const { body } = openPanel({
+    id: COLLECTIONS_PANEL_ID,
+    title: 'Collections',
+    className: 'collections-panel'
+  });
+
+  renderCollectionsPanel(body);
+}
+
+/**
+ * Renders the collection selector, collection actions and entry list
+ * @param {HTMLElement} body - Panel body
+ * @param {string} [focusSelector] - Element to focus after rendering (keeps focus while reordering)
+ */
+function renderCollectionsPanel(body, focusSelector) {
+  if(!getCollection(selectedCollectionId)) {
+    selectedCollectionId = FAVORITES_ID;
+  }
+
+  const collection = getCollection(selectedCollectionId);
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'collections-toolbar';
+
+  const select = document.createElement('select');
+  select.className = 'collections-select';
+  select.setAttribute('aria-label', 'Collection');
+  getCollections().forEach(item => {
+    const option = document.createElement('option');
+    option.value = item.id;
+    option.innerText = `${item.name} (${item.entries.length})`;
+    select.appendChild(option);
+  });
+  select.value = collection.id;
+  select.addEventListener('change', () => {
+    selectedCollectionId = select.value;
+    renderCollectionsPanel(body, '.collections-select');
+  });
+
+  toolbar.appendChild(select);
+
+  // Favorites is built in - only custom collections can be renamed or deleted
+  if(collection.id !== FAVORITES_ID) {
+    toolbar.appendChild(createActionButton('Rename', 'fa-pen', () => {
+      const name = window.prompt('Rename collection', collection.name);
+      if(name !== null) {
+        renameCollection(collection.id, name);
+      }
+    }, { className: 'collections-toolbar-button' }));
+    toolbar.appendChild(createActionButton('Delete', 'fa-trash', () => {
+      if(window.confirm(`Delete "${collection.name}"? The Pokémon in it stay in your other collections.`)) {
+        deleteCollection(collection.id);
+      }
+    }, { className: 'collections-toolbar-button' }));
+  }
+
+  const form = createNameForm('New collection', name => {
+    const created = createCollection(name);
+    if(created) {
+      selectedCollectionId = created.id;
+      renderCollectionsPanel(body, '.collections-select');
+    }
+  });
+
+  body.innerHTML = '';
+  body.appendChild(toolbar);
+  body.appendChild(createEntryList(collection, body));
+  body.appendChild(form);
+
+  if(focusSelector) {
+    const target = body.querySelector(focusSelector);
+    if(target) {
+      target.focus();
+    }
+  }
+} //renderCollectionsPanel
+
+/**
+ * Builds the ordered list of Pokemon in a collection
+ * @param {Object} collection - Collection to list
+ * @param {HTMLElement} body - Panel body (for re-rendering after reorders)
+ * @returns {HTMLElement} List element or empty message
+ */
+function createEntryList(collection, body) {
+  if(collection.entries.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text panel-status';
+    empty.innerText = collection.id === FAVORITES_ID
+      ? 'No favorites yet. Use the ☆ on a Pokémon to add it.'
+      : 'This collection is empty. Use the folder button on a Pokémon to add it.';
+
+    return empty;
+  }
+
+  const list = document.createElement('ol');
+  list.className = 'collection-entries';
+
+  collection.entries.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.className = 'collection-entry';
+    item.dataset.index = String(index);
+
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'collection-entry-open';
+    open.title = `Show ${getDisplayName(entry)}`;
+
+    const sprite = document.createElement('img');
+    sprite.className = 'collection-entry-sprite';
+    sprite.src = resolveSpriteUrl(`${EntrySpriteUrl}${entry.varietyId}.png`);
+    sprite.alt = '';
+    sprite.loading = 'lazy';
+
+    const label = document.createElement('span');
+    label.className = 'collection-entry-name';
+    label.innerText = getDisplayName(entry);
+
+    const number = document.createElement('span');
+    number.className = 'collection-entry-number';
+    number.innerText = `#${entry.id}`;
+
+    open.appendChild(sprite);
+    open.appendChild(label);
+    open.appendChild(number);
+    open.addEventListener('click', () => showEntry(entry));
+
+    const reorder = (offset, className) => {
+      if(moveCollectionEntry(collection.id, entry.name, index + offset)) {
+        // The change event already re-rendered - put focus back on the moved row
+        const moved = body.querySelector(`.collection-entry[data-index="${index + offset}"] .${className}`);
+        if(moved && !moved.disabled) {
+          moved.focus();
+        }
+      }
+    };
+
+    const up = createEntryButton('Move up', 'fa-arrow-up', 'collection-move-up', () => reorder(-1, 'collection-move-up'));
+    up.disabled = index === 0;
+
+    const down = createEntryButton('Move down', 'fa-arrow-down', 'collection-move-down', () => reorder(1, 'collection-move-down'));
+    down.disabled = index === collection.entries.length - 1;
+
+    const remove = createEntryButton(`Remove ${getDisplayName(entry)}`, 'fa-xmark', 'collection-remove', () => {
+      removeFromCollection(collection.id, entry.name);
+    });
+
+    item.appendChild(open);
+    item.appendChild(up);
+    item.appendChild(down);
+    item.appendChild(remove);
+    list.appendChild(item);
+  });
+
+  return list;
+} //createEntryList
+
+/**
+ * Loads a collection entry, keeping forms outside the normal ID range reachable
+ * @param {{name: string, id: number, isForm: boolean}} entry - Collection entry
+ */
+function showEntry(entry) {
+  closePanel({ restoreFocus: false });
+
+  import('./utils/navigation-utils.js').then(({ generatePokemon }) => {
+    generatePokemon(entry.isForm ? entry.name : entry.id, 'visible', entry.isForm);
+  });
+}
+
+// ====================================
+// HELPER FUNCTIONS
+// ====================================
+
+/**
+ * Builds a small inline form for naming a new collection
+ * @param {string} placeholder - Input placeholder
+ * @param {Function} onSubmit - Called with the entered name
+ * @returns {HTMLFormElement} Form element
+ */
+function createNameForm(placeholder, onSubmit) {
+  const form = document.createElement('form');
+  form.className = 'collection-name-form';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'collection-name-input';
+  input.placeholder = placeholder;
+  input.maxLength = MAX_COLLECTION_NAME_LENGTH;
+  input.setAttribute('aria-label', placeholder);
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'secondary-btn';
+  submit.innerHTML = '<i class="fa-solid fa-plus"></i> Create';
+
+  form.appendChild(input);
+  form.appendChild(submit);
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    if(input.value.trim() === '') {
+      input.focus();
+
+      return;
+    }
+    onSubmit(input.value);
+  });
+
+  return form;
+}
+
+/**
+ * Creates an icon-only button for a list row
+ * @param {string} label - Accessible label
+ * @param {string} icon - Font Awesome icon class
+ * @param {string} className - Button class
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function createEntryButton(label, icon, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `collection-entry-button ${className}`;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+  button.addEventListener('click', onClick);
+
+  return button;
+}
+
+/**
+ * Formats an entry's name for display
+ * @param {{name: string}} entry - Collection entry
+ * @returns {string} Display name
+ */
+function getDisplayName(entry) {
+  return punctuationNameCheck(entry.name);
+}
@@ -0,0 +1,598 @@
+/**
+ * COMPARE.JS - Side-by-Side Pokémon Comparison
+ * ============================================
+ *
+ * This module opens the compare panel for two to four Pokemon, either from
+ * a "pikachu vs raichu" search or from the panel's own add control. Every
+ * Pokemon gets one column and one colored dataset on a shared radar chart
+ * (statsChart.js).
+ *
+ * Panel Contents:
+ * - Artwork, name and types, with a button to open the Pokemon
+ * - Overlay radar chart of base stats
+ * - Base stats with the difference from the first Pokemon, best value highlighted
+ * - Type matchups: the best same-type attack of each Pokemon against the others
+ * - Height, weight and abilities
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { requestPokemonData, requestType } from './requests.js';
+import { displayComparisonChart, cleanupComparisonChart } from './statsChart.js';
+import { getDefensiveMultipliers, createTypeBadge } from './type-effectiveness.js';
+import { openPanel, closePanel, getPanelBody } from './utils/panel-utils.js';
+import { getLocalizedText, getLanguageTag } from './utils/language-utils.js';
+import { normalizePokemonName } from './utils/pokemon-names.js';
+import { watchPreferences } from './utils/preferences-utils.js';
+import { DEFAULT_SPRITE_BASE_URL, resolveSpriteUrl } from './utils/config-utils.js';
+import { showToast } from './utils/dom-utils.js';
+import {
+  getHeight, getWeight, getStatTotal, capitalizeFirstLetter, punctuationNameCheck
+} from './utils/data-utils.js';
+import { generatePokemon } from './utils/navigation-utils.js';
+
+// ====================================
+// COMPARE CONSTANTS
+// ====================================
+
+/** @type {string} Compare panel ID */
+const COMPARE_PANEL_ID = 'compare-panel';
+
+/** @type {number} Fewest and most Pokemon the panel compares */
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 4;
+
+/**
+ * One color per column, fixed rather than by type so two Pokemon of the same type stay distinguishable
+ * @type {Array<string>}
+ */
+const COMPARE_COLORS = ['#e53e3e', '#3182ce', '#38a169', '#d69e2e'];
+
+/** @type {Array<string>} Base stat labels in API order */
+const STAT_NAMES = ['HP', 'Attack', 'Defense', 'Sp. Atk', 'Sp. Def', 'Speed'];
+
+/** @type {Object<number, string>} Labels for the multipliers a single attack can reach */
+const MULTIPLIER_LABELS = { 4: '4×', 2: '2×', 1: '1×', 0.5: '½×', 0.25: '¼×', 0: '0×' };
+
+// ====================================
+// COMPARE STATE
+// ====================================
+
+/** @type {Array<Object>} Compared Pokemon, in column order */
+let compared = [];
+
+/** @type {AbortController|null} Aborts pending requests when the panel closes or reloads */
+let compareController = null;
+
+/** @type {boolean} Whether the preferences watcher has been registered */
+let watching = false;
+
+// ====================================
+// COMPARE PANEL
+// ====================================
+
+/**
+ * Opens the compare panel for a list of Pokemon names or IDs
+ * @param {Array<string>} names - Two to four Pokemon names or IDs, as typed
+ * @returns {Promise<void>}
+ * @example
+ * openComparePanel(['pikachu', 'raichu']);
+ */
+export async function openComparePanel(names) {
+  const identifiers = [...new Set(names.map(name => normalizePokemonName(name)).filter(Boolean))];
+
+  if(identifiers.length < MIN_COMPARE) {
+    showToast(`❌ Enter ${MIN_COMPARE} to ${MAX_COMPARE} different Pokémon, like "pikachu vs raichu"`);
+
+    return;
+  }
+  if(identifiers.length > MAX_COMPARE) {
+    showToast(`Only the first ${MAX_COMPARE} Pokémon are compared`);
+  }
+
+  if(!watching) {
+    watching = true;
+
+    // Units and language change the text of every column
+    watchPreferences(['units', 'language'], () => {
+      const body = getPanelBody(COMPARE_PANEL_ID);
+      if(body && compared.length > 0) {
+        renderComparePanel(body);
+      }
+    });
+  }
+
+  const { body } = openPanel({
+    id: COMPARE_PANEL_ID,
+    title: 'Compare Pokémon',
+    className: 'compare-panel',
+    onClose: () => {
+      abortPendingRequests();
+      cleanupComparisonChart();
+      compared = [];
+    }
+  });
+
+  await loadComparison(body, identifiers.slice(0, MAX_COMPARE));
+}
+
+/**
+ * Fetches every Pokemon and the types they use, then renders the panel
+ * @param {HTMLElement} body - Panel body
+ * @param {Array<string>} identifiers - Normalized names or IDs
+ * @returns {Promise<void>}
+ */
+async function loadComparison(body, identifiers) {
+  abortPendingRequests();
+  compareController = new AbortController();
+  const { signal } = compareController;
+
+  body.innerHTML = '<p class="compare-status">Loading…</p>';
+
+  const results = await Promise.all(identifiers.map(identifier =>
+    requestPokemonData(identifier, signal).catch(() => null)
+  ));
+
+  if(signal.aborted) {
+    return;
+  }
+
+  const missing = identifiers.filter((identifier, index) => !results[index]);
+  const loaded = results.filter(Boolean).map(({ pokemonResponse, speciesResponse }) => ({
+    id: pokemonResponse.id,
+    name: pokemonResponse.name,
+    isForm: pokemonResponse.name !== speciesResponse.name,
+    species: speciesResponse,
+    types: pokemonResponse.types.map(type => type.type.name),
+    stats: pokemonResponse.stats.map(stat => stat.base_stat),
+    total: getStatTotal(pokemonResponse.stats),
+    height: pokemonResponse.height,
+    weight: pokemonResponse.weight,
+    abilities: pokemonResponse.abilities.map(ability => ({
+      name: ability.ability.name,
+      hidden: ability.is_hidden
+    })),
+    artwork: resolveSpriteUrl(`${DEFAULT_SPRITE_BASE_URL}/pokemon/other/official-artwork/${speciesResponse.id}.png`)
+  }));
+
+  if(missing.length > 0) {
+    showToast(`❌ Could not load ${missing.join(', ')}`);
+  }
+
+  if(loaded.length < MIN_COMPARE) {
+    compared = [];
+    body.innerHTML = '';
+
+    const status = document.createElement('p');
+    status.className = 'compare-status';
+    status.innerText = 'At least two Pokémon are needed to compare. Check the names and try again.';
+    body.appendChild(status);
+
+    return;
+  }
+
+  // Defensive multipliers need each defender's type data
+  const typeNames = [...new Set(loaded.flatMap(entry => entry.types))];
+  const typeResponses = await Promise.all(typeNames.map(type => requestType(type, signal)));
+
+  if(signal.aborted) {
+    return;
+  }
+
+  const typeData = Object.fromEntries(typeNames.map((type, index) => [type, typeResponses[index]]));
+  loaded.forEach(entry => {
+    const data = entry.types.map(type => typeData[type]);
+    entry.defense = data.every(Boolean) ? getDefensiveMultipliers(data) : null;
+  });
+
+  compared = loaded;
+  renderComparePanel(body);
+} //loadComparison
+
+/**
+ * Aborts requests still running for a previous comparison
+ */
+function abortPendingRequests() {
+  if(compareController) {
+    compareController.abort();
+    compareController = null;
+  }
+}
+
+/**
+ * Renders every section of the panel for the compared Pokemon
+ * @param {HTMLElement} body - Panel body
+ */
+function renderComparePanel(body) {
+  body.innerHTML = '';
+  body.style.setProperty('--compare-columns', compared.length);
+
+  const header = document.createElement('div');
+  header.className = 'compare-grid compare-header';
+  compared.forEach((entry, index) => header.appendChild(createColumnHeader(entry, index)));
+
+  const chartContainer = document.createElement('div');
+  chartContainer.className = 'compare-chart';
+  const canvas = document.createElement('canvas');
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label', `Base stats of ${compared.map(getDisplayName).join(', ')}`);
+  chartContainer.appendChild(canvas);
+
+  body.appendChild(header);
+  body.appendChild(chartContainer);
+  body.appendChild(createStatsSection());
+  body.appendChild(createMatchupSection());
+  body.appendChild(createDetailsSection());
+
+  if(compared.length < MAX_COMPARE) {
+    body.appendChild(createAddForm(body));
+  }
+
+  const max = Math.max(...compared.flatMap(entry => entry.stats));
+  displayComparisonChart(canvas, compared.map((entry, index) => ({
+    label: getDisplayName(entry),
+    stats: entry.stats,
+    backgroundColor: `${COMPARE_COLORS[index]}33`,
+    borderColor: COMPARE_COLORS[index]
+  })), max).catch(error => console.warn('⚠️ [Compare] Chart unavailable:', error.message));
+} //renderComparePanel
+
+/**
+ * Returns the name to show for a compared Pokemon
+ * Species use their localized name; forms keep the API name ("Raichu Alola")
+ * @param {Object} entry - Compared Pokemon
+ * @returns {string} Display name
+ */
+function getDisplayName(entry) {
+  const localized = entry.isForm ? null : getLocalizedText(entry.species.names, 'name');
+
+  return localized ? localized.text : punctuationNameCheck(entry.name);
+}
+
+// ====================================
+// PANEL SECTIONS
+// ====================================
+
+/**
+ * Creates the artwork, name and types of one column
+ * @param {Object} entry - Compared Pokemon
+ * @param {number} index - Column index
+ * @returns {HTMLElement} Column header
+ */
+function createColumnHeader(entry, index) {
+  const column = document.createElement('div');
+  column.className = 'compare-column';
+  column.style.setProperty('--compare-color', COMPARE_COLORS[index]);
+
+  const image = document.createElement('img');
+  image.className = 'compare-artwork';
+  image.src = entry.artwork;
+  image.alt = '';
+  image.loading = 'lazy';
+
+  const name = document.createElement('span');
+  name.className = 'compare-name';
+  name.innerText = getDisplayName(entry);
+  if(!entry.isForm) {
+    name.lang = getLanguageTag();
+  }
+
+  const number = document.createElement('span');
+  number.className = 'compare-number';
+  number.innerText = `#${entry.species.id}`;
+
+  const types = document.createElement('div');
+  types.className = 'compare-types';
+  entry.types.forEach(type => types.appendChild(createTypeBadge(type)));
+
+  const actions = document.createElement('div');
+  actions.className = 'compare-actions';
+
+  const openButton = document.createElement('button');
+  openButton.type = 'button';
+  openButton.className = 'secondary-btn compare-action-button';
+  openButton.innerText = 'Open';
+  openButton.addEventListener('click', () => {
+    closePanel({ restoreFocus: false });
+    generatePokemon(entry.isForm ? entry.name : entry.id, 'visible', entry.isForm);
+  });
+  actions.appendChild(openButton);
+
+  if(compared.length > MIN_COMPARE) {
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'secondary-btn compare-action-button';
+    removeButton.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+    removeButton.title = `Remove ${name.innerText}`;
+    removeButton.setAttribute('aria-label', removeButton.title);
+    removeButton.addEventListener('click', () => {
+      compared.splice(index, 1);
+      renderComparePanel(getPanelBody(COMPARE_PANEL_ID));
+    });
+    actions.appendChild(removeButton);
+  }
+
+  column.appendChild(image);
+  column.appendChild(name);
+  column.appendChild(number);
+  column.appendChild(types);
+  column.appendChild(actions);
+
+  return column;
+} //createColumnHeader
+
+/**
+ * Creates a titled section
+ * @param {string} title - Section heading
+ * @returns {HTMLElement} Section element
+ */
+function createSection(title) {
+  const section = document.createElement('section');
+  section.className = 'compare-section';
+
+  const heading = document.createElement('h3');
+  heading.className = 'headers';
+  heading.innerText = title;
+  section.appendChild(heading);
+
+  return section;
+}
+
+/**
+ * Creates a table with one column per compared Pokemon
+ * @param {Array<{label: string, cells: Array<HTMLElement|string>}>} rows - Row label and one cell per Pokemon
+ * @returns {HTMLTableElement} Table element
+ */
+function createCompareTable(rows) {
+  const table = document.createElement('table');
+  table.className = 'compare-table';
+
+  const head = document.createElement('tr');
+  head.appendChild(document.createElement('th'));
+  compared.forEach((entry, index) => {
+    const cell = document.createElement('th');
+    cell.scope = 'col';
+    cell.innerText = getDisplayName(entry);
+    cell.style.setProperty('--compare-color', COMPARE_COLORS[index]);
+    head.appendChild(cell);
+  });
+
+  const thead = document.createElement('thead');
+  thead.appendChild(head);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  rows.forEach(row => {
+    const tr = document.createElement('tr');
+
+    const label = document.createElement('th');
+    label.scope = 'row';
+    label.innerText = row.label;
+    tr.appendChild(label);
+
+    row.cells.forEach(content => {
+      const cell = document.createElement('td');
+      if(typeof content === 'string') {
+        cell.innerText = content;
+      } else {
+        cell.appendChild(content);
+      }
+      tr.appendChild(cell);
+    });
+
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  return table;
+} //createCompareTable
+
+/**
+ * Creates the base stats table with differences from the first Pokemon
+ * @returns {HTMLElement} Stats section
+ */
+function createStatsSection() {
+  const section = createSection('Base Stats');
+  const rows = STAT_NAMES.map((label, statIndex) => ({
+    label,
+    values: compared.map(entry => entry.stats[statIndex])
+  }));
+  rows.push({ label: 'Total', values: compared.map(entry => entry.total) });
+
+  section.appendChild(createCompareTable(rows.map(row => {
+    const best = Math.max(...row.values);
+
+    return {
+      label: row.label,
+      cells: row.values.map((value, index) => createStatCell(value, value - row.values[0], index, best))
+    };
+  })));
+
+  return section;
+}
+
+/**
+ * Creates one stat value with its difference from the first column
+ * @param {number} value - Stat value
+ * @param {number} delta - Difference from the first Pokemon
+ * @param {number} index - Column index
+ * @param {number} best - Highest value in the row
+ * @returns {HTMLElement} Cell content
+ */
+function createStatCell(value, delta, index, best) {
+  const content = document.createElement('span');
+  content.className = 'compare-stat';
+  content.classList.toggle('compare-best', value === best);
+  content.innerText = String(value);
+
+  if(index > 0) {
+    const difference = document.createElement('span');
+    difference.className = `compare-delta ${delta > 0 ? 'compare-delta-up' : delta < 0 ? 'compare-delta-down' : ''}`;
+    difference.innerText = delta > 0 ? `+${delta}` : delta < 0 ? `−${Math.abs(delta)}` : '±0';
+    content.appendChild(difference);
+  }
+
+  return content;
+}
+
+/**
+ * Creates the attacker × defender matchup table
+ * Each cell is the best multiplier among the attacker's own types against the defender
+ * @returns {HTMLElement} Matchup section
+ */
+function createMatchupSection() {
+  const section = createSection('Type Matchups');
+
+  const note = document.createElement('p');
+  note.className = 'compare-note';
+  note.innerText = 'Best same-type attack of each row against each column.';
+  section.appendChild(note);
+
+  section.appendChild(createCompareTable(compared.map(attacker => ({
+    label: getDisplayName(attacker),
+    cells: compared.map(defender => {
+      if(defender === attacker) {
+        return '—';
+      }
+      if(!defender.defense) {
+        return '?';
+      }
+
+      const { multiplier, type } = getBestAttack(attacker.types, defender.defense);
+      const content = document.createElement('span');
+      content.className = `compare-multiplier compare-multiplier-${multiplier > 1 ? 'strong' : multiplier < 1 ? 'weak' : 'neutral'}`;
+      content.innerText = MULTIPLIER_LABELS[multiplier] || `${multiplier}×`;
+      content.title = `${capitalizeFirstLetter(type)} against ${getDisplayName(defender)}`;
+
+      return content;
+    })
+  }))));
+
+  return section;
+}
+
+/**
+ * Finds the attacking type that does the most damage to a defender
+ * @param {Array<string>} attackingTypes - Attacker's types
+ * @param {Object<string, number>} defense - Defender's multipliers from getDefensiveMultipliers
+ * @returns {{multiplier: number, type: string}} Best multiplier and the type that reaches it
+ */
+function getBestAttack(attackingTypes, defense) {
+  return attackingTypes.reduce((best, type) => {
+    const multiplier = type in defense ? defense[type] : 1;
+
+    return multiplier > best.multiplier ? { multiplier, type } : best;
+  }, { multiplier: -1, type: '' });
+}
+
+/**
+ * Creates the height, weight and abilities table
+ * @returns {HTMLElement} Details section
+ */
+function createDetailsSection() {
+  const section = createSection('Details');
+
+  section.appendChild(createCompareTable([
+    {
+      label: 'Height',
+      cells: compared.map(entry => createMeasurement(getHeight(entry.height), [getHeight(entry.height, 'imperial'), getHeight(entry.height, 'metric')]))
+    },
+    {
+      label: 'Weight',
+      cells: compared.map(entry => createMeasurement(getWeight(entry.weight), [getWeight(entry.weight, 'imperial'), getWeight(entry.weight, 'metric')]))
+    },
+    {
+      label: 'Abilities',
+      cells: compared.map(entry => createAbilityList(entry.abilities))
+    }
+  ]));
+
+  return section;
+}
+
+/**
+ * Creates a measurement in the preferred units with both units on hover
+ * @param {string} text - Measurement in the preferred units
+ * @param {Array<string>} both - Imperial and metric forms
+ * @returns {HTMLElement} Cell content
+ */
+function createMeasurement(text, both) {
+  const content = document.createElement('span');
+  content.innerText = text;
+  content.title = both.join(' / ');
+
+  return content;
+}
+
+/**
+ * Creates the list of abilities, marking hidden ones
+ * @param {Array<{name: string, hidden: boolean}>} abilities - Abilities from the /pokemon response
+ * @returns {HTMLUListElement} Ability list
+ */
+function createAbilityList(abilities) {
+  const list = document.createElement('ul');
+  list.className = 'compare-abilities';
+
+  abilities.forEach(ability => {
+    const item = document.createElement('li');
+    item.innerText = punctuationNameCheck(ability.name);
+    if(ability.hidden) {
+      const hidden = document.createElement('span');
+      hidden.className = 'compare-hidden';
+      hidden.innerText = ' (Hidden)';
+      item.appendChild(hidden);
+    }
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
+/**
+ * Creates the form for adding another Pokemon to the comparison
+ * @param {HTMLElement} body - Panel body
+ * @returns {HTMLFormElement} Add form
+ */
+function createAddForm(body) {
+  const form = document.createElement('form');
+  form.className = 'compare-add';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'compare-add-input';
+  input.placeholder = 'Add a Pokémon';
+  input.setAttribute('aria-label', 'Add a Pokémon to the comparison');
+  input.autocomplete = 'off';
+
+  const button = document.createElement('button');
+  button.type = 'submit';
+  button.className = 'secondary-btn compare-action-button';
+  button.innerHTML = '<i class="fa-solid fa-plus"></i> Add';
+
+  form.appendChild(input);
+  form.appendChild(button);
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+
+    const identifier = normalizePokemonName(input.value);
+    if(!identifier) {
+      return;
+    }
+    if(compared.some(entry => entry.name === identifier || String(entry.id) === identifier)) {
+      showToast(`${punctuationNameCheck(identifier)} is already in the comparison`);
+
+      return;
+    }
+
+    loadComparison(body, [...compared.map(entry => entry.isForm ? entry.name : String(entry.id)), identifier]);
+  });
+
+  return form;
+}
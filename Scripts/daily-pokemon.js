@@ -0,0 +1,217 @@
+/**
+ * DAILY-POKEMON.JS - Pokémon of the Day
+ * =====================================
+ *
+ * This module shows the Pokémon of the Day in a small card when the app
+ * opens, and keeps the optional daily notification in step with Settings.
+ * The pick comes from the date (daily-utils.js) within the current Pokédex
+ * range, so everyone sees the same Pokémon.
+ *
+ * Key Features:
+ * - Launch card with artwork, name and a View button (generatePokemon)
+ * - Card stays closed for the rest of the day once dismissed
+ * - Daily notification through the service worker (Periodic Background Sync)
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { requestPokemonData } from './requests.js';
+import { getDailyDateKey, getDailyPokemonId } from './utils/daily-utils.js';
+import { generatePokemon, MAXIMUM_ID } from './utils/navigation-utils.js';
+import { watchPreferences, setPreference } from './utils/preferences-utils.js';
+import { getLocalizedText, getLanguageTag } from './utils/language-utils.js';
+import { getApiConfig, resolveSpriteUrl, DEFAULT_SPRITE_BASE_URL } from './utils/config-utils.js';
+import { STORAGE_KEYS, getStorageItem, setStorageItem } from './utils/storage-utils.js';
+import { capitalizeAfterHyphen } from './utils/data-utils.js';
+import { showToast } from './utils/dom-utils.js';
+
+// ====================================
+// DAILY POKEMON STATE
+// ====================================
+
+/** @type {string} Card element ID */
+const DAILY_CARD_ID = 'daily-pokemon-card';
+
+/** @type {boolean|null} Notification setting last applied (null before the first sync) */
+let notificationsEnabled = null;
+
+// ====================================
+// INITIALIZATION
+// ====================================
+
+/**
+ * Shows today's card and applies the notification setting now and whenever it changes
+ */
+export function initializeDailyPokemon() {
+  showDailyPokemonCard();
+
+  watchPreferences(['dailyNotifications', 'dexRange', 'language'], preferences => {
+    const changedByUser = notificationsEnabled !== null && notificationsEnabled !== preferences.dailyNotifications;
+    notificationsEnabled = preferences.dailyNotifications;
+
+    syncDailyNotification(preferences, changedByUser);
+  });
+}
+
+// ====================================
+// LAUNCH CARD
+// ====================================
+
+/**
+ * Shows the Pokémon of the Day unless it was dismissed today
+ * @returns {Promise<void>}
+ */
+async function showDailyPokemonCard() {
+  const dateKey = getDailyDateKey();
+  if(getStorageItem(STORAGE_KEYS.DAILY_POKEMON) === dateKey || document.getElementById(DAILY_CARD_ID)) {
+    return;
+  }
+
+  const id = getDailyPokemonId(dateKey, MAXIMUM_ID);
+
+  let pokemonData;
+  try {
+    pokemonData = await requestPokemonData(id);
+  } catch(error) {
+    // Offline without this Pokémon cached - try again next launch
+    return;
+  }
+
+  const localized = getLocalizedText(pokemonData.speciesResponse.names, 'name');
+
+  const card = document.createElement('aside');
+  card.id = DAILY_CARD_ID;
+  card.className = 'daily-pokemon';
+  card.setAttribute('aria-label', 'Pokémon of the Day');
+
+  const image = document.createElement('img');
+  image.className = 'daily-pokemon-artwork';
+  image.src = resolveSpriteUrl(`${DEFAULT_SPRITE_BASE_URL}/pokemon/other/official-artwork/${id}.png`);
+  image.alt = '';
+
+  const text = document.createElement('div');
+  text.className = 'daily-pokemon-text';
+  text.innerHTML = '<span class="daily-pokemon-label">Pokémon of the Day</span><strong class="daily-pokemon-name"></strong>';
+
+  const name = text.querySelector('.daily-pokemon-name');
+  name.innerText = `#${id} ${localized ? localized.text : capitalizeAfterHyphen(pokemonData.speciesResponse.name)}`;
+  if(localized) {
+    name.lang = getLanguageTag();
+  }
+
+  const viewButton = document.createElement('button');
+  viewButton.type = 'button';
+  viewButton.className = 'secondary-btn daily-pokemon-view';
+  viewButton.innerText = 'View';
+  viewButton.addEventListener('click', () => {
+    dismissDailyPokemonCard(dateKey);
+    generatePokemon(id, 'visible', false);
+  });
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'daily-pokemon-close';
+  closeButton.setAttribute('aria-label', 'Close Pokémon of the Day');
+  closeButton.innerHTML = '<i class="fa-solid fa-xmark" aria-hidden="true"></i>';
+  closeButton.addEventListener('click', () => dismissDailyPokemonCard(dateKey));
+
+  card.appendChild(image);
+  card.appendChild(text);
+  card.appendChild(viewButton);
+  card.appendChild(closeButton);
+  document.body.appendChild(card);
+} //showDailyPokemonCard
+
+/**
+ * Removes the card and keeps it closed until tomorrow
+ * @param {string} dateKey - Day the card was shown for
+ */
+function dismissDailyPokemonCard(dateKey) {
+  setStorageItem(STORAGE_KEYS.DAILY_POKEMON, dateKey);
+
+  const card = document.getElementById(DAILY_CARD_ID);
+  if(card) {
+    card.remove();
+  }
+}
+
+// ====================================
+// DAILY NOTIFICATION
+// ====================================
+
+/**
+ * Sends the notification setting, range and language to the service worker
+ * Permission is only requested when the user turns the setting on; if it
+ * cannot be delivered the setting is turned back off.
+ * @param {{dailyNotifications: boolean, language: string}} preferences - Current preferences
+ * @param {boolean} changedByUser - Whether the setting was just toggled
+ * @returns {Promise<void>}
+ */
+async function syncDailyNotification({ dailyNotifications, language }, changedByUser) {
+  const manager = window.ServiceWorkerManager;
+  if(!manager || !navigator.serviceWorker || !navigator.serviceWorker.controller) {
+    if(dailyNotifications && changedByUser) {
+      turnOffDailyNotification('❌ Daily notifications need the app to be installed for offline use first');
+    }
+
+    return;
+  }
+
+  if(!dailyNotifications) {
+    await manager.setDailyNotification({ enabled: false }).catch(() => {});
+
+    return;
+  }
+
+  if(!manager.isDailyNotificationSupported()) {
+    turnOffDailyNotification(changedByUser ? '❌ This browser cannot send daily notifications' : null);
+
+    return;
+  }
+
+  if(Notification.permission === 'default' && changedByUser) {
+    await Notification.requestPermission();
+  }
+  if(Notification.permission !== 'granted') {
+    turnOffDailyNotification(changedByUser ? '❌ Notifications are blocked for the Pokédex' : null);
+
+    return;
+  }
+
+  const { apiBaseUrl, apiMode, spriteBaseUrl } = getApiConfig();
+  try {
+    await manager.setDailyNotification({
+      enabled: true,
+      maximumId: MAXIMUM_ID,
+      language,
+      sources: { apiBaseUrl, apiMode, spriteBaseUrl }
+    });
+  } catch(error) {
+    turnOffDailyNotification(changedByUser ? '❌ Install the Pokédex as an app to get daily notifications' : null);
+
+    return;
+  }
+
+  if(changedByUser) {
+    showToast('🔔 You will get the Pokémon of the Day every day');
+  }
+} //syncDailyNotification
+
+/**
+ * Turns the setting back off when the notification cannot be delivered
+ * @param {string|null} message - Toast explaining why, or null to stay silent
+ */
+function turnOffDailyNotification(message) {
+  if(message) {
+    showToast(message);
+  }
+
+  setPreference('dailyNotifications', false);
+}
@@ -0,0 +1,292 @@
+/**
+ * ENTRIES.JS - Pokédex Entry Browser
+ * ==================================
+ *
+ * This module adds previous/next controls and the game version label to the
+ * Pokédex entry on the info card, and the entries panel listing every entry
+ * grouped by the game versions that share its text. Any version can be
+ * pinned; the pinned version's entry is then shown by default
+ * (getPokedexEntry reads the preferredVersion preference).
+ *
+ * Key Features:
+ * - Previous/next cycling through the distinct entries, wrapping around
+ * - Version label for the entry on screen
+ * - Entries panel with duplicates collapsed and every version listed
+ * - Pin/unpin a preferred version
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { getPokedexEntries, getVersionLabel } from './utils/data-utils.js';
+import { getPreference, setPreference, watchPreferences } from './utils/preferences-utils.js';
+import { openPanel, getPanelBody } from './utils/panel-utils.js';
+import { showToast } from './utils/dom-utils.js';
+
+// ====================================
+// DOM ELEMENT REFERENCES
+// ====================================
+
+/** @type {HTMLElement} Pokédex entry text on the info card */
+const PokedexEntryText = document.getElementById('pokedex-entry-text');
+
+/** @type {HTMLElement} Entry controls row */
+const EntryControls = document.getElementById('pokedex-entry-controls');
+
+/** @type {HTMLButtonElement} Previous/next entry buttons */
+const EntryPreviousButton = document.getElementById('entry-previous-button');
+const EntryNextButton = document.getElementById('entry-next-button');
+
+/** @type {HTMLElement} Version label of the entry on screen */
+const EntryVersionText = document.getElementById('entry-version-text');
+
+/** @type {HTMLButtonElement} Button opening the entries panel */
+const EntriesButton = document.getElementById('entries-button');
+
+// ====================================
+// ENTRY BROWSER STATE
+// ====================================
+
+/** @type {string} Entries panel ID */
+const ENTRIES_PANEL_ID = 'entries-panel';
+
+/** @type {number} Versions listed on the card before "+N more" */
+const MAX_CARD_VERSIONS = 2;
+
+/** @type {Object|null} Pokemon object from pokemon.js whose entries are shown */
+let currentPokemon = null;
+
+/** @type {Array<{text: string, versions: Array<string>}>} Distinct entries of the Pokemon on screen */
+let entries = [];
+
+/** @type {number} Index of the entry on screen */
+let entryIndex = -1;
+
+// ====================================
+// INITIALIZATION
+// ====================================
+
+/**
+ * Wires up the info card entry controls and keeps pins in sync
+ */
+export function initializeEntries() {
+  if(EntryPreviousButton) {
+    EntryPreviousButton.addEventListener('click', () => stepEntry(-1));
+  }
+  if(EntryNextButton) {
+    EntryNextButton.addEventListener('click', () => stepEntry(1));
+  }
+  if(EntriesButton) {
+    EntriesButton.addEventListener('click', openEntriesPanel);
+  }
+
+  // Pins can change from the panel, a reset or another tab
+  watchPreferences(['preferredVersion'], () => {
+    updateEntryControls();
+
+    const body = getPanelBody(ENTRIES_PANEL_ID);
+    if(body) {
+      renderEntriesPanel(body);
+    }
+  });
+}
+
+/**
+ * Loads the entries of the Pokemon on screen and matches the one already displayed
+ * @param {Object} pokemon - Pokemon object from pokemon.js (pokedexEntry is kept in sync)
+ * @param {Array} flavorTextEntries - flavor_text_entries from the species response
+ */
+export function displayEntryControls(pokemon, flavorTextEntries) {
+  currentPokemon = pokemon;
+  entries = getPokedexEntries(flavorTextEntries);
+  entryIndex = entries.findIndex(entry => entry.text === pokemon.pokedexEntry);
+
+  updateEntryControls();
+}
+
+// ====================================
+// INFO CARD CONTROLS
+// ====================================
+
+/**
+ * Moves to the previous or next entry, wrapping around
+ * @param {number} direction - -1 for previous, 1 for next
+ */
+function stepEntry(direction) {
+  if(entries.length < 2) {
+    return;
+  }
+
+  const start = entryIndex < 0 ? 0 : entryIndex;
+  showEntry((start + direction + entries.length) % entries.length);
+}
+
+/**
+ * Shows one entry on the info card
+ * @param {number} index - Index into the distinct entries
+ */
+function showEntry(index) {
+  const entry = entries[index];
+  if(!entry || !currentPokemon) {
+    return;
+  }
+
+  entryIndex = index;
+  currentPokemon.pokedexEntry = entry.text;
+  PokedexEntryText.innerText = entry.text;
+
+  updateEntryControls();
+}
+
+/**
+ * Updates the version label and button states for the entry on screen
+ */
+function updateEntryControls() {
+  if(!EntryControls) {
+    return;
+  }
+
+  EntryControls.hidden = entries.length === 0;
+  EntryPreviousButton.disabled = entries.length < 2;
+  EntryNextButton.disabled = entries.length < 2;
+
+  const entry = entries[entryIndex];
+  if(!entry) {
+    EntryVersionText.innerText = '';
+
+    return;
+  }
+
+  const pinned = entry.versions.includes(getPreference('preferredVersion'));
+  const shown = entry.versions.slice(0, MAX_CARD_VERSIONS).map(getVersionLabel);
+  const more = entry.versions.length - shown.length;
+
+  EntryVersionText.innerText = `${pinned ? '📌 ' : ''}${shown.join(', ')}${more > 0 ? ` +${more} more` : ''} (${entryIndex + 1}/${entries.length})`;
+  EntryVersionText.title = entry.versions.map(getVersionLabel).join(', ');
+}
+
+// ====================================
+// ENTRIES PANEL
+// ====================================
+
+/**
+ * Opens the panel listing every entry of the Pokemon on screen
+ */
+export function openEntriesPanel() {
+  if(!currentPokemon) {
+    showToast('❌ Load a Pokémon first');
+
+    return;
+  }
+
+  const { body } = openPanel({
+    id: ENTRIES_PANEL_ID,
+    title: `${currentPokemon.displayName} Pokédex Entries`,
+    className: 'entries-panel'
+  });
+
+  renderEntriesPanel(body);
+}
+
+/**
+ * Renders the entries list
+ * @param {HTMLElement} body - Panel body
+ */
+function renderEntriesPanel(body) {
+  const preferredVersion = getPreference('preferredVersion');
+  const versionCount = entries.reduce((total, entry) => total + entry.versions.length, 0);
+
+  body.innerHTML = '';
+
+  const summary = document.createElement('p');
+  summary.className = 'entries-summary';
+  summary.innerText = `${entries.length} different ${entries.length === 1 ? 'entry' : 'entries'} across ${versionCount} ${versionCount === 1 ? 'game' : 'games'}. `
+    + (preferredVersion
+      ? `${getVersionLabel(preferredVersion)} is pinned and shown first when it has an entry.`
+      : 'Pin a game to always see its entry first.');
+  body.appendChild(summary);
+
+  if(preferredVersion) {
+    const unpinButton = document.createElement('button');
+    unpinButton.type = 'button';
+    unpinButton.className = 'secondary-btn entries-unpin-button';
+    unpinButton.innerHTML = '<i class="fa-solid fa-xmark"></i> Unpin';
+    unpinButton.addEventListener('click', () => {
+      setPreference('preferredVersion', '');
+      showToast('📌 Entries are random again');
+    });
+    body.appendChild(unpinButton);
+  }
+
+  const list = document.createElement('ol');
+  list.className = 'entries-list';
+
+  entries.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.className = 'entries-item';
+    item.classList.toggle('entries-item-current', index === entryIndex);
+
+    const versions = document.createElement('div');
+    versions.className = 'entries-versions';
+    entry.versions.forEach(version => versions.appendChild(createVersionChip(version, version === preferredVersion)));
+
+    const text = document.createElement('p');
+    text.className = 'entries-text';
+    text.lang = PokedexEntryText.lang;
+    text.innerText = entry.text;
+
+    item.appendChild(versions);
+    item.appendChild(text);
+
+    if(index !== entryIndex) {
+      const showButton = document.createElement('button');
+      showButton.type = 'button';
+      showButton.className = 'secondary-btn entries-show-button';
+      showButton.innerText = 'Show on card';
+      showButton.addEventListener('click', () => {
+        showEntry(index);
+        renderEntriesPanel(body);
+      });
+      item.appendChild(showButton);
+    }
+
+    list.appendChild(item);
+  });
+
+  body.appendChild(list);
+} //renderEntriesPanel
+
+/**
+ * Creates a version chip that pins (or unpins) its version
+ * @param {string} version - PokeAPI version name
+ * @param {boolean} pinned - Whether this version is the pinned one
+ * @returns {HTMLButtonElement} Chip button
+ */
+function createVersionChip(version, pinned) {
+  const label = getVersionLabel(version);
+  const chip = document.createElement('button');
+  chip.type = 'button';
+  chip.className = 'entries-version-chip';
+  chip.setAttribute('aria-pressed', String(pinned));
+  chip.title = pinned ? `Unpin ${label}` : `Pin ${label} as your preferred game`;
+  chip.innerHTML = `${pinned ? '<i class="fa-solid fa-thumbtack"></i> ' : ''}<span></span>`;
+  chip.querySelector('span').innerText = label;
+
+  chip.addEventListener('click', () => {
+    // Show the pinned entry first so the re-rendered panel marks it as current
+    if(!pinned) {
+      showEntry(entries.findIndex(entry => entry.versions.includes(version)));
+      showToast(`📌 ${label} entries will be shown first`);
+    }
+
+    setPreference('preferredVersion', pinned ? '' : version);
+  });
+
+  return chip;
+}
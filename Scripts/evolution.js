@@ -0,0 +1,318 @@
+/**
+ * EVOLUTION.JS - Pokemon Evolution Chain Card
+ * ===========================================
+ *
+ * This module renders the evolution card for the current Pokemon. It loads
+ * the evolution chain referenced by the species response and draws it as a
+ * tree, so branching families like Eevee (one stage, many branches) and
+ * Wurmple (two branches with their own next stages) read naturally.
+ *
+ * Key Features:
+ * - Full chain rendering including every branch
+ * - Sprite and name for each stage
+ * - Human readable evolution triggers (level, item, friendship, time of day,
+ *   trade, location, known move and other special conditions)
+ * - Clicking a stage navigates through generatePokemon
+ * - Current Pokemon highlighted in the chain
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { requestEvolutionChain } from './requests.js';
+import { punctuationNameCheck, formatResourceName } from './utils/data-utils.js';
+import { DEFAULT_SPRITE_BASE_URL, resolveSpriteUrl } from './utils/config-utils.js';
+
+// ====================================
+// DOM ELEMENT REFERENCES
+// ====================================
+
+/** @type {HTMLElement} Container the evolution tree is rendered into */
+const EvolutionChainElement = document.getElementById('evolution-chain');
+
+// ====================================
+// EVOLUTION CONSTANTS
+// ====================================
+
+/** @type {string} Base URL for the small front sprites shown for each stage */
+const StageSpriteUrl = `${DEFAULT_SPRITE_BASE_URL}/pokemon/`;
+
+/** @type {Object<number, string>} PokeAPI gender IDs used by evolution details */
+const EVOLUTION_GENDERS = { 1: 'female', 2: 'male' };
+
+/** @type {Object<number, string>} Attack/Defense comparison used by Tyrogue */
+const PHYSICAL_STAT_RELATIONS = {
+  1: 'Attack > Defense',
+  0: 'Attack = Defense',
+  '-1': 'Attack < Defense'
+};
+
+/** @type {Object<string, string>} Labels for triggers that carry no extra conditions */
+const TRIGGER_LABELS = {
+  'level-up': 'Level up',
+  'trade': 'Trade',
+  'use-item': 'Use item',
+  'shed': 'Level 20 with an empty party slot and a Poké Ball',
+  'spin': 'Spin around holding a Sweet',
+  'tower-of-darkness': 'Train in the Tower of Darkness',
+  'tower-of-waters': 'Train in the Tower of Waters',
+  'three-critical-hits': 'Land three critical hits in one battle',
+  'take-damage': 'Take damage, then walk under the stone bridge',
+  'agile-style-move': 'Use an agile style move',
+  'strong-style-move': 'Use a strong style move',
+  'recoil-damage': 'Take recoil damage',
+  'other': 'Special condition'
+};
+
+// ====================================
+// EVOLUTION CARD RENDERING
+// ====================================
+
+/**
+ * Loads and renders the evolution chain for the species on screen
+ * @param {Object} speciesResponse - Raw species data from PokeAPI
+ * @param {AbortSignal} [signal] - Navigation signal; nothing is rendered once aborted
+ * @returns {Promise<void>}
+ * @example
+ * displayEvolutionChain(speciesResponse, signal);
+ */
+export async function displayEvolutionChain(speciesResponse, signal) {
+  if(!EvolutionChainElement) {
+    return;
+  }
+
+  const chainUrl = speciesResponse.evolution_chain && speciesResponse.evolution_chain.url;
+  EvolutionChainElement.innerHTML = `<p class="text evolution-status">Loading evolutions…</p>`;
+
+  if(!chainUrl) {
+    EvolutionChainElement.innerHTML = `<p class="text evolution-status">No evolution data available.</p>`;
+
+    return;
+  }
+
+  const chainResponse = await requestEvolutionChain(chainUrl, signal);
+  if(signal && signal.aborted) {
+    return;
+  }
+
+  if(!chainResponse || !chainResponse.chain) {
+    EvolutionChainElement.innerHTML = `<p class="text evolution-status">Evolution data could not be loaded.</p>`;
+
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  if(chainResponse.chain.evolves_to.length === 0) {
+    const status = document.createElement('p');
+    status.className = 'text evolution-status';
+    status.innerText = `${punctuationNameCheck(chainResponse.chain.species.name)} does not evolve.`;
+    fragment.appendChild(status);
+  }
+
+  fragment.appendChild(createEvolutionNode(chainResponse.chain, speciesResponse.id));
+
+  window.requestAnimationFrame(() => {
+    if(signal && signal.aborted) {
+      return;
+    }
+
+    EvolutionChainElement.innerHTML = '';
+    EvolutionChainElement.appendChild(fragment);
+  });
+} //displayEvolutionChain
+
+/**
+ * Builds one stage of the tree together with all of its branches
+ * @param {Object} link - Chain link ({ species, evolution_details, evolves_to })
+ * @param {number} currentSpeciesId - Species shown on the page, highlighted in the tree
+ * @returns {HTMLElement} Node element
+ */
+function createEvolutionNode(link, currentSpeciesId) {
+  const node = document.createElement('div');
+  node.className = 'evolution-node';
+  node.appendChild(createEvolutionStage(link.species, currentSpeciesId));
+
+  if(link.evolves_to.length > 0) {
+    const branches = document.createElement('div');
+    branches.className = 'evolution-branches';
+
+    link.evolves_to.forEach(nextLink => {
+      const branch = document.createElement('div');
+      branch.className = 'evolution-branch';
+
+      const trigger = document.createElement('span');
+      trigger.className = 'evolution-trigger';
+      trigger.innerText = describeEvolutionDetails(nextLink.evolution_details);
+
+      branch.appendChild(trigger);
+      branch.appendChild(createEvolutionNode(nextLink, currentSpeciesId));
+      branches.appendChild(branch);
+    });
+
+    node.appendChild(branches);
+  }
+
+  return node;
+}
+
+/**
+ * Builds the clickable sprite and name for a single species
+ * @param {{name: string, url: string}} species - Species reference from the chain
+ * @param {number} currentSpeciesId - Species shown on the page
+ * @returns {HTMLButtonElement} Stage button
+ */
+function createEvolutionStage(species, currentSpeciesId) {
+  const speciesId = parseInt(species.url.split('/').slice(-2, -1)[0], 10);
+  const name = punctuationNameCheck(species.name);
+
+  const stage = document.createElement('button');
+  stage.type = 'button';
+  stage.className = 'evolution-stage';
+  stage.title = `View #${speciesId} ${name}`;
+  stage.setAttribute('aria-label', `View #${speciesId} ${name}`);
+
+  if(speciesId === currentSpeciesId) {
+    stage.classList.add('evolution-stage-current');
+    stage.setAttribute('aria-current', 'true');
+  }
+
+  const sprite = document.createElement('img');
+  sprite.className = 'evolution-sprite';
+  sprite.src = resolveSpriteUrl(`${StageSpriteUrl}${speciesId}.png`);
+  sprite.alt = name;
+  sprite.loading = 'lazy';
+
+  const label = document.createElement('span');
+  label.className = 'evolution-name';
+  label.innerText = name;
+
+  stage.appendChild(sprite);
+  stage.appendChild(label);
+
+  stage.addEventListener('click', () => {
+    if(speciesId === currentSpeciesId) {
+      return;
+    }
+
+    import('./utils/navigation-utils.js').then(({ generatePokemon }) => {
+      generatePokemon(speciesId, 'visible', true);
+    });
+  });
+
+  return stage;
+}
+
+// ====================================
+// EVOLUTION TRIGGER FORMATTING
+// ====================================
+
+/**
+ * Describes every way a stage can be reached
+ * Some species have several methods (e.g. different games), joined with "or"
+ * @param {Array<Object>} detailsList - evolution_details from the chain link
+ * @returns {string} Readable trigger description
+ * @example
+ * describeEvolutionDetails([{ trigger: { name: 'level-up' }, min_level: 16 }]); // 'Level 16'
+ */
+export function describeEvolutionDetails(detailsList) {
+  if(!Array.isArray(detailsList) || detailsList.length === 0) {
+    return '→';
+  }
+
+  const descriptions = detailsList.map(describeEvolutionDetail);
+
+  return [...new Set(descriptions)].join(' or ');
+}
+
+/**
+ * Describes a single evolution method
+ * @param {Object} detail - One entry of evolution_details
+ * @returns {string} Readable trigger description
+ */
+function describeEvolutionDetail(detail) {
+  const trigger = detail.trigger ? detail.trigger.name : 'other';
+  const conditions = [];
+
+  // Primary requirement
+  if(trigger === 'level-up' && detail.min_level) {
+    conditions.push(`Level ${detail.min_level}`);
+  } else if(trigger === 'use-item' && detail.item) {
+    conditions.push(`Use ${formatResourceName(detail.item.name)}`);
+  } else if(trigger === 'trade') {
+    conditions.push(detail.trade_species ? `Trade for ${punctuationNameCheck(detail.trade_species.name)}` : 'Trade');
+  } else if(trigger !== 'level-up' || !hasExtraConditions(detail)) {
+    conditions.push(TRIGGER_LABELS[trigger] || formatResourceName(trigger));
+  }
+
+  // Additional requirements
+  if(detail.held_item) {
+    conditions.push(`holding ${formatResourceName(detail.held_item.name)}`);
+  }
+  if(detail.min_happiness) {
+    conditions.push('high friendship');
+  }
+  if(detail.min_affection) {
+    conditions.push('high affection');
+  }
+  if(detail.min_beauty) {
+    conditions.push('high beauty');
+  }
+  if(detail.time_of_day) {
+    conditions.push(`during the ${detail.time_of_day}`);
+  }
+  if(detail.location) {
+    conditions.push(`at ${formatResourceName(detail.location.name)}`);
+  }
+  if(detail.known_move) {
+    conditions.push(`knowing ${formatResourceName(detail.known_move.name)}`);
+  }
+  if(detail.known_move_type) {
+    conditions.push(`knowing a ${formatResourceName(detail.known_move_type.name)}-type move`);
+  }
+  if(detail.gender && EVOLUTION_GENDERS[detail.gender]) {
+    conditions.push(`${EVOLUTION_GENDERS[detail.gender]} only`);
+  }
+  if(detail.party_species) {
+    conditions.push(`with ${punctuationNameCheck(detail.party_species.name)} in the party`);
+  }
+  if(detail.party_type) {
+    conditions.push(`with a ${formatResourceName(detail.party_type.name)}-type in the party`);
+  }
+  if(detail.relative_physical_stats !== null && detail.relative_physical_stats !== undefined) {
+    conditions.push(PHYSICAL_STAT_RELATIONS[detail.relative_physical_stats]);
+  }
+  if(detail.needs_overworld_rain) {
+    conditions.push('while raining');
+  }
+  if(detail.turn_upside_down) {
+    conditions.push('with the device upside down');
+  }
+
+  // "Level up" alone is implied when other conditions exist (e.g. "Level up, high friendship")
+  if(trigger === 'level-up' && !detail.min_level && hasExtraConditions(detail)) {
+    conditions.unshift('Level up');
+  }
+
+  return conditions.filter(Boolean).join(', ');
+}
+
+/**
+ * Checks whether a level-up detail has conditions beyond the trigger itself
+ * @param {Object} detail - One entry of evolution_details
+ * @returns {boolean} True if any extra condition is set
+ */
+function hasExtraConditions(detail) {
+  return Boolean(
+    detail.held_item || detail.min_happiness || detail.min_affection || detail.min_beauty ||
+    detail.time_of_day || detail.location || detail.known_move || detail.known_move_type ||
+    detail.gender || detail.party_species || detail.party_type || detail.needs_overworld_rain ||
+    detail.turn_upside_down ||
+    (detail.relative_physical_stats !== null && detail.relative_physical_stats !== undefined)
+  );
+}
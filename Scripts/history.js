@@ -0,0 +1,252 @@
+/**
+ * HISTORY.JS - Viewing History Navigation & Drawer
+ * ================================================
+ *
+ * This module drives the header back/forward buttons and the history
+ * drawer. The stack itself lives in history-utils.js.
+ *
+ * Key Features:
+ * - Back/forward through up to 100 viewed Pokemon
+ * - Drawer with formatted timestamps (todo 128) and view counts (todo 110)
+ * - Jump to any entry without losing the forward entries
+ * - Clear and export (JSON download) of the whole history
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import {
+  HISTORY_CHANGE_EVENT, getHistoryStack, getHistoryStepIndex, getViewCount,
+  getHistoryTotals, clearHistory, exportHistory, formatDateTime
+} from './utils/history-utils.js';
+import { openPanel, closePanel, getPanelBody, createActionButton } from './utils/panel-utils.js';
+import { showToast, downloadTextFile } from './utils/dom-utils.js';
+import { punctuationNameCheck } from './utils/data-utils.js';
+import { DEFAULT_SPRITE_BASE_URL, resolveSpriteUrl } from './utils/config-utils.js';
+import { generatePokemon } from './utils/navigation-utils.js';
+
+// ====================================
+// DOM ELEMENT REFERENCES
+// ====================================
+
+/** @type {HTMLButtonElement} Header back button */
+const HistoryBackButton = document.getElementById('history-back-button');
+
+/** @type {HTMLButtonElement} Header forward button */
+const HistoryForwardButton = document.getElementById('history-forward-button');
+
+// ====================================
+// HISTORY CONSTANTS
+// ====================================
+
+/** @type {string} Drawer panel ID */
+const DRAWER_ID = 'history-drawer';
+
+/** @type {string} Base URL for list sprites */
+const EntrySpriteUrl = `${DEFAULT_SPRITE_BASE_URL}/pokemon/`;
+
+// ====================================
+// INITIALIZATION
+// ====================================
+
+/**
+ * Syncs the back/forward buttons with the stored history and keeps them updated
+ */
+export function initializeHistory() {
+  updateHistoryButtons();
+
+  window.addEventListener(HISTORY_CHANGE_EVENT, () => {
+    updateHistoryButtons();
+
+    const body = getPanelBody(DRAWER_ID);
+    if(body) {
+      renderHistoryDrawer(body);
+    }
+  });
+}
+
+/**
+ * Enables the back/forward buttons only when there is somewhere to go
+ */
+function updateHistoryButtons() {
+  if(HistoryBackButton) {
+    HistoryBackButton.disabled = getHistoryStepIndex(-1) === null;
+  }
+  if(HistoryForwardButton) {
+    HistoryForwardButton.disabled = getHistoryStepIndex(1) === null;
+  }
+}
+
+// ====================================
+// HISTORY NAVIGATION
+// ====================================
+
+/**
+ * Shows the Pokemon viewed before the current one
+ */
+export function goBackInHistory() {
+  const index = getHistoryStepIndex(-1);
+  if(index === null) {
+    showToast('No earlier Pokémon in your history.');
+
+    return;
+  }
+
+  showHistoryEntry(index);
+}
+
+/**
+ * Shows the next Pokemon after going back
+ */
+export function goForwardInHistory() {
+  const index = getHistoryStepIndex(1);
+  if(index === null) {
+    showToast('You are at the latest Pokémon in your history.');
+
+    return;
+  }
+
+  showHistoryEntry(index);
+}
+
+/**
+ * Loads a history entry; the stack cursor moves once it is on screen
+ * @param {number} index - Stack index
+ */
+function showHistoryEntry(index) {
+  const entry = getHistoryStack().entries[index];
+  if(!entry) {
+    return;
+  }
+
+  generatePokemon(entry.isForm ? entry.name : entry.id, 'visible', true, { historyIndex: index });
+}
+
+// ====================================
+// HISTORY DRAWER
+// ====================================
+
+/**
+ * Opens the history drawer
+ */
+export function openHistoryDrawer() {
+  const { body } = openPanel({
+    id: DRAWER_ID,
+    title: 'Viewing History',
+    className: 'history-drawer'
+  });
+
+  renderHistoryDrawer(body);
+}
+
+/**
+ * Renders totals, actions and the list of viewed Pokemon (newest first)
+ * @param {HTMLElement} body - Drawer body
+ */
+function renderHistoryDrawer(body) {
+  const { index, entries } = getHistoryStack();
+  const { totalViews, uniquePokemon } = getHistoryTotals();
+
+  const summary = document.createElement('p');
+  summary.className = 'text history-summary';
+  summary.innerText = `${totalViews} ${totalViews === 1 ? 'view' : 'views'} of ${uniquePokemon} different Pokémon`;
+
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  actions.appendChild(createActionButton('Export', 'fa-download', downloadHistory, { disabled: totalViews === 0 }));
+  actions.appendChild(createActionButton('Clear', 'fa-trash', () => {
+    if(window.confirm('Clear your viewing history and view counts?')) {
+      clearHistory();
+      showToast('🧹 Viewing history cleared');
+    }
+  }, { disabled: totalViews === 0 }));
+
+  body.innerHTML = '';
+  body.appendChild(summary);
+  body.appendChild(actions);
+
+  if(entries.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text panel-status';
+    empty.innerText = 'Pokémon you view will show up here.';
+    body.appendChild(empty);
+
+    return;
+  }
+
+  const list = document.createElement('ol');
+  list.className = 'history-list';
+
+  for(let entryIndex = entries.length - 1; entryIndex >= 0; entryIndex--) {
+    list.appendChild(createHistoryItem(entries[entryIndex], entryIndex, entryIndex === index));
+  }
+
+  body.appendChild(list);
+} //renderHistoryDrawer
+
+/**
+ * Creates one row of the history list
+ * @param {{name: string, id: number, varietyId: number, viewedAt: string}} entry - History entry
+ * @param {number} entryIndex - Stack index of the entry
+ * @param {boolean} isCurrent - Whether this is the Pokemon on screen
+ * @returns {HTMLLIElement} List item
+ */
+function createHistoryItem(entry, entryIndex, isCurrent) {
+  const item = document.createElement('li');
+  item.className = 'history-item';
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'history-item-button';
+  if(isCurrent) {
+    button.classList.add('history-item-current');
+    button.setAttribute('aria-current', 'true');
+  }
+
+  const sprite = document.createElement('img');
+  sprite.className = 'history-sprite';
+  sprite.src = resolveSpriteUrl(`${EntrySpriteUrl}${entry.varietyId || entry.id}.png`);
+  sprite.alt = '';
+  sprite.loading = 'lazy';
+
+  const name = document.createElement('span');
+  name.className = 'history-name';
+  name.innerText = `${punctuationNameCheck(entry.name)} #${entry.id}`;
+
+  const time = document.createElement('time');
+  time.className = 'history-time';
+  time.dateTime = entry.viewedAt;
+  time.innerText = formatDateTime(entry.viewedAt);
+
+  const views = getViewCount(entry.name);
+  const count = document.createElement('span');
+  count.className = 'history-count';
+  count.innerText = `${views}×`;
+  count.title = `Viewed ${views} ${views === 1 ? 'time' : 'times'}`;
+
+  button.appendChild(sprite);
+  button.appendChild(name);
+  button.appendChild(time);
+  button.appendChild(count);
+  button.addEventListener('click', () => {
+    closePanel({ restoreFocus: false });
+    showHistoryEntry(entryIndex);
+  });
+
+  item.appendChild(button);
+
+  return item;
+}
+
+/**
+ * Downloads the history as a JSON file
+ */
+function downloadHistory() {
+  downloadTextFile(`pokedex-history-${new Date().toISOString().slice(0, 10)}.json`, exportHistory());
+}
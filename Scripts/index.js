@@ -17,9 +17,17 @@ function isDev() {
   return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
 }
 
+/** @type {string} Pokédex page URL, keeping shared deep links (?pokemon=25&shiny=1) */
+const PokedexUrl = `Pages/pokedex.html${window.location.search}${window.location.hash}`;
+
+// Meta refresh drops the query string, so deep links redirect right away
+if(window.location.search || window.location.hash) {
+  window.location.replace(PokedexUrl);
+}
+
 // Fallback redirect in case meta refresh doesn't work
 setTimeout(() => {
-  window.location.href = 'Pages/pokedex.html';
+  window.location.href = PokedexUrl;
 }, 1000);
 
 // Example usage:
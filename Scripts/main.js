@@ -32,24 +32,39 @@ function debounce(fn, ms = 300) {
 }
 
 // Import utility functions and constants from helper modules
-import { showToast, getElementVisibility, Body, createArray } from './utils/dom-utils.js?v=20250802b';
-import { playPokemonCry, startReadingEntry, Synth, unlockAudioContext } from './utils/audio-utils.js?v=20250802c';
-import { convertHexToRgba } from './utils/color-utils.js?v=20250802b';
+import { showToast, getElementVisibility, Body, createArray } from './utils/dom-utils.js';
+import { playPokemonCry, startReadingEntry, Synth, unlockAudioContext } from './utils/audio-utils.js';
+import { convertHexToRgba } from './utils/color-utils.js';
 import { 
-  STORAGE_KEYS, getStorageItem, setStorageItem, populateLocalStorage, swapCurrentAndLastPokemon, refreshUserIP, getStoredIP
-} from './utils/storage-utils.js?v=20250802h';
+  STORAGE_KEYS, getStorageItem, setStorageItem, populateLocalStorage, getRecallPokemonId, refreshUserIP, getStoredIP
+} from './utils/storage-utils.js';
 import { 
   generatePokemon, getRandomPokemon, getDeviceType, 
   applyResponsiveLayout as headerLayout, validateNumericInput as inputCheck,
-  validatePokedexNumber as validPokedexNumberCheck,
-  ORIGINAL_MAXIMUM_ID as OriginalMaximumId, MAXIMUM_ID as MaximumId
-} from './utils/navigation-utils.js?v=20250806a';
+  validatePokedexNumber as validPokedexNumberCheck
+} from './utils/navigation-utils.js';
 import { initializePlaceholderRotation } from './utils/placeholder-utils.js';
+import { getResponseCacheStats, listCachedResponses, clearResponseCache } from './utils/cache-utils.js';
+import { getApiConfig, setApiConfig, resetApiConfig } from './utils/config-utils.js';
+import { parseRoute, initializeRouter, clearRoute } from './utils/router-utils.js';
 
 // Import API request functions
 import { 
-  requestType 
+  cancelActiveNavigation 
 } from './requests.js';
+import { openTypeEffectivenessPanel, initializeTypeTooltips } from './type-effectiveness.js';
+import { initializeSearchAutocomplete } from './search-autocomplete.js';
+import { initializeCollections } from './collections.js';
+import { initializeEntries } from './entries.js';
+import { openComparePanel } from './compare.js';
+import { initializeStatCalculator } from './stat-calculator.js';
+import { splitCompareQuery } from './utils/pokemon-names.js';
+import { initializeHistory, goBackInHistory, goForwardInHistory, openHistoryDrawer } from './history.js';
+import { initializePrivacy, openPrivacyPanel } from './privacy.js';
+import { initializeSettings, openSettingsPanel } from './settings.js';
+import { initializeBackup } from './backup.js';
+import { initializeDailyPokemon } from './daily-pokemon.js';
+import { initializeQuiz } from './quiz.js';
 
 // ====================================
 // DOM ELEMENT REFERENCES
@@ -88,6 +103,19 @@ const ReadEntryButtonTop = document.getElementById('read-entry-button-top');
 const RecallButton = document.getElementById('recall-button');
 const RecallButtonTop = document.getElementById('recall-button-top');
 
+/** @type {HTMLButtonElement} Back/forward buttons for the viewing history */
+const HistoryBackButton = document.getElementById('history-back-button');
+const HistoryForwardButton = document.getElementById('history-forward-button');
+
+/** @type {HTMLButtonElement} Button to open the viewing history drawer */
+const HistoryButton = document.getElementById('history-button');
+
+/** @type {HTMLButtonElement} Button to open the settings panel */
+const SettingsButton = document.getElementById('settings-button');
+
+/** @type {HTMLButtonElement} Footer button to open the privacy panel */
+const PrivacyButton = document.getElementById('privacy-button');
+
 /** @type {HTMLButtonElement} Button to clear current display */
 const ClearButton = document.getElementById('clear-button');
 const ClearButtonTop = document.getElementById('clear-button-top');
@@ -101,6 +129,8 @@ const NumberHeader = document.getElementById('number-header');
 const NameHeader = document.getElementById('name-header');
 const PokemonEntryText = document.getElementById('pokedex-entry-text');
 const GenusSubHeader = document.getElementById('genus-sub-header');
+const HeightText = document.getElementById('height-text');
+const WeightText = document.getElementById('weight-text');
 
 /** @type {HTMLCanvasElement} Chart.js canvas for stats visualization */
 const StatsChart = document.getElementById('stats-chart');
@@ -137,7 +167,10 @@ let id = null;
   getElementVisibility(HiddenElementsArray, 'hidden');
   getSystemInformation();
   checkLocalStorageItems();
-  loadLastViewedPokemon();
+  if(!loadRoutedPokemon()) {
+    loadLastViewedPokemon();
+  }
+  initializeRouter(handleRouteChange);
   
   // ====================================
   // BUTTON EVENT LISTENERS
@@ -189,6 +222,51 @@ let id = null;
     buttonClick('Recall', true, true);
   });
   
+  /** History back button - returns to the Pokémon viewed before this one */
+  HistoryBackButton.addEventListener('click', () => {
+    if(DEBUG) {
+      console.log('🔘 [Button Click] History back button clicked');
+    }
+
+    buttonClick('Back', true, false);
+  });
+
+  /** History forward button - goes forward again after going back */
+  HistoryForwardButton.addEventListener('click', () => {
+    if(DEBUG) {
+      console.log('🔘 [Button Click] History forward button clicked');
+    }
+
+    buttonClick('Forward', true, false);
+  });
+
+  /** History button - opens the viewing history drawer */
+  HistoryButton.addEventListener('click', () => {
+    if(DEBUG) {
+      console.log('🔘 [Button Click] History button clicked');
+    }
+
+    buttonClick('History', false, false);
+  });
+
+  /** Settings button - opens the preferences panel */
+  SettingsButton.addEventListener('click', () => {
+    if(DEBUG) {
+      console.log('🔘 [Button Click] Settings button clicked');
+    }
+
+    buttonClick('Settings', false, false);
+  });
+
+  /** Privacy button - shows consent choices and everything stored on this device */
+  PrivacyButton.addEventListener('click', () => {
+    if(DEBUG) {
+      console.log('🔘 [Button Click] Privacy button clicked');
+    }
+
+    buttonClick('Privacy', false, false);
+  });
+  
   /** Cry button - plays the Pokémon's cry audio */
   CryButton.addEventListener('click', (event) => {
     if(DEBUG) {
@@ -252,7 +330,18 @@ let id = null;
     buttonClick('Clear', true, false);
   });
   
-  /** Type badges - clickable elements that could show type information */
+  /** Type badges - click opens the matchup panel, hover/long-press shows a tooltip */
+  initializeTypeTooltips([TypeText, TypeText2]);
+  initializeCollections();
+  initializeEntries();
+  initializeStatCalculator();
+  initializeHistory();
+  initializeSettings();
+  initializePrivacy();
+  initializeBackup();
+  initializeDailyPokemon();
+  initializeQuiz();
+
   TypeText.addEventListener('click', () => {
     if(DEBUG) {
       console.log('🔘 [Button Click] Type badge 1 clicked');
@@ -289,6 +378,12 @@ let id = null;
   // ====================================
   // INPUT EVENT LISTENERS
   // ====================================
+  /** Name suggestions - registered first so Enter can pick a highlighted suggestion */
+  initializeSearchAutocomplete(Textbox, name => {
+    Textbox.value = name;
+    GoButton.click();
+  });
+
   /** Search textbox input validation and handling */
   Textbox.addEventListener('input', debounce(handleTextboxInput, 300));
   Textbox.addEventListener('focus', handleTextboxFocus);
@@ -384,7 +479,7 @@ function getSystemInformation() {
   // Make device type available globally for other modules
   window.deviceType = deviceType;
   
-  // Initialize IP address storage (async, non-blocking)
+  // Refresh the stored IP address if the user opted in (async, non-blocking)
   refreshUserIP().catch(error => {
     console.log('IP address fetch failed:', error.message);
   });
@@ -520,32 +615,64 @@ function loadLastViewedPokemon() {
   const storedId = getStorageItem(STORAGE_KEYS.CURRENT_POKEMON);
   if(storedId) {
     id = storedId;
-    generatePokemon(id, 'visible', false); // Load last viewed Pokémon
+    generatePokemon(id, 'visible', false, { historyMode: 'replace' }); // Load last viewed Pokémon
   }
 } //loadLastViewedPokemon
 
+// ====================================
+// URL ROUTING FUNCTIONS
+// ====================================
+
+/**
+ * Loads the Pokémon named in the URL (?pokemon=25&form=pikachu-phd&shiny=1)
+ * Shared links take priority over the last viewed Pokémon
+ * @returns {boolean} True if the URL contained a route
+ */
+function loadRoutedPokemon() {
+  const route = parseRoute();
+  if(!route) {
+    return false;
+  }
+
+  showRoute(route, 'replace');
+
+  return true;
+} //loadRoutedPokemon
+
+/**
+ * Handles browser back/forward between history entries
+ * The Pokémon being left becomes the last Pokémon, just like Recall
+ * @param {{pokemon: string, form: string|null, shiny: boolean}} route - Route of the history entry
+ */
+function handleRouteChange(route) {
+  if(isDev()) {
+    console.log('🧭 [Router] Restoring route from history:', route);
+  }
+
+  Synth.cancel();
+  showRoute(route, 'none');
+} //handleRouteChange
+
+/**
+ * Displays a route without the range check, as routes may point at forms
+ * @param {{pokemon: string, form: string|null, shiny: boolean}} route - Route to display
+ * @param {string} historyMode - 'replace' or 'none'
+ */
+function showRoute(route, historyMode) {
+  id = route.form || route.pokemon;
+  Textbox.value = route.pokemon;
+  generatePokemon(id, 'visible', true, { historyMode, shiny: route.shiny });
+}
+
 /**
  * Checks and validates localStorage items
- * Prevents duplicate entries and manages Pokédex version settings
+ * Prevents duplicate entries; the Pokédex range now lives in the preferences store
  */
 function checkLocalStorageItems() {
   // Remove duplicate Pokémon entries
   if(localStorage.getItem('currentPokémon') === localStorage.getItem('lastPokémon')) {
     localStorage.removeItem('lastPokémon');
   }
-  
-  // Handle original vs modern Pokédex mode
-  if('originalPokédex' in localStorage && localStorage.getItem('originalPokédex') === 'true') {
-    localStorage.setItem('originalPokédex', true);
-    localStorage.setItem('maximumId', OriginalMaximumId); // Generation 1 limit
-
-    return;
-  } else {
-    localStorage.setItem('originalPokédex', false);
-    localStorage.setItem('maximumId', MaximumId); // All generations
-    
-    return;
-  }
 } //checkLocalStorageItems
 
 // ====================================
@@ -575,6 +702,14 @@ function buttonClick(buttonClicked, cancelSynth, callGeneratePokemon) {
   switch(buttonClicked) {
     case 'Go':
     case 'Enter':
+      // "pikachu vs raichu" opens the compare panel instead of loading one Pokémon
+      const compareNames = splitCompareQuery(Textbox.value);
+      if(compareNames.length > 1) {
+        openComparePanel(compareNames);
+        callGeneratePokemon = false;
+        break;
+      }
+
       // Store current Pokémon as last viewed before switching (only if different from new search)
       if(ClearButton.style.display !== 'none') {
         const currentDisplayedId = NumberHeader.innerText ? NumberHeader.innerText.substring(1) : null;
@@ -619,7 +754,8 @@ function buttonClick(buttonClicked, cancelSynth, callGeneratePokemon) {
       Textbox.value = id;
       break;      
     case 'Recall':
-      const recalledPokemonId = swapCurrentAndLastPokemon();
+      // Current and last swap once the recalled Pokémon is on screen (populateLocalStorage)
+      const recalledPokemonId = getRecallPokemonId();
       
       if(recalledPokemonId) {
         id = recalledPokemonId;
@@ -632,6 +768,26 @@ function buttonClick(buttonClicked, cancelSynth, callGeneratePokemon) {
         return; // Exit early if no recall is possible
       }
       break;      
+    case 'Back':
+      // Step back through the viewing history
+      goBackInHistory();
+      break;      
+    case 'Forward':
+      // Step forward through the viewing history
+      goForwardInHistory();
+      break;      
+    case 'History':
+      // Show the viewing history drawer
+      openHistoryDrawer();
+      break;      
+    case 'Settings':
+      // Show the preferences panel
+      openSettingsPanel();
+      break;      
+    case 'Privacy':
+      // Show consent choices and stored data
+      openPrivacyPanel();
+      break;      
     case 'Cry':
       // Play Pokémon's cry audio
       playPokemonCry();
@@ -658,7 +814,12 @@ function buttonClick(buttonClicked, cancelSynth, callGeneratePokemon) {
           ReadEntryButtonTop.innerHTML = `<i class="fa-solid fa-book-open"></i>`;
         } else {
           // Start reading and reset button after a delay
-          startReadingEntry(pokemonName, pokemonGenus, pokemonEntry);
+          // The size spans carry their spoken form (preferred units) in aria-label,
+          // the entry carries the language it is shown in
+          startReadingEntry(pokemonName, pokemonGenus, pokemonEntry, {
+            height: HeightText.getAttribute('aria-label'),
+            weight: WeightText.getAttribute('aria-label')
+          }, PokemonEntryText.dataset.language);
           
           // Reset button visual state after starting speech
           setTimeout(() => {
@@ -671,8 +832,10 @@ function buttonClick(buttonClicked, cancelSynth, callGeneratePokemon) {
       // Reset application to initial state
       Textbox.value = '';
       Textbox.focus();
-      Body.style.setProperty('--body-bg', 'linear-gradient(135deg, #f8fafc 0%, #f1f5f9 25%, #e2e8f0 50%, #f1f5f9 75%, #f8fafc 100%)'); // Reset background
+      Body.style.removeProperty('--body-bg'); // Reset to the theme's default background
       id = null;
+      cancelActiveNavigation(); // Stop pending requests from repopulating the page
+      clearRoute(); // Drop the Pokémon from the shareable URL
       ToastCloseButton.click(); // Hide any active toasts
       console.log('Clearing elements, HiddenElementsArray length:', HiddenElementsArray.length);
       getElementVisibility(HiddenElementsArray, 'hidden'); // Hide all cards
@@ -683,12 +846,12 @@ function buttonClick(buttonClicked, cancelSynth, callGeneratePokemon) {
       localStorage.removeItem('id'); // Clear legacy id storage
       break;      
     case 'TypeText':
-      // Handle first type badge click - could show type information
-      requestType(TypeText.innerText);
+      // Show offensive and defensive matchups for the first type
+      openTypeEffectivenessPanel(TypeText.innerText, getCurrentTypes(), NameHeader.textContent);
       break;      
     case 'TypeText2':
-      // Handle second type badge click - could show type information
-      requestType(TypeText2.innerText);
+      // Show offensive and defensive matchups for the second type
+      openTypeEffectivenessPanel(TypeText2.innerText, getCurrentTypes(), NameHeader.textContent);
       break;      
     case 'ToastClose':
     case 'Toast':
@@ -706,6 +869,14 @@ function buttonClick(buttonClicked, cancelSynth, callGeneratePokemon) {
   Toast.classList.remove('toast-active');
 } //buttonClick
 
+/**
+ * Reads the current Pokémon's types from the type badges
+ * @returns {Array<string>} One or two type names
+ */
+function getCurrentTypes() {
+  return [TypeText.innerText, TypeText2.hidden ? null : TypeText2.innerText].filter(Boolean);
+} //getCurrentTypes
+
 // ====================================
 // MOBILE AUDIO UNLOCK HANDLER
 // ====================================
@@ -759,7 +930,21 @@ window.pokemonApp = {
   CryButtonTop, 
   
   // Application State
-  deviceType
+  deviceType,
+  
+  // Persistent API response cache inspection
+  responseCache: {
+    stats: getResponseCacheStats,
+    list: listCachedResponses,
+    clear: clearResponseCache
+  },
+
+  // Data source configuration (API mirror, sprites, cries)
+  config: {
+    get: getApiConfig,
+    set: setApiConfig,
+    reset: resetApiConfig
+  }
 };
 
 // Utility function for development-only logging
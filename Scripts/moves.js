@@ -0,0 +1,544 @@
+/**
+ * MOVES.JS - Pokemon Move Set Card
+ * ================================
+ *
+ * This module renders the moves card: a sortable grid of every move the
+ * current Pokemon can learn, filtered by version group and learn method.
+ * The Pokemon response only names each move, so type, damage class, power,
+ * accuracy and PP are fetched lazily from /move/{id} as rows scroll into
+ * view (or all at once when sorting by one of those columns).
+ *
+ * Key Features:
+ * - Version group filter (defaults to the most recent group)
+ * - Learn method filter (level-up, TM/machine, egg, tutor, ...)
+ * - Sortable columns with aria-sort state
+ * - Lazy per-move detail loading shared through the request cache
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { requestMove } from './requests.js';
+import { capitalizeAfterHyphen, formatResourceName } from './utils/data-utils.js';
+import { getTypeColor, convertHexToRgba } from './utils/color-utils.js';
+
+// ====================================
+// DOM ELEMENT REFERENCES
+// ====================================
+
+/** @type {HTMLSelectElement} Version group filter */
+const VersionGroupSelect = document.getElementById('moves-version-select');
+
+/** @type {HTMLSelectElement} Learn method filter */
+const LearnMethodSelect = document.getElementById('moves-method-select');
+
+/** @type {HTMLElement} Scroll container around the moves table */
+const MovesTableWrapper = document.getElementById('moves-table-wrapper');
+
+/** @type {HTMLTableSectionElement} Moves table header */
+const MovesTableHead = document.getElementById('moves-table-head');
+
+/** @type {HTMLTableSectionElement} Moves table body */
+const MovesTableBody = document.getElementById('moves-table-body');
+
+/** @type {HTMLElement} Row count / empty state text */
+const MovesSummary = document.getElementById('moves-summary');
+
+// ====================================
+// MOVE TABLE CONSTANTS
+// ====================================
+
+/** @type {Object<string, string>} Display labels for learn methods */
+const LEARN_METHOD_LABELS = {
+  'level-up': 'Level Up',
+  'machine': 'TM / Machine',
+  'egg': 'Egg',
+  'tutor': 'Tutor'
+};
+
+/** @type {Array<string>} Preferred learn method order for sorting and the filter list */
+const LEARN_METHOD_ORDER = ['level-up', 'machine', 'egg', 'tutor'];
+
+/**
+ * Table columns; detail columns need the /move/{id} response before they can be shown or sorted
+ * @type {Array<{key: string, label: string, detail: boolean}>}
+ */
+const MOVE_COLUMNS = [
+  { key: 'name', label: 'Move', detail: false },
+  { key: 'level', label: 'Lv.', detail: false },
+  { key: 'method', label: 'Method', detail: false },
+  { key: 'type', label: 'Type', detail: true },
+  { key: 'damageClass', label: 'Class', detail: true },
+  { key: 'power', label: 'Power', detail: true },
+  { key: 'accuracy', label: 'Acc.', detail: true },
+  { key: 'pp', label: 'PP', detail: true }
+];
+
+/** @type {string} Placeholder for missing values */
+const EMPTY_VALUE = '—';
+
+// ====================================
+// MODULE STATE
+// ====================================
+
+/**
+ * Move details by move URL, shared across Pokemon so common moves load once
+ * @type {Map<string, {type: string, damageClass: string, power: number|null, accuracy: number|null, pp: number|null}>}
+ */
+const MOVE_DETAILS = new Map();
+
+/**
+ * State for the Pokemon currently shown in the card
+ * @type {{moves: Array, signal: AbortSignal|undefined, sort: {key: string, direction: string}, observer: IntersectionObserver|null}}
+ */
+const moveState = {
+  moves: [],
+  signal: undefined,
+  sort: { key: 'level', direction: 'asc' },
+  observer: null
+};
+
+/** @type {number|null} Debounce timer for re-sorting after details arrive */
+let resortTimeout = null;
+
+// ====================================
+// MOVES CARD RENDERING
+// ====================================
+
+/**
+ * Populates the moves card for a new Pokemon
+ * @param {Array} moves - moves array from the PokeAPI /pokemon/ response
+ * @param {AbortSignal} [signal] - Navigation signal; detail requests stop once it aborts
+ * @example
+ * displayMoveSet(pokemonResponse.moves, signal);
+ */
+export function displayMoveSet(moves, signal) {
+  if(!MovesTableBody) {
+    return;
+  }
+
+  moveState.moves = Array.isArray(moves) ? moves : [];
+  moveState.signal = signal;
+
+  initializeMoveControls();
+  populateVersionGroups();
+  populateLearnMethods();
+  renderMoveRows();
+} //displayMoveSet
+
+/**
+ * Builds the sortable header and wires the filters (runs once)
+ */
+function initializeMoveControls() {
+  if(MovesTableHead.dataset.initialized) {
+    return;
+  }
+
+  const row = document.createElement('tr');
+  MOVE_COLUMNS.forEach(column => {
+    const header = document.createElement('th');
+    header.scope = 'col';
+    header.dataset.sortKey = column.key;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'moves-sort-button';
+    button.innerText = column.label;
+    button.addEventListener('click', () => setMoveSort(column.key));
+
+    header.appendChild(button);
+    row.appendChild(header);
+  });
+
+  MovesTableHead.appendChild(row);
+  MovesTableHead.dataset.initialized = 'true';
+
+  VersionGroupSelect.addEventListener('change', () => {
+    populateLearnMethods();
+    renderMoveRows();
+  });
+  LearnMethodSelect.addEventListener('change', renderMoveRows);
+}
+
+/**
+ * Fills the version group filter with every group the Pokemon has moves in
+ * Keeps the previous selection when the new Pokemon also has it, otherwise picks the newest group
+ */
+function populateVersionGroups() {
+  const previous = VersionGroupSelect.value;
+  const groups = new Map();
+
+  moveState.moves.forEach(move => {
+    move.version_group_details.forEach(detail => {
+      groups.set(detail.version_group.name, getResourceId(detail.version_group.url));
+    });
+  });
+
+  const sortedGroups = [...groups.entries()].sort((a, b) => b[1] - a[1]);
+  VersionGroupSelect.innerHTML = '';
+
+  sortedGroups.forEach(([name]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.innerText = formatResourceName(name);
+    VersionGroupSelect.appendChild(option);
+  });
+
+  VersionGroupSelect.disabled = sortedGroups.length === 0;
+  if(groups.has(previous)) {
+    VersionGroupSelect.value = previous;
+  }
+}
+
+/**
+ * Fills the learn method filter with the methods available in the selected version group
+ */
+function populateLearnMethods() {
+  const previous = LearnMethodSelect.value || 'all';
+  const methods = new Set(getVersionGroupRows().map(row => row.method));
+  const sortedMethods = [...methods].sort((a, b) => getMethodRank(a) - getMethodRank(b));
+
+  LearnMethodSelect.innerHTML = `<option value="all">All Methods</option>`;
+  sortedMethods.forEach(method => {
+    const option = document.createElement('option');
+    option.value = method;
+    option.innerText = getMethodLabel(method);
+    LearnMethodSelect.appendChild(option);
+  });
+
+  LearnMethodSelect.value = methods.has(previous) ? previous : 'all';
+}
+
+/**
+ * Renders the table rows for the current filters and sort order
+ */
+function renderMoveRows() {
+  const method = LearnMethodSelect.value;
+  const rows = getVersionGroupRows().filter(row => method === 'all' || row.method === method);
+  sortMoveRows(rows);
+
+  if(moveState.observer) {
+    moveState.observer.disconnect();
+  }
+  moveState.observer = createRowObserver();
+
+  const fragment = document.createDocumentFragment();
+  rows.forEach(row => {
+    const tableRow = createMoveRow(row);
+    fragment.appendChild(tableRow);
+
+    if(!MOVE_DETAILS.has(row.url)) {
+      if(moveState.observer) {
+        moveState.observer.observe(tableRow);
+      } else {
+        loadMoveDetails(row.url);
+      }
+    }
+  });
+
+  MovesTableBody.innerHTML = '';
+  MovesTableBody.appendChild(fragment);
+  MovesSummary.innerText = rows.length === 0 ? 'No moves for this selection.' : `${rows.length} move${rows.length === 1 ? '' : 's'}`;
+  updateSortIndicators();
+
+  // Sorting by a detail column only makes sense once every row has its details
+  if(isDetailColumn(moveState.sort.key)) {
+    loadAllMoveDetails(rows);
+  }
+}
+
+/**
+ * Builds the flat row list for the selected version group
+ * A move learned in several ways appears once per method
+ * @returns {Array<{name: string, url: string, level: number|null, method: string}>} Rows
+ */
+function getVersionGroupRows() {
+  const versionGroup = VersionGroupSelect.value;
+  const rows = [];
+
+  moveState.moves.forEach(move => {
+    move.version_group_details
+      .filter(detail => detail.version_group.name === versionGroup)
+      .forEach(detail => {
+        const method = detail.move_learn_method.name;
+        rows.push({
+          name: move.move.name,
+          url: move.move.url,
+          level: method === 'level-up' ? detail.level_learned_at : null,
+          method
+        });
+      });
+  });
+
+  return rows;
+}
+
+/**
+ * Creates one table row; detail cells are filled in when the move loads
+ * @param {{name: string, url: string, level: number|null, method: string}} row - Row data
+ * @returns {HTMLTableRowElement} Table row
+ */
+function createMoveRow(row) {
+  const tableRow = document.createElement('tr');
+  tableRow.dataset.moveUrl = row.url;
+
+  const values = {
+    name: formatResourceName(row.name),
+    level: row.level === null ? EMPTY_VALUE : (row.level === 0 ? 'Evo' : row.level),
+    method: getMethodLabel(row.method)
+  };
+
+  MOVE_COLUMNS.forEach(column => {
+    const cell = document.createElement(column.key === 'name' ? 'th' : 'td');
+    cell.className = `moves-cell-${column.key}`;
+
+    if(column.key === 'name') {
+      cell.scope = 'row';
+    }
+
+    if(!column.detail) {
+      cell.innerText = values[column.key];
+    }
+
+    tableRow.appendChild(cell);
+  });
+
+  fillDetailCells(tableRow, MOVE_DETAILS.get(row.url));
+
+  return tableRow;
+}
+
+/**
+ * Writes move details into a row's detail cells
+ * @param {HTMLTableRowElement} tableRow - Row to update
+ * @param {Object|undefined} details - Move details, undefined while loading
+ */
+function fillDetailCells(tableRow, details) {
+  const typeCell = tableRow.querySelector('.moves-cell-type');
+
+  if(!details) {
+    tableRow.classList.add('moves-row-loading');
+    typeCell.innerText = '…';
+
+    return;
+  }
+
+  tableRow.classList.remove('moves-row-loading');
+  typeCell.innerHTML = '';
+
+  if(details.type) {
+    const badge = document.createElement('span');
+    badge.className = 'moves-type-badge';
+    badge.innerText = details.type;
+    badge.style.backgroundColor = convertHexToRgba(getTypeColor(details.type), 0.6);
+    typeCell.appendChild(badge);
+  } else {
+    typeCell.innerText = EMPTY_VALUE;
+  }
+
+  tableRow.querySelector('.moves-cell-damageClass').innerText = details.damageClass ? capitalizeAfterHyphen(details.damageClass) : EMPTY_VALUE;
+  tableRow.querySelector('.moves-cell-power').innerText = details.power ?? EMPTY_VALUE;
+  tableRow.querySelector('.moves-cell-accuracy').innerText = details.accuracy ?? EMPTY_VALUE;
+  tableRow.querySelector('.moves-cell-pp').innerText = details.pp ?? EMPTY_VALUE;
+}
+
+// ====================================
+// LAZY MOVE DETAILS
+// ====================================
+
+/**
+ * Creates an observer that loads details for rows as they scroll into view
+ * @returns {IntersectionObserver|null} Observer, or null when unsupported
+ */
+function createRowObserver() {
+  if(typeof IntersectionObserver === 'undefined') {
+    return null;
+  }
+
+  const observer = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      if(entry.isIntersecting) {
+        observer.unobserve(entry.target);
+        loadMoveDetails(entry.target.dataset.moveUrl);
+      }
+    });
+  }, { root: MovesTableWrapper, rootMargin: '200px 0px' });
+
+  return observer;
+}
+
+/**
+ * Loads details for every given row
+ * @param {Array<{url: string}>} rows - Rows that need details
+ */
+function loadAllMoveDetails(rows) {
+  new Set(rows.map(row => row.url)).forEach(url => loadMoveDetails(url));
+}
+
+/**
+ * Fetches a move's details once and updates every row showing it
+ * @param {string} url - Move URL
+ * @returns {Promise<void>}
+ */
+async function loadMoveDetails(url) {
+  if(MOVE_DETAILS.has(url)) {
+    return;
+  }
+
+  const signal = moveState.signal;
+  const moveResponse = await requestMove(url, signal);
+  if(!moveResponse || (signal && signal.aborted)) {
+    return;
+  }
+
+  MOVE_DETAILS.set(url, {
+    type: moveResponse.type ? moveResponse.type.name : null,
+    damageClass: moveResponse.damage_class ? moveResponse.damage_class.name : null,
+    power: moveResponse.power,
+    accuracy: moveResponse.accuracy,
+    pp: moveResponse.pp
+  });
+
+  MovesTableBody.querySelectorAll('tr').forEach(tableRow => {
+    if(tableRow.dataset.moveUrl === url) {
+      fillDetailCells(tableRow, MOVE_DETAILS.get(url));
+    }
+  });
+
+  if(isDetailColumn(moveState.sort.key)) {
+    scheduleResort();
+  }
+}
+
+/**
+ * Re-renders once a burst of detail responses has settled
+ */
+function scheduleResort() {
+  clearTimeout(resortTimeout);
+  resortTimeout = setTimeout(renderMoveRows, 150);
+}
+
+// ====================================
+// SORTING
+// ====================================
+
+/**
+ * Sorts by a column, toggling direction when it is already the active column
+ * @param {string} key - Column key
+ */
+function setMoveSort(key) {
+  if(moveState.sort.key === key) {
+    moveState.sort.direction = moveState.sort.direction === 'asc' ? 'desc' : 'asc';
+  } else {
+    moveState.sort = { key, direction: 'asc' };
+  }
+
+  renderMoveRows();
+}
+
+/**
+ * Sorts rows in place; missing values always sort last, ties fall back to method, level and name
+ * @param {Array} rows - Rows to sort
+ */
+function sortMoveRows(rows) {
+  const { key, direction } = moveState.sort;
+  const modifier = direction === 'asc' ? 1 : -1;
+
+  rows.sort((a, b) => {
+    const first = getSortValue(a, key);
+    const second = getSortValue(b, key);
+
+    if(first !== second) {
+      if(first === null) {
+        return 1;
+      }
+      if(second === null) {
+        return -1;
+      }
+
+      return (first < second ? -1 : 1) * modifier;
+    }
+
+    return getMethodRank(a.method) - getMethodRank(b.method) ||
+      (a.level ?? Infinity) - (b.level ?? Infinity) ||
+      a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Reads the value a row is sorted by
+ * @param {Object} row - Row data
+ * @param {string} key - Column key
+ * @returns {string|number|null} Comparable value, null when unknown
+ */
+function getSortValue(row, key) {
+  if(key === 'method') {
+    return getMethodRank(row.method);
+  }
+
+  if(!isDetailColumn(key)) {
+    return row[key] ?? null;
+  }
+
+  const details = MOVE_DETAILS.get(row.url);
+
+  return details ? details[key] ?? null : null;
+}
+
+/**
+ * Reflects the sort state on the column headers
+ */
+function updateSortIndicators() {
+  MovesTableHead.querySelectorAll('th').forEach(header => {
+    const active = header.dataset.sortKey === moveState.sort.key;
+    header.setAttribute('aria-sort', active ? (moveState.sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+  });
+}
+
+// ====================================
+// HELPERS
+// ====================================
+
+/**
+ * Checks whether a column needs move details
+ * @param {string} key - Column key
+ * @returns {boolean} True for detail columns
+ */
+function isDetailColumn(key) {
+  return MOVE_COLUMNS.some(column => column.key === key && column.detail);
+}
+
+/**
+ * Orders learn methods: known methods first, everything else alphabetically after
+ * @param {string} method - Learn method name
+ * @returns {number} Rank
+ */
+function getMethodRank(method) {
+  const index = LEARN_METHOD_ORDER.indexOf(method);
+
+  return index === -1 ? LEARN_METHOD_ORDER.length : index;
+}
+
+/**
+ * Returns the display label for a learn method
+ * @param {string} method - Learn method name
+ * @returns {string} Label
+ */
+function getMethodLabel(method) {
+  return LEARN_METHOD_LABELS[method] || formatResourceName(method);
+}
+
+/**
+ * Extracts the numeric ID from a PokeAPI resource URL
+ * @param {string} url - Resource URL
+ * @returns {number} Resource ID
+ */
+function getResourceId(url) {
+  return parseInt(url.split('/').slice(-2, -1)[0], 10);
+}
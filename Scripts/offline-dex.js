@@ -0,0 +1,212 @@
+/**
+ * OFFLINE-DEX.JS - Offline Pokédex Download
+ * =========================================
+ *
+ * This module adds the "Offline Pokédex" section to the settings panel. The
+ * download itself runs in the service worker (service-worker.js) in
+ * resumable batches driven by sw-manager.js, which reports progress through
+ * 'sw-offline-dex-progress' window events. Downloaded data lives in its own
+ * cache, outside the size-limited API cache, and is used whenever the
+ * network is unavailable.
+ *
+ * Key Features:
+ * - Download, pause/resume and delete
+ * - Progress bar with downloaded size
+ * - Stops before storage runs out (navigator.storage.estimate)
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { getApiConfig } from './utils/config-utils.js';
+import { formatBytes } from './utils/cache-utils.js';
+import { formatDateTime } from './utils/history-utils.js';
+import { createActionButton } from './utils/panel-utils.js';
+import { showToast } from './utils/dom-utils.js';
+
+// ====================================
+// OFFLINE DEX CONSTANTS
+// ====================================
+
+/** @type {string} Progress event dispatched by sw-manager.js */
+const OFFLINE_DEX_EVENT = 'sw-offline-dex-progress';
+
+/** @type {Object<string, string>} Status line for each download state */
+const STATE_MESSAGES = {
+  downloading: 'Downloading…',
+  paused: 'Paused. Resume any time; nothing is downloaded twice.',
+  offline: 'Paused because you are offline. Resume when you are back online.',
+  error: 'The download stopped because of a network error. Try again later.',
+  deleted: 'The offline Pokédex was deleted.'
+};
+
+// ====================================
+// SETTINGS SECTION
+// ====================================
+
+/**
+ * Builds the "Offline Pokédex" section of the settings panel
+ * @returns {HTMLFieldSetElement} Section element
+ */
+export function createOfflineDexSection() {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'settings-section offline-dex-section';
+
+  const legend = document.createElement('legend');
+  legend.className = 'headers';
+  legend.innerText = 'Offline Pokédex';
+
+  const description = document.createElement('p');
+  description.className = 'text backup-description';
+  description.innerText = 'Download the data, artwork and cry of every Pokémon so the Pokédex works without a connection. This takes several hundred MB.';
+
+  const progress = document.createElement('progress');
+  progress.className = 'offline-dex-progress';
+  progress.max = 1;
+  progress.value = 0;
+  progress.setAttribute('aria-label', 'Offline Pokédex download progress');
+
+  const status = document.createElement('p');
+  status.className = 'text offline-dex-status';
+  status.setAttribute('aria-live', 'polite');
+
+  const downloadButton = createActionButton('Download', 'fa-download', () => startDownload());
+  const pauseButton = createActionButton('Pause', 'fa-pause', () => {
+    window.ServiceWorkerManager.pauseOfflineDex();
+    pauseButton.disabled = true;
+  });
+  const deleteButton = createActionButton('Delete', 'fa-trash', async () => {
+    if(!window.confirm('Delete the offline Pokédex from this device?')) {
+      return;
+    }
+
+    try {
+      await window.ServiceWorkerManager.deleteOfflineDex();
+      showToast('🗑️ Offline Pokédex deleted');
+    } catch(error) {
+      showToast('❌ The offline Pokédex could not be deleted');
+    }
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'backup-actions';
+  actions.appendChild(downloadButton);
+  actions.appendChild(pauseButton);
+  actions.appendChild(deleteButton);
+
+  fieldset.appendChild(legend);
+  fieldset.appendChild(description);
+  fieldset.appendChild(progress);
+  fieldset.appendChild(status);
+  fieldset.appendChild(actions);
+
+  const elements = { progress, status, downloadButton, pauseButton, deleteButton };
+
+  if(!isOfflineDexSupported()) {
+    renderStatus(elements, null);
+
+    return fieldset;
+  }
+
+  // Follow the download until the panel is closed
+  const handleProgress = event => {
+    if(!fieldset.isConnected) {
+      window.removeEventListener(OFFLINE_DEX_EVENT, handleProgress);
+
+      return;
+    }
+
+    renderStatus(elements, event.detail);
+  };
+  window.addEventListener(OFFLINE_DEX_EVENT, handleProgress);
+
+  window.ServiceWorkerManager.getOfflineDexStatus()
+    .then(current => renderStatus(elements, { ...current, state: current.running ? 'downloading' : null }))
+    .catch(() => renderStatus(elements, null));
+
+  return fieldset;
+} //createOfflineDexSection
+
+/**
+ * Starts or resumes the download, asking first when nothing has been downloaded yet
+ * @returns {Promise<void>}
+ */
+async function startDownload() {
+  const current = await window.ServiceWorkerManager.getOfflineDexStatus().catch(() => null);
+  if((!current || current.completed === 0) && !window.confirm('Download the whole Pokédex for offline use? This takes several hundred MB of storage.')) {
+    return;
+  }
+
+  const { apiBaseUrl, apiMode, spriteBaseUrl, cryBaseUrl } = getApiConfig();
+  const result = await window.ServiceWorkerManager.downloadOfflineDex({ apiBaseUrl, apiMode, spriteBaseUrl, cryBaseUrl });
+
+  if(result && result.state === 'complete') {
+    showToast('📦 The whole Pokédex is available offline');
+  } else if(result && result.state === 'quota') {
+    showToast('❌ Not enough storage space to continue the download');
+  }
+}
+
+/**
+ * Updates the section for a download status
+ * @param {Object} elements - Progress bar, status line and buttons
+ * @param {Object|null} detail - Status from sw-manager.js, or null when unsupported
+ */
+function renderStatus({ progress, status, downloadButton, pauseButton, deleteButton }, detail) {
+  if(!detail) {
+    progress.hidden = true;
+    status.innerText = 'The offline Pokédex needs the service worker. Reload the page once it has been installed.';
+    downloadButton.disabled = true;
+    pauseButton.disabled = true;
+    deleteButton.disabled = true;
+
+    return;
+  }
+
+  const running = detail.state === 'downloading';
+  const stored = detail.completed > 0;
+  const complete = detail.total > 0 && detail.remaining === 0;
+
+  progress.hidden = !stored && !running;
+  progress.value = detail.total > 0 ? detail.completed / detail.total : 0;
+
+  const lines = [];
+  if(STATE_MESSAGES[detail.state]) {
+    lines.push(STATE_MESSAGES[detail.state]);
+  } else if(detail.state === 'quota') {
+    lines.push(`Stopped to leave room on this device: ${formatBytes(detail.available)} free, about ${formatBytes(detail.estimatedRemaining)} still needed.`);
+  } else if(complete) {
+    lines.push(`Downloaded${detail.updatedAt ? ` (${formatDateTime(detail.updatedAt)})` : ''}. The Pokédex works offline.`);
+  } else if(!stored) {
+    lines.push('Not downloaded.');
+  }
+
+  if(detail.total > 0) {
+    lines.push(`${detail.completed.toLocaleString()} of ${detail.total.toLocaleString()} files, ${formatBytes(detail.bytes)}.`);
+  }
+  if(detail.failed > 0) {
+    lines.push(`${detail.failed} ${detail.failed === 1 ? 'file is' : 'files are'} not available from the server.`);
+  }
+
+  status.innerText = lines.join(' ');
+
+  downloadButton.disabled = running;
+  downloadButton.innerHTML = `<i class="fa-solid fa-download"></i> ${complete ? 'Update' : stored ? 'Resume' : 'Download'}`;
+  pauseButton.disabled = !running;
+  deleteButton.disabled = !stored;
+} //renderStatus
+
+/**
+ * Whether the service worker manager can download the offline Pokédex
+ * @returns {boolean} True when a service worker controls the page
+ */
+function isOfflineDexSupported() {
+  return !!(window.ServiceWorkerManager && window.ServiceWorkerManager.downloadOfflineDex
+    && navigator.serviceWorker && navigator.serviceWorker.controller);
+}
@@ -45,10 +45,20 @@ export function showSnowIfBabyOrIce(pokemonObject) {
       initLegendaryParticles();
     }
   } else {
-    const snowDiv = document.getElementById('snow-bg');
-    if(snowDiv) {
-      snowDiv.style.display = 'none';
-    }
+    hideParticles();
+  }
+}
+
+// Hides the particle background and stops its animation
+export function hideParticles() {
+  const snowDiv = document.getElementById('snow-bg');
+  if(snowDiv) {
+    snowDiv.style.display = 'none';
+  }
+
+  if(window.pJSDom && window.pJSDom.length > 0) {
+    window.pJSDom.forEach(instance => instance.pJS.fn.vendors.destroypJS());
+    window.pJSDom = [];
   }
 }
 
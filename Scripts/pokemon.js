@@ -29,18 +29,28 @@
 // ====================================
 // MODULE IMPORTS
 // ====================================
-import { getElementVisibility, showToast } from './utils/dom-utils.js?v=20250801i';
+import { getElementVisibility, showToast } from './utils/dom-utils.js';
 import { 
   getAbilityList, getFormList, getGenus, getHeight, getHeldItemList, 
   getLargestStat, getPokedexEntry, getStatTotal, getTypes, getWeight,
-  punctuationNameCheck, capitalizeFirstLetter
-} from './utils/data-utils.js?v=20250801i';
-import { convertHexToRgba } from './utils/color-utils.js?v=20250801i';
-import { populateLocalStorage } from './utils/storage-utils.js?v=20250802h';
-import { updateNavigationButtons as makeButtonsDisappear, getDeviceType } from './utils/navigation-utils.js?v=20250801i';
+  getSpokenMeasurements, punctuationNameCheck, capitalizeFirstLetter
+} from './utils/data-utils.js';
+import { convertHexToRgba } from './utils/color-utils.js';
+import { populateLocalStorage } from './utils/storage-utils.js';
+import { recordPokemonView } from './utils/history-utils.js';
+import { updateNavigationButtons as makeButtonsDisappear, getDeviceType } from './utils/navigation-utils.js';
 import { displayStatsChart, } from './statsChart.js';
 import { startMatrixEffect, stopMatrixEffect } from './matrix-bg.js';
-import { showSnowIfBabyOrIce } from './particles.js';
+import { showSnowIfBabyOrIce, hideParticles } from './particles.js';
+import { displayEvolutionChain } from './evolution.js';
+import { displayMoveSet } from './moves.js';
+import { displayCollectionControls } from './collections.js';
+import { displayEntryControls } from './entries.js';
+import { displayStatCalculatorControls } from './stat-calculator.js';
+import { DEFAULT_SPRITE_BASE_URL, resolveSpriteUrl, resolveCryUrl } from './utils/config-utils.js';
+import { getRouteForPokemon, updateRoute, setRouteShiny } from './utils/router-utils.js';
+import { getPreference, watchPreferences } from './utils/preferences-utils.js';
+import { FALLBACK_LANGUAGE, getLocalizedEntries, getLocalizedText, getLanguageTag } from './utils/language-utils.js';
 
 // ====================================
 // DOM ELEMENT REFERENCES
@@ -97,10 +107,10 @@ const ShinyArtworkElement = document.getElementById('shiny-artwork');
 // ====================================
 
 /** @type {string} Base URL for default Pokemon official artwork from PokeAPI sprites */
-const DefaultArtworkUrl = 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/other/official-artwork/';
+const DefaultArtworkUrl = `${DEFAULT_SPRITE_BASE_URL}/pokemon/other/official-artwork/`;
 
 /** @type {string} Base URL for shiny Pokemon official artwork from PokeAPI sprites */
-const ShinyArtworkUrl = 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/other/official-artwork/shiny/';
+const ShinyArtworkUrl = `${DEFAULT_SPRITE_BASE_URL}/pokemon/other/official-artwork/shiny/`;
 
 // ====================================
 // GLOBAL POKEMON DATA OBJECT
@@ -116,6 +126,23 @@ let pokemon = null;
 /** @type {string} Current sprite display state - 'default', 'alternate', or 'artwork' */
 let currentSpriteState = 'artwork';
 
+// ====================================
+// BACKGROUND EFFECTS STATE
+// ====================================
+
+/** @type {Array<string>} Pokemon that get the matrix background */
+const PorygonNames = ['porygon', 'porygon2', 'porygon-z'];
+
+/** @type {{name: string, particles: Object}|null} Effect inputs of the Pokemon on screen */
+let backgroundEffectSource = null;
+
+// ====================================
+// LOCALIZED TEXT STATE
+// ====================================
+
+/** @type {Object|null} Species response of the Pokemon on screen, kept to re-localize its text */
+let localizedTextSource = null;
+
 // ====================================
 // MAIN PAGE POPULATION FUNCTION
 // ====================================
@@ -126,22 +153,19 @@ let currentSpriteState = 'artwork';
  * @param {Object} pokemonResponse - Raw Pokemon data from PokeAPI /pokemon/ endpoint
  * @param {Object} speciesResponse - Raw species data from PokeAPI /pokemon-species/ endpoint
  * @param {string} visibility - CSS visibility value for showing/hiding elements
+ * @param {AbortSignal} [signal] - Navigation signal; sub-requests started here stop once it aborts
+ * @param {Object} [options] - Routing options from generatePokemon
+ * @param {string} [options.historyMode='push'] - How the URL is recorded: 'push', 'replace' or 'none'
+ * @param {boolean} [options.shiny] - Show the shiny sprite (deep links)
+ * @param {number} [options.historyIndex] - Viewing history index for back/forward navigations
  */
-function populatePage(pokemonResponse, speciesResponse, visibility) {
+function populatePage(pokemonResponse, speciesResponse, visibility, signal, options = {}) {
   // Reset sprite display state for new Pokemon
   currentSpriteState = 'artwork';
   if(isDev()) {
     console.log('🔄 [Sprite State] Reset to artwork for new Pokemon');
   }
 
-  // Matrix background for Porygon family
-  const porygonNames = ['porygon', 'porygon2', 'porygon-z'];
-  if(porygonNames.includes(pokemonResponse.name.toLowerCase())) {
-    startMatrixEffect();
-  } else {
-    stopMatrixEffect();
-  }
-  
   // Process raw API data into usable formats
   const statTotal = getStatTotal(pokemonResponse.stats);
   const entry = getPokedexEntry(speciesResponse.flavor_text_entries);
@@ -151,16 +175,21 @@ function populatePage(pokemonResponse, speciesResponse, visibility) {
   
   // Create comprehensive Pokemon object with all processed data
   getPokemonObject(pokemonResponse, speciesResponse, statTotal, entry, height, weight, genus);
+  localizedTextSource = speciesResponse;
   
   // Process Pokemon types and generate color scheme
   const types = getTypes(pokemon.types);
-    // Show snow effect if Pokémon is baby or ice type
-    showSnowIfBabyOrIce({
-      is_baby: speciesResponse.is_baby,
-      types: pokemonResponse.types,
-      isLegendary: speciesResponse.is_legendary,
-      isMythical: speciesResponse.is_mythical
-    });
+    // Matrix background for Porygon, snow for ice types, sparkles for legendaries
+    backgroundEffectSource = {
+      name: pokemonResponse.name.toLowerCase(),
+      particles: {
+        is_baby: speciesResponse.is_baby,
+        types: pokemonResponse.types,
+        isLegendary: speciesResponse.is_legendary,
+        isMythical: speciesResponse.is_mythical
+      }
+    };
+    applyBackgroundEffects();
     
   const backgroundColor = convertHexToRgba(types[0], 0.35);
   const borderColor = convertHexToRgba(types[1], 0.55);
@@ -176,9 +205,14 @@ function populatePage(pokemonResponse, speciesResponse, visibility) {
   makeButtonsDisappear(pokemon.id, pokemon.hasGenderDifferences);
   
   // Populate specialized data lists
-  getAbilityList(pokemon.abilities);     // Pokemon abilities with descriptions
-  getHeldItemList(pokemon.heldItems);    // Items that can be held by this Pokemon
-  getFormList(pokemon.forms);            // Alternate forms if available
+  getAbilityList(pokemon.abilities, signal);     // Pokemon abilities with descriptions
+  getHeldItemList(pokemon.heldItems, signal);    // Items that can be held by this Pokemon
+  getFormList(pokemon.forms, signal);            // Alternate forms if available
+  displayEvolutionChain(speciesResponse, signal); // Evolution tree with triggers
+  displayMoveSet(pokemon.moves, signal);         // Learnable moves with lazy details
+  displayCollectionControls(pokemon);            // Favorite star and collection membership
+  displayEntryControls(pokemon, speciesResponse.flavor_text_entries); // Entry version and prev/next
+  displayStatCalculatorControls(pokemon);        // Stat calculator for the new base stats
   
   // Make all Pokemon information visible with specified visibility setting
   getElementVisibility(HiddenElementsArray, visibility);
@@ -204,6 +238,20 @@ function populatePage(pokemonResponse, speciesResponse, visibility) {
     CryButton.disabled = true;
     CryButton.classList.add('cry-unavailable');
   }
+
+  // Add to the viewing history (or move its cursor for back/forward navigations)
+  recordPokemonView({
+    name: pokemon.varietyName,
+    id: pokemon.id,
+    varietyId: pokemon.varietyId,
+    isForm: pokemon.isForm
+  }, options.historyIndex);
+
+  // Keep the URL shareable; the shiny toggle records itself in the route
+  updateRoute(getRouteForPokemon(pokemonResponse, speciesResponse), options.historyMode || 'push');
+  if(options.shiny) {
+    setShinyDisplay(true);
+  }
 } //populatePage
 
 // ====================================
@@ -222,33 +270,11 @@ function displayAttributes() {
     NumberHeader.innerText = idText;
   }
 
-  const fixedName = punctuationNameCheck(pokemon.name);
-  const nameText = fixedName.toUpperCase();
-
-  if(NameHeader.innerText !== nameText) { 
-    NameHeader.innerText = nameText;
-  }
-  if(GenusSubHeader.innerText !== pokemon.genus) {
-    GenusSubHeader.innerText = pokemon.genus;
-  }
+  displayLocalizedText();
   if(GenerationText.innerText !== pokemon.generation) {
     GenerationText.innerText = pokemon.generation;
   }
-  if(PokedexEntryText.innerText !== pokemon.pokedexEntry) {
-    PokedexEntryText.innerText = pokemon.pokedexEntry;
-  }
-  if(HeightText.innerText !== pokemon.height) {
-    HeightText.innerText = pokemon.height;
-  }
-
-  const weightVal = `${pokemon.weight.substring(0, pokemon.weight.length - 2)} lbs`;
-  
-  if(WeightText.innerText !== weightVal) {
-    WeightText.innerText = weightVal;
-  }
-  if(deviceType === 'mobile') {
-    WeightText.innerHTML += '<br>';
-  }
+  displayMeasurements();
   if(StatsText.innerText !== `${pokemon.baseStatTotal}`) {
     StatsText.innerText = `${pokemon.baseStatTotal}`;
   }
@@ -290,6 +316,7 @@ function displayAttributes() {
         configureArtworkElement(DefaultArtworkElement, pokemon.FrontDefaultSprite, 'Default Sprite');
         DefaultArtworkElement.title = 'Click to show shiny sprite';
       }
+      setRouteShiny(DefaultArtworkElement._showingShiny);
     }, 'pointer', 'Click to show shiny sprite');
   } else if(hasDefaultSprite) {
     currentSpriteState = 'default';
@@ -313,6 +340,7 @@ function displayAttributes() {
         configureArtworkElement(DefaultArtworkElement, pokemon.FrontDefaultOfficialArtwork, 'Default Official Artwork');
         DefaultArtworkElement.title = 'Click to show shiny artwork';
       }
+      setRouteShiny(DefaultArtworkElement._showingShiny);
     }, 'pointer', 'Click to show shiny artwork');
   } else if(hasArtwork) {
     currentSpriteState = 'artwork';
@@ -333,6 +361,147 @@ function displayAttributes() {
   DefaultArtworkElement.title = 'Default Sprite';
 } //displayAttributes
 
+/**
+ * Shows the name, genus and Pokédex entry in the chosen language
+ * Each element gets the lang of the text it actually shows (English when it fell back);
+ * the entry also keeps the PokeAPI code for picking a read-aloud voice
+ */
+function displayLocalizedText() {
+  const nameText = pokemon.displayName.toUpperCase();
+  const { languages } = pokemon;
+
+  if(NameHeader.innerText !== nameText) { 
+    NameHeader.innerText = nameText;
+  }
+  if(GenusSubHeader.innerText !== pokemon.genus) {
+    GenusSubHeader.innerText = pokemon.genus;
+  }
+  if(PokedexEntryText.innerText !== pokemon.pokedexEntry) {
+    PokedexEntryText.innerText = pokemon.pokedexEntry;
+  }
+
+  NameHeader.lang = getLanguageTag(languages.name);
+  GenusSubHeader.lang = getLanguageTag(languages.genus);
+  PokedexEntryText.lang = getLanguageTag(languages.entry);
+  PokedexEntryText.dataset.language = languages.entry;
+}
+
+/**
+ * Picks the species name and works out which language each text field is shown in
+ * English names keep the app's own formatting (punctuationNameCheck)
+ * @param {Object} speciesResponse - Raw species data from PokeAPI
+ * @returns {{displayName: string, languages: {name: string, genus: string, entry: string}}} Localized name and field languages
+ */
+function getLocalizedSpecies(speciesResponse) {
+  const language = getPreference('language');
+  const name = getLocalizedText(speciesResponse.names, 'name', language);
+  const genus = getLocalizedText(speciesResponse.genera, 'genus', language);
+  const entryLanguage = getLocalizedEntries(speciesResponse.flavor_text_entries, language).language;
+  const localizedName = name && name.language !== FALLBACK_LANGUAGE;
+
+  return {
+    displayName: localizedName ? name.text : punctuationNameCheck(speciesResponse.name),
+    languages: {
+      name: localizedName ? name.language : FALLBACK_LANGUAGE,
+      genus: genus ? genus.language : FALLBACK_LANGUAGE,
+      entry: entryLanguage || FALLBACK_LANGUAGE
+    }
+  };
+}
+
+/**
+ * Shows height and weight in the preferred units
+ * Hovering shows both unit systems; the aria-label holds the spoken form,
+ * which is also what the read-aloud button uses
+ */
+function displayMeasurements() {
+  const { heightDecimeters, weightHectograms } = pokemon;
+  const spoken = getSpokenMeasurements(heightDecimeters, weightHectograms);
+
+  pokemon.height = getHeight(heightDecimeters);
+  pokemon.weight = getWeight(weightHectograms);
+
+  HeightText.innerText = pokemon.height;
+  HeightText.title = `${getHeight(heightDecimeters, 'imperial')} / ${getHeight(heightDecimeters, 'metric')}`;
+  HeightText.setAttribute('aria-label', spoken.height);
+
+  WeightText.innerText = pokemon.weight;
+  WeightText.title = `${getWeight(weightHectograms, 'imperial')} / ${getWeight(weightHectograms, 'metric')}`;
+  WeightText.setAttribute('aria-label', spoken.weight);
+  if(getDeviceType() === 'mobile') {
+    WeightText.innerHTML += '<br>';
+  }
+}
+
+/**
+ * Starts or stops the background effects for the Pokemon on screen
+ * Nothing runs while visual effects are turned off in Settings
+ */
+function applyBackgroundEffects() {
+  const source = getPreference('visualEffects') ? backgroundEffectSource : null;
+
+  if(source && PorygonNames.includes(source.name)) {
+    startMatrixEffect();
+  } else {
+    stopMatrixEffect();
+  }
+
+  if(source) {
+    showSnowIfBabyOrIce(source.particles);
+  } else {
+    hideParticles();
+  }
+}
+
+// Apply the visual effects setting live
+watchPreferences(['visualEffects'], applyBackgroundEffects);
+
+// Re-localize the Pokemon on screen when the language changes
+watchPreferences(['language'], () => {
+  if(!pokemon || !localizedTextSource) {
+    return;
+  }
+
+  pokemon.genus = getGenus(localizedTextSource.genera);
+  pokemon.pokedexEntry = getPokedexEntry(localizedTextSource.flavor_text_entries);
+  Object.assign(pokemon, getLocalizedSpecies(localizedTextSource));
+  displayLocalizedText();
+  displayEntryControls(pokemon, localizedTextSource.flavor_text_entries);
+  getAbilityList(pokemon.abilities);
+  getHeldItemList(pokemon.heldItems);
+});
+
+// Redraw height and weight when the units change
+watchPreferences(['units'], () => {
+  if(pokemon) {
+    displayMeasurements();
+  }
+});
+
+// Previous/Next depend on the dex range, so re-check them when it changes
+watchPreferences(['dexRange'], () => {
+  if(pokemon) {
+    makeButtonsDisappear(pokemon.id, pokemon.hasGenderDifferences);
+  }
+});
+
+/**
+ * Shows the shiny or default sprite when the current Pokemon has both
+ * @param {boolean} showShiny - True for the shiny sprite
+ * @returns {boolean} True if the requested sprite is now shown
+ */
+function setShinyDisplay(showShiny) {
+  if(typeof DefaultArtworkElement._toggleHandler !== 'function') {
+    return !showShiny;
+  }
+
+  if(DefaultArtworkElement._showingShiny !== showShiny) {
+    DefaultArtworkElement._toggleHandler();
+  }
+
+  return true;
+}
+
 // ====================================
 // POKEMON OBJECT CREATION
 // ====================================
@@ -353,7 +522,7 @@ function getPokemonObject(pokemonResponse, speciesResponse, statTotal, entry, he
   let cryUrl = null;
   if(pokemonResponse.cries) {
     // Prefer latest cry format, fallback to legacy if needed
-    cryUrl = pokemonResponse.cries.latest || pokemonResponse.cries.legacy || null;
+    cryUrl = resolveCryUrl(pokemonResponse.cries.latest || pokemonResponse.cries.legacy || null);
   }
   
   // Create comprehensive Pokemon object with all relevant data
@@ -361,13 +530,20 @@ function getPokemonObject(pokemonResponse, speciesResponse, statTotal, entry, he
     // Basic identification
     id: speciesResponse.id,
     name: pokemonResponse.species.name,
+    varietyId: pokemonResponse.id,        // Differs from id for alternate forms
+    varietyName: pokemonResponse.name,    // e.g. 'raichu-alola'
+    isForm: pokemonResponse.is_default === false,
     genus: genus,
+    ...getLocalizedSpecies(speciesResponse), // displayName and the language of each text field
     
     // Pokemon characteristics
     abilities: pokemonResponse.abilities,
     heldItems: pokemonResponse.held_items,
+    moves: pokemonResponse.moves,
     height: height,
     weight: weight,
+    heightDecimeters: pokemonResponse.height,  // Raw values for unit changes
+    weightHectograms: pokemonResponse.weight,
     
     // Special classifications
     isBaby: speciesResponse.is_baby,
@@ -390,14 +566,15 @@ function getPokemonObject(pokemonResponse, speciesResponse, statTotal, entry, he
     pokedexEntry: entry,
     
     // Sprite URLs (prioritized for display)
-    FrontDefaultSprite: pokemonResponse.sprites.front_default || `${DefaultArtworkUrl}${speciesResponse.id}.png`,
-    FrontShinySprite: pokemonResponse.sprites.front_shiny || `${ShinyArtworkUrl}${speciesResponse.id}.png`,
-    BackDefaultSprite: pokemonResponse.sprites.back_default,
-    BackShinySprite: pokemonResponse.sprites.back_shiny,
+    // All sprite URLs go through resolveSpriteUrl so a configured mirror is honored
+    FrontDefaultSprite: resolveSpriteUrl(pokemonResponse.sprites.front_default || `${DefaultArtworkUrl}${speciesResponse.id}.png`),
+    FrontShinySprite: resolveSpriteUrl(pokemonResponse.sprites.front_shiny || `${ShinyArtworkUrl}${speciesResponse.id}.png`),
+    BackDefaultSprite: resolveSpriteUrl(pokemonResponse.sprites.back_default),
+    BackShinySprite: resolveSpriteUrl(pokemonResponse.sprites.back_shiny),
 
     // Artwork URLs (always valid fallback)
-    FrontDefaultOfficialArtwork: `${DefaultArtworkUrl}${speciesResponse.id}.png`,
-    FrontShinyOfficialArtwork: `${ShinyArtworkUrl}${speciesResponse.id}.png`,
+    FrontDefaultOfficialArtwork: resolveSpriteUrl(`${DefaultArtworkUrl}${speciesResponse.id}.png`),
+    FrontShinyOfficialArtwork: resolveSpriteUrl(`${ShinyArtworkUrl}${speciesResponse.id}.png`),
     
     // Gender differences (for sprite cycling)
     hasGenderDifferences: speciesResponse.has_gender_differences,
@@ -443,15 +620,15 @@ function setGenderDifferenceSprites(pokemonObj, pokemonResponse) {
   // Only set female sprites if Pokemon has gender differences
   if(pokemonObj.hasGenderDifferences) {
     // Get male and female sprite URLs
-    pokemonObj.frontMaleSprite = pokemonResponse.sprites.front_default; // Male is typically the default
-    pokemonObj.backMaleSprite = pokemonResponse.sprites.back_default;
-    pokemonObj.frontMaleShinySprite = pokemonResponse.sprites.front_shiny;
-    pokemonObj.backMaleShinySprite = pokemonResponse.sprites.back_shiny;
+    pokemonObj.frontMaleSprite = resolveSpriteUrl(pokemonResponse.sprites.front_default); // Male is typically the default
+    pokemonObj.backMaleSprite = resolveSpriteUrl(pokemonResponse.sprites.back_default);
+    pokemonObj.frontMaleShinySprite = resolveSpriteUrl(pokemonResponse.sprites.front_shiny);
+    pokemonObj.backMaleShinySprite = resolveSpriteUrl(pokemonResponse.sprites.back_shiny);
     
-    pokemonObj.frontFemaleSprite = pokemonResponse.sprites.front_female;
-    pokemonObj.backFemaleSprite = pokemonResponse.sprites.back_female;
-    pokemonObj.frontFemaleShinySprite = pokemonResponse.sprites.front_shiny_female;
-    pokemonObj.backFemaleShinySprite = pokemonResponse.sprites.back_shiny_female;
+    pokemonObj.frontFemaleSprite = resolveSpriteUrl(pokemonResponse.sprites.front_female);
+    pokemonObj.backFemaleSprite = resolveSpriteUrl(pokemonResponse.sprites.back_female);
+    pokemonObj.frontFemaleShinySprite = resolveSpriteUrl(pokemonResponse.sprites.front_shiny_female);
+    pokemonObj.backFemaleShinySprite = resolveSpriteUrl(pokemonResponse.sprites.back_shiny_female);
     
     // Determine if default sprite is male or female by comparing URLs
     // If female sprites exist and are different from default, then default is male
@@ -876,4 +1053,5 @@ function isDev() {
 export {
   populatePage,    // Main function for populating page with Pokemon data
   pokemon,         // Current Pokemon object for external access
+  setShinyDisplay, // Switch between default and shiny sprites
 };
@@ -0,0 +1,358 @@
+/**
+ * PRIVACY.JS - Consent Dialog & Privacy Panel
+ * ===========================================
+ *
+ * This module asks for opt-in consent before the app reads the device
+ * location or looks up the IP address through third-party services
+ * (ipify, ipinfo, ip.sb, httpbin). Until the user agrees, none of those
+ * calls are made. The privacy panel shows exactly what is stored and can
+ * delete it in one click.
+ *
+ * Key Features:
+ * - First-launch consent dialog, nothing pre-selected
+ * - Privacy panel with live consent toggles
+ * - Table of every stored key and value
+ * - One-click purge of location/IP data or of everything
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import {
+  STORAGE_KEYS, CONSENT_CATEGORIES, getPrivacyConsent, setPrivacyConsent,
+  getStoredAppData, purgeStoredAppData
+} from './utils/storage-utils.js';
+import { clearResponseCache, getResponseCacheStats } from './utils/cache-utils.js';
+import { openPanel, closePanel, getPanelBody } from './utils/panel-utils.js';
+import { showToast } from './utils/dom-utils.js';
+
+// ====================================
+// PRIVACY CONSTANTS
+// ====================================
+
+/** @type {string} Consent dialog panel ID */
+const CONSENT_PANEL_ID = 'privacy-consent-panel';
+
+/** @type {string} Privacy panel ID */
+const PRIVACY_PANEL_ID = 'privacy-panel';
+
+/** @type {Array<{category: string, label: string, description: string}>} Consent options shown to the user */
+const CONSENT_OPTIONS = [
+  {
+    category: CONSENT_CATEGORIES.LOCATION,
+    label: 'Device location',
+    description: 'Saves your approximate coordinates on this device. Your browser will ask for permission.'
+  },
+  {
+    category: CONSENT_CATEGORIES.IP,
+    label: 'IP address',
+    description: 'Looks up your public IP address through ipify, ipinfo, ip.sb or httpbin and saves it on this device.'
+  }
+];
+
+/** @type {Object<string, string>} Plain-language descriptions of stored keys */
+const STORAGE_DESCRIPTIONS = {
+  [STORAGE_KEYS.CURRENT_POKEMON]: 'Pokémon on screen',
+  [STORAGE_KEYS.LAST_POKEMON]: 'Pokémon for the Recall button',
+  [STORAGE_KEYS.DATE_TIME]: 'Time of your last view',
+  [STORAGE_KEYS.COORDINATES]: 'Device location (opt-in)',
+  [STORAGE_KEYS.USER_IP]: 'IP address (opt-in)',
+  [STORAGE_KEYS.USER_PREFERENCES]: 'Settings',
+  [STORAGE_KEYS.API_CONFIG]: 'Data source settings',
+  [STORAGE_KEYS.COLLECTIONS]: 'Favorites and collections',
+  [STORAGE_KEYS.VIEW_HISTORY]: 'Viewing history',
+  [STORAGE_KEYS.PRIVACY_CONSENT]: 'Your privacy choices',
+  [STORAGE_KEYS.DAILY_POKEMON]: 'Day you closed the Pokémon of the Day',
+  [STORAGE_KEYS.QUIZ_SCORES]: 'Quiz streaks and high scores',
+  deviceType: 'Detected device type',
+  originalPokédex: 'Original 151 mode',
+  maximumId: 'Highest Pokédex number'
+};
+
+/** @type {number} Longest value preview shown in the table */
+const VALUE_PREVIEW_LENGTH = 80;
+
+// ====================================
+// CONSENT DIALOG
+// ====================================
+
+/**
+ * Shows the consent dialog if the user has not made a choice yet
+ * Closing the dialog without choosing keeps everything off for this session
+ */
+export function initializePrivacy() {
+  if(getPrivacyConsent()) {
+    return;
+  }
+
+  const { body } = openPanel({
+    id: CONSENT_PANEL_ID,
+    title: 'Your Privacy',
+    className: 'privacy-panel'
+  });
+
+  const intro = document.createElement('p');
+  intro.className = 'text privacy-intro';
+  intro.innerText = 'The Pokédex works fully without any of the options below. Nothing is collected unless you turn it on, and you can change your mind any time under Privacy in the footer.';
+
+  const { element, getChoices } = createConsentOptions(null);
+
+  const actions = document.createElement('div');
+  actions.className = 'privacy-actions';
+
+  const declineButton = document.createElement('button');
+  declineButton.type = 'button';
+  declineButton.className = 'secondary-btn';
+  declineButton.innerText = 'No thanks';
+  declineButton.addEventListener('click', () => {
+    setPrivacyConsent({ location: false, ip: false });
+    closePanel();
+  });
+
+  const saveButton = document.createElement('button');
+  saveButton.type = 'button';
+  saveButton.className = 'secondary-btn privacy-primary-button';
+  saveButton.innerText = 'Save choices';
+  saveButton.addEventListener('click', () => {
+    setPrivacyConsent(getChoices());
+    closePanel();
+  });
+
+  actions.appendChild(declineButton);
+  actions.appendChild(saveButton);
+
+  body.appendChild(intro);
+  body.appendChild(element);
+  body.appendChild(actions);
+} //initializePrivacy
+
+/**
+ * Builds the opt-in checkboxes
+ * @param {Function|null} onChange - Called with the choices whenever a box changes (null for the dialog)
+ * @returns {{element: HTMLElement, getChoices: Function}} Fieldset and a reader for the current choices
+ */
+function createConsentOptions(onChange) {
+  const consent = getPrivacyConsent() || {};
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'privacy-options';
+
+  const legend = document.createElement('legend');
+  legend.className = 'headers';
+  legend.innerText = 'Optional data';
+  fieldset.appendChild(legend);
+
+  const checkboxes = {};
+  CONSENT_OPTIONS.forEach(option => {
+    const label = document.createElement('label');
+    label.className = 'privacy-option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = consent[option.category] === true;
+    checkboxes[option.category] = checkbox;
+
+    const text = document.createElement('span');
+    text.innerHTML = `<strong>${option.label}</strong><br><span class="privacy-option-description">${option.description}</span>`;
+
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    fieldset.appendChild(label);
+  });
+
+  const getChoices = () => ({
+    location: checkboxes[CONSENT_CATEGORIES.LOCATION].checked,
+    ip: checkboxes[CONSENT_CATEGORIES.IP].checked
+  });
+
+  if(onChange) {
+    fieldset.addEventListener('change', () => onChange(getChoices()));
+  }
+
+  return { element: fieldset, getChoices };
+}
+
+// ====================================
+// PRIVACY PANEL
+// ====================================
+
+/**
+ * Opens the privacy panel with consent toggles, stored data and purge buttons
+ * @returns {Promise<void>}
+ */
+export async function openPrivacyPanel() {
+  const { body } = openPanel({
+    id: PRIVACY_PANEL_ID,
+    title: 'Privacy & Stored Data',
+    className: 'privacy-panel'
+  });
+
+  await renderPrivacyPanel(body);
+}
+
+/**
+ * Renders the privacy panel contents
+ * @param {HTMLElement} body - Panel body
+ * @returns {Promise<void>}
+ */
+async function renderPrivacyPanel(body) {
+  const cacheStats = await getResponseCacheStats().catch(() => null);
+  if(getPanelBody(PRIVACY_PANEL_ID) !== body) {
+    return;
+  }
+
+  const { element: options } = createConsentOptions(choices => {
+    setPrivacyConsent(choices);
+    showToast('🔒 Privacy choices saved');
+    renderPrivacyPanel(body);
+  });
+
+  const storedHeader = document.createElement('h3');
+  storedHeader.className = 'headers privacy-section-title';
+  storedHeader.innerText = 'Stored on this device';
+
+  const actions = document.createElement('div');
+  actions.className = 'privacy-actions';
+
+  const personalButton = document.createElement('button');
+  personalButton.type = 'button';
+  personalButton.className = 'secondary-btn';
+  personalButton.innerHTML = '<i class="fa-solid fa-location-dot"></i> Delete location & IP';
+  personalButton.addEventListener('click', () => {
+    setPrivacyConsent({ location: false, ip: false });
+    showToast('🔒 Location and IP data deleted');
+    renderPrivacyPanel(body);
+  });
+
+  const purgeButton = document.createElement('button');
+  purgeButton.type = 'button';
+  purgeButton.className = 'secondary-btn privacy-danger-button';
+  purgeButton.innerHTML = '<i class="fa-solid fa-trash"></i> Delete all stored data';
+  purgeButton.addEventListener('click', async () => {
+    if(!window.confirm('Delete everything this Pokédex stores on this device, including favorites, history, settings and cached Pokémon?')) {
+      return;
+    }
+
+    const removed = purgeStoredAppData();
+    await clearResponseCache().catch(() => {});
+    const cachesCleared = await clearServiceWorkerCaches();
+    showToast(cachesCleared
+      ? `🧹 Deleted ${removed} stored ${removed === 1 ? 'item' : 'items'} and the offline caches`
+      : `🧹 Deleted ${removed} stored ${removed === 1 ? 'item' : 'items'}; the offline caches could not be cleared`);
+    renderPrivacyPanel(body);
+  });
+
+  actions.appendChild(personalButton);
+  actions.appendChild(purgeButton);
+
+  body.innerHTML = '';
+  body.appendChild(options);
+  body.appendChild(storedHeader);
+  body.appendChild(createStoredDataTable(cacheStats));
+  body.appendChild(actions);
+} //renderPrivacyPanel
+
+/**
+ * Clears the service worker caches, including the offline Pokédex, which keep every Pokémon viewed
+ * @returns {Promise<boolean>} True when the caches were cleared, false without an active service worker
+ */
+async function clearServiceWorkerCaches() {
+  const manager = window.ServiceWorkerManager;
+  if(!manager || !navigator.serviceWorker || !navigator.serviceWorker.controller) {
+    return false;
+  }
+
+  try {
+    await Promise.all([manager.clearCaches(), manager.deleteOfflineDex()]);
+
+    return true;
+  } catch(error) {
+    return false;
+  }
+}
+
+/**
+ * Lists every stored key with a description and value preview
+ * @param {Object|null} cacheStats - Response cache statistics, if available
+ * @returns {HTMLElement} Table, or a message when nothing is stored
+ */
+function createStoredDataTable(cacheStats) {
+  const entries = getStoredAppData();
+  const cacheCount = cacheStats ? cacheStats.entries : 0;
+
+  if(entries.length === 0 && cacheCount === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text panel-status';
+    empty.innerText = 'Nothing is stored on this device.';
+
+    return empty;
+  }
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'privacy-table-wrapper';
+
+  const table = document.createElement('table');
+  table.className = 'privacy-table';
+  table.innerHTML = '<thead><tr><th scope="col">Data</th><th scope="col">Value</th></tr></thead>';
+
+  const tableBody = document.createElement('tbody');
+  entries.forEach(({ key, value }) => {
+    tableBody.appendChild(createDataRow(STORAGE_DESCRIPTIONS[key] || key, key, formatPreview(value)));
+  });
+
+  if(cacheCount > 0) {
+    tableBody.appendChild(createDataRow('Offline cache', 'IndexedDB', `${cacheCount} cached PokeAPI responses`));
+  }
+
+  table.appendChild(tableBody);
+  wrapper.appendChild(table);
+
+  return wrapper;
+}
+
+/**
+ * Creates one row of the stored data table
+ * @param {string} label - Plain-language description
+ * @param {string} key - Storage key
+ * @param {string} value - Value preview
+ * @returns {HTMLTableRowElement} Table row
+ */
+function createDataRow(label, key, value) {
+  const row = document.createElement('tr');
+
+  const name = document.createElement('th');
+  name.scope = 'row';
+  name.innerText = label;
+
+  const keyText = document.createElement('code');
+  keyText.className = 'privacy-key';
+  keyText.innerText = key;
+  name.appendChild(document.createElement('br'));
+  name.appendChild(keyText);
+
+  const valueCell = document.createElement('td');
+  valueCell.innerText = value;
+
+  row.appendChild(name);
+  row.appendChild(valueCell);
+
+  return row;
+}
+
+/**
+ * Shortens a stored value for display
+ * @param {string} value - Raw stored value
+ * @returns {string} Preview text
+ */
+function formatPreview(value) {
+  if(value === null || value === '') {
+    return '(empty)';
+  }
+
+  return value.length > VALUE_PREVIEW_LENGTH ? `${value.slice(0, VALUE_PREVIEW_LENGTH)}… (${value.length} characters)` : value;
+}
@@ -0,0 +1,478 @@
+/**
+ * QUIZ.JS - "Who's That Pokémon?"
+ * ===============================
+ *
+ * This module adds the silhouette quiz behind the header's quiz button. Each
+ * round draws a random Pokémon's official artwork as a black silhouette on a
+ * canvas, can play its cry as a hint, and takes typed guesses checked with
+ * the fuzzy name matcher (pokemon-names.js). Scores are kept per generation
+ * range in quiz-utils.js.
+ *
+ * Key Features:
+ * - Silhouette rendered from FrontDefaultOfficialArtwork, revealed with an animation
+ * - Cry hint through audio-utils.js, without naming the Pokémon
+ * - Guesses in English or the chosen language, with a few typos allowed
+ * - Difficulty by generation range; streaks and best streaks per range
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { requestPokemonData } from './requests.js';
+import { GENERATION_RANGES, MAXIMUM_ID, generatePokemon } from './utils/navigation-utils.js';
+import { getQuizRangeKey, getQuizScore, recordQuizResult } from './utils/quiz-utils.js';
+import { isPokemonNameGuess } from './utils/pokemon-names.js';
+import { playSecretCry } from './utils/audio-utils.js';
+import { openPanel, closePanel, getPanelBody, createActionButton } from './utils/panel-utils.js';
+import { getLocalizedText, getLanguageTag } from './utils/language-utils.js';
+import { getPreference, watchPreferences } from './utils/preferences-utils.js';
+import { resolveSpriteUrl, resolveCryUrl, DEFAULT_SPRITE_BASE_URL } from './utils/config-utils.js';
+import { capitalizeAfterHyphen } from './utils/data-utils.js';
+import { showToast } from './utils/dom-utils.js';
+
+// ====================================
+// DOM ELEMENT REFERENCES
+// ====================================
+
+/** @type {HTMLButtonElement} Header button opening the quiz */
+const QuizButton = document.getElementById('quiz-button');
+
+// ====================================
+// QUIZ STATE
+// ====================================
+
+/** @type {string} Quiz panel ID */
+const QUIZ_PANEL_ID = 'quiz-panel';
+
+/** @type {number} Wrong guesses allowed before the answer is revealed */
+const MAX_GUESSES = 3;
+
+/**
+ * Generation range chosen for the session
+ * @type {{fromGeneration: number, toGeneration: number}}
+ */
+const quizState = {
+  fromGeneration: 1,
+  toGeneration: GENERATION_RANGES[GENERATION_RANGES.length - 1].generation
+};
+
+/**
+ * Current round, or null between rounds
+ * @type {{id: number, pokemon: Object|null, names: Array<string>, displayName: string, language: string|null, guesses: number, revealed: boolean}|null}
+ */
+let round = null;
+
+// ====================================
+// INITIALIZATION
+// ====================================
+
+/**
+ * Wires up the header button and keeps the generation range inside the Pokédex range
+ */
+export function initializeQuiz() {
+  if(QuizButton) {
+    QuizButton.addEventListener('click', openQuizPanel);
+  }
+
+  watchPreferences(['dexRange'], () => {
+    const generations = getAvailableGenerations();
+    const lastGeneration = generations[generations.length - 1].generation;
+    quizState.fromGeneration = Math.min(quizState.fromGeneration, lastGeneration);
+    quizState.toGeneration = Math.min(quizState.toGeneration, lastGeneration);
+
+    // Refresh the generation options of an open quiz
+    const body = getPanelBody(QUIZ_PANEL_ID);
+    if(body) {
+      renderQuizPanel(body);
+      startRound(body);
+    }
+  });
+}
+
+// ====================================
+// QUIZ PANEL
+// ====================================
+
+/**
+ * Opens the quiz and starts a round
+ */
+export function openQuizPanel() {
+  const { body } = openPanel({
+    id: QUIZ_PANEL_ID,
+    title: 'Who\'s That Pokémon?',
+    className: 'quiz-panel',
+    onClose: () => {
+      round = null;
+    }
+  });
+
+  renderQuizPanel(body);
+  startRound(body);
+}
+
+/**
+ * Renders the difficulty controls, score, stage and guess form
+ * @param {HTMLElement} body - Panel body
+ */
+function renderQuizPanel(body) {
+  body.innerHTML = '';
+
+  const controls = document.createElement('div');
+  controls.className = 'quiz-controls';
+  controls.appendChild(createGenerationControl(body, 'fromGeneration', 'From generation'));
+  controls.appendChild(createGenerationControl(body, 'toGeneration', 'To generation'));
+
+  const score = document.createElement('p');
+  score.className = 'quiz-score';
+
+  const stage = document.createElement('div');
+  stage.className = 'quiz-stage';
+  stage.setAttribute('role', 'img');
+
+  const artwork = document.createElement('img');
+  artwork.className = 'quiz-artwork';
+  artwork.alt = '';
+
+  const silhouette = document.createElement('canvas');
+  silhouette.className = 'quiz-silhouette';
+
+  stage.appendChild(artwork);
+  stage.appendChild(silhouette);
+
+  const message = document.createElement('p');
+  message.className = 'quiz-message';
+  message.setAttribute('aria-live', 'polite');
+
+  const form = document.createElement('form');
+  form.className = 'quiz-form';
+  form.innerHTML = `
+    <input class="quiz-guess" type="text" autocomplete="off" autocapitalize="off" spellcheck="false" aria-label="Your guess" placeholder="Who's that Pokémon?">
+    <button class="secondary-btn panel-action-button quiz-submit" type="submit"><i class="fa-solid fa-check"></i> Guess</button>
+  `;
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    submitGuess(body);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'quiz-actions';
+  actions.appendChild(createActionButton('Play cry', 'fa-volume-high', () => playRoundCry(body), { className: 'quiz-cry' }));
+  actions.appendChild(createActionButton('Give up', 'fa-flag', () => revealRound(body, false), { className: 'quiz-skip' }));
+  actions.appendChild(createActionButton('Next', 'fa-forward', () => startRound(body), { className: 'quiz-next' }));
+  actions.appendChild(createActionButton('View in Pokédex', 'fa-magnifying-glass', () => {
+    const id = round.id;
+    closePanel();
+    generatePokemon(id, 'visible', false);
+  }, { className: 'quiz-view' }));
+
+  body.appendChild(controls);
+  body.appendChild(score);
+  body.appendChild(stage);
+  body.appendChild(message);
+  body.appendChild(form);
+  body.appendChild(actions);
+
+  updateScore(body);
+} //renderQuizPanel
+
+/**
+ * Creates one of the generation range selects
+ * Moving one end past the other drags the other along, so the range is never empty
+ * @param {HTMLElement} body - Panel body
+ * @param {string} field - 'fromGeneration' or 'toGeneration'
+ * @param {string} labelText - Visible label
+ * @returns {HTMLElement} Control row
+ */
+function createGenerationControl(body, field, labelText) {
+  const row = document.createElement('div');
+  row.className = 'quiz-field';
+
+  const label = document.createElement('label');
+  label.htmlFor = `quiz-${field}`;
+  label.innerText = labelText;
+
+  const select = document.createElement('select');
+  select.id = `quiz-${field}`;
+  select.className = 'quiz-select';
+
+  getAvailableGenerations().forEach(range => {
+    const option = document.createElement('option');
+    option.value = String(range.generation);
+    option.innerText = range.label;
+    select.appendChild(option);
+  });
+  select.value = String(quizState[field]);
+
+  select.addEventListener('change', () => {
+    quizState[field] = parseInt(select.value, 10);
+    if(quizState.fromGeneration > quizState.toGeneration) {
+      const other = field === 'fromGeneration' ? 'toGeneration' : 'fromGeneration';
+      quizState[other] = quizState[field];
+      body.querySelector(`#quiz-${other}`).value = select.value;
+    }
+
+    // A new range starts a fresh round; the unfinished one is not scored
+    updateScore(body);
+    startRound(body);
+  });
+
+  row.appendChild(label);
+  row.appendChild(select);
+
+  return row;
+}
+
+/**
+ * Shows the streak and totals for the chosen range
+ * @param {HTMLElement} body - Panel body
+ */
+function updateScore(body) {
+  const { streak, bestStreak, correct, played } = getQuizScore(getCurrentRangeKey());
+
+  body.querySelector('.quiz-score').innerText = `Streak ${streak} · Best ${bestStreak} · ${correct} of ${played} guessed`;
+}
+
+// ====================================
+// ROUNDS
+// ====================================
+
+/**
+ * Picks a new Pokémon in range and draws its silhouette
+ * @param {HTMLElement} body - Panel body
+ * @returns {Promise<void>}
+ */
+async function startRound(body) {
+  const { min, max } = getCurrentIdRange();
+  let id = min + Math.floor(Math.random() * (max - min + 1));
+  if(round && id === round.id && max > min) {
+    id = id === max ? min : id + 1;
+  }
+
+  const currentRound = { id, pokemon: null, names: [], displayName: '', language: null, guesses: 0, revealed: false };
+  round = currentRound;
+
+  const stage = body.querySelector('.quiz-stage');
+  const guess = body.querySelector('.quiz-guess');
+  stage.classList.remove('quiz-revealed', 'quiz-loaded');
+  stage.setAttribute('aria-label', 'Silhouette of a mystery Pokémon');
+  body.querySelector('.quiz-artwork').removeAttribute('src');
+  body.querySelector('.quiz-message').innerText = 'Loading…';
+  guess.value = '';
+  setRoundControls(body, 'loading');
+
+  try {
+    const { pokemonResponse, speciesResponse } = await requestPokemonData(id);
+    const artworkUrl = resolveSpriteUrl(`${DEFAULT_SPRITE_BASE_URL}/pokemon/other/official-artwork/${speciesResponse.id}.png`);
+    const artwork = await drawSilhouette(body, artworkUrl);
+    if(round !== currentRound) {
+      return;
+    }
+
+    const localized = getLocalizedText(speciesResponse.names, 'name');
+    const cries = pokemonResponse.cries || {};
+
+    currentRound.pokemon = {
+      id: speciesResponse.id,
+      name: speciesResponse.name,
+      cry: resolveCryUrl(cries.latest || cries.legacy || null)
+    };
+    currentRound.names = [speciesResponse.name, localized ? localized.text : null].filter(Boolean);
+    currentRound.displayName = localized ? localized.text : capitalizeAfterHyphen(speciesResponse.name);
+    currentRound.language = localized ? localized.language : null;
+
+    body.querySelector('.quiz-artwork').src = artwork.src;
+    stage.classList.add('quiz-loaded');
+    body.querySelector('.quiz-message').innerText = '';
+    setRoundControls(body, 'guessing');
+    guess.focus();
+  } catch(error) {
+    if(round !== currentRound) {
+      return;
+    }
+
+    round = null;
+    body.querySelector('.quiz-message').innerText = 'This Pokémon could not be loaded. Check your connection and try the next one.';
+    setRoundControls(body, 'failed');
+  }
+} //startRound
+
+/**
+ * Loads the artwork and paints it solid black on the stage canvas
+ * Only the alpha of the artwork is kept (source-in), so the canvas never
+ * needs to be read back and cross-origin artwork works too
+ * @param {HTMLElement} body - Panel body
+ * @param {string} url - Artwork URL
+ * @returns {Promise<HTMLImageElement>} Loaded artwork
+ */
+function drawSilhouette(body, url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.addEventListener('error', () => reject(new Error(`Artwork failed to load: ${url}`)));
+    image.addEventListener('load', () => {
+      const canvas = body.querySelector('.quiz-silhouette');
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+
+      const context = canvas.getContext('2d');
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      context.globalCompositeOperation = 'source-over';
+      context.drawImage(image, 0, 0);
+      context.globalCompositeOperation = 'source-in';
+      context.fillStyle = '#000';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+
+      resolve(image);
+    });
+    image.src = url;
+  });
+}
+
+/**
+ * Checks the typed guess against the English and localized names
+ * @param {HTMLElement} body - Panel body
+ */
+function submitGuess(body) {
+  const guess = body.querySelector('.quiz-guess');
+  if(!round || !round.pokemon || round.revealed || guess.value.trim() === '') {
+    return;
+  }
+
+  if(round.names.some(name => isPokemonNameGuess(guess.value, name))) {
+    revealRound(body, true);
+
+    return;
+  }
+
+  round.guesses++;
+  if(round.guesses >= MAX_GUESSES) {
+    revealRound(body, false);
+
+    return;
+  }
+
+  const remaining = MAX_GUESSES - round.guesses;
+  body.querySelector('.quiz-message').innerText = `Not quite! ${remaining} ${remaining === 1 ? 'guess' : 'guesses'} left.`;
+  guess.select();
+}
+
+/**
+ * Reveals the Pokémon, scores the round and plays its cry
+ * @param {HTMLElement} body - Panel body
+ * @param {boolean} correct - Whether it was guessed
+ */
+function revealRound(body, correct) {
+  if(!round || !round.pokemon || round.revealed) {
+    return;
+  }
+
+  round.revealed = true;
+
+  const { score, newBest } = recordQuizResult(getCurrentRangeKey(), correct);
+
+  const stage = body.querySelector('.quiz-stage');
+  stage.classList.add('quiz-revealed');
+  stage.setAttribute('aria-label', `Artwork of ${round.displayName}`);
+
+  const message = body.querySelector('.quiz-message');
+  message.innerHTML = `${correct ? 'Correct! ' : ''}It's <strong class="quiz-answer"></strong>!`;
+  const answer = message.querySelector('.quiz-answer');
+  answer.innerText = `#${round.id} ${round.displayName}`;
+  if(round.language) {
+    answer.lang = getLanguageTag(round.language);
+  }
+  if(correct && score.streak > 1) {
+    message.appendChild(document.createTextNode(` ${score.streak} in a row.`));
+  }
+
+  if(newBest && score.bestStreak > 1) {
+    showToast(`🏆 New best streak: ${score.bestStreak}`);
+  }
+
+  updateScore(body);
+  setRoundControls(body, 'revealed');
+  body.querySelector('.quiz-next').focus();
+
+  // Silent when cries are turned off
+  playSecretCry(round.pokemon);
+} //revealRound
+
+/**
+ * Plays the cry of the hidden Pokémon as a hint
+ * @param {HTMLElement} body - Panel body
+ * @returns {Promise<void>}
+ */
+async function playRoundCry(body) {
+  if(!round || !round.pokemon) {
+    return;
+  }
+
+  if(!getPreference('audioEnabled')) {
+    showToast('🔇 Cries are turned off in Settings');
+
+    return;
+  }
+
+  const played = await playSecretCry(round.pokemon);
+  if(!played) {
+    showToast('❌ The cry could not be played');
+  }
+
+  if(!round || round.revealed) {
+    return;
+  }
+
+  body.querySelector('.quiz-guess').focus();
+}
+
+/**
+ * Enables the controls that make sense for the round's state
+ * @param {HTMLElement} body - Panel body
+ * @param {string} state - 'loading', 'guessing', 'revealed' or 'failed'
+ */
+function setRoundControls(body, state) {
+  const guessing = state === 'guessing';
+
+  body.querySelector('.quiz-guess').disabled = !guessing;
+  body.querySelector('.quiz-submit').disabled = !guessing;
+  body.querySelector('.quiz-skip').disabled = !guessing;
+  body.querySelector('.quiz-cry').disabled = !guessing && state !== 'revealed';
+  body.querySelector('.quiz-next').disabled = state === 'loading';
+  body.querySelector('.quiz-view').hidden = state !== 'revealed';
+}
+
+// ====================================
+// HELPER FUNCTIONS
+// ====================================
+
+/**
+ * Generations within the current Pokédex range (only Generation I in original 151 mode)
+ * @returns {Array<{generation: number, label: string, min: number, max: number}>} Generation ranges
+ */
+function getAvailableGenerations() {
+  return GENERATION_RANGES.filter(range => range.min <= MAXIMUM_ID);
+}
+
+/**
+ * Pokédex numbers covered by the chosen generations
+ * @returns {{min: number, max: number}} First and last Pokédex number
+ */
+function getCurrentIdRange() {
+  const from = GENERATION_RANGES.find(range => range.generation === quizState.fromGeneration);
+  const to = GENERATION_RANGES.find(range => range.generation === quizState.toGeneration);
+
+  return { min: from.min, max: Math.min(to.max, MAXIMUM_ID) };
+}
+
+/**
+ * Key scores are stored under for the chosen generations
+ * @returns {string} Range key
+ */
+function getCurrentRangeKey() {
+  return getQuizRangeKey(quizState.fromGeneration, quizState.toGeneration);
+}
@@ -8,10 +8,14 @@
  * 
  * Key Features:
  * - Request caching for reduced API calls and improved performance
+ * - Persistent IndexedDB response cache that survives page reloads
+ * - In-flight request deduplication and cancellation of superseded navigations
  * - Batch processing capabilities for efficient data loading
  * - Comprehensive error handling with user-friendly error messages
  * - Parallel request processing using Promise.all
  * - Automatic cache invalidation with configurable duration
+ * - Configurable data source (self-hosted mirror or static JSON dump)
+ * - Retries with jittered exponential backoff, Retry-After support and a concurrency limit
  * 
  * @author Kolby's Pokédex
  * @version 2.0
@@ -21,15 +25,26 @@
 'use strict';
 
 import { populatePage } from './pokemon.js';
-import { capitalizeFirstLetter, punctuationNameCheck } from './utils/data-utils.js?v=20250801i';
-import { showToast } from './utils/dom-utils.js?v=20250801c';
+import { capitalizeFirstLetter, punctuationNameCheck } from './utils/data-utils.js';
+import { showToast } from './utils/dom-utils.js';
+import { getCachedResponse, setCachedResponse } from './utils/cache-utils.js';
+import { DEFAULT_API_BASE_URL, resolveApiUrl, isStaticApiMode } from './utils/config-utils.js';
+import { getLocalizedText, getLanguageTag } from './utils/language-utils.js';
 
 // ====================================
 // API CONFIGURATION
 // ====================================
 
-/** @type {string} Base URL for all Pokemon API requests */
-const ApiAddress = 'https://pokeapi.co/api/v2';
+/** 
+ * Canonical base URL for all Pokemon API requests
+ * Requests are built against this address; fetchJson maps it onto the configured
+ * mirror or static dump (see config-utils.js) and caches under the mapped URL
+ * @type {string}
+ */
+const ApiAddress = DEFAULT_API_BASE_URL;
+
+/** @type {number} Page size large enough to list every species and form in one request */
+const LIST_LIMIT = 100000;
 
 // ====================================
 // PERFORMANCE OPTIMIZATION SYSTEMS
@@ -53,30 +68,172 @@ const REQUEST_QUEUE = new Map();
 /** @type {number|null} Timeout reference for batch processing */
 let REQUEST_TIMEOUT = null;
 
+// ====================================
+// RETRY & RATE LIMITING
+// ====================================
+
+/** 
+ * Retry policy for transient failures (network errors, 429 and 5xx responses)
+ * Delays grow exponentially from baseDelay and are jittered to avoid retry storms
+ * @type {{maxRetries: number, baseDelay: number, maxDelay: number, maxRetryAfter: number}}
+ */
+const RETRY_CONFIG = {
+  maxRetries: 3,
+  baseDelay: 500,
+  maxDelay: 8000,
+  maxRetryAfter: 30000
+};
+
+/** @type {Array<number>} HTTP statuses worth retrying */
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/** @type {number} Maximum number of API requests on the network at once */
+const MAX_CONCURRENT_REQUESTS = 6;
+
+/** @type {number} Requests currently holding a network slot */
+let activeRequestCount = 0;
+
+/** 
+ * Callers waiting for a free network slot, served first in first out
+ * @type {Array<Function>}
+ */
+const WAITING_REQUESTS = [];
+
+/** @type {number} Timestamp before which no new request is sent (set by 429 responses) */
+let rateLimitedUntil = 0;
+
+/** 
+ * Requests currently on the network, shared by every caller asking for the same URL
+ * @type {Map<string, {promise: Promise<Object>, controller: AbortController, subscribers: number}>}
+ */
+const IN_FLIGHT_REQUESTS = new Map();
+
+// ====================================
+// NAVIGATION CANCELLATION
+// ====================================
+
+/** 
+ * The latest page navigation started by requestPokemon
+ * Only this navigation is allowed to update the page
+ * @type {{key: string, options: Object, controller: AbortController, promise: Promise<void>|null}|null}
+ */
+let activeNavigation = null;
+
+/**
+ * Starts a new page navigation and aborts the one it supersedes
+ * @param {string} key - Normalized identifier of the requested Pokemon
+ * @param {Object} options - Navigation options passed on to populatePage
+ * @returns {{key: string, options: Object, controller: AbortController, promise: Promise<void>|null}} New navigation
+ */
+function beginNavigation(key, options) {
+  if(activeNavigation) {
+    activeNavigation.controller.abort();
+  }
+
+  activeNavigation = {
+    key,
+    options,
+    controller: new AbortController(),
+    promise: null
+  };
+
+  return activeNavigation;
+}
+
+/**
+ * Checks whether a navigation is still the latest one and has not been aborted
+ * @param {{controller: AbortController}} navigation - Navigation to check
+ * @returns {boolean} True if the navigation may still update the page
+ */
+function isCurrentNavigation(navigation) {
+  return navigation === activeNavigation && !navigation.controller.signal.aborted;
+}
+
+/**
+ * Aborts the active navigation and every sub-request started for it
+ * Used when the page is cleared so late responses cannot repopulate it
+ */
+function cancelActiveNavigation() {
+  if(activeNavigation) {
+    activeNavigation.controller.abort();
+    activeNavigation = null;
+  }
+}
+
 // ====================================
 // CORE REQUEST FUNCTIONS
 // ====================================
 
 /**
  * Enhanced fetch wrapper with caching, error handling, and performance optimization
+ * Checks the in-memory cache, then shares any identical in-flight request,
+ * and only then goes to the persistent IndexedDB cache and the network
  * Automatically caches successful responses and handles various error scenarios
  * @param {string} url - API endpoint URL to fetch data from
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels this caller's interest in the response
  * @returns {Promise<Object>} Parsed JSON response data
- * @throws {Error} Network errors, parsing errors, or HTTP error responses
+ * @throws {Error} Network errors, parsing errors, HTTP error responses, or AbortError
  */
-async function fetchJson(url) {
+async function fetchJson(url, { signal } = {}) {
+  if(signal && signal.aborted) {
+    throw createAbortError();
+  }
+
+  // Cache under the URL actually loaded, so one source's data is never served for another
+  const sourceUrl = resolveApiUrl(url);
+
+  // Check cache first to avoid unnecessary API calls
+  const cached = REQUEST_CACHE.get(sourceUrl);
+  if(cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+    return cached.data;
+  }
+
+  // Share an identical request that is already on its way
+  let inFlight = IN_FLIGHT_REQUESTS.get(sourceUrl);
+  if(!inFlight) {
+    const controller = new AbortController();
+    inFlight = {
+      controller,
+      subscribers: 0,
+      promise: loadJson(sourceUrl, controller.signal)
+    };
+
+    IN_FLIGHT_REQUESTS.set(sourceUrl, inFlight);
+    inFlight.promise
+      .catch(() => {})
+      .finally(() => {
+        if(IN_FLIGHT_REQUESTS.get(sourceUrl) === inFlight) {
+          IN_FLIGHT_REQUESTS.delete(sourceUrl);
+        }
+      });
+  }
+
+  return subscribeToRequest(sourceUrl, inFlight, signal);
+} //fetchJson
+
+/**
+ * Loads JSON from the persistent cache or the network and populates both caches
+ * Runs once per URL no matter how many callers are waiting on it
+ * @param {string} url - Resolved URL to fetch (resolveApiUrl), also the cache key
+ * @param {AbortSignal} signal - Aborted when every subscriber has lost interest
+ * @returns {Promise<Object>} Parsed JSON response data
+ */
+async function loadJson(url, signal) {
   try {
-    // Check cache first to avoid unnecessary API calls
-    const cached = REQUEST_CACHE.get(url);
-    if(cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-      return cached.data;
+    // Fall back to the persistent cache, which survives reloads
+    const persisted = await getCachedResponse(url);
+    if(persisted) {
+      REQUEST_CACHE.set(url, {
+        data: persisted,
+        timestamp: Date.now()
+      });
+
+      return persisted;
     }
 
-    // Perform HTTP request with timeout handling
-    const response = await fetch(url);
-    
-    if(!response.ok) 
-      throw response;
+    // Perform HTTP request against the configured data source, retrying transient failures
+    const response = await fetchWithRetry(url, signal);
     
     // Parse JSON response
     const data = await response.json();
@@ -87,11 +244,279 @@ async function fetchJson(url) {
       timestamp: Date.now()
     });
     
+    // Persist in the background - a failed write should never block the page
+    setCachedResponse(url, data);
+    
     return data;
   } catch (exception) {
-    handleError(exception);
+    // Offline or unreachable - an expired copy is better than nothing
+    if(!isAbortError(exception) && !exception.status) {
+      const stale = await getCachedResponse(url, { allowExpired: true });
+      if(stale) {
+        if(isDev()) {
+          console.warn(`📴 [Offline] Serving expired cached response for ${url}`);
+        }
+
+        return stale;
+      }
+    }
+
+    // Cancelled requests are expected during rapid navigation - stay quiet
+    // Anything else has already exhausted its retries, so tell the user once
+    if(!isAbortError(exception)) {
+      handleError(exception);
+    }
+
     throw exception;
   }
+} //loadJson
+
+/**
+ * Performs a fetch with jittered exponential backoff for transient failures
+ * Network errors, 429 and 5xx responses are retried up to RETRY_CONFIG.maxRetries
+ * times; a Retry-After header replaces the computed delay. Each attempt holds one
+ * of MAX_CONCURRENT_REQUESTS network slots
+ * @param {string} url - Resolved URL to fetch
+ * @param {AbortSignal} signal - Aborts the request and any pending retry delay
+ * @returns {Promise<Response>} Successful response
+ * @throws {Response|Error} Final failed response, network error, or AbortError
+ */
+async function fetchWithRetry(url, signal) {
+  for(let attempt = 0; ; attempt++) {
+    let response = null;
+    let networkError = null;
+
+    await acquireRequestSlot(signal);
+    try {
+      // Another request was told to back off - respect it before sending
+      if(rateLimitedUntil > Date.now()) {
+        await wait(rateLimitedUntil - Date.now(), signal);
+      }
+
+      response = await fetch(url, { signal });
+    } catch (exception) {
+      if(isAbortError(exception)) {
+        throw exception;
+      }
+
+      networkError = exception;
+    } finally {
+      releaseRequestSlot();
+    }
+
+    if(response && response.ok) {
+      return response;
+    }
+
+    const retryable = networkError || RETRYABLE_STATUSES.includes(response.status);
+    const delay = retryable ? getRetryDelay(attempt, response) : null;
+
+    if(!retryable || attempt >= RETRY_CONFIG.maxRetries || delay === null) {
+      throw networkError || response;
+    }
+
+    if(response && response.status === 429) {
+      rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+    }
+
+    if(isDev()) {
+      console.warn(`🔁 [Retry] ${networkError ? networkError.message : `HTTP ${response.status}`} for ${url} - retry ${attempt + 1}/${RETRY_CONFIG.maxRetries} in ${delay}ms`);
+    }
+
+    await wait(delay, signal);
+  }
+} //fetchWithRetry
+
+/**
+ * Computes the delay before the next retry
+ * Honors a Retry-After header (seconds or HTTP date); otherwise uses
+ * exponential backoff with jitter between half and the full window
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Response|null} response - Failed response, null for network errors
+ * @returns {number|null} Delay in milliseconds, or null if the server asked for longer than maxRetryAfter
+ */
+function getRetryDelay(attempt, response) {
+  const retryAfter = response ? parseRetryAfter(response.headers.get('Retry-After')) : null;
+  if(retryAfter !== null) {
+    return retryAfter <= RETRY_CONFIG.maxRetryAfter ? retryAfter : null;
+  }
+
+  const backoffWindow = Math.min(RETRY_CONFIG.maxDelay, RETRY_CONFIG.baseDelay * 2 ** attempt);
+
+  return Math.round(backoffWindow / 2 + Math.random() * backoffWindow / 2);
+}
+
+/**
+ * Parses a Retry-After header value
+ * @param {string|null} value - Header value (delay in seconds or an HTTP date)
+ * @returns {number|null} Delay in milliseconds, or null when absent or invalid
+ */
+function parseRetryAfter(value) {
+  if(!value) {
+    return null;
+  }
+
+  if(/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Waits for a free network slot
+ * @param {AbortSignal} [signal] - Stops waiting when aborted
+ * @returns {Promise<void>} Resolves once the caller holds a slot
+ */
+function acquireRequestSlot(signal) {
+  if(signal && signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  if(activeRequestCount < MAX_CONCURRENT_REQUESTS) {
+    activeRequestCount++;
+
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const grant = () => {
+      if(signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      activeRequestCount++;
+      resolve();
+    };
+    const onAbort = () => {
+      const index = WAITING_REQUESTS.indexOf(grant);
+      if(index !== -1) {
+        WAITING_REQUESTS.splice(index, 1);
+      }
+      reject(createAbortError());
+    };
+
+    if(signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    WAITING_REQUESTS.push(grant);
+  });
+}
+
+/**
+ * Frees a network slot and hands it to the next waiting request
+ */
+function releaseRequestSlot() {
+  activeRequestCount--;
+
+  const next = WAITING_REQUESTS.shift();
+  if(next) {
+    next();
+  }
+}
+
+/**
+ * Resolves after a delay unless the signal aborts first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if(signal && signal.aborted) {
+      reject(createAbortError());
+
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if(signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if(signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Attaches a caller to a shared in-flight request
+ * When a caller's signal aborts it stops waiting; the underlying fetch is only
+ * aborted once no subscriber is left, so other callers still get their data
+ * @param {string} url - API endpoint URL (map key)
+ * @param {{promise: Promise<Object>, controller: AbortController, subscribers: number}} inFlight - Shared request entry
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @returns {Promise<Object>} Parsed JSON response data
+ */
+function subscribeToRequest(url, inFlight, signal) {
+  inFlight.subscribers++;
+
+  if(!signal) {
+    return inFlight.promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      inFlight.subscribers--;
+      reject(createAbortError());
+
+      // Defer so a navigation that immediately re-requests the same URL can re-subscribe
+      setTimeout(() => {
+        if(inFlight.subscribers === 0 && !inFlight.controller.signal.aborted) {
+          inFlight.controller.abort();
+
+          if(IN_FLIGHT_REQUESTS.get(url) === inFlight) {
+            IN_FLIGHT_REQUESTS.delete(url);
+          }
+        }
+      }, 0);
+    };
+
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    inFlight.promise.then(
+      data => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(data);
+      },
+      exception => {
+        signal.removeEventListener('abort', onAbort);
+        reject(exception);
+      }
+    );
+  });
+} //subscribeToRequest
+
+/**
+ * Creates an error matching the one fetch throws when aborted
+ * @returns {DOMException|Error} AbortError instance
+ */
+function createAbortError() {
+  if(typeof DOMException === 'function') {
+    return new DOMException('The request was superseded by a newer navigation', 'AbortError');
+  }
+
+  const error = new Error('The request was superseded by a newer navigation');
+  error.name = 'AbortError';
+
+  return error;
+}
+
+/**
+ * Checks whether an exception came from an aborted request
+ * @param {any} exception - Caught exception
+ * @returns {boolean} True for AbortError instances
+ */
+function isAbortError(exception) {
+  return !!exception && exception.name === 'AbortError';
 }
 
 /**
@@ -108,6 +533,9 @@ function handleError(exception) {
       case 404:
         userMessage = 'Pokémon not found. Please check the name or ID and try again.';
         break;
+      case 429:
+        userMessage = 'PokéAPI is rate limiting requests. Please wait a moment and try again.';
+        break;
       case 500:
         userMessage = 'Server error. Please try again later.';
         break;
@@ -144,49 +572,123 @@ function handleError(exception) {
  * Fetches complete Pokemon data including both basic info and species details
  * Uses parallel requests for optimal performance and passes data to page population
  * Handles alternate forms by using species ID from Pokemon data for species requests
+ * Each call supersedes the previous navigation: older responses are aborted and can
+ * never overwrite the page, while a repeat call for the same Pokemon shares the pending one
+ * and hands it its own options (a replayed back/forward or shiny toggle must be recorded as such)
  * @param {number|string} id - Pokemon ID or name to fetch
  * @param {string} visibility - Visibility state for the loaded Pokemon display
+ * @param {Object} [options] - Navigation options from generatePokemon (historyMode, shiny, historyIndex)
+ * @returns {Promise<void>} Resolves once the page is populated or the navigation is dropped
  */
-async function requestPokemon(id, visibility) {
-  try {
-    // First, fetch the basic Pokemon data
-    const pokemonResponse = await fetchJson(`${ApiAddress}/pokemon/${id}`);
-    
-    // Extract species ID from Pokemon data for alternate forms
-    // This handles cases where form ID ≠ species ID (e.g., Deoxys forms)
-    const speciesId = pokemonResponse.species.url.split('/').slice(-2, -1)[0];
-    
-    // Fetch species data using the correct species ID
-    const speciesResponse = await fetchJson(`${ApiAddress}/pokemon-species/${speciesId}`);
-    
-    // Pass both responses to page population function
-    populatePage(pokemonResponse, speciesResponse, visibility);
-  } catch(exception) {
-    // Error already handled in fetchJson - silently fail here
+function requestPokemon(id, visibility, options = {}) {
+  const key = `${String(id).toLowerCase()}|${visibility}`;
+
+  // Identical navigation already pending - share it instead of starting over, with the latest options
+  if(activeNavigation && activeNavigation.key === key && activeNavigation.promise && isCurrentNavigation(activeNavigation)) {
+    activeNavigation.options = options;
+
+    return activeNavigation.promise;
   }
+
+  const navigation = beginNavigation(key, options);
+  const { signal } = navigation.controller;
+
+  navigation.promise = (async () => {
+    try {
+      const { pokemonResponse, speciesResponse } = await requestPokemonData(id, signal);
+      
+      // A newer navigation started while we were waiting - let it win
+      if(!isCurrentNavigation(navigation)) {
+        return;
+      }
+      
+      // Pass both responses to page population function
+      populatePage(pokemonResponse, speciesResponse, visibility, signal, navigation.options);
+    } catch(exception) {
+      // Error already handled in fetchJson, aborts are expected - silently fail here
+    } finally {
+      navigation.promise = null;
+    }
+  })();
+
+  return navigation.promise;
 } //requestPokemon
 
+/**
+ * Fetches the /pokemon and /pokemon-species responses for one Pokemon without touching the page
+ * Used by requestPokemon and by views that show several Pokemon at once (compare.js)
+ * @param {number|string} id - Pokemon ID or name
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<{pokemonResponse: Object, speciesResponse: Object}>} Both responses; rejects if either fails
+ */
+async function requestPokemonData(id, signal) {
+  // Static dumps only have numeric paths - translate names through the list index
+  const identifier = isStaticApiMode() ? await resolveStaticPokemonId(id, signal) : id;
+
+  // First, fetch the basic Pokemon data
+  const pokemonResponse = await fetchJson(`${ApiAddress}/pokemon/${identifier}`, { signal });
+  
+  // Extract species ID from Pokemon data for alternate forms
+  // This handles cases where form ID ≠ species ID (e.g., Deoxys forms)
+  const speciesId = pokemonResponse.species.url.split('/').slice(-2, -1)[0];
+  
+  // Fetch species data using the correct species ID
+  const speciesResponse = await fetchJson(`${ApiAddress}/pokemon-species/${speciesId}`, { signal });
+
+  return { pokemonResponse, speciesResponse };
+} //requestPokemonData
+
+/**
+ * Translates a Pokemon name into its numeric ID for static JSON dumps
+ * Static dumps have no name-based paths, so the full /pokemon list index is consulted
+ * @param {number|string} id - Pokemon ID or name
+ * @param {AbortSignal} [signal] - Navigation signal
+ * @returns {Promise<number|string>} Numeric ID, or the input when it is already numeric or unknown
+ */
+async function resolveStaticPokemonId(id, signal) {
+  const name = String(id).trim().toLowerCase();
+  if(/^\d+$/.test(name)) {
+    return name;
+  }
+
+  const listResponse = await fetchJson(`${ApiAddress}/pokemon?limit=${LIST_LIMIT}`, { signal });
+  const match = (listResponse.results || []).find(result => result.name === name);
+
+  return match ? match.url.split('/').slice(-2, -1)[0] : name;
+} //resolveStaticPokemonId
+
 /**
  * Fetches ability effect description and populates list item with formatted content
- * Handles ability name formatting and English language filtering
+ * Uses the name and description in the chosen language, falling back to English
  * @param {string} url - API URL for the specific ability
  * @param {HTMLElement} listItem - DOM element to populate with ability information
- * @param {string} name - Ability name for display formatting
+ * @param {string} name - Ability name for display formatting (used when no localized name exists)
+ * @param {AbortSignal} [signal] - Navigation signal; the list item is left untouched once aborted
+ * @param {boolean} [hidden=false] - Label the ability as hidden
  */
-async function requestAbilityEffect(url, listItem, name) {
+async function requestAbilityEffect(url, listItem, name, signal, hidden = false) {
   try {
-    const abilityEffectResponse = await fetchJson(url);
+    const abilityEffectResponse = await fetchJson(url, { signal });
+    
+    if(signal && signal.aborted) {
+      return;
+    }
     
-    // Find English language flavor text entry
-    const entry = abilityEffectResponse.flavor_text_entries.find(e => e.language.name === 'en');
+    // Find the flavor text entry in the chosen language (or English)
+    const entry = getLocalizedText(abilityEffectResponse.flavor_text_entries, 'flavor_text');
+    const localizedName = getLocalizedText(abilityEffectResponse.names, 'name');
     
     if(entry) {
       // Format ability name and description
-      name = name.replaceAll('-', ' ');                    // Replace hyphens with spaces
-      let flavorText = entry.flavor_text.replaceAll('\ufffd', 'é'); // Fix encoding issues
+      name = localizedName ? localizedName.text : name.replaceAll('-', ' '); // Replace hyphens with spaces
+      if(hidden) {
+        name += ' (Hidden)';
+      }
+      let flavorText = entry.text.replaceAll('\ufffd', 'é'); // Fix encoding issues
       
       // Populate list item with formatted ability information
-      listItem.innerHTML = `<b><u>${name}</u></b>- ${flavorText}`;
+      renderNamedDescription(listItem, name, flavorText);
+      listItem.lang = getLanguageTag(entry.language);
     }
   } catch (exception) {
     // Silently fail for individual ability requests
@@ -195,39 +697,69 @@ async function requestAbilityEffect(url, listItem, name) {
 
 /**
  * Fetches held item description and populates list item with formatted content
- * Handles item name formatting and English language filtering
+ * Uses the name and description in the chosen language, falling back to English
  * @param {string} url - API URL for the specific held item
  * @param {HTMLElement} listItem - DOM element to populate with item information
  * @param {string} name - Item name for display formatting
+ * @param {AbortSignal} [signal] - Navigation signal; the list item is left untouched once aborted
  */
-async function requestHeldItem(url, listItem, name) {
+async function requestHeldItem(url, listItem, name, signal) {
   try {
-    const heldItemResponse = await fetchJson(url);
+    const heldItemResponse = await fetchJson(url, { signal });
+    
+    if(signal && signal.aborted) {
+      return;
+    }
     
-    // Find English language description entry
-    const entry = heldItemResponse.flavor_text_entries.find(e => e.language.name === 'en');
+    // Find the description entry in the chosen language (or English)
+    const entry = getLocalizedText(heldItemResponse.flavor_text_entries, 'text');
+    const localizedName = getLocalizedText(heldItemResponse.names, 'name');
     
     if(entry) {
       // Format item name
-      name = name.replaceAll('-', ' '); // Replace hyphens with spaces
+      name = localizedName ? localizedName.text : name.replaceAll('-', ' '); // Replace hyphens with spaces
       
       // Populate list item with formatted item information
-      listItem.innerHTML = `<b><u>${name}</u></b>- ${entry.text}`;
+      renderNamedDescription(listItem, name, entry.text);
+      listItem.lang = getLanguageTag(entry.language);
     }
   } catch (exception) {
     // Silently fail for individual item requests
   }
 } //requestHeldItem
 
+/**
+ * Fills a list item with an underlined bold name followed by its description
+ * Both come from the configured API source, so they are set as text, never as markup
+ * @param {HTMLElement} listItem - DOM element to populate
+ * @param {string} name - Display name
+ * @param {string} description - Description text
+ */
+function renderNamedDescription(listItem, name, description) {
+  const bold = document.createElement('b');
+  const underline = document.createElement('u');
+  underline.textContent = name;
+  bold.appendChild(underline);
+
+  listItem.textContent = '';
+  listItem.appendChild(bold);
+  listItem.appendChild(document.createTextNode(`- ${description}`));
+}
+
 /**
  * Fetches Pokemon form information and handles special formatting cases
  * Deals with unique form naming conventions like Kommo-o variants
  * @param {string} url - API URL for the Pokemon form data
  * @param {HTMLElement} listItem - DOM element to populate with form name
+ * @param {AbortSignal} [signal] - Navigation signal; the list item is left untouched once aborted
  */
-async function requestForm(url, listItem) {
+async function requestForm(url, listItem, signal) {
   try {
-    const formsResponse = await fetchJson(url);
+    const formsResponse = await fetchJson(url, { signal });
+    
+    if(signal && signal.aborted) {
+      return;
+    }
     
     // Process each form in the response
     formsResponse.forms.forEach(form => {
@@ -250,6 +782,36 @@ async function requestForm(url, listItem) {
   }
 } //requestForm
 
+/**
+ * Fetches a species' evolution chain
+ * @param {string} url - evolution_chain.url from the species response
+ * @param {AbortSignal} [signal] - Navigation signal
+ * @returns {Promise<Object|null>} Evolution chain response, or null if it could not be loaded
+ */
+async function requestEvolutionChain(url, signal) {
+  try {
+    return await fetchJson(url, { signal });
+  } catch (exception) {
+    // Error already handled in fetchJson - the card shows its own fallback
+    return null;
+  }
+} //requestEvolutionChain
+
+/**
+ * Fetches details for a single move (type, damage class, power, accuracy, PP)
+ * @param {string} url - Move URL from the Pokemon's moves list
+ * @param {AbortSignal} [signal] - Navigation signal
+ * @returns {Promise<Object|null>} Move response, or null if it could not be loaded
+ */
+async function requestMove(url, signal) {
+  try {
+    return await fetchJson(url, { signal });
+  } catch (exception) {
+    // Silently fail for individual move requests
+    return null;
+  }
+} //requestMove
+
 // ====================================
 // TYPE SYSTEM UTILITIES
 // ====================================
@@ -265,11 +827,13 @@ const typeMap = {
 }; //typeMap
 
 /**
- * Fetches all Pokemon of a specific type for analysis or filtering
+ * Fetches a type's data, including damage relations and the Pokemon that have it
  * Supports both type names and numeric IDs with automatic conversion
  * @param {string|number} type - Pokemon type name or numeric ID
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<Object|null>} Type response, or null if it could not be loaded
  */
-async function requestType(type) {
+async function requestType(type, signal) {
   try {
     // Convert type name to numeric ID if necessary
     if(typeof type === 'string' && typeMap[type.toLowerCase()]) {
@@ -277,18 +841,112 @@ async function requestType(type) {
     }
     
     // Fetch type data from API
-    const typeResponse = await fetchJson(`${ApiAddress}/type/${type}`);
-    
-    // Process and log all Pokemon of this type
-    typeResponse.pokemon.forEach(pokemon => {
-      let name = punctuationNameCheck(pokemon.pokemon.name).replaceAll('-', ' ');
-      console.table(name); // Log formatted Pokemon names
-    });
+    return await fetchJson(`${ApiAddress}/type/${type}`, { signal });
   } catch(exception) {
-    console.clear(); // Clear console on error
+    // Error already handled in fetchJson
+    return null;
   }
 } //requestType
 
+// ====================================
+// NAME INDEX
+// ====================================
+
+/** @type {number} First ID used by PokeAPI for alternate forms */
+const FORM_ID_START = 10001;
+
+/** @type {Promise<Array<Object>>|null} Name index, built once per session */
+let nameIndexPromise = null;
+
+/**
+ * Builds the searchable index of every species and alternate form
+ * Species come from /pokemon-species and forms from /pokemon (IDs from 10001);
+ * both lists live in the persistent response cache, so the index also works offline
+ * @returns {Promise<Array<{id: number, name: string, isForm: boolean}>>} Index sorted by ID, empty if unavailable
+ * @example
+ * const index = await requestPokemonNameIndex();
+ */
+function requestPokemonNameIndex() {
+  if(nameIndexPromise) {
+    return nameIndexPromise;
+  }
+
+  nameIndexPromise = (async () => {
+    const [speciesList, pokemonList] = await Promise.all([
+      fetchJson(`${ApiAddress}/pokemon-species?limit=${LIST_LIMIT}`),
+      fetchJson(`${ApiAddress}/pokemon?limit=${LIST_LIMIT}`).catch(() => ({ results: [] }))
+    ]);
+
+    const toEntry = result => ({
+      id: parseInt(result.url.split('/').slice(-2, -1)[0], 10),
+      name: result.name
+    });
+
+    const species = (speciesList.results || []).map(toEntry).map(entry => ({ ...entry, isForm: false }));
+    const forms = (pokemonList.results || []).map(toEntry)
+      .filter(entry => entry.id >= FORM_ID_START)
+      .map(entry => ({ ...entry, isForm: true }));
+
+    if(isDev()) {
+      console.log(`📇 [Name Index] Indexed ${species.length} species and ${forms.length} forms`);
+    }
+
+    return [...species, ...forms].sort((a, b) => a.id - b.id);
+  })().catch(() => {
+    // Error already handled in fetchJson - allow a later retry
+    nameIndexPromise = null;
+
+    return [];
+  });
+
+  return nameIndexPromise;
+} //requestPokemonNameIndex
+
+// ====================================
+// NATURES
+// ====================================
+
+/** @type {Promise<Array<Object>>|null} Natures, loaded once per session */
+let naturesPromise = null;
+
+/**
+ * Fetches every nature with the stats it raises and lowers
+ * The /nature list only has names, so each nature is fetched once; all of them
+ * land in the response cache
+ * @returns {Promise<Array<{name: string, names: Array<Object>, increased: string|null, decreased: string|null}>>} Natures sorted by name, empty if unavailable
+ * @example
+ * const natures = await requestNatures();
+ * natures.find(nature => nature.name === 'adamant').increased; // 'attack'
+ */
+function requestNatures() {
+  if(naturesPromise) {
+    return naturesPromise;
+  }
+
+  naturesPromise = (async () => {
+    const listResponse = await fetchJson(`${ApiAddress}/nature?limit=${LIST_LIMIT}`);
+    const natures = await Promise.all((listResponse.results || []).map(result =>
+      fetchJson(`${ApiAddress}/nature/${result.url.split('/').slice(-2, -1)[0]}`)
+    ));
+
+    return natures
+      .map(nature => ({
+        name: nature.name,
+        names: nature.names || [],
+        increased: nature.increased_stat ? nature.increased_stat.name : null,
+        decreased: nature.decreased_stat ? nature.decreased_stat.name : null
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  })().catch(() => {
+    // Error already handled in fetchJson - allow a later retry
+    naturesPromise = null;
+
+    return [];
+  });
+
+  return naturesPromise;
+} //requestNatures
+
 /**
  * Development utility function
  * Enables or disables logging based on the environment
@@ -304,5 +962,6 @@ function isDev() {
 // if(isDev()) console.error('message');
 
 export {
-  requestPokemon, requestAbilityEffect, requestHeldItem, requestForm, requestType
+  requestPokemon, requestPokemonData, requestAbilityEffect, requestHeldItem, requestForm, requestType,
+  requestEvolutionChain, requestMove, requestPokemonNameIndex, requestNatures, cancelActiveNavigation
 };
\ No newline at end of file
@@ -0,0 +1,321 @@
+/**
+ * SEARCH-AUTOCOMPLETE.JS - Pokemon Name Autocomplete
+ * ==================================================
+ *
+ * This module adds a suggestion dropdown under #pokemon-textbox, backed by
+ * the full species and form name index from requestPokemonNameIndex.
+ *
+ * Key Features:
+ * - Typo-tolerant fuzzy matching with diacritic folding (Flabébé)
+ * - NAME_VARIATIONS aliases (e.g. "mr mime", "type null")
+ * - Keyboard navigation: Arrow keys, Home/End, Enter to pick, Escape to close
+ * - ARIA combobox/listbox markup for screen readers
+ * - Only suggests Gen I species in the original 151 Pokédex
+ * - Completes the last name of a comparison search ("pikachu vs rai")
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { requestPokemonNameIndex } from './requests.js';
+import { searchPokemonNames, splitCompareQuery } from './utils/pokemon-names.js';
+import { punctuationNameCheck } from './utils/data-utils.js';
+import { MAXIMUM_ID, ORIGINAL_MAXIMUM_ID } from './utils/navigation-utils.js';
+
+// ====================================
+// AUTOCOMPLETE CONSTANTS
+// ====================================
+
+/** @type {string} Listbox element ID */
+const LISTBOX_ID = 'pokemon-suggestions';
+
+/** @type {number} Maximum number of suggestions shown */
+const MAX_SUGGESTIONS = 8;
+
+/** @type {number} Delay between typing and searching in milliseconds */
+const INPUT_DELAY = 120;
+
+// ====================================
+// AUTOCOMPLETE STATE
+// ====================================
+
+/**
+ * Autocomplete state for the search textbox
+ * prefix holds the earlier names of a comparison search, kept when a suggestion is picked
+ * @type {{textbox: HTMLInputElement|null, listbox: HTMLElement|null, onSelect: Function|null, suggestions: Array<Object>, activeIndex: number, inputTimer: number|null, query: string, prefix: string}}
+ */
+const state = {
+  textbox: null,
+  listbox: null,
+  onSelect: null,
+  suggestions: [],
+  activeIndex: -1,
+  inputTimer: null,
+  query: '',
+  prefix: ''
+};
+
+// ====================================
+// INITIALIZATION
+// ====================================
+
+/**
+ * Attaches the autocomplete dropdown to the search textbox
+ * Must run before other keydown listeners so Enter on a highlighted
+ * suggestion picks it instead of searching for the typed text
+ * @param {HTMLInputElement} textbox - Search textbox
+ * @param {Function} onSelect - Called with the chosen Pokemon name (after any "name vs" prefix)
+ * @example
+ * initializeSearchAutocomplete(Textbox, name => { Textbox.value = name; GoButton.click(); });
+ */
+export function initializeSearchAutocomplete(textbox, onSelect) {
+  const listbox = document.createElement('ul');
+  listbox.id = LISTBOX_ID;
+  listbox.className = 'search-suggestions';
+  listbox.setAttribute('role', 'listbox');
+  listbox.setAttribute('aria-label', 'Pokémon suggestions');
+  listbox.hidden = true;
+
+  // Keep focus in the textbox while clicking a suggestion
+  listbox.addEventListener('mousedown', event => event.preventDefault());
+  listbox.addEventListener('click', event => {
+    const option = event.target.closest('[role="option"]');
+    if(option) {
+      selectSuggestion(parseInt(option.dataset.index, 10));
+    }
+  });
+
+  textbox.setAttribute('role', 'combobox');
+  textbox.setAttribute('aria-autocomplete', 'list');
+  textbox.setAttribute('aria-controls', LISTBOX_ID);
+  textbox.setAttribute('aria-expanded', 'false');
+  textbox.setAttribute('autocomplete', 'off');
+
+  textbox.addEventListener('input', handleInput);
+  textbox.addEventListener('keydown', handleKeydown);
+  textbox.addEventListener('blur', closeSuggestions);
+  // Start loading the index as soon as the user shows intent to search
+  textbox.addEventListener('focus', () => requestPokemonNameIndex(), { once: true });
+  window.addEventListener('resize', positionListbox);
+
+  document.body.appendChild(listbox);
+
+  Object.assign(state, { textbox, listbox, onSelect });
+} //initializeSearchAutocomplete
+
+// ====================================
+// EVENT HANDLERS
+// ====================================
+
+/**
+ * Debounces typing before searching the index
+ */
+function handleInput() {
+  clearTimeout(state.inputTimer);
+  state.inputTimer = setTimeout(updateSuggestions, INPUT_DELAY);
+}
+
+/**
+ * Handles keyboard navigation inside the suggestion list
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleKeydown(event) {
+  const isOpen = !state.listbox.hidden;
+
+  switch(event.key) {
+    case 'ArrowDown':
+    case 'ArrowUp':
+      event.preventDefault();
+      if(!isOpen) {
+        updateSuggestions();
+
+        return;
+      }
+      moveActiveIndex(event.key === 'ArrowDown' ? 1 : -1);
+      break;
+    case 'Home':
+    case 'End':
+      if(isOpen && state.activeIndex !== -1) {
+        event.preventDefault();
+        setActiveIndex(event.key === 'Home' ? 0 : state.suggestions.length - 1);
+      }
+      break;
+    case 'Enter':
+      if(isOpen && state.activeIndex !== -1) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        selectSuggestion(state.activeIndex);
+      } else {
+        clearTimeout(state.inputTimer);
+        closeSuggestions();
+      }
+      break;
+    case 'Escape':
+      if(isOpen) {
+        event.preventDefault();
+        closeSuggestions();
+      }
+      break;
+    case 'Tab':
+      closeSuggestions();
+      break;
+  }
+} //handleKeydown
+
+// ====================================
+// SUGGESTION LIST
+// ====================================
+
+/**
+ * Searches the name index for the current input and renders the results
+ * @returns {Promise<void>}
+ */
+async function updateSuggestions() {
+  const query = state.textbox.value.trim();
+  state.query = query;
+
+  if(query === '' || document.activeElement !== state.textbox) {
+    closeSuggestions();
+
+    return;
+  }
+
+  const index = await requestPokemonNameIndex();
+
+  // The input changed while the index was loading - a newer search will render
+  if(state.query !== query || document.activeElement !== state.textbox) {
+    return;
+  }
+
+  // The original Pokédex only covers Gen I species
+  const entries = MAXIMUM_ID === ORIGINAL_MAXIMUM_ID
+    ? index.filter(entry => !entry.isForm && entry.id <= ORIGINAL_MAXIMUM_ID)
+    : index;
+
+  // "pikachu vs rai" completes the last name only
+  const names = splitCompareQuery(query);
+  const lastName = names[names.length - 1];
+  state.prefix = query.slice(0, query.length - lastName.length);
+
+  renderSuggestions(searchPokemonNames(entries, lastName, MAX_SUGGESTIONS));
+} //updateSuggestions
+
+/**
+ * Renders suggestion options, or closes the list when there are none
+ * @param {Array<{id: number, name: string, isForm: boolean}>} suggestions - Matching entries
+ */
+function renderSuggestions(suggestions) {
+  state.suggestions = suggestions;
+  state.activeIndex = -1;
+  state.textbox.removeAttribute('aria-activedescendant');
+
+  if(suggestions.length === 0) {
+    closeSuggestions();
+
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  suggestions.forEach((entry, index) => {
+    const option = document.createElement('li');
+    option.id = `${LISTBOX_ID}-${index}`;
+    option.className = 'search-suggestion';
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+    option.dataset.index = String(index);
+
+    const name = document.createElement('span');
+    name.className = 'search-suggestion-name';
+    name.innerText = punctuationNameCheck(entry.name);
+
+    const detail = document.createElement('span');
+    detail.className = 'search-suggestion-detail';
+    detail.innerText = entry.isForm ? 'Form' : `#${entry.id}`;
+
+    option.appendChild(name);
+    option.appendChild(detail);
+    fragment.appendChild(option);
+  });
+
+  state.listbox.innerHTML = '';
+  state.listbox.appendChild(fragment);
+  state.listbox.hidden = false;
+  state.textbox.setAttribute('aria-expanded', 'true');
+  positionListbox();
+} //renderSuggestions
+
+/**
+ * Hides the suggestion list
+ */
+function closeSuggestions() {
+  if(!state.listbox) {
+    return;
+  }
+
+  state.listbox.hidden = true;
+  state.activeIndex = -1;
+  state.textbox.setAttribute('aria-expanded', 'false');
+  state.textbox.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Moves the highlighted option, wrapping at either end
+ * @param {number} step - 1 for down, -1 for up
+ */
+function moveActiveIndex(step) {
+  const count = state.suggestions.length;
+  const next = state.activeIndex === -1 && step < 0 ? count - 1 : (state.activeIndex + step + count) % count;
+  setActiveIndex(next);
+}
+
+/**
+ * Highlights an option and announces it through aria-activedescendant
+ * @param {number} index - Option index
+ */
+function setActiveIndex(index) {
+  state.activeIndex = index;
+
+  state.listbox.querySelectorAll('[role="option"]').forEach((option, optionIndex) => {
+    const isActive = optionIndex === index;
+    option.classList.toggle('search-suggestion-active', isActive);
+    option.setAttribute('aria-selected', String(isActive));
+    if(isActive) {
+      state.textbox.setAttribute('aria-activedescendant', option.id);
+      option.scrollIntoView({ block: 'nearest' });
+    }
+  });
+}
+
+/**
+ * Picks a suggestion and hands its name to the search
+ * @param {number} index - Suggestion index
+ */
+function selectSuggestion(index) {
+  const entry = state.suggestions[index];
+  if(!entry) {
+    return;
+  }
+
+  closeSuggestions();
+  state.onSelect(`${state.prefix}${entry.name}`);
+}
+
+/**
+ * Places the list directly below the textbox (the header is fixed, so the list is too)
+ */
+function positionListbox() {
+  if(!state.listbox || state.listbox.hidden) {
+    return;
+  }
+
+  const rect = state.textbox.getBoundingClientRect();
+  state.listbox.style.top = `${rect.bottom + 4}px`;
+  state.listbox.style.left = `${rect.left}px`;
+  state.listbox.style.width = `${Math.max(rect.width, 220)}px`;
+}
@@ -0,0 +1,459 @@
+/**
+ * SETTINGS.JS - Settings Panel & Appearance
+ * =========================================
+ *
+ * This module renders the settings panel on top of the preferences store
+ * (preferences-utils.js) and applies the appearance preferences to the
+ * document. Every control saves immediately; the modules that use a
+ * preference watch it and update live.
+ *
+ * Key Features:
+ * - Pokédex range (all Pokémon or the original 151)
+ * - Units and language of Pokémon names and entries
+ * - Cries on/off with volume, read-aloud on/off
+ * - Theme (system, light, dark) and background effects
+ * - Pokémon of the Day notification (daily-pokemon.js)
+ * - Data source: API mirror or static dump, sprites and cries (config-utils.js)
+ * - Export/import of all user data (backup.js)
+ * - Offline Pokédex download (offline-dex.js)
+ * - Storage screen for the service worker caches (cache-inspector.js)
+ * - Reset to defaults
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import {
+  PREFERENCES_CHANGE_EVENT, LANGUAGE_OPTIONS, getPreferences, setPreference,
+  resetPreferences, watchPreferences
+} from './utils/preferences-utils.js';
+import {
+  DEFAULT_API_BASE_URL, DEFAULT_SPRITE_BASE_URL, DEFAULT_CRY_BASE_URL, getApiConfig,
+  setApiConfig, resetApiConfig, normalizeBaseUrl
+} from './utils/config-utils.js';
+import { openPanel, getPanelBody, createActionButton } from './utils/panel-utils.js';
+import { showToast } from './utils/dom-utils.js';
+import { createBackupSection } from './backup.js';
+import { createOfflineDexSection } from './offline-dex.js';
+import { createStorageSection } from './cache-inspector.js';
+
+// ====================================
+// SETTINGS CONSTANTS
+// ====================================
+
+/** @type {string} Settings panel ID */
+const SETTINGS_PANEL_ID = 'settings-panel';
+
+/** @type {MediaQueryList} Operating system dark mode preference */
+const DarkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+/**
+ * Panel layout: sections of controls, each bound to one preference
+ * @type {Array<{title: string, controls: Array<Object>}>}
+ */
+const SETTINGS_SECTIONS = [
+  {
+    title: 'Pokédex',
+    controls: [
+      {
+        key: 'dexRange', type: 'radio', label: 'Pokémon range',
+        options: [{ value: 'all', label: 'All Pokémon' }, { value: 'original', label: 'Original 151' }]
+      },
+      {
+        key: 'units', type: 'radio', label: 'Height & weight',
+        options: [{ value: 'imperial', label: 'Imperial (ft, lbs)' }, { value: 'metric', label: 'Metric (m, kg)' }]
+      },
+      {
+        key: 'language', type: 'select', label: 'Language of names and entries',
+        options: LANGUAGE_OPTIONS.map(option => ({ value: option.code, label: option.label }))
+      }
+    ]
+  },
+  {
+    title: 'Sound',
+    controls: [
+      { key: 'audioEnabled', type: 'checkbox', label: 'Play cries' },
+      { key: 'cryVolume', type: 'range', label: 'Cry volume', dependsOn: 'audioEnabled' },
+      { key: 'speechEnabled', type: 'checkbox', label: 'Read entries aloud' }
+    ]
+  },
+  {
+    title: 'Appearance',
+    controls: [
+      {
+        key: 'theme', type: 'select', label: 'Theme',
+        options: [{ value: 'system', label: 'Match device' }, { value: 'light', label: 'Light' }, { value: 'dark', label: 'Dark' }]
+      },
+      { key: 'visualEffects', type: 'checkbox', label: 'Background effects and animations' }
+    ]
+  },
+  {
+    title: 'Pokémon of the Day',
+    controls: [
+      { key: 'dailyNotifications', type: 'checkbox', label: 'Send a daily notification' }
+    ]
+  }
+];
+
+/**
+ * Base URL fields of the data source section
+ * @type {Array<{key: string, label: string, placeholder: string}>}
+ */
+const DATA_SOURCE_FIELDS = [
+  { key: 'apiBaseUrl', label: 'API base', placeholder: DEFAULT_API_BASE_URL },
+  { key: 'spriteBaseUrl', label: 'Sprite base', placeholder: DEFAULT_SPRITE_BASE_URL },
+  { key: 'cryBaseUrl', label: 'Cry base', placeholder: DEFAULT_CRY_BASE_URL }
+];
+
+// ====================================
+// APPEARANCE
+// ====================================
+
+/**
+ * Applies theme and visual effects now and whenever they change
+ */
+export function initializeSettings() {
+  watchPreferences(['theme', 'visualEffects'], applyAppearance);
+
+  // "Match device" follows the OS setting live
+  DarkSchemeQuery.addEventListener('change', () => applyAppearance(getPreferences()));
+
+  // Keep an open panel in sync with changes from other tabs or modules
+  window.addEventListener(PREFERENCES_CHANGE_EVENT, event => {
+    const body = getPanelBody(SETTINGS_PANEL_ID);
+    if(body) {
+      syncControls(body, event.detail.preferences);
+    }
+  });
+}
+
+/**
+ * Sets the theme and effects attributes the stylesheets key off
+ * @param {{theme: string, visualEffects: boolean}} preferences - Current preferences
+ */
+function applyAppearance({ theme, visualEffects }) {
+  const resolvedTheme = theme === 'system' ? (DarkSchemeQuery.matches ? 'dark' : 'light') : theme;
+
+  document.documentElement.dataset.theme = resolvedTheme;
+  document.documentElement.dataset.effects = visualEffects ? 'on' : 'off';
+}
+
+// ====================================
+// SETTINGS PANEL
+// ====================================
+
+/**
+ * Opens the settings panel
+ */
+export function openSettingsPanel() {
+  const { body } = openPanel({
+    id: SETTINGS_PANEL_ID,
+    title: 'Settings',
+    className: 'settings-panel'
+  });
+
+  SETTINGS_SECTIONS.forEach(section => body.appendChild(createSection(section)));
+  body.appendChild(createDataSourceSection());
+  body.appendChild(createBackupSection());
+  body.appendChild(createOfflineDexSection());
+  body.appendChild(createStorageSection());
+
+  const resetButton = document.createElement('button');
+  resetButton.type = 'button';
+  resetButton.className = 'secondary-btn settings-reset-button';
+  resetButton.innerHTML = '<i class="fa-solid fa-rotate-left"></i> Reset to defaults';
+  resetButton.addEventListener('click', () => {
+    resetPreferences();
+    showToast('⚙️ Settings reset to defaults');
+  });
+  body.appendChild(resetButton);
+
+  syncControls(body, getPreferences());
+}
+
+/**
+ * Creates one section of controls
+ * @param {{title: string, controls: Array<Object>}} section - Section definition
+ * @returns {HTMLFieldSetElement} Section element
+ */
+function createSection(section) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'settings-section';
+
+  const legend = document.createElement('legend');
+  legend.className = 'headers';
+  legend.innerText = section.title;
+  fieldset.appendChild(legend);
+
+  section.controls.forEach(control => fieldset.appendChild(createControl(control)));
+
+  return fieldset;
+}
+
+/**
+ * Creates the input(s) for one preference; changes are saved immediately
+ * @param {{key: string, type: string, label: string, options?: Array<Object>}} control - Control definition
+ * @returns {HTMLElement} Control row
+ */
+function createControl(control) {
+  const row = document.createElement('div');
+  row.className = `settings-row settings-row-${control.type}`;
+  row.dataset.preference = control.key;
+  if(control.dependsOn) {
+    row.dataset.dependsOn = control.dependsOn;
+  }
+
+  const inputId = `setting-${control.key}`;
+
+  if(control.type === 'radio') {
+    const group = document.createElement('div');
+    group.className = 'settings-radio-group';
+    group.setAttribute('role', 'radiogroup');
+    group.setAttribute('aria-label', control.label);
+
+    const title = document.createElement('span');
+    title.className = 'settings-label';
+    title.innerText = control.label;
+    row.appendChild(title);
+
+    control.options.forEach(option => {
+      const label = document.createElement('label');
+      label.className = 'settings-radio';
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = inputId;
+      input.value = option.value;
+      input.addEventListener('change', () => savePreference(control.key, option.value));
+
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${option.label}`));
+      group.appendChild(label);
+    });
+
+    row.appendChild(group);
+
+    return row;
+  }
+
+  const label = document.createElement('label');
+  label.className = 'settings-label';
+  label.htmlFor = inputId;
+  label.innerText = control.label;
+
+  let input;
+  if(control.type === 'select') {
+    input = document.createElement('select');
+    control.options.forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.innerText = option.label;
+      input.appendChild(element);
+    });
+    input.addEventListener('change', () => savePreference(control.key, input.value));
+  } else if(control.type === 'range') {
+    input = document.createElement('input');
+    input.type = 'range';
+    input.min = '0';
+    input.max = '100';
+    input.step = '5';
+    input.addEventListener('input', () => {
+      savePreference(control.key, parseInt(input.value, 10) / 100);
+      input.setAttribute('aria-valuetext', `${input.value}%`);
+    });
+  } else {
+    input = document.createElement('input');
+    input.type = 'checkbox';
+    input.addEventListener('change', () => savePreference(control.key, input.checked));
+  }
+
+  input.id = inputId;
+  input.className = 'settings-input';
+
+  if(control.type === 'checkbox') {
+    label.prepend(input);
+    row.appendChild(label);
+  } else {
+    row.appendChild(label);
+    row.appendChild(input);
+  }
+
+  return row;
+} //createControl
+
+/**
+ * Saves one preference and reports invalid values
+ * @param {string} key - Preference key
+ * @param {*} value - New value
+ */
+function savePreference(key, value) {
+  if(!setPreference(key, value)) {
+    showToast('❌ That setting could not be saved');
+  }
+}
+
+/**
+ * Updates every control to show the current preferences
+ * @param {HTMLElement} body - Panel body
+ * @param {Object} preferences - Current preferences
+ */
+function syncControls(body, preferences) {
+  body.querySelectorAll('.settings-row[data-preference]').forEach(row => {
+    const value = preferences[row.dataset.preference];
+
+    row.querySelectorAll('input, select').forEach(input => {
+      if(input.type === 'radio') {
+        input.checked = input.value === value;
+      } else if(input.type === 'checkbox') {
+        input.checked = value === true;
+      } else if(input.type === 'range') {
+        // Leave a slider alone while it is being dragged
+        if(document.activeElement !== input) {
+          input.value = String(Math.round(value * 100));
+        }
+        input.setAttribute('aria-valuetext', `${Math.round(value * 100)}%`);
+      } else {
+        input.value = value;
+      }
+    });
+
+    if(row.dataset.dependsOn) {
+      const enabled = preferences[row.dataset.dependsOn] === true;
+      row.classList.toggle('settings-row-disabled', !enabled);
+      row.querySelectorAll('input, select').forEach(input => {
+        input.disabled = !enabled;
+      });
+    }
+  });
+} //syncControls
+
+// ====================================
+// DATA SOURCE
+// ====================================
+
+/**
+ * Creates the section that points the app at an API mirror, static dump, or other sprite and cry hosts
+ * Changes are only stored on Save, since a half-typed URL would break every request
+ * @returns {HTMLFieldSetElement} Section element
+ */
+function createDataSourceSection() {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'settings-section data-source-section';
+
+  const legend = document.createElement('legend');
+  legend.className = 'headers';
+  legend.innerText = 'Data source';
+
+  const description = document.createElement('p');
+  description.className = 'text backup-description';
+  description.innerText = 'Load Pokémon from a PokeAPI mirror or a static JSON dump. Leave a field empty to use the public PokeAPI.';
+
+  const form = document.createElement('form');
+  form.className = 'data-source-form';
+
+  const inputs = {};
+  DATA_SOURCE_FIELDS.forEach(field => {
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+
+    const label = document.createElement('label');
+    label.className = 'settings-label';
+    label.htmlFor = `setting-${field.key}`;
+    label.innerText = field.label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.inputMode = 'url';
+    input.id = `setting-${field.key}`;
+    input.className = 'settings-input data-source-input';
+    input.placeholder = field.placeholder;
+    input.spellcheck = false;
+    input.autocomplete = 'off';
+
+    row.appendChild(label);
+    row.appendChild(input);
+    form.appendChild(row);
+    inputs[field.key] = input;
+  });
+
+  const modeRow = document.createElement('div');
+  modeRow.className = 'settings-row';
+
+  const modeLabel = document.createElement('label');
+  modeLabel.className = 'settings-label';
+  modeLabel.htmlFor = 'setting-apiMode';
+  modeLabel.innerText = 'API mode';
+
+  const modeSelect = document.createElement('select');
+  modeSelect.id = 'setting-apiMode';
+  modeSelect.className = 'settings-input';
+  [{ value: 'rest', label: 'REST server' }, { value: 'static', label: 'Static JSON dump' }].forEach(option => {
+    const element = document.createElement('option');
+    element.value = option.value;
+    element.innerText = option.label;
+    modeSelect.appendChild(element);
+  });
+
+  modeRow.appendChild(modeLabel);
+  modeRow.appendChild(modeSelect);
+  form.appendChild(modeRow);
+
+  /**
+   * Shows the active configuration, leaving fields at their default empty
+   */
+  const syncDataSource = () => {
+    const config = getApiConfig();
+    DATA_SOURCE_FIELDS.forEach(field => {
+      inputs[field.key].value = config[field.key] === field.placeholder ? '' : config[field.key];
+    });
+    modeSelect.value = config.apiMode;
+  };
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+
+    const overrides = { apiMode: modeSelect.value };
+    const invalid = DATA_SOURCE_FIELDS.find(field => {
+      const value = inputs[field.key].value.trim();
+      overrides[field.key] = value ? normalizeBaseUrl(value, null) : null;
+
+      return value && !overrides[field.key];
+    });
+
+    if(invalid) {
+      showToast(`❌ ${invalid.label} is not a valid URL`);
+      inputs[invalid.key].focus();
+
+      return;
+    }
+
+    setApiConfig(overrides);
+    syncDataSource();
+    showToast('🛰️ Data source saved');
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'backup-actions';
+
+  actions.appendChild(createActionButton('Save', 'fa-check', () => form.requestSubmit()));
+  actions.appendChild(createActionButton('Reset', 'fa-rotate-left', () => {
+    resetApiConfig();
+    syncDataSource();
+    showToast('🛰️ Data source reset');
+  }));
+  form.appendChild(actions);
+
+  fieldset.appendChild(legend);
+  fieldset.appendChild(description);
+  fieldset.appendChild(form);
+
+  syncDataSource();
+
+  return fieldset;
+} //createDataSourceSection
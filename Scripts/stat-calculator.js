@@ -0,0 +1,448 @@
+/**
+ * STAT-CALCULATOR.JS - Stat Calculator Panel
+ * ==========================================
+ *
+ * This module adds the stat calculator button to the stats card and the
+ * panel behind it. The panel computes the actual stats of the Pokemon on
+ * screen from a level, IVs, EVs and a nature (formulas in stat-utils.js)
+ * and draws them over the base stats on the radar chart.
+ *
+ * Key Features:
+ * - Level, per-stat IVs and EVs (EV total capped at 510)
+ * - Natures from /nature with the raised and lowered stats highlighted
+ * - Lowest and highest possible stats at level 50 and 100
+ * - Calculated stats as a second dataset on the stats chart
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { requestNatures } from './requests.js';
+import { displayCalculatedStats, clearCalculatedStats } from './statsChart.js';
+import {
+  STAT_KEYS, STAT_LABELS, MAX_IV, MAX_EV, MAX_TOTAL_EVS, MIN_LEVEL, MAX_LEVEL,
+  calculateStats, getStatRanges, clampStatInput, getEvLimit
+} from './utils/stat-utils.js';
+import { openPanel, getPanelBody, createActionButton } from './utils/panel-utils.js';
+import { getLocalizedText } from './utils/language-utils.js';
+import { watchPreferences } from './utils/preferences-utils.js';
+import { showToast } from './utils/dom-utils.js';
+import { capitalizeFirstLetter } from './utils/data-utils.js';
+
+// ====================================
+// DOM ELEMENT REFERENCES
+// ====================================
+
+/** @type {HTMLButtonElement} Button on the stats card opening the calculator */
+const StatCalculatorButton = document.getElementById('stat-calculator-button');
+
+// ====================================
+// CALCULATOR STATE
+// ====================================
+
+/** @type {string} Stat calculator panel ID */
+const STAT_CALCULATOR_PANEL_ID = 'stat-calculator-panel';
+
+/** @type {Array<number>} Levels with a precomputed min/max column */
+const RANGE_LEVELS = [50, 100];
+
+/** @type {string} Nature selected before natures have loaded */
+const DEFAULT_NATURE = 'hardy';
+
+/**
+ * Calculator inputs, kept for the session so they carry over between Pokemon
+ * @type {{level: number, nature: string, ivs: Array<number>, evs: Array<number>, showOnChart: boolean}}
+ */
+const calculatorState = {
+  level: 50,
+  nature: DEFAULT_NATURE,
+  ivs: STAT_KEYS.map(() => MAX_IV),
+  evs: STAT_KEYS.map(() => 0),
+  showOnChart: true
+};
+
+/** @type {Object|null} Pokemon object from pokemon.js shown in the calculator */
+let currentPokemon = null;
+
+/** @type {Array<Object>} Natures from requestNatures, empty until loaded */
+let natures = [];
+
+/** @type {string} Nature loading state: 'idle', 'loading', 'ready' or 'failed' */
+let natureStatus = 'idle';
+
+// ====================================
+// INITIALIZATION
+// ====================================
+
+/**
+ * Wires up the stats card button and keeps nature names in the chosen language
+ */
+export function initializeStatCalculator() {
+  if(StatCalculatorButton) {
+    StatCalculatorButton.addEventListener('click', openStatCalculatorPanel);
+  }
+
+  watchPreferences(['language'], () => {
+    const body = getPanelBody(STAT_CALCULATOR_PANEL_ID);
+    if(body) {
+      renderStatCalculatorPanel(body);
+    }
+  });
+}
+
+/**
+ * Points the calculator at a newly displayed Pokemon
+ * An open panel recalculates; otherwise the previous Pokemon's overlay is removed
+ * @param {Object} pokemon - Pokemon object from pokemon.js
+ */
+export function displayStatCalculatorControls(pokemon) {
+  currentPokemon = pokemon;
+
+  const body = getPanelBody(STAT_CALCULATOR_PANEL_ID);
+  if(body) {
+    renderStatCalculatorPanel(body);
+  } else {
+    clearCalculatedStats();
+  }
+}
+
+// ====================================
+// STAT CALCULATOR PANEL
+// ====================================
+
+/**
+ * Opens the calculator for the Pokemon on screen
+ */
+export function openStatCalculatorPanel() {
+  if(!currentPokemon) {
+    showToast('❌ Load a Pokémon first');
+
+    return;
+  }
+
+  const { body } = openPanel({
+    id: STAT_CALCULATOR_PANEL_ID,
+    title: 'Stat Calculator',
+    className: 'stat-calculator-panel'
+  });
+
+  renderStatCalculatorPanel(body);
+
+  if(natureStatus === 'idle' || natureStatus === 'failed') {
+    natureStatus = 'loading';
+    requestNatures().then(loaded => {
+      natures = loaded;
+      natureStatus = loaded.length > 0 ? 'ready' : 'failed';
+
+      const openBody = getPanelBody(STAT_CALCULATOR_PANEL_ID);
+      if(openBody) {
+        renderStatCalculatorPanel(openBody);
+      }
+    });
+  }
+}
+
+/**
+ * Renders the inputs and the results table
+ * @param {HTMLElement} body - Panel body
+ */
+function renderStatCalculatorPanel(body) {
+  body.innerHTML = '';
+
+  const summary = document.createElement('p');
+  summary.className = 'stat-calculator-summary';
+  summary.innerText = `${currentPokemon.displayName}'s stats from its base stats, IVs (0–${MAX_IV}), EVs (0–${MAX_EV}, ${MAX_TOTAL_EVS} in total) and nature.`;
+
+  const controls = document.createElement('div');
+  controls.className = 'stat-calculator-controls';
+  controls.appendChild(createLevelControl(body));
+  controls.appendChild(createNatureControl(body));
+
+  const actions = document.createElement('div');
+  actions.className = 'stat-calculator-actions';
+  actions.appendChild(createActionButton('Max IVs', null, () => {
+    calculatorState.ivs = STAT_KEYS.map(() => MAX_IV);
+    renderStatCalculatorPanel(body);
+  }));
+  actions.appendChild(createActionButton('Clear EVs', null, () => {
+    calculatorState.evs = STAT_KEYS.map(() => 0);
+    renderStatCalculatorPanel(body);
+  }));
+
+  const chartToggle = document.createElement('label');
+  chartToggle.className = 'stat-calculator-toggle';
+  const chartCheckbox = document.createElement('input');
+  chartCheckbox.type = 'checkbox';
+  chartCheckbox.checked = calculatorState.showOnChart;
+  chartCheckbox.addEventListener('change', () => {
+    calculatorState.showOnChart = chartCheckbox.checked;
+    updateResults(body);
+  });
+  chartToggle.appendChild(chartCheckbox);
+  chartToggle.appendChild(document.createTextNode(' Show on stats chart'));
+  actions.appendChild(chartToggle);
+
+  const evTotal = document.createElement('p');
+  evTotal.className = 'stat-calculator-ev-total';
+  evTotal.setAttribute('aria-live', 'polite');
+
+  const note = document.createElement('p');
+  note.className = 'stat-calculator-note';
+  note.innerText = `Level ${RANGE_LEVELS.join(' and ')} ranges go from 0 IVs, 0 EVs and a lowering nature to ${MAX_IV} IVs, ${MAX_EV} EVs and a raising nature.`;
+
+  body.appendChild(summary);
+  body.appendChild(controls);
+  body.appendChild(createStatTable(body));
+  body.appendChild(evTotal);
+  body.appendChild(actions);
+  body.appendChild(note);
+
+  updateResults(body);
+} //renderStatCalculatorPanel
+
+/**
+ * Creates the level input with quick picks for the range levels
+ * @param {HTMLElement} body - Panel body
+ * @returns {HTMLElement} Control row
+ */
+function createLevelControl(body) {
+  const row = document.createElement('div');
+  row.className = 'stat-calculator-field';
+
+  const label = document.createElement('label');
+  label.htmlFor = 'stat-calculator-level';
+  label.innerText = 'Level';
+
+  const input = createNumberInput(calculatorState.level, MIN_LEVEL, MAX_LEVEL);
+  input.id = 'stat-calculator-level';
+  input.addEventListener('input', () => {
+    calculatorState.level = clampStatInput(input.value, MIN_LEVEL, MAX_LEVEL);
+    updateResults(body);
+  });
+  input.addEventListener('change', () => {
+    input.value = String(calculatorState.level);
+  });
+
+  row.appendChild(label);
+  row.appendChild(input);
+
+  RANGE_LEVELS.forEach(level => {
+    row.appendChild(createActionButton(String(level), null, () => {
+      calculatorState.level = level;
+      input.value = String(level);
+      updateResults(body);
+    }));
+  });
+
+  return row;
+}
+
+/**
+ * Creates the nature select; disabled until natures have loaded
+ * @param {HTMLElement} body - Panel body
+ * @returns {HTMLElement} Control row
+ */
+function createNatureControl(body) {
+  const row = document.createElement('div');
+  row.className = 'stat-calculator-field';
+
+  const label = document.createElement('label');
+  label.htmlFor = 'stat-calculator-nature';
+  label.innerText = 'Nature';
+
+  const select = document.createElement('select');
+  select.id = 'stat-calculator-nature';
+  select.className = 'stat-calculator-select';
+
+  if(natures.length === 0) {
+    const option = document.createElement('option');
+    option.innerText = natureStatus === 'failed' ? 'Neutral (natures unavailable)' : 'Neutral (loading natures…)';
+    select.appendChild(option);
+    select.disabled = true;
+  } else {
+    natures.forEach(nature => {
+      const option = document.createElement('option');
+      option.value = nature.name;
+      option.innerText = getNatureLabel(nature);
+      select.appendChild(option);
+    });
+    select.value = calculatorState.nature;
+  }
+
+  select.addEventListener('change', () => {
+    calculatorState.nature = select.value;
+    updateResults(body);
+  });
+
+  row.appendChild(label);
+  row.appendChild(select);
+
+  return row;
+}
+
+/**
+ * Creates the table of inputs and results, one row per stat
+ * @param {HTMLElement} body - Panel body
+ * @returns {HTMLTableElement} Stat table
+ */
+function createStatTable(body) {
+  const baseStats = currentPokemon.statsArray;
+  const ranges = RANGE_LEVELS.map(level => getStatRanges(baseStats, level));
+
+  const table = document.createElement('table');
+  table.className = 'stat-calculator-table';
+  table.innerHTML = `<thead><tr><th scope="col">Stat</th><th scope="col">Base</th><th scope="col">IV</th><th scope="col">EV</th><th scope="col">Result</th>${RANGE_LEVELS.map(level => `<th scope="col">Lv. ${level}</th>`).join('')}</tr></thead>`;
+
+  const tbody = document.createElement('tbody');
+  STAT_KEYS.forEach((statKey, index) => {
+    const row = document.createElement('tr');
+    row.dataset.stat = statKey;
+
+    const label = document.createElement('th');
+    label.scope = 'row';
+    label.innerText = STAT_LABELS[index];
+
+    const base = document.createElement('td');
+    base.innerText = String(baseStats[index]);
+
+    const ivInput = createNumberInput(calculatorState.ivs[index], 0, MAX_IV);
+    ivInput.setAttribute('aria-label', `${STAT_LABELS[index]} IV`);
+    ivInput.addEventListener('input', () => {
+      calculatorState.ivs[index] = clampStatInput(ivInput.value, 0, MAX_IV);
+      updateResults(body);
+    });
+    ivInput.addEventListener('change', () => {
+      ivInput.value = String(calculatorState.ivs[index]);
+    });
+
+    const evInput = createNumberInput(calculatorState.evs[index], 0, MAX_EV);
+    evInput.step = '4';
+    evInput.setAttribute('aria-label', `${STAT_LABELS[index]} EV`);
+    evInput.addEventListener('input', () => {
+      calculatorState.evs[index] = clampStatInput(evInput.value, 0, getEvLimit(calculatorState.evs, index));
+      updateResults(body);
+    });
+    evInput.addEventListener('change', () => {
+      evInput.value = String(calculatorState.evs[index]);
+    });
+
+    const result = document.createElement('td');
+    result.className = 'stat-calculator-result';
+    result.dataset.result = String(index);
+
+    row.appendChild(label);
+    row.appendChild(base);
+    row.appendChild(wrapCell(ivInput));
+    row.appendChild(wrapCell(evInput));
+    row.appendChild(result);
+
+    ranges.forEach(levelRanges => {
+      const range = document.createElement('td');
+      range.className = 'stat-calculator-range';
+      range.innerText = `${levelRanges[index].min}–${levelRanges[index].max}`;
+      row.appendChild(range);
+    });
+
+    tbody.appendChild(row);
+  });
+
+  table.appendChild(tbody);
+
+  return table;
+} //createStatTable
+
+/**
+ * Recalculates the results, nature highlights, EV total and chart overlay
+ * @param {HTMLElement} body - Panel body
+ */
+function updateResults(body) {
+  const nature = natures.find(entry => entry.name === calculatorState.nature) || null;
+  const stats = calculateStats(currentPokemon.statsArray, { ...calculatorState, nature });
+
+  body.querySelectorAll('.stat-calculator-table tbody tr').forEach((row, index) => {
+    const raised = !!nature && nature.increased !== nature.decreased && nature.increased === row.dataset.stat;
+    const lowered = !!nature && nature.increased !== nature.decreased && nature.decreased === row.dataset.stat;
+    row.classList.toggle('stat-calculator-raised', raised);
+    row.classList.toggle('stat-calculator-lowered', lowered);
+
+    const result = row.querySelector('.stat-calculator-result');
+    result.innerText = `${stats[index]}${raised ? ' ▲' : lowered ? ' ▼' : ''}`;
+  });
+
+  const evTotal = calculatorState.evs.reduce((total, ev) => total + ev, 0);
+  const evText = body.querySelector('.stat-calculator-ev-total');
+  evText.innerText = `EVs used: ${evTotal} / ${MAX_TOTAL_EVS} (${MAX_TOTAL_EVS - evTotal} left)`;
+
+  if(calculatorState.showOnChart) {
+    displayCalculatedStats(stats, `Lv. ${calculatorState.level}${nature ? ` ${getNatureName(nature)}` : ''}`);
+  } else {
+    clearCalculatedStats();
+  }
+}
+
+// ====================================
+// HELPERS
+// ====================================
+
+/**
+ * Returns a nature's name in the chosen language
+ * @param {Object} nature - Nature from requestNatures
+ * @returns {string} Nature name
+ */
+function getNatureName(nature) {
+  const localized = getLocalizedText(nature.names, 'name');
+
+  return localized ? localized.text : capitalizeFirstLetter(nature.name);
+}
+
+/**
+ * Returns a nature's name with the stats it raises and lowers
+ * @param {Object} nature - Nature from requestNatures
+ * @returns {string} Option label (e.g. 'Adamant (+Atk, −Sp. Atk)')
+ */
+function getNatureLabel(nature) {
+  if(!nature.increased || nature.increased === nature.decreased) {
+    return `${getNatureName(nature)} (neutral)`;
+  }
+
+  const statLabel = statKey => STAT_LABELS[STAT_KEYS.indexOf(statKey)] || statKey;
+
+  return `${getNatureName(nature)} (+${statLabel(nature.increased)}, −${statLabel(nature.decreased)})`;
+}
+
+/**
+ * Creates a whole-number input
+ * @param {number} value - Initial value
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @returns {HTMLInputElement} Number input
+ */
+function createNumberInput(value, min, max) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'stat-calculator-input';
+  input.inputMode = 'numeric';
+  input.min = String(min);
+  input.max = String(max);
+  input.value = String(value);
+
+  return input;
+}
+
+/**
+ * Wraps an element in a table cell
+ * @param {HTMLElement} element - Cell content
+ * @returns {HTMLTableCellElement} Table cell
+ */
+function wrapCell(element) {
+  const cell = document.createElement('td');
+  cell.appendChild(element);
+
+  return cell;
+}
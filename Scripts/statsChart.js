@@ -8,6 +8,8 @@
  * 
  * Key Features:
  * - Radar chart generation for Pokemon base stats
+ * - Overlay radar chart for comparing up to four Pokemon
+ * - Calculated stats (stat calculator) drawn over the base stats
  * - Dynamic color theming based on Pokemon types
  * - Performance optimized chart rendering
  * - Responsive chart sizing and scaling
@@ -31,8 +33,8 @@
 // ====================================
 // MODULE IMPORTS
 // ====================================
-import { capitalizeFirstLetter, punctuationNameCheck } from './utils/data-utils.js?v=20250801i';
-import { TRANSPARENT_COLOR as TransparentColor } from './utils/color-utils.js?v=20250801';
+import { capitalizeFirstLetter, punctuationNameCheck } from './utils/data-utils.js';
+import { TRANSPARENT_COLOR as TransparentColor } from './utils/color-utils.js';
 
 // Constants
 const TextColor = 'rgba(98, 98, 98, 0.95)';
@@ -119,6 +121,18 @@ const RadarChart = document.getElementById('stats-chart');
 /** @type {Chart|null} Chart.js instance for Pokemon stats visualization */
 let statsChart = null;
 
+/** @type {Chart|null} Chart.js instance in the compare panel */
+let comparisonChart = null;
+
+/** @type {{stats: Array<number>, label: string}|null} Calculated stats drawn over the base stats */
+let calculatedOverlay = null;
+
+/** @type {{backgroundColor: string, borderColor: string}} Colors of the calculated stats dataset */
+const CalculatedColors = { backgroundColor: 'rgba(45, 55, 72, 0.15)', borderColor: 'rgba(45, 55, 72, 0.8)' };
+
+/** @type {Array<string>} Radar axis labels, clockwise from the top (Speed at the bottom) */
+const ChartStatLabels = ['HP', 'Attack', 'Defense', 'Speed', 'Sp.Def', 'Sp.Atk'];
+
 // ====================================
 // STATS CHART GENERATION
 // ====================================
@@ -136,11 +150,7 @@ let statsChart = null;
  * Dynamically loads Chart.js and displays a radar chart for Pokémon stats
  */
 async function displayStatsChart(backgroundColor, borderColor, stats, max, name) {
-  // Dynamically import Chart.js ESM build only when rendering stats
-  const ChartModule = await import('https://cdn.jsdelivr.net/npm/chart.js@3.3.0/dist/chart.esm.js');
-  // Use registerables to register all chart components including controllers
-  const { Chart, registerables } = ChartModule;
-  Chart.register(...registerables);
+  const Chart = await loadChartJs();
   
   // Efficiently destroy existing chart instance to prevent memory leaks
   cleanupStatsChart();
@@ -155,36 +165,253 @@ async function displayStatsChart(backgroundColor, borderColor, stats, max, name)
   
   // Ensure max is divisible by 25
   max = Math.ceil(max / 25) * 25;
-  
-  // Pre-configure chart data structure for optimal performance
-  // Move Speed stat to the bottom by reordering labels and stats
-  // Switch Sp.Atk and Speed so Speed comes before Sp.Atk
-  const statLabels = ['HP', 'Attack', 'Defense', 'Speed', 'Sp.Atk', 'Sp.Def'];
-  let reorderedStats = stats;
-  if(statLabels.length === stats.length) {
-    const originalOrder = ['HP', 'Attack', 'Defense', 'Sp.Atk', 'Sp.Def', 'Speed'];
-
-    reorderedStats = [
-      stats[originalOrder.indexOf('HP')],
-      stats[originalOrder.indexOf('Attack')],
-      stats[originalOrder.indexOf('Defense')],
-      stats[originalOrder.indexOf('Speed')],
-      stats[originalOrder.indexOf('Sp.Def')],
-      stats[originalOrder.indexOf('Sp.Atk')],
-    ];
-  }
 
   const chartData = {
-    labels: ['HP', 'Attack', 'Defense', 'Speed', 'Sp.Def', 'Sp.Atk'],
+    labels: ChartStatLabels,
     datasets: [{
-      data: reorderedStats,        // Base stat values array
+      label: 'Base stats',
+      data: reorderStats(stats),   // Base stat values array
       backgroundColor,             // Fill color based on Pokemon type
       borderColor,                 // Border color based on Pokemon type
     }],
   };
 
+  // Stat calculator results, if any, go on top of the base stats
+  if(calculatedOverlay) {
+    chartData.datasets.push(getCalculatedDataset());
+  }
+
   // Configure chart appearance and behavior options with responsive settings
-  const chartOptions = {
+  const chartOptions = getChartOptions({
+    deviceType,
+    config,
+    max,
+    title: `Stats For ${capitalizeFirstLetter(name)}`,
+    accentColor: borderColor
+  });
+  fitRadarScale(chartOptions, chartData.datasets, max);
+  
+  // Create new Chart.js radar chart with optimized settings
+  statsChart = new Chart(chart, {
+    type: 'radar',
+    data: chartData,
+    options: chartOptions,
+  });
+  
+  // Ensure chart sizing matches its container
+  chart.style.width = chart.parentElement.style.width;
+  chart.style.height = chart.parentElement.style.height;
+  
+  // Add resize listener for responsive updates
+  const resizeHandler = () => {
+    if(statsChart) {
+      const newDeviceType = getDeviceTypeForChart();
+      
+      if(newDeviceType !== deviceType) {
+        // Redraw chart with new responsive settings if device type changed
+        setTimeout(() => {
+          displayStatsChart(backgroundColor, borderColor, stats, max, name);
+        }, 100);
+      } else {
+        // Just resize the chart if device type hasn't changed
+        statsChart.resize();
+      }
+    }
+  };
+  
+  // Remove any existing resize listeners to prevent duplicates
+  window.removeEventListener('resize', resizeHandler);
+  // Throttle resize events for performance
+  let resizeTimeout;
+  window.addEventListener('resize', () => {
+    clearTimeout(resizeTimeout);
+    
+    resizeTimeout = setTimeout(() => {
+      resizeHandler();
+    }, 200);
+  }, { passive: true });
+  
+  // Store reference for cleanup
+  statsChart._resizeHandler = resizeHandler;
+  statsChart._baseMax = max;
+} //displayStatsChart
+
+/**
+ * Draws calculated stats as a second dataset on the stats chart
+ * The overlay stays until it is cleared, including across redraws of the same chart
+ * @param {Array<number>} stats - Calculated stats in API order
+ * @param {string} label - Legend label (e.g. 'Lv. 50 Adamant')
+ */
+function displayCalculatedStats(stats, label) {
+  calculatedOverlay = { stats, label };
+  updateCalculatedDataset();
+}
+
+/**
+ * Removes the calculated stats from the stats chart
+ */
+function clearCalculatedStats() {
+  calculatedOverlay = null;
+  updateCalculatedDataset();
+}
+
+/**
+ * Applies the current overlay to a chart already on screen
+ */
+function updateCalculatedDataset() {
+  if(!statsChart) {
+    return;
+  }
+
+  const datasets = statsChart.data.datasets;
+  datasets.splice(1, datasets.length - 1, ...(calculatedOverlay ? [getCalculatedDataset()] : []));
+  fitRadarScale(statsChart.options, datasets, statsChart._baseMax);
+  statsChart.update();
+}
+
+/**
+ * Builds the Chart.js dataset for the calculated stats
+ * @returns {Object} Dataset
+ */
+function getCalculatedDataset() {
+  return {
+    label: calculatedOverlay.label,
+    data: reorderStats(calculatedOverlay.stats),
+    backgroundColor: CalculatedColors.backgroundColor,
+    borderColor: CalculatedColors.borderColor,
+    borderDash: [6, 4],
+    pointBackgroundColor: CalculatedColors.borderColor,
+    pointBorderColor: CalculatedColors.borderColor
+  };
+}
+
+/**
+ * Sizes the radial scale to fit every dataset and shows the legend when there is more than one
+ * Calculated stats reach several hundred, so the tick step grows with the scale
+ * @param {Object} options - Chart.js options (mutated)
+ * @param {Array<Object>} datasets - Chart datasets
+ * @param {number} baseMax - Largest base stat
+ */
+function fitRadarScale(options, datasets, baseMax) {
+  const largest = Math.max(baseMax, ...datasets.slice(1).flatMap(dataset => dataset.data));
+  const stepSize = datasets.length === 1 || largest <= 250 ? 25 : largest <= 500 ? 50 : 100;
+
+  options.scales.r.max = Math.ceil(largest / stepSize) * stepSize;
+  options.scales.r.ticks.stepSize = stepSize;
+  options.plugins.legend.display = datasets.length > 1;
+}
+
+/**
+ * Draws several Pokemon on one radar chart, one colored dataset each, with a legend
+ * Used by the compare panel (compare.js); replaces any comparison chart already drawn
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Array<{label: string, stats: Array<number>, backgroundColor: string, borderColor: string}>} datasets - One entry per Pokemon, stats in API order
+ * @param {number} max - Largest stat value across all datasets
+ * @param {string} [title='Base Stats'] - Chart title
+ * @returns {Promise<void>}
+ * @example
+ * displayComparisonChart(canvas, [
+ *   { label: 'Pikachu', stats: [35, 55, 40, 50, 50, 90], backgroundColor: 'rgba(229, 62, 62, 0.2)', borderColor: '#e53e3e' },
+ *   { label: 'Raichu', stats: [60, 90, 55, 90, 80, 110], backgroundColor: 'rgba(49, 130, 206, 0.2)', borderColor: '#3182ce' }
+ * ], 110);
+ */
+async function displayComparisonChart(canvas, datasets, max, title = 'Base Stats') {
+  const Chart = await loadChartJs();
+
+  cleanupComparisonChart();
+
+  // The panel was closed while Chart.js was loading
+  if(!canvas.isConnected) {
+    return;
+  }
+
+  const deviceType = getDeviceTypeForChart();
+  const config = getResponsiveChartConfig(deviceType);
+  const chartOptions = getChartOptions({
+    deviceType,
+    config,
+    max: Math.ceil(max / 25) * 25,
+    title,
+    accentColor: 'rgba(98, 98, 98, 0.6)',
+    showLegend: true
+  });
+
+  // Points take each dataset's own color instead of the shared accent
+  delete chartOptions.elements.point.backgroundColor;
+  delete chartOptions.elements.point.borderColor;
+  chartOptions.plugins.tooltip.callbacks.label = context => `${context.dataset.label}: ${context.formattedValue}`;
+
+  comparisonChart = new Chart(canvas, {
+    type: 'radar',
+    data: {
+      labels: ChartStatLabels,
+      datasets: datasets.map(dataset => ({
+        label: dataset.label,
+        data: reorderStats(dataset.stats),
+        backgroundColor: dataset.backgroundColor,
+        borderColor: dataset.borderColor,
+        pointBackgroundColor: dataset.borderColor,
+        pointBorderColor: dataset.borderColor
+      }))
+    },
+    options: chartOptions
+  });
+} //displayComparisonChart
+
+// ====================================
+// CHART CONFIGURATION HELPERS
+// ====================================
+
+/**
+ * Loads the Chart.js ESM build on first use and registers its components
+ * @returns {Promise<Function>} Chart constructor
+ */
+async function loadChartJs() {
+  // Dynamically import Chart.js ESM build only when rendering stats
+  const ChartModule = await import('https://cdn.jsdelivr.net/npm/chart.js@3.3.0/dist/chart.esm.js');
+  // Use registerables to register all chart components including controllers
+  const { Chart, registerables } = ChartModule;
+  Chart.register(...registerables);
+
+  return Chart;
+}
+
+/**
+ * Reorders API stats (HP, Atk, Def, Sp.Atk, Sp.Def, Speed) into chart order
+ * Speed sits at the bottom of the radar, opposite HP
+ * @param {Array<number>} stats - Six base stat values in API order
+ * @returns {Array<number>} Stat values in ChartStatLabels order
+ */
+function reorderStats(stats) {
+  if(stats.length !== ChartStatLabels.length) {
+    return stats;
+  }
+
+  const originalOrder = ['HP', 'Attack', 'Defense', 'Sp.Atk', 'Sp.Def', 'Speed'];
+
+  return [
+    stats[originalOrder.indexOf('HP')],
+    stats[originalOrder.indexOf('Attack')],
+    stats[originalOrder.indexOf('Defense')],
+    stats[originalOrder.indexOf('Speed')],
+    stats[originalOrder.indexOf('Sp.Def')],
+    stats[originalOrder.indexOf('Sp.Atk')],
+  ];
+}
+
+/**
+ * Builds the radar chart options shared by the stats card and the compare panel
+ * @param {Object} options - Chart settings
+ * @param {string} options.deviceType - 'mobile', 'tablet' or 'desktop'
+ * @param {Object} options.config - Responsive configuration from getResponsiveChartConfig
+ * @param {number} options.max - Scale maximum (a multiple of 25)
+ * @param {string} options.title - Chart title
+ * @param {string} options.accentColor - Point and tooltip border color
+ * @param {boolean} [options.showLegend=false] - Show the dataset legend
+ * @returns {Object} Chart.js options
+ */
+function getChartOptions({ deviceType, config, max, title, accentColor, showLegend = false }) {
+  return {
     responsive: true,                               // Enable responsiveness
     maintainAspectRatio: false,                     // Allow dynamic sizing
     devicePixelRatio: window.devicePixelRatio || 2, // Better quality on high-DPI screens
@@ -203,8 +430,8 @@ async function displayStatsChart(backgroundColor, borderColor, stats, max, name)
       point: {
         radius: config.pointRadius, // Responsive point size
         pointStyle: 'circle',      // Circular points
-        backgroundColor: borderColor, // Match point color
-        borderColor: borderColor,
+        backgroundColor: accentColor, // Match point color
+        borderColor: accentColor,
         borderWidth: config.pointBorderWidth, // Responsive border width
         hoverRadius: config.pointHoverRadius   // Responsive hover radius
       },
@@ -212,7 +439,7 @@ async function displayStatsChart(backgroundColor, borderColor, stats, max, name)
     plugins: {
       title: {
         display: true,
-        text: `Stats For ${capitalizeFirstLetter(name)}`,
+        text: title,
         color: TextColor,
         font: { 
           size: config.titleFontSize, // Responsive title font size
@@ -220,13 +447,16 @@ async function displayStatsChart(backgroundColor, borderColor, stats, max, name)
         },
         padding: config.titlePadding // Responsive padding
       },
-      legend: { display: false },
+      legend: {
+        display: showLegend,
+        labels: { color: TextColor }
+      },
       tooltip: {
         enabled: true,
         backgroundColor: 'rgba(0, 0, 0, 0.85)',
         titleColor: '#fff',
         bodyColor: '#fff',
-        borderColor: borderColor,
+        borderColor: accentColor,
         borderWidth: 1,
         cornerRadius: deviceType === 'mobile' ? 6 : 8,
         padding: config.tooltipPadding, // Responsive padding
@@ -284,50 +514,7 @@ async function displayStatsChart(backgroundColor, borderColor, stats, max, name)
       }
     },
   };
-  
-  // Create new Chart.js radar chart with optimized settings
-  statsChart = new Chart(chart, {
-    type: 'radar',
-    data: chartData,
-    options: chartOptions,
-  });
-  
-  // Ensure chart sizing matches its container
-  chart.style.width = chart.parentElement.style.width;
-  chart.style.height = chart.parentElement.style.height;
-  
-  // Add resize listener for responsive updates
-  const resizeHandler = () => {
-    if(statsChart) {
-      const newDeviceType = getDeviceTypeForChart();
-      
-      if(newDeviceType !== deviceType) {
-        // Redraw chart with new responsive settings if device type changed
-        setTimeout(() => {
-          displayStatsChart(backgroundColor, borderColor, stats, max, name);
-        }, 100);
-      } else {
-        // Just resize the chart if device type hasn't changed
-        statsChart.resize();
-      }
-    }
-  };
-  
-  // Remove any existing resize listeners to prevent duplicates
-  window.removeEventListener('resize', resizeHandler);
-  // Throttle resize events for performance
-  let resizeTimeout;
-  window.addEventListener('resize', () => {
-    clearTimeout(resizeTimeout);
-    
-    resizeTimeout = setTimeout(() => {
-      resizeHandler();
-    }, 200);
-  }, { passive: true });
-  
-  // Store reference for cleanup
-  statsChart._resizeHandler = resizeHandler;
-} //displayStatsChart
+} //getChartOptions
 
 // ====================================
 // CHART MANAGEMENT FUNCTIONS
@@ -350,6 +537,16 @@ function cleanupStatsChart() {
   }
 }
 
+/**
+ * Destroys the compare panel chart, if one is drawn
+ */
+function cleanupComparisonChart() {
+  if(comparisonChart) {
+    comparisonChart.destroy();
+    comparisonChart = null;
+  }
+}
+
 // ====================================
 // DEV UTILITY FUNCTIONS
 // ====================================
@@ -372,6 +569,10 @@ function isDev() {
 // ====================================
 
 export {
-  displayStatsChart,  // Main function for creating Pokemon stats charts
-  cleanupStatsChart,  // Function for cleaning up chart instances
+  displayStatsChart,       // Main function for creating Pokemon stats charts
+  displayComparisonChart,  // Overlay radar for several Pokemon
+  displayCalculatedStats,  // Stat calculator results over the base stats
+  clearCalculatedStats,    // Remove the stat calculator results
+  cleanupStatsChart,       // Function for cleaning up chart instances
+  cleanupComparisonChart,  // Cleanup for the comparison chart
 };
@@ -12,6 +12,9 @@
  * - Offline/online status monitoring with UI feedback
  * - Graceful fallbacks for browsers without service worker support
  * - Debug utilities for development and troubleshooting
+ * - Offline Pokédex download in batches with progress events and quota checks
+ * - Cache inspection, per-cache and per-Pokémon purges, and stale refresh on demand
+ * - Daily Pokémon notification through Periodic Background Sync
  * 
  * Update Strategy:
  * - Automatic detection of service worker updates
@@ -48,6 +51,24 @@ let isUpdateAvailable = false;
 /** @type {boolean} Current offline status of the application */
 let isOffline = !navigator.onLine;
 
+/** @type {string} Window event carrying offline Pokédex download progress */
+const OFFLINE_DEX_EVENT = 'sw-offline-dex-progress';
+
+/** @type {number} Resources requested from the service worker per batch */
+const OFFLINE_DEX_BATCH_SIZE = 25;
+
+/** @type {number} Free space always left to the rest of the app and the browser (bytes) */
+const OFFLINE_DEX_RESERVED_BYTES = 50 * 1024 * 1024;
+
+/** @type {string} Periodic Background Sync tag handled by service-worker.js */
+const DAILY_POKEMON_SYNC_TAG = 'daily-pokemon';
+
+/** @type {number} Shortest time between daily notification checks (ms) */
+const DAILY_POKEMON_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
+/** @type {{running: boolean, stopRequested: boolean, promise: Promise|null}} State of the download loop */
+const offlineDexDownload = { running: false, stopRequested: false, promise: null };
+
 /**
  * Initialize the service worker manager and set up all related functionality
  * Handles service worker registration, update detection, and offline monitoring
@@ -343,9 +364,10 @@ function getCacheStatus() {
 }
 
 /**
- * Clear all caches
+ * Clear all caches, or one cache when a name is given
+ * @param {string} [cacheName] - Cache to clear (from inspectCaches)
  */
-function clearCaches() {
+function clearCaches(cacheName) {
   return new Promise(function(resolve, reject) {
     if(!navigator.serviceWorker.controller) {
       reject(new Error('No active service worker'));
@@ -363,12 +385,276 @@ function clearCaches() {
     };
 
     navigator.serviceWorker.controller.postMessage(
-      { type: 'CLEAR_CACHE' },
+      { type: 'CLEAR_CACHE', cacheName: cacheName },
       [messageChannel.port2]
     );
   });
 }
 
+/**
+ * Sends a message to the active service worker and waits for its reply
+ * @param {Object} message - Message with a type understood by service-worker.js
+ * @returns {Promise<Object>} The reply's status
+ */
+function sendServiceWorkerMessage(message) {
+  return new Promise(function(resolve, reject) {
+    if(!navigator.serviceWorker || !navigator.serviceWorker.controller) {
+      reject(new Error('No active service worker'));
+
+      return;
+    }
+
+    const messageChannel = new MessageChannel();
+    messageChannel.port1.onmessage = function(event) {
+      if(event.data.success) {
+        resolve(event.data.status);
+      } else {
+        reject(new Error(event.data.error || `${message.type} failed`));
+      }
+    };
+
+    navigator.serviceWorker.controller.postMessage(message, [messageChannel.port2]);
+  });
+}
+
+// ====================================
+// CACHE INSPECTOR
+// ====================================
+
+/**
+ * Lists the app caches and the Pokemon cached in them
+ * @returns {Promise<{caches: Array<Object>, pokemon: Array<Object>}>} For each cache its name,
+ * kind ('static', 'dynamic' or 'api'), count, bytes and oldest/newest entry; for each Pokemon
+ * its id, name, count, bytes and entries
+ */
+function inspectCaches() {
+  return sendServiceWorkerMessage({ type: 'INSPECT_CACHES' });
+}
+
+/**
+ * Deletes cache entries, e.g. the entries of one Pokemon from inspectCaches
+ * @param {Array<{cacheName: string, url: string}>} entries - Entries to delete
+ * @returns {Promise<{deleted: number}>} Number of entries removed
+ */
+function purgeCacheEntries(entries) {
+  return sendServiceWorkerMessage({ type: 'PURGE_CACHE_ENTRIES', entries: entries });
+}
+
+/**
+ * Refetches API cache entries older than 15 minutes now
+ * @returns {Promise<{checked: number, stale: number, updated: number, failed: number}>} What was refreshed
+ */
+function refreshStaleCache() {
+  return sendServiceWorkerMessage({ type: 'REFRESH_STALE_CACHE' });
+}
+
+// ====================================
+// OFFLINE POKÉDEX DOWNLOAD
+// ====================================
+
+/**
+ * Downloads every Pokemon, species, artwork and cry for offline use
+ * Runs batch after batch until done, paused, offline or out of space. Each
+ * batch is one message, so the worker can stop between batches and a later
+ * call resumes where the last one ended.
+ * Progress is reported through 'sw-offline-dex-progress' window events whose
+ * detail is the status plus a state: 'downloading', 'complete', 'paused',
+ * 'offline', 'quota', 'error' or 'deleted'.
+ * @param {{apiBaseUrl: string, apiMode: string, spriteBaseUrl: string, cryBaseUrl: string}} sources - Data sources (getApiConfig)
+ * @returns {Promise<Object|null>} Final status, or null if a download is already running
+ * @example
+ * window.addEventListener('sw-offline-dex-progress', event => console.log(event.detail.completed));
+ * ServiceWorkerManager.downloadOfflineDex(getApiConfig());
+ */
+function downloadOfflineDex(sources) {
+  if(offlineDexDownload.running) {
+    return Promise.resolve(null);
+  }
+
+  offlineDexDownload.running = true;
+  offlineDexDownload.stopRequested = false;
+  offlineDexDownload.promise = runOfflineDexDownload(sources);
+
+  return offlineDexDownload.promise;
+}
+
+/**
+ * Requests batches until the download ends (see downloadOfflineDex)
+ * @param {Object} sources - Data sources
+ * @returns {Promise<Object>} Final status
+ */
+async function runOfflineDexDownload(sources) {
+  // Ask the browser not to evict the download under storage pressure
+  if(navigator.storage && navigator.storage.persist) {
+    await navigator.storage.persist().catch(function() {});
+  }
+
+  let status = null;
+  let retryFailed = true;
+
+  try {
+    while(true) {
+      if(!navigator.onLine) {
+        return reportOfflineDex('offline', status);
+      }
+
+      status = await sendServiceWorkerMessage({
+        type: 'OFFLINE_DEX_BATCH',
+        sources: sources,
+        batchSize: OFFLINE_DEX_BATCH_SIZE,
+        retryFailed: retryFailed
+      });
+      retryFailed = false;
+
+      if(status.remaining === 0) {
+        return reportOfflineDex('complete', status);
+      }
+      if(status.errors >= OFFLINE_DEX_BATCH_SIZE) {
+        // Nothing in the batch could be fetched
+        return reportOfflineDex(navigator.onLine ? 'error' : 'offline', status);
+      }
+
+      const space = await getOfflineDexSpace(status);
+      if(space && space.available < space.needed) {
+        return reportOfflineDex('quota', Object.assign({}, status, space));
+      }
+
+      if(offlineDexDownload.stopRequested) {
+        return reportOfflineDex('paused', status);
+      }
+
+      reportOfflineDex('downloading', Object.assign({}, status, space));
+    }
+  } catch (error) {
+    console.error('Offline Pokédex download failed:', error);
+
+    return reportOfflineDex('error', Object.assign({ error: error.message }, status));
+  } finally {
+    offlineDexDownload.running = false;
+    offlineDexDownload.promise = null;
+  }
+} //runOfflineDexDownload
+
+/**
+ * Compares free storage with what the next batches are likely to need
+ * Sizes extrapolate the average of what has been stored so far. The download
+ * stops before storage runs low rather than refusing to start, since a partial
+ * download still works for the Pokemon it covers.
+ * @param {Object} status - Status from the service worker
+ * @returns {Promise<{available: number, needed: number, estimatedRemaining: number}|null>} Bytes, or null when the browser cannot tell
+ */
+async function getOfflineDexSpace(status) {
+  if(!navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+
+  const estimate = await navigator.storage.estimate();
+  const averageBytes = status.completed > 0 ? status.bytes / status.completed : 0;
+
+  return {
+    available: estimate.quota - estimate.usage,
+    needed: Math.min(status.remaining, OFFLINE_DEX_BATCH_SIZE * 4) * averageBytes + OFFLINE_DEX_RESERVED_BYTES,
+    estimatedRemaining: Math.round(averageBytes * status.remaining)
+  };
+}
+
+/**
+ * Publishes download progress to the page
+ * @param {string} state - Download state
+ * @param {Object|null} status - Status from the service worker
+ * @returns {Object} Event detail
+ */
+function reportOfflineDex(state, status) {
+  const detail = Object.assign({ total: 0, completed: 0, remaining: 0, failed: 0, bytes: 0 }, status, { state: state });
+  window.dispatchEvent(new CustomEvent(OFFLINE_DEX_EVENT, { detail: detail }));
+
+  return detail;
+}
+
+/**
+ * Stops the download after the batch in progress
+ */
+function pauseOfflineDex() {
+  offlineDexDownload.stopRequested = true;
+}
+
+/**
+ * Gets the offline Pokédex status from the service worker
+ * @returns {Promise<Object>} Status with running set while a download is in progress
+ */
+function getOfflineDexStatus() {
+  return sendServiceWorkerMessage({ type: 'OFFLINE_DEX_STATUS' }).then(function(status) {
+    return Object.assign({}, status, { running: offlineDexDownload.running });
+  });
+}
+
+/**
+ * Deletes the offline Pokédex, waiting for a running download to stop first
+ * @returns {Promise<Object>} Empty status
+ */
+async function deleteOfflineDex() {
+  if(offlineDexDownload.promise) {
+    pauseOfflineDex();
+    await offlineDexDownload.promise;
+  }
+
+  const status = await sendServiceWorkerMessage({ type: 'OFFLINE_DEX_DELETE' });
+
+  return reportOfflineDex('deleted', status);
+}
+
+// ====================================
+// DAILY POKÉMON NOTIFICATION
+// ====================================
+
+/**
+ * Whether this browser can deliver the daily notification
+ * Periodic Background Sync is only offered to installed apps in Chromium browsers
+ * @returns {boolean} True when notifications and Periodic Background Sync are available
+ */
+function isDailyNotificationSupported() {
+  return 'serviceWorker' in navigator && 'Notification' in window
+    && 'periodicSync' in window.ServiceWorkerRegistration.prototype;
+}
+
+/**
+ * Turns the daily notification on or off
+ * The settings go to the service worker first, as it cannot read localStorage.
+ * Notification permission must already be granted when enabling.
+ * @param {{enabled: boolean, maximumId?: number, language?: string, sources?: Object}} config - Notification settings
+ * @returns {Promise<void>} Rejects when the browser refuses the periodic sync (e.g. the app is not installed)
+ * @example
+ * await ServiceWorkerManager.setDailyNotification({ enabled: true, maximumId: 151, language: 'en', sources: getApiConfig() });
+ */
+async function setDailyNotification(config) {
+  await sendServiceWorkerMessage({ type: 'DAILY_POKEMON_CONFIG', config: config });
+
+  if(!isDailyNotificationSupported()) {
+    if(config.enabled) {
+      throw new Error('Periodic Background Sync is not supported');
+    }
+
+    return;
+  }
+
+  const registration = swRegistration || await navigator.serviceWorker.ready;
+
+  if(!config.enabled) {
+    await registration.periodicSync.unregister(DAILY_POKEMON_SYNC_TAG);
+
+    return;
+  }
+
+  const permission = await navigator.permissions.query({ name: 'periodic-background-sync' }).catch(function() {
+    return null;
+  });
+  if(permission && permission.state === 'denied') {
+    throw new Error('Periodic Background Sync permission denied');
+  }
+
+  await registration.periodicSync.register(DAILY_POKEMON_SYNC_TAG, { minInterval: DAILY_POKEMON_SYNC_INTERVAL });
+} //setDailyNotification
+
 /**
  * Preload important resources
  */
@@ -377,7 +663,7 @@ function preloadResources(urls) {
     return Promise.resolve();
   }
   
-  return caches.open('pokedex-dynamic-v3').then(function(cache) {
+  return caches.open('pokedex-dynamic').then(function(cache) {
     return Promise.allSettled(
       urls.map(function(url) {
         return fetch(url).then(function(response) {
@@ -452,9 +738,18 @@ window.ServiceWorkerManager = {
   dismissUpdate: dismissUpdate,
   getCacheStatus: getCacheStatus,
   clearCaches: clearCaches,
+  inspectCaches: inspectCaches,
+  purgeCacheEntries: purgeCacheEntries,
+  refreshStaleCache: refreshStaleCache,
+  isDailyNotificationSupported: isDailyNotificationSupported,
+  setDailyNotification: setDailyNotification,
   preloadResources: preloadResources,
   getStatus: getServiceWorkerStatus,
-  showToast: showToast
+  showToast: showToast,
+  downloadOfflineDex: downloadOfflineDex,
+  pauseOfflineDex: pauseOfflineDex,
+  getOfflineDexStatus: getOfflineDexStatus,
+  deleteOfflineDex: deleteOfflineDex
 };
 
 // Example usage:
@@ -0,0 +1,249 @@
+/**
+ * TYPE-BROWSER.JS - Browse Pokemon by Type
+ * ========================================
+ *
+ * This module shows every Pokemon of a type as a scrollable grid of sprite
+ * tiles (todo 126). It is opened from the type matchup panel and replaces
+ * the old console-only output of requestType.
+ *
+ * Key Features:
+ * - Sprite thumbnail grid with lazy-loaded images
+ * - Generation filter (defaults to Gen I in the original 151 Pokédex)
+ * - "Only primary type" filter using the type slot from /type/{id}
+ * - Clicking a tile loads that Pokemon through generatePokemon
+ * - Works offline from the persistent response cache
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { requestType } from './requests.js';
+import { openPanel, closePanel, getPanelBody } from './utils/panel-utils.js';
+import { capitalizeFirstLetter, punctuationNameCheck } from './utils/data-utils.js';
+import { DEFAULT_SPRITE_BASE_URL, resolveSpriteUrl } from './utils/config-utils.js';
+import {
+  generatePokemon, getGenerationForId, GENERATION_RANGES,
+  MAXIMUM_ID, ORIGINAL_MAXIMUM_ID
+} from './utils/navigation-utils.js';
+
+// ====================================
+// BROWSER CONSTANTS
+// ====================================
+
+/** @type {string} Panel element ID */
+const PANEL_ID = 'type-browser-panel';
+
+/** @type {string} Base URL for tile sprites */
+const TileSpriteUrl = `${DEFAULT_SPRITE_BASE_URL}/pokemon/`;
+
+/** @type {number} First ID used by PokeAPI for alternate forms */
+const FORM_ID_START = 10001;
+
+// ====================================
+// TYPE BROWSER PANEL
+// ====================================
+
+/**
+ * Opens the browse grid for a type
+ * @param {string} typeName - Type to browse
+ * @returns {Promise<void>}
+ * @example
+ * openTypeBrowser('dragon');
+ */
+export async function openTypeBrowser(typeName) {
+  const type = typeName.toLowerCase();
+  const { body } = openPanel({
+    id: PANEL_ID,
+    title: `${capitalizeFirstLetter(type)} Type Pokémon`,
+    className: 'type-browser-panel'
+  });
+
+  body.innerHTML = `<p class="text panel-status">Loading ${capitalizeFirstLetter(type)} Pokémon…</p>`;
+
+  const typeData = await requestType(type);
+  if(getPanelBody(PANEL_ID) !== body) {
+    return;
+  }
+
+  if(!typeData) {
+    body.innerHTML = `<p class="text panel-status">This list is not available offline yet.</p>`;
+
+    return;
+  }
+
+  const entries = getTypeEntries(typeData);
+  const controls = createBrowserControls();
+  const summary = document.createElement('p');
+  summary.className = 'text type-browser-summary';
+  summary.setAttribute('aria-live', 'polite');
+
+  const grid = document.createElement('div');
+  grid.className = 'type-browser-grid';
+
+  const render = () => renderTypeGrid(grid, summary, filterEntries(entries, controls));
+  controls.generationSelect.addEventListener('change', render);
+  controls.primaryCheckbox.addEventListener('change', render);
+
+  body.innerHTML = '';
+  body.appendChild(controls.element);
+  body.appendChild(summary);
+  body.appendChild(grid);
+  render();
+} //openTypeBrowser
+
+/**
+ * Converts the /type/{id} pokemon list into tile data
+ * @param {Object} typeData - Type response
+ * @returns {Array<{id: number, name: string, slot: number, generation: number|null}>} Entries sorted by ID
+ */
+function getTypeEntries(typeData) {
+  return typeData.pokemon
+    .map(entry => {
+      const id = parseInt(entry.pokemon.url.split('/').slice(-2, -1)[0], 10);
+
+      return {
+        id,
+        name: entry.pokemon.name,
+        slot: entry.slot,
+        generation: getGenerationForId(id)
+      };
+    })
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Builds the generation select and primary type checkbox
+ * @returns {{element: HTMLElement, generationSelect: HTMLSelectElement, primaryCheckbox: HTMLInputElement}} Controls
+ */
+function createBrowserControls() {
+  const element = document.createElement('div');
+  element.className = 'type-browser-controls';
+
+  const generationLabel = document.createElement('label');
+  generationLabel.className = 'type-browser-filter';
+  generationLabel.innerHTML = `<span class="text">Generation</span>`;
+
+  const generationSelect = document.createElement('select');
+  generationSelect.className = 'type-browser-select';
+  generationSelect.innerHTML = `<option value="all">All</option>`;
+  GENERATION_RANGES.forEach(range => {
+    const option = document.createElement('option');
+    option.value = String(range.generation);
+    option.innerText = `Gen ${range.label}`;
+    generationSelect.appendChild(option);
+  });
+  const formsOption = document.createElement('option');
+  formsOption.value = 'forms';
+  formsOption.innerText = 'Alternate Forms';
+  generationSelect.appendChild(formsOption);
+
+  // The original Pokédex only reaches Gen I, so start there
+  if(MAXIMUM_ID === ORIGINAL_MAXIMUM_ID) {
+    generationSelect.value = '1';
+  }
+
+  generationLabel.appendChild(generationSelect);
+
+  const primaryLabel = document.createElement('label');
+  primaryLabel.className = 'type-browser-filter';
+
+  const primaryCheckbox = document.createElement('input');
+  primaryCheckbox.type = 'checkbox';
+  primaryCheckbox.className = 'type-browser-checkbox';
+
+  primaryLabel.appendChild(primaryCheckbox);
+  primaryLabel.appendChild(document.createTextNode(' Only primary type'));
+
+  element.appendChild(generationLabel);
+  element.appendChild(primaryLabel);
+
+  return { element, generationSelect, primaryCheckbox };
+}
+
+/**
+ * Applies the generation and primary type filters
+ * @param {Array<Object>} entries - All entries of the type
+ * @param {{generationSelect: HTMLSelectElement, primaryCheckbox: HTMLInputElement}} controls - Filter controls
+ * @returns {Array<Object>} Matching entries
+ */
+function filterEntries(entries, { generationSelect, primaryCheckbox }) {
+  const generation = generationSelect.value;
+
+  return entries.filter(entry => {
+    if(primaryCheckbox.checked && entry.slot !== 1) {
+      return false;
+    }
+
+    if(generation === 'forms') {
+      return entry.id >= FORM_ID_START;
+    }
+
+    return generation === 'all' || entry.generation === parseInt(generation, 10);
+  });
+}
+
+/**
+ * Renders the tile grid
+ * @param {HTMLElement} grid - Grid container
+ * @param {HTMLElement} summary - Result count element
+ * @param {Array<Object>} entries - Entries to show
+ */
+function renderTypeGrid(grid, summary, entries) {
+  const fragment = document.createDocumentFragment();
+  entries.forEach(entry => fragment.appendChild(createTypeTile(entry)));
+
+  grid.innerHTML = '';
+  grid.appendChild(fragment);
+  summary.innerText = entries.length === 0 ? 'No Pokémon match these filters.' : `${entries.length} Pokémon`;
+}
+
+/**
+ * Creates one clickable Pokemon tile
+ * @param {{id: number, name: string, slot: number}} entry - Tile data
+ * @returns {HTMLButtonElement} Tile element
+ */
+function createTypeTile(entry) {
+  const name = punctuationNameCheck(entry.name);
+  const isForm = entry.id >= FORM_ID_START;
+
+  const tile = document.createElement('button');
+  tile.type = 'button';
+  tile.className = 'type-browser-tile';
+  tile.title = isForm ? name : `#${entry.id} ${name}`;
+  if(entry.slot !== 1) {
+    tile.classList.add('type-browser-tile-secondary');
+  }
+
+  const sprite = document.createElement('img');
+  sprite.className = 'type-browser-sprite';
+  sprite.src = resolveSpriteUrl(`${TileSpriteUrl}${entry.id}.png`);
+  sprite.alt = '';
+  sprite.loading = 'lazy';
+  sprite.decoding = 'async';
+
+  const label = document.createElement('span');
+  label.className = 'type-browser-name';
+  label.innerText = name;
+
+  const number = document.createElement('span');
+  number.className = 'type-browser-number';
+  number.innerText = isForm ? 'Form' : `#${entry.id}`;
+
+  tile.appendChild(sprite);
+  tile.appendChild(number);
+  tile.appendChild(label);
+
+  tile.addEventListener('click', () => {
+    closePanel({ restoreFocus: false });
+    // Forms live outside the normal ID range, like the forms list in the info card
+    generatePokemon(entry.id, 'visible', isForm);
+  });
+
+  return tile;
+}
@@ -0,0 +1,404 @@
+/**
+ * TYPE-EFFECTIVENESS.JS - Type Matchup Panel & Tooltips
+ * =====================================================
+ *
+ * This module turns the type badges into a matchup reference. Clicking a
+ * badge opens a panel built from the /type/{id} damage_relations; hovering,
+ * focusing or long-pressing a badge shows a compact tooltip (todo 039).
+ *
+ * Panel Contents:
+ * - Offense: what the selected type hits for 2×, ½× and 0×
+ * - Defense: combined multipliers (4×, 2×, 1×, ½×, ¼×, 0×) for the
+ *   current Pokemon's full type combination
+ * - Shortcut to the browse-by-type grid (type-browser.js)
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { requestType } from './requests.js';
+import { openPanel, getPanelBody } from './utils/panel-utils.js';
+import { openTypeBrowser } from './type-browser.js';
+import { getTypeColor, convertHexToRgba } from './utils/color-utils.js';
+import { capitalizeFirstLetter } from './utils/data-utils.js';
+
+// ====================================
+// TYPE CONSTANTS
+// ====================================
+
+/** @type {Array<string>} Every attacking type, in Pokedex order */
+export const ATTACKING_TYPES = [
+  'normal', 'fighting', 'flying', 'poison', 'ground', 'rock', 'bug', 'ghost', 'steel',
+  'fire', 'water', 'grass', 'electric', 'psychic', 'ice', 'dragon', 'dark', 'fairy'
+];
+
+/** @type {Array<{multiplier: number, label: string}>} Defensive buckets shown in the panel */
+const DEFENSE_BUCKETS = [
+  { multiplier: 4, label: '4×' },
+  { multiplier: 2, label: '2×' },
+  { multiplier: 1, label: '1×' },
+  { multiplier: 0.5, label: '½×' },
+  { multiplier: 0.25, label: '¼×' },
+  { multiplier: 0, label: '0×' }
+];
+
+/** @type {number} Press duration that opens the tooltip on touch devices (ms) */
+const LONG_PRESS_DELAY = 500;
+
+/** @type {string} Panel element ID */
+const PANEL_ID = 'type-effectiveness-panel';
+
+/** @type {HTMLElement|null} Lazily created tooltip element */
+let tooltipElement = null;
+
+// ====================================
+// DAMAGE RELATION MATH
+// ====================================
+
+/**
+ * Extracts what a type does when attacking
+ * @param {Object} typeData - /type/{id} response
+ * @returns {{superEffective: Array<string>, notVeryEffective: Array<string>, noEffect: Array<string>}} Offensive matchups
+ */
+export function getOffensiveMatchups(typeData) {
+  const relations = typeData.damage_relations;
+
+  return {
+    superEffective: relations.double_damage_to.map(type => type.name),
+    notVeryEffective: relations.half_damage_to.map(type => type.name),
+    noEffect: relations.no_damage_to.map(type => type.name)
+  };
+}
+
+/**
+ * Combines the defensive relations of one or two types into multipliers
+ * @param {Array<Object>} typesData - /type/{id} responses for each defending type
+ * @returns {Object<string, number>} Multiplier per attacking type
+ * @example
+ * getDefensiveMultipliers([fireData, flyingData]).rock; // 4
+ */
+export function getDefensiveMultipliers(typesData) {
+  const multipliers = Object.fromEntries(ATTACKING_TYPES.map(type => [type, 1]));
+
+  typesData.forEach(typeData => {
+    const relations = typeData.damage_relations;
+    relations.double_damage_from.forEach(type => applyMultiplier(multipliers, type.name, 2));
+    relations.half_damage_from.forEach(type => applyMultiplier(multipliers, type.name, 0.5));
+    relations.no_damage_from.forEach(type => applyMultiplier(multipliers, type.name, 0));
+  });
+
+  return multipliers;
+}
+
+/**
+ * Multiplies one attacking type's entry, ignoring types outside ATTACKING_TYPES
+ * @param {Object<string, number>} multipliers - Multiplier table
+ * @param {string} type - Attacking type
+ * @param {number} factor - Factor to apply
+ */
+function applyMultiplier(multipliers, type, factor) {
+  if(type in multipliers) {
+    multipliers[type] *= factor;
+  }
+}
+
+/**
+ * Groups multipliers into the defensive buckets
+ * @param {Object<string, number>} multipliers - Multiplier per attacking type
+ * @returns {Array<{label: string, types: Array<string>}>} Buckets in display order
+ */
+function groupMultipliers(multipliers) {
+  return DEFENSE_BUCKETS.map(bucket => ({
+    label: bucket.label,
+    types: ATTACKING_TYPES.filter(type => multipliers[type] === bucket.multiplier)
+  }));
+}
+
+// ====================================
+// TYPE EFFECTIVENESS PANEL
+// ====================================
+
+/**
+ * Opens the matchup panel for a type badge
+ * @param {string} typeName - Type that was clicked
+ * @param {Array<string>} pokemonTypes - All types of the current Pokemon
+ * @param {string} [pokemonName] - Current Pokemon name for the defense heading
+ * @returns {Promise<void>}
+ * @example
+ * openTypeEffectivenessPanel('fire', ['fire', 'flying'], 'Charizard');
+ */
+export async function openTypeEffectivenessPanel(typeName, pokemonTypes, pokemonName = '') {
+  const type = typeName.toLowerCase();
+  const types = (pokemonTypes || []).filter(Boolean).map(name => name.toLowerCase());
+  const { body } = openPanel({
+    id: PANEL_ID,
+    title: `${capitalizeFirstLetter(type)} Type Matchups`,
+    className: 'type-panel'
+  });
+
+  body.innerHTML = `<p class="text panel-status">Loading type matchups…</p>`;
+
+  const defendingTypes = types.length > 0 ? types : [type];
+  const [selectedData, ...defendingData] = await Promise.all([
+    requestType(type),
+    ...defendingTypes.map(defendingType => requestType(defendingType))
+  ]);
+
+  // Panel was closed or replaced while loading
+  if(getPanelBody(PANEL_ID) !== body) {
+    return;
+  }
+
+  if(!selectedData || defendingData.some(data => !data)) {
+    body.innerHTML = `<p class="text panel-status">Type data could not be loaded.</p>`;
+
+    return;
+  }
+
+  const offense = getOffensiveMatchups(selectedData);
+  const defense = groupMultipliers(getDefensiveMultipliers(defendingData));
+  const defenseLabel = defendingTypes.map(capitalizeFirstLetter).join(' / ');
+
+  const browseButton = document.createElement('button');
+  browseButton.type = 'button';
+  browseButton.className = 'secondary-btn type-browse-button';
+  browseButton.innerText = `Browse all ${capitalizeFirstLetter(type)} Pokémon`;
+  browseButton.addEventListener('click', () => openTypeBrowser(type));
+
+  body.innerHTML = '';
+  body.appendChild(browseButton);
+  body.appendChild(createMatchupSection(`${capitalizeFirstLetter(type)} moves against…`, [
+    { label: '2×', types: offense.superEffective, description: 'Super effective' },
+    { label: '½×', types: offense.notVeryEffective, description: 'Resisted' },
+    { label: '0×', types: offense.noEffect, description: 'No effect' }
+  ]));
+  body.appendChild(createMatchupSection(
+    `Damage taken by ${pokemonName ? `${pokemonName} (${defenseLabel})` : defenseLabel}`,
+    defense
+  ));
+} //openTypeEffectivenessPanel
+
+/**
+ * Builds a titled list of multiplier rows
+ * @param {string} title - Section heading
+ * @param {Array<{label: string, types: Array<string>, description?: string}>} rows - Rows to show
+ * @returns {HTMLElement} Section element
+ */
+function createMatchupSection(title, rows) {
+  const section = document.createElement('section');
+  section.className = 'type-matchup-section';
+
+  const heading = document.createElement('h3');
+  heading.className = 'type-matchup-heading';
+  heading.innerText = title;
+  section.appendChild(heading);
+
+  rows.forEach(row => {
+    const rowElement = document.createElement('div');
+    rowElement.className = 'type-matchup-row';
+
+    const label = document.createElement('span');
+    label.className = 'type-matchup-multiplier';
+    label.innerText = row.label;
+    if(row.description) {
+      label.title = row.description;
+    }
+
+    const badges = document.createElement('div');
+    badges.className = 'type-matchup-badges';
+
+    if(row.types.length === 0) {
+      badges.innerHTML = `<span class="text">None</span>`;
+    } else {
+      row.types.forEach(type => badges.appendChild(createTypeBadge(type)));
+    }
+
+    rowElement.appendChild(label);
+    rowElement.appendChild(badges);
+    section.appendChild(rowElement);
+  });
+
+  return section;
+}
+
+/**
+ * Creates a small colored badge for a type
+ * @param {string} type - Type name
+ * @returns {HTMLSpanElement} Badge element
+ */
+export function createTypeBadge(type) {
+  const badge = document.createElement('span');
+  badge.className = 'type-badge-small';
+  badge.innerText = type;
+  badge.style.backgroundColor = convertHexToRgba(getTypeColor(type), 0.7);
+
+  return badge;
+}
+
+// ====================================
+// TYPE BADGE TOOLTIPS
+// ====================================
+
+/**
+ * Makes type badges keyboard accessible and attaches hover, focus and long-press tooltips
+ * A long press shows the tooltip instead of opening the panel
+ * @param {Array<HTMLElement>} badges - Type badge elements
+ * @example
+ * initializeTypeTooltips([TypeText, TypeText2]);
+ */
+export function initializeTypeTooltips(badges) {
+  badges.filter(Boolean).forEach(badge => {
+    let pressTimer = null;
+    let longPressed = false;
+
+    badge.tabIndex = 0;
+    badge.setAttribute('role', 'button');
+    badge.setAttribute('aria-haspopup', 'dialog');
+
+    badge.addEventListener('mouseenter', () => showTypeTooltip(badge));
+    badge.addEventListener('mouseleave', hideTypeTooltip);
+    badge.addEventListener('focus', () => showTypeTooltip(badge));
+    badge.addEventListener('blur', hideTypeTooltip);
+
+    badge.addEventListener('keydown', event => {
+      if(event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        badge.click();
+      } else if(event.key === 'Escape') {
+        hideTypeTooltip();
+      }
+    });
+
+    badge.addEventListener('touchstart', () => {
+      longPressed = false;
+      pressTimer = setTimeout(() => {
+        longPressed = true;
+        showTypeTooltip(badge);
+      }, LONG_PRESS_DELAY);
+    }, { passive: true });
+
+    const cancelPress = () => clearTimeout(pressTimer);
+    badge.addEventListener('touchend', cancelPress);
+    badge.addEventListener('touchmove', cancelPress, { passive: true });
+    badge.addEventListener('touchcancel', cancelPress);
+
+    // Capture phase runs before the badge's own click handlers
+    badge.addEventListener('click', event => {
+      hideTypeTooltip();
+
+      if(longPressed) {
+        longPressed = false;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+      }
+    }, true);
+  });
+
+  document.addEventListener('touchstart', event => {
+    if(tooltipElement && !badges.includes(event.target)) {
+      hideTypeTooltip();
+    }
+  }, { passive: true });
+  window.addEventListener('scroll', hideTypeTooltip, { passive: true });
+} //initializeTypeTooltips
+
+/**
+ * Shows the compact matchup tooltip for a badge
+ * @param {HTMLElement} badge - Type badge element
+ * @returns {Promise<void>}
+ */
+async function showTypeTooltip(badge) {
+  const type = badge.innerText.trim().toLowerCase();
+  if(!type || badge.hidden) {
+    return;
+  }
+
+  const tooltip = getTooltipElement();
+  tooltip.dataset.type = type;
+  tooltip.innerText = 'Loading…';
+  positionTooltip(tooltip, badge);
+  tooltip.classList.add('type-tooltip-visible');
+  badge.setAttribute('aria-describedby', tooltip.id);
+
+  const typeData = await requestType(type);
+
+  // Hidden or moved to another badge while loading
+  if(tooltip.dataset.type !== type || !tooltip.classList.contains('type-tooltip-visible')) {
+    return;
+  }
+
+  if(!typeData) {
+    tooltip.innerText = 'Type data unavailable';
+
+    return;
+  }
+
+  const offense = getOffensiveMatchups(typeData);
+  const weaknesses = typeData.damage_relations.double_damage_from.map(relation => relation.name);
+
+  tooltip.innerHTML = '';
+  tooltip.appendChild(createTooltipLine('Strong against', offense.superEffective));
+  tooltip.appendChild(createTooltipLine('Weak to', weaknesses));
+  positionTooltip(tooltip, badge);
+}
+
+/**
+ * Hides the tooltip
+ */
+function hideTypeTooltip() {
+  if(tooltipElement) {
+    tooltipElement.classList.remove('type-tooltip-visible');
+    delete tooltipElement.dataset.type;
+  }
+}
+
+/**
+ * Creates one "label: types" line for the tooltip
+ * @param {string} label - Line label
+ * @param {Array<string>} types - Types to list
+ * @returns {HTMLElement} Line element
+ */
+function createTooltipLine(label, types) {
+  const line = document.createElement('div');
+  line.className = 'type-tooltip-line';
+  line.innerHTML = `<b>${label}:</b> `;
+  line.appendChild(document.createTextNode(types.length > 0 ? types.map(capitalizeFirstLetter).join(', ') : 'None'));
+
+  return line;
+}
+
+/**
+ * Returns the shared tooltip element, creating it on first use
+ * @returns {HTMLElement} Tooltip element
+ */
+function getTooltipElement() {
+  if(!tooltipElement) {
+    tooltipElement = document.createElement('div');
+    tooltipElement.id = 'type-tooltip';
+    tooltipElement.className = 'type-tooltip';
+    tooltipElement.setAttribute('role', 'tooltip');
+    document.body.appendChild(tooltipElement);
+  }
+
+  return tooltipElement;
+}
+
+/**
+ * Places the tooltip below the badge, kept inside the viewport
+ * @param {HTMLElement} tooltip - Tooltip element
+ * @param {HTMLElement} badge - Anchor badge
+ */
+function positionTooltip(tooltip, badge) {
+  const rect = badge.getBoundingClientRect();
+  const width = tooltip.offsetWidth || 240;
+  const left = Math.min(Math.max(8, rect.left + rect.width / 2 - width / 2), window.innerWidth - width - 8);
+
+  tooltip.style.left = `${left + window.scrollX}px`;
+  tooltip.style.top = `${rect.bottom + window.scrollY + 8}px`;
+}
@@ -25,7 +25,10 @@
 import { 
   showToast 
 } from './dom-utils.js';
-import { capitalizeFirstLetter } from './data-utils.js?v=20250801i';
+import { capitalizeFirstLetter } from './data-utils.js';
+import { DEFAULT_CRY_BASE_URL, getApiConfig, resolveCryUrl } from './config-utils.js';
+import { getPreference, watchPreferences } from './preferences-utils.js';
+import { FALLBACK_LANGUAGE, findVoiceForLanguage, getLanguageTag } from './language-utils.js';
 
 // ====================================
 // AUDIO SYSTEM CONSTANTS
@@ -34,16 +37,26 @@ import { capitalizeFirstLetter } from './data-utils.js?v=20250801i';
 /** @type {SpeechSynthesis} Web Speech API synthesis interface */
 export const Synth = window.speechSynthesis;
 
-/** @type {number} Default volume level for Pokemon cries (0.0 to 1.0) */
-const DEFAULT_CRY_VOLUME = 0.7;
-
 /** @type {Array<string>} Alternative audio sources for fallback support */
 const ALTERNATIVE_CRY_SOURCES = [
-  'https://raw.githubusercontent.com/PokeAPI/cries/main/cries/pokemon/latest/',
+  `${DEFAULT_CRY_BASE_URL}/pokemon/latest/`,
   'https://pokemoncries.com/cries/',
   'https://play.pokemonshowdown.com/audio/cries/'
 ];
 
+/**
+ * Returns the fallback cry sources for the active configuration
+ * The PokeAPI cries source follows the configured mirror; third-party
+ * sources are skipped when external fallbacks are disabled
+ * @returns {Array<string>} Base URLs to try in order
+ */
+function getAlternativeCrySources() {
+  const [pokeApiSource, ...externalSources] = ALTERNATIVE_CRY_SOURCES;
+  const sources = [resolveCryUrl(pokeApiSource)];
+
+  return getApiConfig().externalCryFallbacks ? sources.concat(externalSources) : sources;
+}
+
 /** @type {Array<string>} Supported audio formats in order of preference */
 const SUPPORTED_AUDIO_FORMATS = ['.ogg', '.mp3', '.wav'];
 
@@ -286,6 +299,12 @@ export function playPokemonCryWithData(pokemon) {
     return;
   }
 
+  if(!getPreference('audioEnabled')) {
+    showToast('🔇 Cries are turned off in Settings');
+
+    return;
+  }
+
   // Unlock audio context for mobile browsers on first interaction
   unlockAudioContext();
 
@@ -354,7 +373,7 @@ export function playPokemonCryWithData(pokemon) {
     });
     
     // Configure audio properties for optimal playback
-    audio.volume = DEFAULT_CRY_VOLUME;     // Set to 70% volume
+    audio.volume = getPreference('cryVolume'); // Volume from Settings
     audio.preload = 'auto';                // Preload for faster playback
     audio.crossOrigin = 'anonymous';       // Enable CORS for external sources
     
@@ -437,31 +456,7 @@ export function tryAlternativeCry(pokemon) {
     return;
   }
   
-  // Generate all possible alternative URLs
-  const alternativeUrls = [];
-  ALTERNATIVE_CRY_SOURCES.forEach(baseUrl => {
-    SUPPORTED_AUDIO_FORMATS.forEach(format => {
-      if(baseUrl.includes('pokemonshowdown')) {
-        // Pokemon Showdown uses name-based URLs
-        const url = `${baseUrl}${pokemon.name.toLowerCase()}${format}`;
-        alternativeUrls.push(url);
-        if(isDev()) {
-          console.log(`🎵 [Alternative Cry] Generated showdown URL: ${url}`);
-        }
-      } else {
-        // Other sources use ID-based URLs
-        const url = `${baseUrl}${pokemon.id}${format}`;
-        alternativeUrls.push(url);
-        if(isDev()) {
-          console.log(`🎵 [Alternative Cry] Generated ID-based URL: ${url}`);
-        }
-      }
-    });
-  });
-
-  if(isDev()) {
-    console.log(`🎵 [Alternative Cry] Generated ${alternativeUrls.length} alternative URLs`);
-  }
+  const alternativeUrls = getAlternativeCryUrls(pokemon);
 
   showToast('Trying alternative audio sources...');
   
@@ -485,7 +480,7 @@ export function tryAlternativeCry(pokemon) {
     
     const audio = new Audio();
     audio.crossOrigin = 'anonymous';
-    audio.volume = DEFAULT_CRY_VOLUME;
+    audio.volume = getPreference('cryVolume');
     
     // Set up timeout for slow-loading sources
     const timeout = setTimeout(() => {
@@ -530,20 +525,102 @@ export function tryAlternativeCry(pokemon) {
   tryNext();
 }
 
+/**
+ * Lists every fallback cry URL for a Pokemon, in the order to try them
+ * @param {Object} pokemon - Pokemon data object with id and name
+ * @returns {Array<string>} Audio URLs
+ */
+function getAlternativeCryUrls(pokemon) {
+  const alternativeUrls = [];
+  getAlternativeCrySources().forEach(baseUrl => {
+    SUPPORTED_AUDIO_FORMATS.forEach(format => {
+      if(baseUrl.includes('pokemonshowdown')) {
+        // Pokemon Showdown uses name-based URLs
+        alternativeUrls.push(`${baseUrl}${pokemon.name.toLowerCase()}${format}`);
+      } else {
+        // Other sources use ID-based URLs
+        alternativeUrls.push(`${baseUrl}${pokemon.id}${format}`);
+      }
+    });
+  });
+
+  if(isDev()) {
+    console.log(`🎵 [Alternative Cry] Generated ${alternativeUrls.length} alternative URLs`);
+  }
+
+  return alternativeUrls;
+}
+
+/**
+ * Plays a Pokemon's cry without naming it or touching the cry button
+ * Used by the quiz, where a toast would give the answer away. Follows the
+ * Settings volume and tries the fallback sources when the main cry fails.
+ * @param {Object} pokemon - Pokemon data object with id, name and cry
+ * @returns {Promise<boolean>} True once a cry is playing; false when cries are off or nothing could play
+ * @example
+ * playSecretCry({ id: 25, name: 'pikachu', cry: 'https://example.com/25.ogg' });
+ */
+export async function playSecretCry(pokemon) {
+  if(!pokemon || !pokemon.id || !getPreference('audioEnabled')) {
+    return false;
+  }
+
+  unlockAudioContext();
+
+  const urls = [pokemon.cry, ...getAlternativeCryUrls(pokemon)].filter(Boolean);
+  for(const url of urls) {
+    const audio = new Audio();
+    audio.crossOrigin = 'anonymous';
+    audio.volume = getPreference('cryVolume');
+    audio.src = url;
+
+    // Give up on slow sources, as tryAlternativeCry does
+    let timeout;
+    const timedOut = new Promise((resolve, reject) => {
+      timeout = setTimeout(() => reject(new Error('Timed out')), 5000);
+    });
+
+    try {
+      await Promise.race([audio.play(), timedOut]);
+
+      return true;
+    } catch(error) {
+      audio.pause();
+      audio.removeAttribute('src');
+
+      // The browser is blocking audio, so other sources would fail too
+      if(error.name === 'NotAllowedError') {
+        return false;
+      }
+
+      if(isDev()) {
+        console.warn(`❌ [Secret Cry] Could not play ${url}`, error);
+      }
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  return false;
+} //playSecretCry
+
 // ====================================
 // TEXT-TO-SPEECH FUNCTIONALITY
 // ====================================
 
 /**
  * Initiates text-to-speech reading of Pokemon entry information
- * Reads Pokemon name, genus, and Pokédex entry using Web Speech API
+ * Reads Pokemon name, genus, Pokédex entry and (optionally) size using Web Speech API
  * @param {string} name - Pokemon name to announce
  * @param {string} genus - Pokemon genus classification (e.g., "Seed Pokémon")
  * @param {string} entry - Pokédex entry text to read
+ * @param {{height: string, weight: string}} [measurements] - Spoken height and weight in the preferred units
+ * @param {string} [language] - PokeAPI language code of the entry; picks the voice (defaults to the language preference)
  * @example
- * startReadingEntry('Bulbasaur', 'Seed Pokémon', 'A strange seed was planted...');
+ * startReadingEntry('Bulbasaur', 'Seed Pokémon', 'A strange seed was planted...', { height: '2 feet 4 inches', weight: '15.2 pounds' });
+ * startReadingEntry('フシギダネ', 'たねポケモン', 'うまれたときから せなかに...', null, 'ja');
  */
-export function startReadingEntry(name, genus, entry) {
+export function startReadingEntry(name, genus, entry, measurements, language = getPreference('language')) {
   if(!name || !genus || !entry) {
     console.warn('Missing required text for speech synthesis');
     showToast('Cannot read entry: missing information');
@@ -559,6 +636,21 @@ export function startReadingEntry(name, genus, entry) {
     return;
   }
 
+  if(!getPreference('speechEnabled')) {
+    showToast('🔇 Reading entries aloud is turned off in Settings');
+
+    return;
+  }
+
+  // The connecting words are English, so they are only added for English text
+  const isEnglish = language === FALLBACK_LANGUAGE;
+  const genusText = isEnglish ? `The ${genus}` : genus;
+
+  // Size is read after the entry, in whichever units are selected in Settings
+  const sizeText = isEnglish && measurements && measurements.height && measurements.weight
+    ? ` It is ${measurements.height} tall and weighs ${measurements.weight}.`
+    : '';
+
   // Unlock audio context for mobile devices
   unlockAudioContext();
 
@@ -658,36 +750,28 @@ export function startReadingEntry(name, genus, entry) {
 
       if(isAndroid) {
         // Android-specific implementation with enhanced error handling
-        const fullText = `${name}. The ${genus}. ${entry}`;
+        const fullText = `${name}. ${genusText}. ${entry}${sizeText}`;
         const utterance = new SpeechSynthesisUtterance(fullText);
+        utterance.lang = getLanguageTag(language);
         
         // Enhanced Android speech parameters
         utterance.rate = 0.7;    // Even slower rate for Android reliability
         utterance.pitch = 1.0;   // Normal pitch
         utterance.volume = 1.0;  // Full volume for Android
         
-        // Set best available English voice for Android
+        // Set best available voice for the entry's language (local voices first)
         if(voices.length > 0) {
-          // Prioritize local voices over network voices for Android
-          const englishVoice = voices.find(voice => 
-            voice.lang.startsWith('en') && 
-            voice.localService === true
-          ) || voices.find(voice => 
-            voice.lang.startsWith('en') && 
-            !voice.name.toLowerCase().includes('network')
-          ) || voices.find(voice => 
-            voice.lang.startsWith('en')
-          );
+          const matchingVoice = findVoiceForLanguage(voices, language);
           
-          if(englishVoice) {
-            utterance.voice = englishVoice;
+          if(matchingVoice) {
+            utterance.voice = matchingVoice;
 
             if(isDev()) {
-              console.log('📱 [Android Speech] Using voice:', englishVoice.name, 'Local:', englishVoice.localService);
+              console.log('📱 [Android Speech] Using voice:', matchingVoice.name, 'Local:', matchingVoice.localService);
             }
           } else {
             if(isDev()) {
-              console.log('📱 [Android Speech] No English voice found, using default');
+              console.log(`📱 [Android Speech] No ${language} voice found, using default`);
             }
           }
         } else {
@@ -733,6 +817,7 @@ export function startReadingEntry(name, genus, entry) {
             // Retry with simplified text and different settings
             setTimeout(() => {
               const retryUtterance = new SpeechSynthesisUtterance(fullText);
+              retryUtterance.lang = getLanguageTag(language);
               retryUtterance.rate = 0.6;
               retryUtterance.pitch = 1.0;
               retryUtterance.volume = 0.9;
@@ -828,8 +913,8 @@ export function startReadingEntry(name, genus, entry) {
       } else {
         // Non-Android devices: Use separate utterances for better control
         const nameUtterance = new SpeechSynthesisUtterance(name);
-        const genusUtterance = new SpeechSynthesisUtterance(`The ${genus}`);
-        const entryUtterance = new SpeechSynthesisUtterance(entry);
+        const genusUtterance = new SpeechSynthesisUtterance(genusText);
+        const entryUtterance = new SpeechSynthesisUtterance(`${entry}${sizeText}`);
         
         // Configure speech parameters for better listening experience
         [nameUtterance, genusUtterance, entryUtterance].forEach(utterance => {
@@ -837,13 +922,15 @@ export function startReadingEntry(name, genus, entry) {
           utterance.pitch = 1.0;   // Normal pitch
           utterance.volume = 0.8;  // 80% volume
           
+          utterance.lang = getLanguageTag(language);
+          
           // Set a voice if available (important for some mobile browsers)
           if(voices.length > 0) {
-            // Prefer English voices
-            const englishVoice = voices.find(voice => voice.lang.startsWith('en'));
+            // Prefer a voice for the entry's language
+            const matchingVoice = findVoiceForLanguage(voices, language);
 
-            if(englishVoice) {
-              utterance.voice = englishVoice;
+            if(matchingVoice) {
+              utterance.voice = matchingVoice;
             }
           }
         });
@@ -904,6 +991,13 @@ export function stopReadingEntry() {
   }
 }
 
+// Turning speech off in Settings stops an entry that is being read
+watchPreferences(['speechEnabled'], ({ speechEnabled }) => {
+  if(!speechEnabled && Synth && Synth.speaking) {
+    Synth.cancel();
+  }
+});
+
 /**
  * Toggles text-to-speech playback state
  * Pauses if speaking, resumes if paused, starts if stopped
@@ -1072,7 +1166,6 @@ export { tryAlternativeCry as tryAlternativeCryLegacy };
 export { startReadingEntry as startReadingEntryLegacy };
 
 // Global constants for backward compatibility
-export const POKEMON_CRY_VOLUME = DEFAULT_CRY_VOLUME;
 export const SPEECH_SYNTH = Synth;
 
 // ====================================
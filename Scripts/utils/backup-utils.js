@@ -0,0 +1,430 @@
+/**
+ * BACKUP-UTILS.JS - Export & Import of User Data
+ * ==============================================
+ *
+ * This module bundles everything the user created - settings, favorites
+ * and collections, and viewing history - into one versioned JSON backup,
+ * and restores such a backup by merging it into or replacing the data on
+ * this device.
+ *
+ * Each section is run through its own store's migration/sanitizer, so a
+ * backup made with an older schema of any store imports cleanly. Files
+ * that predate this format (the history drawer's export, a bare
+ * collections store) are upgraded by the version 0 migration.
+ *
+ * Small backups can also travel in a URL fragment (#import=...), which is
+ * never sent to a server.
+ *
+ * Backup Shape (version 1):
+ *   { format: 'kolbys-pokedex-backup', version: 1, exportedAt,
+ *     data: { preferences?, collections?, history? } }
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { STORAGE_KEYS, getStorageItem, setStorageItem, notifyStorageChange } from './storage-utils.js';
+import { migratePreferences } from './preferences-utils.js';
+import { migrateCollections } from './collections-utils.js';
+import { sanitizeHistory, MAX_HISTORY_LENGTH } from './history-utils.js';
+
+// ====================================
+// BACKUP CONFIGURATION
+// ====================================
+
+/** @type {string} Marker that identifies a backup file */
+export const BACKUP_FORMAT = 'kolbys-pokedex-backup';
+
+/** @type {number} Current version of the backup format */
+export const BACKUP_VERSION = 1;
+
+/** @type {string} URL fragment parameter that carries a shared backup */
+export const SHARE_FRAGMENT_KEY = 'import';
+
+/** @type {number} Longest share link offered (also fits in a QR code) */
+export const MAX_SHARE_URL_LENGTH = 2000;
+
+/** @type {Array<string>} Sections included in share links; history is left out as it is large and personal */
+export const SHARE_SECTIONS = ['preferences', 'collections'];
+
+/**
+ * Backup sections: where each lives, how to clean it and how to merge it
+ * @type {Object<string, {key: string, label: string, sanitize: Function, merge: Function}>}
+ */
+const BACKUP_SECTIONS = {
+  preferences: {
+    key: STORAGE_KEYS.USER_PREFERENCES,
+    label: 'Settings',
+    sanitize: data => migratePreferences(data).value,
+    merge: mergePreferences
+  },
+  collections: {
+    key: STORAGE_KEYS.COLLECTIONS,
+    label: 'Favorites & collections',
+    sanitize: data => migrateCollections(data).value,
+    merge: mergeCollections
+  },
+  history: {
+    key: STORAGE_KEYS.VIEW_HISTORY,
+    label: 'Viewing history',
+    sanitize: sanitizeHistory,
+    merge: mergeHistory
+  }
+};
+
+/**
+ * Upgrades backups one version at a time
+ * Each key is the version being upgraded from
+ * @type {Object<number, Function>}
+ */
+const BACKUP_MIGRATIONS = {
+  // Files written before the backup format: a history export or a single store
+  0: data => {
+    const sections = {};
+
+    if(Array.isArray(data.entries) && data.counts) {
+      sections.history = data;
+    } else if(Array.isArray(data) || Array.isArray(data.collections)) {
+      sections.collections = data;
+    } else if(data.preferences) {
+      sections.preferences = data;
+    }
+
+    return { format: BACKUP_FORMAT, version: 1, exportedAt: data.exportedAt || null, data: sections };
+  }
+};
+
+// ====================================
+// EXPORT
+// ====================================
+
+/**
+ * Builds a backup of the data on this device
+ * @param {Array<string>} [sections] - Sections to include (all by default)
+ * @returns {{format: string, version: number, exportedAt: string, data: Object}} Backup
+ */
+export function createBackup(sections = Object.keys(BACKUP_SECTIONS)) {
+  const data = {};
+  sections.forEach(name => {
+    data[name] = readSection(name);
+  });
+
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data };
+}
+
+/**
+ * Builds a pretty-printed JSON backup for download
+ * @returns {string} Backup JSON
+ */
+export function exportBackup() {
+  return JSON.stringify(createBackup(), null, 2);
+}
+
+/**
+ * Reads one section from storage in its current schema
+ * @param {string} name - Section name
+ * @returns {Object} Section data
+ */
+function readSection(name) {
+  const section = BACKUP_SECTIONS[name];
+
+  let data = null;
+  try {
+    data = JSON.parse(getStorageItem(section.key) || 'null');
+  } catch(error) {
+    console.warn(`⚠️ [Backup] Stored ${name} are not valid JSON, exporting defaults`);
+  }
+
+  return section.sanitize(data);
+}
+
+// ====================================
+// VALIDATION & MIGRATION
+// ====================================
+
+/**
+ * Parses and validates backup text
+ * @param {string} text - File contents or decoded share link
+ * @returns {{backup: Object|null, errors: Array<string>}} Current-format backup, or the reasons it was rejected
+ * @example
+ * const { backup, errors } = parseBackup(await file.text());
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch(error) {
+    return { backup: null, errors: ['The file is not valid JSON.'] };
+  }
+
+  return migrateBackup(data);
+}
+
+/**
+ * Upgrades a backup to the current format and validates every section
+ * @param {*} data - Parsed backup
+ * @returns {{backup: Object|null, errors: Array<string>}} Current-format backup, or the reasons it was rejected
+ */
+export function migrateBackup(data) {
+  if(!data || typeof data !== 'object') {
+    return { backup: null, errors: ['This is not a Pokédex backup.'] };
+  }
+
+  if(data.format === BACKUP_FORMAT && !isSchemaVersion(data.version)) {
+    return { backup: null, errors: ['The backup has an invalid format version.'] };
+  }
+
+  let value = data;
+  let version = data.format === BACKUP_FORMAT ? data.version : 0;
+
+  if(version > BACKUP_VERSION) {
+    return { backup: null, errors: [`This backup was made by a newer version of the Pokédex (format v${version}). Please update first.`] };
+  }
+
+  while(version < BACKUP_VERSION) {
+    value = BACKUP_MIGRATIONS[version](value);
+    version++;
+  }
+
+  const errors = [];
+  const sections = {};
+  const stored = value.data && typeof value.data === 'object' ? value.data : {};
+
+  Object.entries(BACKUP_SECTIONS).forEach(([name, section]) => {
+    if(!(name in stored)) {
+      return;
+    }
+
+    if(!stored[name] || typeof stored[name] !== 'object') {
+      errors.push(`${section.label}: not in the expected format.`);
+
+      return;
+    }
+    if('version' in stored[name] && !isSchemaVersion(stored[name].version)) {
+      errors.push(`${section.label}: invalid version.`);
+
+      return;
+    }
+    sections[name] = section.sanitize(stored[name]);
+  });
+
+  if(errors.length === 0 && Object.keys(sections).length === 0) {
+    errors.push('The backup does not contain any Pokédex data.');
+  }
+
+  return errors.length > 0
+    ? { backup: null, errors }
+    : { backup: { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: value.exportedAt || null, data: sections }, errors };
+} //migrateBackup
+
+/**
+ * Checks that a stored version can be migrated from
+ * @param {*} version - Version read from a backup or section
+ * @returns {boolean} True for a non-negative integer
+ */
+function isSchemaVersion(version) {
+  return Number.isInteger(version) && version >= 0;
+}
+
+/**
+ * Counts what a backup contains, for the confirmation screen
+ * @param {{data: Object}} backup - Validated backup
+ * @returns {Array<{name: string, label: string, detail: string}>} One line per included section
+ */
+export function summarizeBackup(backup) {
+  const { preferences, collections, history } = backup.data;
+  const lines = [];
+
+  if(preferences) {
+    const count = Object.keys(preferences.preferences).length;
+    lines.push({ name: 'preferences', label: BACKUP_SECTIONS.preferences.label, detail: pluralize(count, 'changed setting') });
+  }
+  if(collections) {
+    const pokemon = collections.collections.reduce((total, collection) => total + collection.entries.length, 0);
+    lines.push({ name: 'collections', label: BACKUP_SECTIONS.collections.label, detail: `${pluralize(collections.collections.length, 'collection')}, ${pokemon} Pokémon` });
+  }
+  if(history) {
+    lines.push({ name: 'history', label: BACKUP_SECTIONS.history.label, detail: pluralize(history.entries.length, 'entry', 'entries') });
+  }
+
+  return lines;
+}
+
+/**
+ * Formats a count with the right noun form
+ * @param {number} count - Number of items
+ * @param {string} singular - Noun for one item
+ * @param {string} [plural] - Noun for other counts (singular + 's' by default)
+ * @returns {string} E.g. "1 collection", "3 collections"
+ */
+function pluralize(count, singular, plural = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+// ====================================
+// IMPORT
+// ====================================
+
+/**
+ * Applies a validated backup to this device
+ * Only sections present in the backup are touched. 'merge' keeps existing
+ * data and adds what is new; 'replace' overwrites those sections.
+ * @param {{data: Object}} backup - Validated backup from parseBackup
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Array<string>} Names of the sections that were written
+ * @example
+ * applyBackup(backup, 'merge');
+ */
+export function applyBackup(backup, mode) {
+  const written = [];
+
+  Object.entries(backup.data).forEach(([name, imported]) => {
+    const section = BACKUP_SECTIONS[name];
+    const next = mode === 'replace' ? imported : section.sanitize(section.merge(readSection(name), imported));
+
+    if(setStorageItem(section.key, JSON.stringify(next))) {
+      notifyStorageChange(section.key);
+      written.push(name);
+    }
+  });
+
+  return written;
+}
+
+/**
+ * Merges settings; imported values win
+ * @param {{preferences: Object}} current - Settings on this device
+ * @param {{preferences: Object}} imported - Settings from the backup
+ * @returns {Object} Merged settings store
+ */
+function mergePreferences(current, imported) {
+  return { ...current, preferences: { ...current.preferences, ...imported.preferences } };
+}
+
+/**
+ * Merges collections matched by ID, then by name; entries are added, never removed
+ * @param {{collections: Array<Object>}} current - Collections on this device
+ * @param {{collections: Array<Object>}} imported - Collections from the backup
+ * @returns {Object} Merged collections store
+ */
+function mergeCollections(current, imported) {
+  const collections = current.collections.map(collection => ({ ...collection, entries: [...collection.entries] }));
+
+  imported.collections.forEach(incoming => {
+    const match = collections.find(collection => collection.id === incoming.id)
+      || collections.find(collection => collection.name.toLowerCase() === incoming.name.toLowerCase());
+
+    if(!match) {
+      collections.push(incoming);
+
+      return;
+    }
+
+    incoming.entries.forEach(entry => {
+      if(!match.entries.some(existing => existing.name === entry.name)) {
+        match.entries.push(entry);
+      }
+    });
+  });
+
+  return { ...current, collections };
+} //mergeCollections
+
+/**
+ * Merges history by time; the same view in both is kept once
+ * View counts keep the larger of the two so re-importing a backup does not inflate them
+ * @param {{entries: Array<Object>, counts: Object}} current - History on this device
+ * @param {{entries: Array<Object>, counts: Object}} imported - History from the backup
+ * @returns {Object} Merged history
+ */
+function mergeHistory(current, imported) {
+  const seen = new Set();
+  const entries = [...current.entries, ...imported.entries]
+    .filter(entry => {
+      const key = `${entry.name}|${entry.viewedAt}`;
+      if(seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+
+      return true;
+    })
+    .sort((a, b) => String(a.viewedAt).localeCompare(String(b.viewedAt)))
+    .slice(-MAX_HISTORY_LENGTH);
+
+  const counts = { ...current.counts };
+  Object.entries(imported.counts).forEach(([name, count]) => {
+    if(!count || typeof count.count !== 'number') {
+      return;
+    }
+
+    const existing = counts[name];
+    counts[name] = !existing ? count : {
+      count: Math.max(existing.count, count.count),
+      firstViewedAt: [existing.firstViewedAt, count.firstViewedAt].sort()[0],
+      lastViewedAt: [existing.lastViewedAt, count.lastViewedAt].sort()[1]
+    };
+  });
+
+  return { ...current, index: entries.length - 1, entries, counts };
+} //mergeHistory
+
+// ====================================
+// SHARE LINKS
+// ====================================
+
+/**
+ * Builds a link that carries settings and collections in its fragment
+ * @returns {string|null} Absolute URL, or null when the data is too large for a link
+ */
+export function createShareUrl() {
+  const json = JSON.stringify(createBackup(SHARE_SECTIONS));
+  if(json.length > MAX_SHARE_URL_LENGTH) {
+    return null;
+  }
+
+  const bytes = new TextEncoder().encode(json);
+  const encoded = btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = `${SHARE_FRAGMENT_KEY}=${encoded}`;
+
+  return url.href.length <= MAX_SHARE_URL_LENGTH ? url.href : null;
+}
+
+/**
+ * Reads a shared backup from the URL fragment
+ * @param {string} [hash=window.location.hash] - URL fragment
+ * @returns {string|null} Backup JSON, or null when the URL has none (or it is damaged)
+ */
+export function readSharedBackup(hash = window.location.hash) {
+  const prefix = `#${SHARE_FRAGMENT_KEY}=`;
+  if(!hash.startsWith(prefix)) {
+    return null;
+  }
+
+  try {
+    const base64 = hash.slice(prefix.length).replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+
+    return new TextDecoder().decode(bytes);
+  } catch(error) {
+    console.warn('⚠️ [Backup] Shared backup link is damaged:', error.message);
+
+    return null;
+  }
+}
+
+/**
+ * Removes the shared backup from the address bar so it is not imported twice
+ */
+export function clearShareFragment() {
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+}
@@ -0,0 +1,499 @@
+/**
+ * CACHE UTILITIES MODULE
+ * ======================
+ *
+ * This module provides a persistent, versioned IndexedDB store for PokeAPI
+ * responses. It sits behind fetchJson in requests.js so that data survives
+ * page reloads, and works whether or not the service worker is installed.
+ *
+ * Key Features:
+ * - Versioned IndexedDB database with schema upgrades
+ * - Per-endpoint time-to-live (species data lives for weeks, others less)
+ * - Entry count and byte size limits with least-recently-used eviction
+ * - Inspection helpers for stats and stored entries
+ * - One-call clearing of the whole store or a single URL
+ * - Silent fallback when IndexedDB is unavailable (private mode, old browsers)
+ * - Expired entries kept as an offline fallback until the space is needed
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// DATABASE CONFIGURATION
+// ====================================
+
+/** @type {string} IndexedDB database name */
+const DB_NAME = 'pokedex-response-cache';
+
+/** @type {number} IndexedDB schema version - bump when object stores or indexes change */
+const DB_VERSION = 1;
+
+/** @type {string} Object store holding cached API responses */
+const STORE_NAME = 'responses';
+
+/** @type {number} Entry format version - bump to invalidate every stored response */
+const CACHE_VERSION = 1;
+
+/** @type {number} One day in milliseconds */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Time-to-live for each PokeAPI endpoint
+ * Species, abilities and items almost never change, so they can live for weeks
+ * @type {Object<string, number>}
+ */
+export const ENDPOINT_TTLS = {
+  'pokemon-species': 30 * DAY,
+  'pokemon': 7 * DAY,
+  'pokemon-form': 30 * DAY,
+  'ability': 30 * DAY,
+  'item': 30 * DAY,
+  'type': 14 * DAY,
+  default: 1 * DAY
+};
+
+/**
+ * Size limits for the persistent store
+ * When either limit is exceeded, least recently used entries are evicted first
+ * @type {{maxEntries: number, maxBytes: number}}
+ */
+export const CACHE_LIMITS = {
+  maxEntries: 2000,
+  maxBytes: 25 * 1024 * 1024 // 25 MB
+};
+
+/** @type {number} Delay before enforcing limits after a write, so bursts are batched */
+const EVICTION_DELAY = 2000;
+
+/** @type {Promise<IDBDatabase|null>|null} Memoized database connection */
+let databasePromise = null;
+
+/** @type {number|null} Timeout reference for scheduled eviction */
+let evictionTimeout = null;
+
+// ====================================
+// DATABASE CONNECTION
+// ====================================
+
+/**
+ * Checks whether IndexedDB can be used in the current environment
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isPersistentCacheAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Opens (and upgrades if needed) the response cache database
+ * Resolves with null instead of rejecting so callers can fall back to the network
+ * @returns {Promise<IDBDatabase|null>} Open database connection or null
+ */
+function openDatabase() {
+  if(databasePromise) {
+    return databasePromise;
+  }
+
+  databasePromise = new Promise(resolve => {
+    if(!isPersistentCacheAvailable()) {
+      resolve(null);
+
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+
+        // Recreate the store on schema changes - cached responses are disposable
+        if(database.objectStoreNames.contains(STORE_NAME)) {
+          database.deleteObjectStore(STORE_NAME);
+        }
+
+        const store = database.createObjectStore(STORE_NAME, { keyPath: 'url' });
+        store.createIndex('lastAccessed', 'lastAccessed');
+        store.createIndex('endpoint', 'endpoint');
+      };
+
+      request.onsuccess = () => {
+        const database = request.result;
+
+        // Let other tabs upgrade the schema without being blocked by this one
+        database.onversionchange = () => {
+          database.close();
+          databasePromise = null;
+        };
+
+        resolve(database);
+      };
+
+      request.onerror = () => {
+        if(isDev()) {
+          console.warn('💾 [Response Cache] Could not open IndexedDB:', request.error);
+        }
+
+        resolve(null);
+      };
+
+      request.onblocked = () => {
+        if(isDev()) {
+          console.warn('💾 [Response Cache] IndexedDB upgrade blocked by another tab');
+        }
+      };
+    } catch (error) {
+      if(isDev()) {
+        console.warn('💾 [Response Cache] IndexedDB unavailable:', error);
+      }
+
+      resolve(null);
+    }
+  });
+
+  return databasePromise;
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wrap
+ * @returns {Promise<any>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// ====================================
+// ENDPOINT HELPERS
+// ====================================
+
+/**
+ * Extracts the PokeAPI endpoint name from a request URL
+ * @param {string} url - Full API URL
+ * @returns {string} Endpoint name (e.g. "pokemon-species") or "default"
+ * @example
+ * getEndpointFromUrl('https://pokeapi.co/api/v2/pokemon-species/25'); // "pokemon-species"
+ */
+export function getEndpointFromUrl(url) {
+  const match = /\/api\/v2\/([^/?#]+)/.exec(url || '');
+
+  return match ? match[1] : 'default';
+}
+
+/**
+ * Looks up the time-to-live for a request URL
+ * @param {string} url - Full API URL
+ * @returns {number} TTL in milliseconds
+ */
+export function getTtlForUrl(url) {
+  const endpoint = getEndpointFromUrl(url);
+
+  return ENDPOINT_TTLS[endpoint] || ENDPOINT_TTLS.default;
+}
+
+// ====================================
+// READ / WRITE OPERATIONS
+// ====================================
+
+/**
+ * Reads a cached response if it exists, matches the current version and has not expired
+ * Expired entries stay in the store as an offline fallback until the store is over a limit
+ * Refreshes the entry's last-accessed time for LRU eviction
+ * @param {string} url - API URL used as the cache key
+ * @param {Object} [options] - Read options
+ * @param {boolean} [options.allowExpired=false] - Also return entries past their TTL (offline fallback)
+ * @returns {Promise<Object|null>} Cached response data or null on miss
+ */
+export async function getCachedResponse(url, { allowExpired = false } = {}) {
+  const database = await openDatabase();
+  if(!database) {
+    return null;
+  }
+
+  try {
+    const transaction = database.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const entry = await promisifyRequest(store.get(url));
+
+    if(!entry) {
+      return null;
+    }
+
+    if(entry.version !== CACHE_VERSION) {
+      store.delete(url);
+
+      return null;
+    }
+
+    if(entry.expiresAt <= Date.now() && !allowExpired) {
+      return null;
+    }
+
+    entry.lastAccessed = Date.now();
+    store.put(entry);
+
+    return entry.data;
+  } catch (error) {
+    if(isDev()) {
+      console.warn('💾 [Response Cache] Read failed for', url, error);
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Stores a response in the persistent cache with its endpoint TTL
+ * @param {string} url - API URL used as the cache key
+ * @param {Object} data - Parsed JSON response data
+ * @returns {Promise<boolean>} True if the entry was written
+ */
+export async function setCachedResponse(url, data) {
+  const database = await openDatabase();
+  if(!database) {
+    return false;
+  }
+
+  try {
+    const now = Date.now();
+    const entry = {
+      url,
+      data,
+      endpoint: getEndpointFromUrl(url),
+      version: CACHE_VERSION,
+      size: JSON.stringify(data).length,
+      storedAt: now,
+      lastAccessed: now,
+      expiresAt: now + getTtlForUrl(url)
+    };
+
+    // Never store a single response larger than the whole budget
+    if(entry.size > CACHE_LIMITS.maxBytes) {
+      return false;
+    }
+
+    const transaction = database.transaction(STORE_NAME, 'readwrite');
+    await promisifyRequest(transaction.objectStore(STORE_NAME).put(entry));
+    scheduleEviction();
+
+    return true;
+  } catch (error) {
+    if(isDev()) {
+      console.warn('💾 [Response Cache] Write failed for', url, error);
+    }
+
+    return false;
+  }
+}
+
+/**
+ * Removes a single URL from the persistent cache
+ * @param {string} url - API URL to remove
+ * @returns {Promise<boolean>} True if the delete completed
+ */
+export async function deleteCachedResponse(url) {
+  const database = await openDatabase();
+  if(!database) {
+    return false;
+  }
+
+  try {
+    const transaction = database.transaction(STORE_NAME, 'readwrite');
+    await promisifyRequest(transaction.objectStore(STORE_NAME).delete(url));
+
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Removes every entry from the persistent cache
+ * @returns {Promise<boolean>} True if the store was cleared
+ */
+export async function clearResponseCache() {
+  const database = await openDatabase();
+  if(!database) {
+    return false;
+  }
+
+  try {
+    const transaction = database.transaction(STORE_NAME, 'readwrite');
+    await promisifyRequest(transaction.objectStore(STORE_NAME).clear());
+
+    return true;
+  } catch (error) {
+    if(isDev()) {
+      console.warn('💾 [Response Cache] Clear failed:', error);
+    }
+
+    return false;
+  }
+}
+
+// ====================================
+// LRU EVICTION
+// ====================================
+
+/**
+ * Debounces eviction so a burst of writes only triggers one pass
+ */
+function scheduleEviction() {
+  clearTimeout(evictionTimeout);
+  evictionTimeout = setTimeout(() => {
+    enforceCacheLimits();
+  }, EVICTION_DELAY);
+}
+
+/**
+ * Brings the store back under both the entry count and byte size limits
+ * Entries from an older cache version are always removed. Expired entries
+ * stay as an offline fallback until the store is over a limit; then they go
+ * first, followed by the least recently used fresh entries.
+ * @returns {Promise<number>} Number of entries evicted
+ */
+export async function enforceCacheLimits() {
+  const database = await openDatabase();
+  if(!database) {
+    return 0;
+  }
+
+  try {
+    const transaction = database.transaction(STORE_NAME, 'readwrite');
+    const index = transaction.objectStore(STORE_NAME).index('lastAccessed');
+    const entries = await promisifyRequest(index.getAll());
+    const now = Date.now();
+
+    let totalBytes = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    let totalEntries = entries.length;
+    let evicted = 0;
+
+    const evict = entry => {
+      transaction.objectStore(STORE_NAME).delete(entry.url);
+      totalBytes -= entry.size || 0;
+      totalEntries--;
+      evicted++;
+    };
+
+    const current = entries.filter(entry => entry.version === CACHE_VERSION);
+    entries.filter(entry => entry.version !== CACHE_VERSION).forEach(evict);
+
+    // Entries come back oldest-access first, so walking forward evicts LRU
+    const candidates = [
+      ...current.filter(entry => entry.expiresAt <= now),
+      ...current.filter(entry => entry.expiresAt > now)
+    ];
+    for(const entry of candidates) {
+      if(totalEntries <= CACHE_LIMITS.maxEntries && totalBytes <= CACHE_LIMITS.maxBytes) {
+        break;
+      }
+
+      evict(entry);
+    }
+
+    if(evicted > 0 && isDev()) {
+      console.log(`💾 [Response Cache] Evicted ${evicted} entries (${totalEntries} remaining, ${(totalBytes / 1024).toFixed(1)} KB)`);
+    }
+
+    return evicted;
+  } catch (error) {
+    if(isDev()) {
+      console.warn('💾 [Response Cache] Eviction failed:', error);
+    }
+
+    return 0;
+  }
+}
+
+// ====================================
+// INSPECTION
+// ====================================
+
+/**
+ * Lists cached entries without their response bodies
+ * @returns {Promise<Array<{url: string, endpoint: string, size: number, storedAt: number, lastAccessed: number, expiresAt: number}>>}
+ */
+export async function listCachedResponses() {
+  const database = await openDatabase();
+  if(!database) {
+    return [];
+  }
+
+  try {
+    const transaction = database.transaction(STORE_NAME, 'readonly');
+    const entries = await promisifyRequest(transaction.objectStore(STORE_NAME).getAll());
+
+    return entries.map(({ url, endpoint, size, storedAt, lastAccessed, expiresAt }) => ({
+      url, endpoint, size, storedAt, lastAccessed, expiresAt
+    }));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Summarizes the persistent cache for debugging and the UI
+ * @returns {Promise<Object>} Entry count, byte size, per-endpoint counts and limits
+ * @example
+ * const stats = await getResponseCacheStats();
+ * console.log(`${stats.entries} responses, ${stats.bytes} bytes`);
+ */
+export async function getResponseCacheStats() {
+  const entries = await listCachedResponses();
+  const byEndpoint = {};
+  let bytes = 0;
+  let oldest = null;
+  let newest = null;
+
+  entries.forEach(entry => {
+    bytes += entry.size || 0;
+    byEndpoint[entry.endpoint] = (byEndpoint[entry.endpoint] || 0) + 1;
+    oldest = oldest === null ? entry.storedAt : Math.min(oldest, entry.storedAt);
+    newest = newest === null ? entry.storedAt : Math.max(newest, entry.storedAt);
+  });
+
+  return {
+    available: isPersistentCacheAvailable(),
+    version: CACHE_VERSION,
+    entries: entries.length,
+    bytes,
+    oldest: oldest ? new Date(oldest).toISOString() : null,
+    newest: newest ? new Date(newest).toISOString() : null,
+    byEndpoint,
+    limits: { ...CACHE_LIMITS }
+  };
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in B, KB, MB or GB
+ * @example
+ * formatBytes(1536); // '1.5 KB'
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = Math.max(0, bytes || 0);
+  let unit = 0;
+
+  while(value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return `${unit === 0 ? value : value.toFixed(1).replace(/\.0$/, '')} ${units[unit]}`;
+}
+
+/**
+ * Development utility function
+ * @returns {boolean} True if in development mode, false otherwise
+ */
+function isDev() {
+  return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
+}
@@ -0,0 +1,404 @@
+/**
+ * COLLECTIONS-UTILS.JS - Favorites & Collections Storage
+ * ======================================================
+ *
+ * This module stores starred Pokemon and user-named collections
+ * ("Rain team ideas", "Shiny targets") in localStorage under a versioned
+ * schema. Favorites is a built-in collection that cannot be renamed or
+ * deleted.
+ *
+ * Stored Shape (version 1):
+ *   {
+ *     version: 1,
+ *     collections: [
+ *       { id, name, createdAt, entries: [{ name, id, varietyId, isForm, addedAt }] }
+ *     ]
+ *   }
+ *
+ * Every change is saved immediately and announced with a
+ * 'collections-change' window event, including changes made in other tabs.
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { STORAGE_KEYS, getStorageItem, setStorageItem } from './storage-utils.js';
+
+// ====================================
+// SCHEMA CONFIGURATION
+// ====================================
+
+/** @type {number} Current version of the stored collections schema */
+export const COLLECTIONS_SCHEMA_VERSION = 1;
+
+/** @type {string} ID of the built-in favorites collection */
+export const FAVORITES_ID = 'favorites';
+
+/** @type {number} Maximum length of a collection name */
+export const MAX_COLLECTION_NAME_LENGTH = 40;
+
+/** @type {string} Window event fired after any change */
+export const COLLECTIONS_CHANGE_EVENT = 'collections-change';
+
+/**
+ * Upgrades stored data one version at a time
+ * Each key is the version being upgraded from
+ * @type {Object<number, Function>}
+ */
+const MIGRATIONS = {
+  // Unversioned data: a collections object without a version (older backups),
+  // or a bare list of favorite entries or Pokemon IDs
+  0: data => {
+    if(data && Array.isArray(data.collections)) {
+      return { version: 1, collections: data.collections };
+    }
+
+    return {
+      version: 1,
+      collections: [createFavorites((Array.isArray(data) ? data : []).map(item => (
+        typeof item === 'object' ? item : { id: parseInt(item, 10), name: String(item) }
+      )))]
+    };
+  }
+};
+
+/** @type {{version: number, collections: Array<Object>}|null} Loaded store */
+let store = null;
+
+// ====================================
+// LOADING & SAVING
+// ====================================
+
+/**
+ * Returns the collections store, loading and migrating it on first use
+ * @returns {{version: number, collections: Array<Object>}} Collections store
+ */
+function getStore() {
+  if(store) {
+    return store;
+  }
+
+  let data = null;
+  try {
+    data = JSON.parse(getStorageItem(STORAGE_KEYS.COLLECTIONS) || 'null');
+  } catch(error) {
+    console.warn('⚠️ [Collections] Stored collections are not valid JSON, starting fresh');
+  }
+
+  const { value, migrated } = migrateCollections(data);
+  store = value;
+
+  if(migrated) {
+    saveStore({ notify: false });
+  }
+
+  return store;
+} //getStore
+
+/**
+ * Upgrades stored collections to the current schema and repairs invalid parts
+ * @param {*} data - Parsed storage value
+ * @returns {{value: {version: number, collections: Array<Object>}, migrated: boolean}} Current-schema store
+ */
+export function migrateCollections(data) {
+  if(data === null || data === undefined) {
+    return { value: { version: COLLECTIONS_SCHEMA_VERSION, collections: [createFavorites()] }, migrated: false };
+  }
+
+  const versioned = typeof data === 'object' && !Array.isArray(data) && 'version' in data;
+  if(versioned && !(Number.isInteger(data.version) && data.version >= 0)) {
+    console.warn(`⚠️ [Collections] Stored schema version "${data.version}" is not valid, starting fresh`);
+
+    return { value: { version: COLLECTIONS_SCHEMA_VERSION, collections: [createFavorites()] }, migrated: true };
+  }
+
+  let value = data;
+  let version = versioned ? data.version : 0;
+  const migrated = version < COLLECTIONS_SCHEMA_VERSION;
+
+  if(version > COLLECTIONS_SCHEMA_VERSION) {
+    console.warn(`⚠️ [Collections] Stored schema v${version} is newer than v${COLLECTIONS_SCHEMA_VERSION}, reading what is compatible`);
+    version = COLLECTIONS_SCHEMA_VERSION;
+  }
+
+  while(version < COLLECTIONS_SCHEMA_VERSION) {
+    value = MIGRATIONS[version](value);
+    version++;
+  }
+
+  const collections = (Array.isArray(value.collections) ? value.collections : [])
+    .filter(collection => collection && typeof collection.name === 'string')
+    .map(collection => ({
+      id: String(collection.id || createCollectionId()),
+      name: collection.name.slice(0, MAX_COLLECTION_NAME_LENGTH),
+      createdAt: collection.createdAt || new Date().toISOString(),
+      entries: (Array.isArray(collection.entries) ? collection.entries : []).map(sanitizeEntry).filter(Boolean)
+    }));
+
+  // Favorites always exists and always comes first
+  const favoritesIndex = collections.findIndex(collection => collection.id === FAVORITES_ID);
+  const favorites = favoritesIndex === -1 ? createFavorites() : collections.splice(favoritesIndex, 1)[0];
+  favorites.name = 'Favorites';
+
+  return { value: { version: COLLECTIONS_SCHEMA_VERSION, collections: [favorites, ...collections] }, migrated };
+} //migrateCollections
+
+/**
+ * Writes the store and announces the change
+ * @param {Object} [options] - Save options
+ * @param {boolean} [options.notify=true] - Fire the change event
+ * @returns {boolean} True if the store was saved
+ */
+function saveStore({ notify = true } = {}) {
+  const saved = setStorageItem(STORAGE_KEYS.COLLECTIONS, JSON.stringify(store));
+
+  if(notify) {
+    window.dispatchEvent(new CustomEvent(COLLECTIONS_CHANGE_EVENT));
+  }
+
+  return saved;
+}
+
+// Keep tabs in sync - another tab saved, so reload lazily and tell listeners
+window.addEventListener('storage', event => {
+  if(event.key === STORAGE_KEYS.COLLECTIONS) {
+    store = null;
+    window.dispatchEvent(new CustomEvent(COLLECTIONS_CHANGE_EVENT));
+  }
+});
+
+// ====================================
+// COLLECTION QUERIES
+// ====================================
+
+/**
+ * Lists all collections, favorites first
+ * @returns {Array<{id: string, name: string, createdAt: string, entries: Array<Object>}>} Collections
+ */
+export function getCollections() {
+  return getStore().collections;
+}
+
+/**
+ * Finds a collection by ID
+ * @param {string} collectionId - Collection ID
+ * @returns {Object|null} Collection, or null if it does not exist
+ */
+export function getCollection(collectionId) {
+  return getCollections().find(collection => collection.id === collectionId) || null;
+}
+
+/**
+ * Checks whether a Pokemon is in a collection
+ * @param {string} collectionId - Collection ID
+ * @param {string} name - Pokemon (variety) name
+ * @returns {boolean} True if the Pokemon is in the collection
+ */
+export function isInCollection(collectionId, name) {
+  const collection = getCollection(collectionId);
+
+  return !!collection && collection.entries.some(entry => entry.name === name);
+}
+
+/**
+ * Checks whether a Pokemon is starred
+ * @param {string} name - Pokemon (variety) name
+ * @returns {boolean} True if the Pokemon is a favorite
+ */
+export function isFavorite(name) {
+  return isInCollection(FAVORITES_ID, name);
+}
+
+// ====================================
+// COLLECTION CHANGES
+// ====================================
+
+/**
+ * Creates a new empty collection
+ * @param {string} name - Collection name
+ * @returns {Object|null} New collection, or null if the name is empty
+ * @example
+ * createCollection('Shiny targets');
+ */
+export function createCollection(name) {
+  const cleanName = cleanCollectionName(name);
+  if(!cleanName) {
+    return null;
+  }
+
+  const collection = { id: createCollectionId(), name: cleanName, createdAt: new Date().toISOString(), entries: [] };
+  getCollections().push(collection);
+  saveStore();
+
+  return collection;
+}
+
+/**
+ * Renames a collection (favorites keeps its name)
+ * @param {string} collectionId - Collection ID
+ * @param {string} name - New name
+ * @returns {boolean} True if the collection was renamed
+ */
+export function renameCollection(collectionId, name) {
+  const collection = getCollection(collectionId);
+  const cleanName = cleanCollectionName(name);
+  if(!collection || collectionId === FAVORITES_ID || !cleanName) {
+    return false;
+  }
+
+  collection.name = cleanName;
+  saveStore();
+
+  return true;
+}
+
+/**
+ * Deletes a collection (favorites cannot be deleted)
+ * @param {string} collectionId - Collection ID
+ * @returns {boolean} True if the collection was deleted
+ */
+export function deleteCollection(collectionId) {
+  const collections = getCollections();
+  const index = collections.findIndex(collection => collection.id === collectionId);
+  if(index === -1 || collectionId === FAVORITES_ID) {
+    return false;
+  }
+
+  collections.splice(index, 1);
+  saveStore();
+
+  return true;
+}
+
+/**
+ * Adds a Pokemon to the end of a collection
+ * @param {string} collectionId - Collection ID
+ * @param {{name: string, id: number, varietyId?: number, isForm?: boolean}} pokemonEntry - Pokemon to add
+ * @returns {boolean} True if the Pokemon was added
+ */
+export function addToCollection(collectionId, pokemonEntry) {
+  const collection = getCollection(collectionId);
+  const entry = sanitizeEntry({ ...pokemonEntry, addedAt: new Date().toISOString() });
+  if(!collection || !entry || isInCollection(collectionId, entry.name)) {
+    return false;
+  }
+
+  collection.entries.push(entry);
+  saveStore();
+
+  return true;
+}
+
+/**
+ * Removes a Pokemon from a collection
+ * @param {string} collectionId - Collection ID
+ * @param {string} name - Pokemon (variety) name
+ * @returns {boolean} True if the Pokemon was removed
+ */
+export function removeFromCollection(collectionId, name) {
+  const collection = getCollection(collectionId);
+  const index = collection ? collection.entries.findIndex(entry => entry.name === name) : -1;
+  if(index === -1) {
+    return false;
+  }
+
+  collection.entries.splice(index, 1);
+  saveStore();
+
+  return true;
+}
+
+/**
+ * Moves a Pokemon to a new position inside its collection
+ * @param {string} collectionId - Collection ID
+ * @param {string} name - Pokemon (variety) name
+ * @param {number} toIndex - New position (clamped to the list)
+ * @returns {boolean} True if the order changed
+ */
+export function moveCollectionEntry(collectionId, name, toIndex) {
+  const collection = getCollection(collectionId);
+  const fromIndex = collection ? collection.entries.findIndex(entry => entry.name === name) : -1;
+  const targetIndex = collection ? Math.max(0, Math.min(toIndex, collection.entries.length - 1)) : -1;
+  if(fromIndex === -1 || fromIndex === targetIndex) {
+    return false;
+  }
+
+  const [entry] = collection.entries.splice(fromIndex, 1);
+  collection.entries.splice(targetIndex, 0, entry);
+  saveStore();
+
+  return true;
+}
+
+/**
+ * Stars or unstars a Pokemon
+ * @param {{name: string, id: number, varietyId?: number, isForm?: boolean}} pokemonEntry - Pokemon to toggle
+ * @returns {boolean} True if the Pokemon is now a favorite
+ */
+export function toggleFavorite(pokemonEntry) {
+  if(isFavorite(pokemonEntry.name)) {
+    removeFromCollection(FAVORITES_ID, pokemonEntry.name);
+
+    return false;
+  }
+
+  return addToCollection(FAVORITES_ID, pokemonEntry);
+}
+
+// ====================================
+// HELPER FUNCTIONS
+// ====================================
+
+/**
+ * Creates the built-in favorites collection
+ * @param {Array<Object>} [entries=[]] - Initial entries
+ * @returns {Object} Favorites collection
+ */
+function createFavorites(entries = []) {
+  return { id: FAVORITES_ID, name: 'Favorites', createdAt: new Date().toISOString(), entries };
+}
+
+/**
+ * Validates a stored entry and fills in optional fields
+ * @param {Object} entry - Raw entry
+ * @returns {{name: string, id: number, varietyId: number, isForm: boolean, addedAt: string}|null} Entry, or null if invalid
+ */
+function sanitizeEntry(entry) {
+  const id = parseInt(entry && entry.id, 10);
+  if(!entry || typeof entry.name !== 'string' || entry.name === '' || isNaN(id)) {
+    return null;
+  }
+
+  const varietyId = parseInt(entry.varietyId, 10);
+
+  return {
+    name: entry.name,
+    id,
+    varietyId: isNaN(varietyId) ? id : varietyId,
+    isForm: entry.isForm === true,
+    addedAt: entry.addedAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Trims and shortens a collection name
+ * @param {string} name - Raw name
+ * @returns {string} Clean name, empty if unusable
+ */
+function cleanCollectionName(name) {
+  return typeof name === 'string' ? name.trim().slice(0, MAX_COLLECTION_NAME_LENGTH) : '';
+}
+
+/**
+ * Creates a unique collection ID
+ * @returns {string} Collection ID
+ */
+function createCollectionId() {
+  return `collection-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
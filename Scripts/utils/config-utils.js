@@ -0,0 +1,302 @@
+/**
+ * CONFIG-UTILS.JS - Data Source Configuration
+ * ===========================================
+ *
+ * This module is the single place that decides where API data, sprites and
+ * cries are loaded from. By default everything points at the public PokeAPI
+ * services, but any base URL can be redirected to a self-hosted mirror, a
+ * static JSON dump (the PokeAPI/api-data layout) or a local fixture server.
+ *
+ * Configuration is merged from three layers, later layers winning:
+ * 1. Built-in defaults (public PokeAPI)
+ * 2. A settings object on the page: window.POKEDEX_CONFIG = { apiBaseUrl: '...' }
+ * 3. localStorage (STORAGE_KEYS.API_CONFIG, written by setApiConfig from the
+ *    Data source section in Settings, or window.pokemonApp.config.set)
+ *
+ * Sources are deliberately not read from URL parameters: a shared link could
+ * otherwise point the app at any server and have its responses cached.
+ *
+ * Request code keeps using canonical PokeAPI URLs (the ones embedded in API
+ * responses) and passes them through the resolve* helpers right before
+ * loading; responses are cached under the resolved URL.
+ *
+ * Dependencies:
+ * - storage-utils.js: persisted configuration overrides
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { STORAGE_KEYS, getStorageItem, setStorageItem } from './storage-utils.js';
+
+// ====================================
+// DEFAULT DATA SOURCES
+// ====================================
+
+/** @type {string} Canonical PokeAPI REST base used in API responses */
+export const DEFAULT_API_BASE_URL = 'https://pokeapi.co/api/v2';
+
+/** @type {string} Canonical PokeAPI sprites repository base */
+export const DEFAULT_SPRITE_BASE_URL = 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites';
+
+/** @type {string} Canonical PokeAPI cries repository base */
+export const DEFAULT_CRY_BASE_URL = 'https://raw.githubusercontent.com/PokeAPI/cries/main/cries';
+
+/**
+ * Supported API modes
+ * - rest: a live PokeAPI-compatible server (public API or self-hosted mirror)
+ * - static: a static JSON dump where every resource lives at <path>/index.json
+ * @type {Array<string>}
+ */
+const API_MODES = ['rest', 'static'];
+
+/** @type {Object} Built-in configuration */
+const DEFAULT_CONFIG = Object.freeze({
+  apiBaseUrl: DEFAULT_API_BASE_URL,
+  apiMode: 'rest',
+  spriteBaseUrl: DEFAULT_SPRITE_BASE_URL,
+  cryBaseUrl: DEFAULT_CRY_BASE_URL,
+  externalCryFallbacks: true
+});
+
+/** @type {Object|null} Memoized merged configuration */
+let resolvedConfig = null;
+
+// ====================================
+// CONFIGURATION LOADING
+// ====================================
+
+/**
+ * Returns the merged data source configuration
+ * @returns {{apiBaseUrl: string, apiMode: string, spriteBaseUrl: string, cryBaseUrl: string, externalCryFallbacks: boolean}} Active configuration
+ * @example
+ * const { apiBaseUrl, apiMode } = getApiConfig();
+ */
+export function getApiConfig() {
+  if(!resolvedConfig) {
+    resolvedConfig = sanitizeConfig({
+      ...DEFAULT_CONFIG,
+      ...readWindowConfig(),
+      ...readStoredConfig()
+    });
+
+    if(isDev() && isCustomConfig(resolvedConfig)) {
+      console.log('🛰️ [Config] Using custom data sources:', resolvedConfig);
+    }
+  }
+
+  return resolvedConfig;
+}
+
+/**
+ * Persists configuration overrides in localStorage
+ * Pass null for a key to drop its override; changes apply to the next request
+ * @param {Object} overrides - Partial configuration to store
+ * @returns {Object} New active configuration
+ * @example
+ * setApiConfig({ apiBaseUrl: 'http://localhost:8080/api/v2', apiMode: 'static' });
+ */
+export function setApiConfig(overrides = {}) {
+  const stored = { ...readStoredConfig() };
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    if(!(key in DEFAULT_CONFIG)) {
+      return;
+    }
+
+    if(value === null || value === undefined || value === '') {
+      delete stored[key];
+    } else {
+      stored[key] = value;
+    }
+  });
+
+  setStorageItem(STORAGE_KEYS.API_CONFIG, JSON.stringify(stored));
+  resolvedConfig = null;
+
+  return getApiConfig();
+}
+
+/**
+ * Removes every stored override and falls back to the page configuration
+ * @returns {Object} New active configuration
+ */
+export function resetApiConfig() {
+  setStorageItem(STORAGE_KEYS.API_CONFIG, '');
+  resolvedConfig = null;
+
+  return getApiConfig();
+}
+
+/**
+ * Reads the optional settings object defined by the hosting page
+ * @returns {Object} Partial configuration
+ */
+function readWindowConfig() {
+  if(typeof window === 'undefined' || !window.POKEDEX_CONFIG || typeof window.POKEDEX_CONFIG !== 'object') {
+    return {};
+  }
+
+  return { ...window.POKEDEX_CONFIG };
+}
+
+/**
+ * Reads overrides persisted by setApiConfig
+ * @returns {Object} Partial configuration
+ */
+function readStoredConfig() {
+  const stored = getStorageItem(STORAGE_KEYS.API_CONFIG);
+  if(!stored) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(stored);
+
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.warn('⚠️ [Config] Ignoring invalid stored configuration:', error);
+
+    return {};
+  }
+}
+
+/**
+ * Normalizes a merged configuration and falls back to defaults for invalid values
+ * @param {Object} config - Merged configuration
+ * @returns {Object} Frozen, normalized configuration
+ */
+function sanitizeConfig(config) {
+  const apiMode = API_MODES.includes(config.apiMode) ? config.apiMode : DEFAULT_CONFIG.apiMode;
+  const externalCryFallbacks = config.externalCryFallbacks !== false &&
+    config.externalCryFallbacks !== 'false' &&
+    config.externalCryFallbacks !== '0';
+
+  return Object.freeze({
+    apiBaseUrl: normalizeBaseUrl(config.apiBaseUrl, DEFAULT_CONFIG.apiBaseUrl),
+    apiMode,
+    spriteBaseUrl: normalizeBaseUrl(config.spriteBaseUrl, DEFAULT_CONFIG.spriteBaseUrl),
+    cryBaseUrl: normalizeBaseUrl(config.cryBaseUrl, DEFAULT_CONFIG.cryBaseUrl),
+    externalCryFallbacks
+  });
+}
+
+/**
+ * Validates a base URL and strips trailing slashes
+ * Relative URLs are resolved against the current page so fixtures can be served alongside the app
+ * @param {string} value - Configured base URL
+ * @param {string|null} fallback - Default to use when the value is missing or invalid
+ * @returns {string|null} Normalized base URL
+ */
+export function normalizeBaseUrl(value, fallback) {
+  if(!value || typeof value !== 'string') {
+    return fallback;
+  }
+
+  try {
+    const base = typeof window !== 'undefined' && window.location ? window.location.href : undefined;
+
+    return new URL(value, base).href.replace(/\/+$/, '');
+  } catch (error) {
+    console.warn(`⚠️ [Config] Ignoring invalid base URL "${value}"`);
+
+    return fallback;
+  }
+}
+
+/**
+ * Checks whether any data source differs from the defaults
+ * @param {Object} config - Normalized configuration
+ * @returns {boolean} True when a custom source is configured
+ */
+function isCustomConfig(config) {
+  return Object.keys(DEFAULT_CONFIG).some(key => config[key] !== DEFAULT_CONFIG[key]);
+}
+
+// ====================================
+// URL RESOLUTION
+// ====================================
+
+/**
+ * Maps a canonical PokeAPI URL onto the configured API source
+ * In static mode the query string is dropped and index.json is appended,
+ * matching the PokeAPI/api-data dump layout (lists are served in full)
+ * @param {string} url - Canonical URL, e.g. https://pokeapi.co/api/v2/pokemon/25/
+ * @returns {string} URL to actually load
+ * @example
+ * resolveApiUrl('https://pokeapi.co/api/v2/pokemon/25/');
+ * // static mode at /data/api/v2 → 'https://host/data/api/v2/pokemon/25/index.json'
+ */
+export function resolveApiUrl(url) {
+  const { apiBaseUrl, apiMode } = getApiConfig();
+
+  if(typeof url !== 'string' || !url.startsWith(DEFAULT_API_BASE_URL)) {
+    return url;
+  }
+
+  let path = url.slice(DEFAULT_API_BASE_URL.length);
+
+  if(apiMode === 'static') {
+    path = path.split(/[?#]/)[0].replace(/\/+$/, '');
+
+    return `${apiBaseUrl}${path}/index.json`;
+  }
+
+  return `${apiBaseUrl}${path}`;
+}
+
+/**
+ * Maps a PokeAPI sprite URL onto the configured sprite source
+ * @param {string|null} url - Sprite URL from an API response or built locally
+ * @returns {string|null} URL to actually load (null stays null)
+ */
+export function resolveSpriteUrl(url) {
+  return rebaseUrl(url, DEFAULT_SPRITE_BASE_URL, getApiConfig().spriteBaseUrl);
+}
+
+/**
+ * Maps a PokeAPI cry URL onto the configured cry source
+ * @param {string|null} url - Cry URL from an API response or built locally
+ * @returns {string|null} URL to actually load (null stays null)
+ */
+export function resolveCryUrl(url) {
+  return rebaseUrl(url, DEFAULT_CRY_BASE_URL, getApiConfig().cryBaseUrl);
+}
+
+/**
+ * Whether the API is served as a static JSON dump
+ * Static dumps are keyed by numeric ID only, so name lookups need the list index
+ * @returns {boolean} True in static mode
+ */
+export function isStaticApiMode() {
+  return getApiConfig().apiMode === 'static';
+}
+
+/**
+ * Replaces a known prefix with a configured base
+ * @param {string|null} url - URL to rebase
+ * @param {string} from - Canonical prefix
+ * @param {string} to - Configured base
+ * @returns {string|null} Rebased URL, or the input when it does not match
+ */
+function rebaseUrl(url, from, to) {
+  if(typeof url !== 'string' || from === to || !url.startsWith(from)) {
+    return url;
+  }
+
+  return `${to}${url.slice(from.length)}`;
+}
+
+/**
+ * Development-only logging utilities
+ * Enables verbose logging in non-production environments
+ */
+function isDev() {
+  return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
+}
@@ -0,0 +1,57 @@
+/**
+ * DAILY-UTILS.JS - Pokémon of the Day
+ * ===================================
+ *
+ * This module picks the Pokémon of the Day from the date alone, so every
+ * device shows the same one. Days follow UTC to keep teammates in different
+ * time zones in sync.
+ *
+ * build.js also bundles this module as a classic script (dist/daily-utils.js,
+ * global DailyUtils) that service-worker.js loads for its notifications.
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// DAILY PICK
+// ====================================
+
+/**
+ * Returns the day used for the daily pick
+ * @param {Date} [date=new Date()] - Moment to look up
+ * @returns {string} UTC date as YYYY-MM-DD
+ */
+export function getDailyDateKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Picks the Pokémon of the Day
+ * Hashes the date (FNV-1a, then the MurmurHash3 finalizer so that neighbouring
+ * dates land far apart) onto the Pokédex range; the same date and range always
+ * give the same Pokémon
+ * @param {string} dateKey - Day from getDailyDateKey
+ * @param {number} maximumId - Highest Pokédex number in range (151 or all)
+ * @returns {number} Pokédex number from 1 to maximumId
+ * @example
+ * getDailyPokemonId(getDailyDateKey(), 151);
+ */
+export function getDailyPokemonId(dateKey, maximumId) {
+  let hash = 2166136261;
+  for(let index = 0; index < dateKey.length; index++) {
+    hash ^= dateKey.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+
+  return (hash >>> 0) % maximumId + 1;
+}
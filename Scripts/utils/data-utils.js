@@ -9,8 +9,9 @@
  * Key Features:
  * - Pokemon data formatting and validation
  * - Ability, held item, and form list generation
- * - Height/weight unit conversion (metric to imperial)
+ * - Height/weight formatting in imperial or metric units
  * - Pokédex entry text processing and cleanup
+ * - Localized names, genus and entries (English fallback, see language-utils.js)
  * - Type system processing and visual styling
  * - Statistical data processing and calculation
  * 
@@ -47,6 +48,9 @@ import {
   convertHexToRgba 
 } from './color-utils.js';
 
+import { getPreference } from './preferences-utils.js';
+import { getLocalizedEntries, getLocalizedText } from './language-utils.js';
+
 // ====================================
 // APPLICATION CONSTANTS
 // ====================================
@@ -71,6 +75,7 @@ let MaximumId = 1025;
  * Generates and displays the abilities list for a Pokemon
  * Handles both normal and hidden abilities with appropriate styling
  * @param {Array} abilities - Array of ability objects from Pokemon API
+ * @param {AbortSignal} [signal] - Navigation signal; stops effect lookups once a newer Pokemon is requested
  * @example
  * const abilities = [
  *   { ability: { name: 'overgrow', url: '...' }, is_hidden: false },
@@ -78,7 +83,7 @@ let MaximumId = 1025;
  * ];
  * getAbilityList(abilities);
  */
-export function getAbilityList(abilities) {
+export function getAbilityList(abilities, signal) {
   function isDev() {
     return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
   }
@@ -94,6 +99,11 @@ export function getAbilityList(abilities) {
   AbilitiesUnorderedList.innerHTML = `<ul id='abilities-unordered-list' class='list-bulleted'></ul>`;
   const fragment = document.createDocumentFragment();
   window.requestAnimationFrame(() => {
+    // A newer Pokemon was requested before this frame - its own list will render
+    if(signal && signal.aborted) {
+      return;
+    }
+
     // Collect regular ability names for comparison
     const regularAbilityNames = abilities
       .filter(a => !a.is_hidden)
@@ -109,13 +119,9 @@ export function getAbilityList(abilities) {
       const ListItem = document.createElement('li');
       ListItem.id = `flavor-text-${index + 1}`;
       ListItem.classList.add('flavor-text');
-      let name = capitalizeAfterHyphen(capitalizeFirstLetter(ability.ability.name));
-      
-      if(ability.is_hidden) {
-        name += ' (Hidden)';
-      }
+      const name = capitalizeAfterHyphen(capitalizeFirstLetter(ability.ability.name));
 
-      requestAbilityEffect(ability.ability.url, ListItem, name);
+      requestAbilityEffect(ability.ability.url, ListItem, name, signal, ability.is_hidden);
       ListItem.style.color = ability.is_hidden === false ? TextColor : HiddenAbilityTextColor;
       fragment.appendChild(ListItem);
     });
@@ -132,13 +138,14 @@ export function getAbilityList(abilities) {
  * Generates and displays the held items list for a Pokemon
  * Handles cases where Pokemon have no held items by hiding the section
  * @param {Array} heldItems - Array of held item objects from Pokemon API
+ * @param {AbortSignal} [signal] - Navigation signal; stops item lookups once a newer Pokemon is requested
  * @example
  * const heldItems = [
  *   { item: { name: 'light-ball', url: '...' } }
  * ];
  * getHeldItemList(heldItems);
  */
-export function getHeldItemList(heldItems) {
+export function getHeldItemList(heldItems, signal) {
   function isDev() {
     return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
   }
@@ -164,11 +171,15 @@ export function getHeldItemList(heldItems) {
   const fragment = document.createDocumentFragment();
 
   window.requestAnimationFrame(() => {
+    if(signal && signal.aborted) {
+      return;
+    }
+
     heldItems.forEach((heldItem, index) => {
       const ListItem = document.createElement('li');
       ListItem.id = `held-item-text-${index + 1}`;
       ListItem.classList.add('held-item-text');
-      requestHeldItem(heldItem.item.url, ListItem, capitalizeAfterHyphen(capitalizeFirstLetter(heldItem.item.name)));
+      requestHeldItem(heldItem.item.url, ListItem, capitalizeAfterHyphen(capitalizeFirstLetter(heldItem.item.name)), signal);
       ListItem.style.color = TextColor;
       fragment.appendChild(ListItem);
     });
@@ -185,6 +196,7 @@ export function getHeldItemList(heldItems) {
  * Generates and displays the alternate forms list for a Pokemon
  * Hides the section if Pokemon only has one form (the default form)
  * @param {Array} forms - Array of form objects from Pokemon API
+ * @param {AbortSignal} [signal] - Navigation signal; stops form lookups once a newer Pokemon is requested
  * @example
  * const forms = [
  *   { pokemon: { name: 'deoxys-normal', url: '...' } },
@@ -192,7 +204,7 @@ export function getHeldItemList(heldItems) {
  * ];
  * getFormList(forms);
  */
-export function getFormList(forms) {
+export function getFormList(forms, signal) {
   function isDev() {
     return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
   }
@@ -218,16 +230,20 @@ export function getFormList(forms) {
   const fragment = document.createDocumentFragment();
 
   window.requestAnimationFrame(() => {
+    if(signal && signal.aborted) {
+      return;
+    }
+
     forms.forEach((form, index) => {
       const ListItem = document.createElement('li');
       ListItem.id = `forms-text-${index + 1}`;
       ListItem.classList.add('form-text');
-      requestForm(form.pokemon.url, ListItem);
+      requestForm(form.pokemon.url, ListItem, signal);
       ListItem.style.color = TextColor;
 
       ListItem.addEventListener('click', () => {
         const pokemonId = form.pokemon.url.split('/').slice(-2, -1)[0];
-        import('./navigation-utils.js?v=20250801i').then(({ generatePokemon }) => {
+        import('./navigation-utils.js').then(({ generatePokemon }) => {
           generatePokemon(pokemonId, 'visible', true);
         });
       });
@@ -308,16 +324,18 @@ export function getLargestStat(statsArray) {
 
 /**
  * Extracts and formats Pokédex entry text from flavor text entries
- * Filters for English entries and cleans up formatting/whitespace
+ * Uses entries in the chosen language (English if it has none). The entry from the
+ * pinned game version is used when there is one, otherwise a random entry
  * @param {Array} flavorTextEntries - Array of flavor text objects from Pokemon species API
+ * @param {string} [language] - PokeAPI language code (defaults to the language preference)
  * @returns {string} Formatted Pokédex entry text
  * @example
  * const entries = [
- *   { flavor_text: 'A strange seed was planted...', language: { name: 'en' } }
+ *   { flavor_text: 'A strange seed was planted...', language: { name: 'en' }, version: { name: 'red' } }
  * ];
  * const entry = getPokedexEntry(entries);
  */
-export function getPokedexEntry(flavorTextEntries) {
+export function getPokedexEntry(flavorTextEntries, language = getPreference('language')) {
   function isDev() {
     return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
   }
@@ -330,24 +348,74 @@ export function getPokedexEntry(flavorTextEntries) {
     return 'No Pokédex entry available.';
   }
 
-  // RegEx pattern to remove various Unicode whitespace and control characters
-  const RegEx = /[\u00A0\u1680​\u180e\u2000-\u2009\u200a​\u200b​\u202f\u205f​\u3000\u000c\n]/g;
-  let entriesArray = [];
-  let entry = '';
+  const entries = getPokedexEntries(flavorTextEntries, language);
   
-  // Extract English language entries
-  for(let index in flavorTextEntries) {
-    if(flavorTextEntries[index].language.name === 'en') {
-      entriesArray.push(flavorTextEntries[index].flavor_text);
-    }
+  if(entries.length === 0) {
+    return 'No Pokédex entry available.';
   }
   
-  if(entriesArray.length === 0) {
-    return 'No English Pokédex entry available.';
-  }
+  // Prefer the pinned version, otherwise select a random entry
+  const preferredVersion = getPreference('preferredVersion');
+  const pinnedEntry = preferredVersion ? entries.find(entry => entry.versions.includes(preferredVersion)) : null;
   
-  // Select random entry from available English entries
-  entry = entriesArray[~~(Math.random() * entriesArray.length)].replaceAll(RegEx, ' ');
+  return (pinnedEntry || entries[~~(Math.random() * entries.length)]).text;
+}
+
+/**
+ * Lists every distinct Pokédex entry with the game versions that use it
+ * Entries whose text only differs in line breaks or capitalization are collapsed into one
+ * @param {Array} flavorTextEntries - Array of flavor text objects from Pokemon species API
+ * @param {string} [language] - PokeAPI language code (defaults to the language preference)
+ * @returns {Array<{text: string, versions: Array<string>}>} Entries in PokeAPI (release) order
+ * @example
+ * getPokedexEntries(species.flavor_text_entries);
+ * // [{ text: 'A strange seed was planted...', versions: ['red', 'blue'] }, ...]
+ */
+export function getPokedexEntries(flavorTextEntries, language = getPreference('language')) {
+  const entries = [];
+  const entriesByText = new Map();
+
+  getLocalizedEntries(flavorTextEntries, language).entries.forEach(flavorText => {
+    const text = cleanEntryText(flavorText.flavor_text || '');
+    const key = text.replace(/\s+/g, ' ').trim().toLowerCase();
+    const version = flavorText.version ? flavorText.version.name : null;
+
+    if(!key) {
+      return;
+    }
+
+    let entry = entriesByText.get(key);
+    if(!entry) {
+      entry = { text, versions: [] };
+      entriesByText.set(key, entry);
+      entries.push(entry);
+    }
+    if(version && !entry.versions.includes(version)) {
+      entry.versions.push(version);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Formats a PokeAPI game version name for display
+ * @param {string} version - Version name (e.g. 'lets-go-pikachu')
+ * @returns {string} Display name (e.g. "Lets Go Pikachu")
+ */
+export function getVersionLabel(version) {
+  return version.split('-').map(word => capitalizeFirstLetter(word)).join(' ');
+}
+
+/**
+ * Removes layout characters from flavor text and fixes old spellings
+ * @param {string} text - Raw flavor text
+ * @returns {string} Clean entry text
+ */
+function cleanEntryText(text) {
+  // RegEx pattern to remove various Unicode whitespace and control characters
+  const RegEx = /[\u00A0\u1680​\u180e\u2000-\u2009\u200a​\u200b​\u202f\u205f​\u3000\u000c\n]/g;
+  let entry = text.replaceAll(RegEx, ' ');
   
   // Fix common formatting issues with Pokemon name
   if(entry.includes('POKéMON')) {
@@ -359,16 +427,17 @@ export function getPokedexEntry(flavorTextEntries) {
 
 /**
  * Extracts the genus (species classification) for a Pokemon
- * Filters for English language genus entries
+ * Uses the chosen language, falling back to English
  * @param {Array} genera - Array of genus objects from Pokemon species API
- * @returns {string} English genus classification (e.g., "Seed Pokémon")
+ * @param {string} [language] - PokeAPI language code (defaults to the language preference)
+ * @returns {string} Genus classification (e.g., "Seed Pokémon")
  * @example
  * const genera = [
  *   { genus: 'Seed Pokémon', language: { name: 'en' } }
  * ];
  * const genus = getGenus(genera); // Returns "Seed Pokémon"
  */
-export function getGenus(genera) {
+export function getGenus(genera, language = getPreference('language')) {
   function isDev() {
     return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
   }
@@ -381,30 +450,34 @@ export function getGenus(genera) {
     return 'Unknown Pokémon';
   }
 
-  // Find and return English genus entry
-  for(let index in genera) {
-    if(genera[index].language.name === 'en') {
-      return genera[index].genus;
-    }
-  }
+  // Find the genus in the chosen language (or English)
+  const genus = getLocalizedText(genera, 'genus', language);
   
-  return 'Unknown Pokémon';
+  return genus ? genus.text : 'Unknown Pokémon';
 }
 
 // ====================================
 // UNIT CONVERSION UTILITIES
 // ====================================
 
+/** @type {number} Inches in one decimeter */
+const InchesPerDecimeter = 3.93701;
+
+/** @type {number} Pounds in one hectogram */
+const PoundsPerHectogram = 0.220462;
+
 /**
- * Converts Pokemon height from decimeters to feet and inches
- * Handles both tall Pokemon (feet + inches) and short Pokemon (inches only)
+ * Formats Pokemon height from decimeters in the chosen units
+ * Imperial shows feet and inches (inches only for short Pokemon), metric shows meters
  * @param {number} height - Height in decimeters from Pokemon API
- * @returns {string} Formatted height string (e.g., "5'7\"" or "11\"")
+ * @param {string} [units] - 'imperial' or 'metric' (defaults to the units preference)
+ * @returns {string} Formatted height string (e.g., "5'7\"", "11\"" or "1.7 m")
  * @example
  * const height = getHeight(17); // 1.7 meters
  * console.log(height); // "5'7\""
+ * console.log(getHeight(17, 'metric')); // "1.7 m"
  */
-export function getHeight(height) {
+export function getHeight(height, units = getPreference('units')) {
   if(typeof height !== 'number' || height < 0) {
     function isDev() {
       return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
@@ -414,26 +487,30 @@ export function getHeight(height) {
       console.warn('getHeight: Invalid height value provided');
     }
     
-    return '0"';
+    return units === 'metric' ? '0 m' : '0"';
+  }
+
+  if(units === 'metric') {
+    return `${formatDecimal(height / 10)} m`;
   }
 
-  // Convert decimeters to inches, then calculate feet and remaining inches
-  let feet = ~~(Math.round(height * 3.93701) / 12); // Floor division for feet
-  let inches = Math.round(height * 3.93701) % 12;   // Remainder for inches
+  const { feet, inches } = getFeetAndInches(height);
   
   // Format based on whether Pokemon is tall enough to show feet
   return feet > 0 ? `${feet}'${inches}"` : `${inches}"`;
 }
 
 /**
- * Converts Pokemon weight from hectograms to pounds
+ * Formats Pokemon weight from hectograms in the chosen units
  * @param {number} weight - Weight in hectograms from Pokemon API  
- * @returns {string} Weight in pounds formatted to 1 decimal place
+ * @param {string} [units] - 'imperial' or 'metric' (defaults to the units preference)
+ * @returns {string} Weight with unit, to 1 decimal place
  * @example
  * const weight = getWeight(69); // 6.9 kg
  * console.log(weight); // "15.2 lbs"
+ * console.log(getWeight(69, 'metric')); // "6.9 kg"
  */
-export function getWeight(weight) {
+export function getWeight(weight, units = getPreference('units')) {
   if(typeof weight !== 'number' || weight < 0) {
     function isDev() {
       return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
@@ -443,11 +520,76 @@ export function getWeight(weight) {
       console.warn('getWeight: Invalid weight value provided');
     }
     
-    return '0.0';
+    return units === 'metric' ? '0.0 kg' : '0.0 lbs';
+  }
+
+  return units === 'metric'
+    ? `${(weight / 10).toFixed(1)} kg`
+    : `${(weight * PoundsPerHectogram).toFixed(1)} lbs`;
+}
+
+/**
+ * Describes height and weight in words for text-to-speech
+ * @param {number} height - Height in decimeters from Pokemon API
+ * @param {number} weight - Weight in hectograms from Pokemon API
+ * @param {string} [units] - 'imperial' or 'metric' (defaults to the units preference)
+ * @returns {{height: string, weight: string}} Spoken height and weight
+ * @example
+ * getSpokenMeasurements(17, 69, 'imperial'); // { height: '5 feet 7 inches', weight: '15.2 pounds' }
+ * getSpokenMeasurements(17, 69, 'metric');   // { height: '1.7 meters', weight: '6.9 kilograms' }
+ */
+export function getSpokenMeasurements(height, weight, units = getPreference('units')) {
+  const safeHeight = typeof height === 'number' && height >= 0 ? height : 0;
+  const safeWeight = typeof weight === 'number' && weight >= 0 ? weight : 0;
+
+  if(units === 'metric') {
+    return {
+      height: pluralizeUnit(formatDecimal(safeHeight / 10), 'meter'),
+      weight: pluralizeUnit((safeWeight / 10).toFixed(1), 'kilogram')
+    };
   }
 
-  // Convert hectograms to pounds (1 hectogram = 0.220462 pounds)
-  return Math.round((weight / 4.536), 2).toFixed(1);
+  const { feet, inches } = getFeetAndInches(safeHeight);
+  const spokenHeight = [
+    feet > 0 ? pluralizeUnit(feet, 'foot', 'feet') : '',
+    inches > 0 || feet === 0 ? pluralizeUnit(inches, 'inch', 'inches') : ''
+  ].filter(Boolean).join(' ');
+
+  return {
+    height: spokenHeight,
+    weight: pluralizeUnit((safeWeight * PoundsPerHectogram).toFixed(1), 'pound')
+  };
+}
+
+/**
+ * Splits a height in decimeters into whole feet and remaining inches
+ * @param {number} height - Height in decimeters
+ * @returns {{feet: number, inches: number}} Feet and inches
+ */
+function getFeetAndInches(height) {
+  const totalInches = Math.round(height * InchesPerDecimeter);
+
+  return { feet: ~~(totalInches / 12), inches: totalInches % 12 };
+}
+
+/**
+ * Formats a number with at most one decimal place (1.7, 2, 0.3)
+ * @param {number} value - Number to format
+ * @returns {string} Formatted number
+ */
+function formatDecimal(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Joins a number and a unit name, using the plural unless the number is exactly 1
+ * @param {number|string} value - Amount
+ * @param {string} singular - Unit name for one
+ * @param {string} [plural] - Unit name for other amounts
+ * @returns {string} E.g. "1 foot", "2.5 meters"
+ */
+function pluralizeUnit(value, singular, plural = `${singular}s`) {
+  return `${value} ${Number(value) === 1 ? singular : plural}`;
 }
 
 // ====================================
@@ -623,3 +765,14 @@ export function punctuationNameCheck(name) {
     name.toLowerCase().includes('-') ? name.replace('-', ' ') :               // Handle other hyphenated names
     name;
 }
+
+/**
+ * Formats a PokeAPI resource slug (item, move, version...) for display
+ * @param {string} name - Resource name, e.g. 'thunder-stone'
+ * @returns {string} Display name, e.g. 'Thunder Stone'
+ * @example
+ * const version = formatResourceName('scarlet-violet'); // Returns 'Scarlet Violet'
+ */
+export function formatResourceName(name) {
+  return capitalizeAfterHyphen(name).replaceAll('-', ' ');
+}
@@ -353,6 +353,32 @@ export function validPokedexNumberCheck() {
   return !isNaN(id) && id >= MinimumId && id <= MaximumId;
 }
 
+// ====================================
+// FILE DOWNLOADS
+// ====================================
+
+/**
+ * Saves text as a file through a temporary download link
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} [type='application/json'] - MIME type
+ * @example
+ * downloadTextFile('pokedex-history.json', JSON.stringify(history));
+ */
+export function downloadTextFile(filename, text, type = 'application/json') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 // ====================================
 // MODULE INITIALIZATION
 // ====================================
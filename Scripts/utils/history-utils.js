@@ -0,0 +1,241 @@
+/**
+ * HISTORY-UTILS.JS - Viewing History Storage
+ * ==========================================
+ *
+ * This module keeps a bounded back/forward stack of viewed Pokemon and a
+ * per-Pokemon view counter (todo 110) in localStorage.
+ *
+ * Navigation through the stack is explicit rather than timing based: a
+ * back/forward/jump navigation passes the target stack index along with
+ * generatePokemon, and recordPokemonView only moves the cursor once that
+ * Pokemon is actually on screen. Aborted or superseded navigations leave
+ * the stack untouched.
+ *
+ * Stored Shape (version 1):
+ *   { version: 1, index, entries: [{ name, id, varietyId, isForm, viewedAt }],
+ *     counts: { [name]: { count, firstViewedAt, lastViewedAt } } }
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { STORAGE_KEYS, getStorageItem, setStorageItem } from './storage-utils.js';
+
+// ====================================
+// HISTORY CONFIGURATION
+// ====================================
+
+/** @type {number} Current version of the stored history schema */
+export const HISTORY_SCHEMA_VERSION = 1;
+
+/** @type {number} Maximum number of entries kept in the stack */
+export const MAX_HISTORY_LENGTH = 100;
+
+/** @type {string} Window event fired after the history changes */
+export const HISTORY_CHANGE_EVENT = 'history-change';
+
+/** @type {{version: number, index: number, entries: Array<Object>, counts: Object}|null} Loaded history */
+let history = null;
+
+// ====================================
+// LOADING & SAVING
+// ====================================
+
+/**
+ * Returns the history, loading it on first use
+ * @returns {{version: number, index: number, entries: Array<Object>, counts: Object}} History
+ */
+function getHistory() {
+  if(history) {
+    return history;
+  }
+
+  let data = null;
+  try {
+    data = JSON.parse(getStorageItem(STORAGE_KEYS.VIEW_HISTORY) || 'null');
+  } catch(error) {
+    console.warn('⚠️ [History] Stored history is not valid JSON, starting fresh');
+  }
+
+  history = sanitizeHistory(data);
+
+  return history;
+}
+
+/**
+ * Repairs stored history so the rest of the module can trust it
+ * @param {*} data - Parsed storage value
+ * @returns {{version: number, index: number, entries: Array<Object>, counts: Object}} Valid history
+ */
+export function sanitizeHistory(data) {
+  const value = data && typeof data === 'object' ? data : {};
+  const entries = (Array.isArray(value.entries) ? value.entries : [])
+    .filter(entry => entry && typeof entry.name === 'string' && !isNaN(parseInt(entry.id, 10)))
+    .slice(-MAX_HISTORY_LENGTH);
+  const counts = {};
+  if(value.counts && typeof value.counts === 'object') {
+    Object.entries(value.counts).forEach(([name, count]) => {
+      // A count must be a positive whole number; anything else would break the totals
+      if(count && typeof count === 'object' && Number.isInteger(count.count) && count.count > 0) {
+        counts[name] = count;
+      }
+    });
+  }
+  const index = Number.isInteger(value.index) ? Math.min(Math.max(value.index, -1), entries.length - 1) : entries.length - 1;
+
+  return { version: HISTORY_SCHEMA_VERSION, index, entries, counts };
+}
+
+/**
+ * Writes the history and announces the change
+ */
+function saveHistory() {
+  setStorageItem(STORAGE_KEYS.VIEW_HISTORY, JSON.stringify(history));
+  window.dispatchEvent(new CustomEvent(HISTORY_CHANGE_EVENT));
+}
+
+// Another tab changed the history - reload lazily and tell listeners
+window.addEventListener('storage', event => {
+  if(event.key === STORAGE_KEYS.VIEW_HISTORY) {
+    history = null;
+    window.dispatchEvent(new CustomEvent(HISTORY_CHANGE_EVENT));
+  }
+});
+
+// ====================================
+// RECORDING VIEWS
+// ====================================
+
+/**
+ * Records a Pokemon that is now on screen
+ * A normal navigation drops any forward entries and pushes a new one;
+ * a back/forward/jump navigation only moves the cursor
+ * @param {{name: string, id: number, varietyId: number, isForm: boolean}} pokemonEntry - Pokemon shown
+ * @param {number} [historyIndex] - Stack index the navigation targeted, if it came from the history
+ * @example
+ * recordPokemonView({ name: 'pikachu', id: 25, varietyId: 25, isForm: false });
+ */
+export function recordPokemonView(pokemonEntry, historyIndex) {
+  const state = getHistory();
+  const viewedAt = new Date().toISOString();
+
+  if(Number.isInteger(historyIndex) && state.entries[historyIndex] && state.entries[historyIndex].name === pokemonEntry.name) {
+    state.index = historyIndex;
+  } else if(!state.entries[state.index] || state.entries[state.index].name !== pokemonEntry.name) {
+    state.entries = state.entries.slice(0, state.index + 1);
+    state.entries.push({ ...pokemonEntry, viewedAt });
+
+    if(state.entries.length > MAX_HISTORY_LENGTH) {
+      state.entries = state.entries.slice(-MAX_HISTORY_LENGTH);
+    }
+    state.index = state.entries.length - 1;
+  }
+
+  const count = state.counts[pokemonEntry.name] || { count: 0, firstViewedAt: viewedAt };
+  state.counts[pokemonEntry.name] = { ...count, count: count.count + 1, lastViewedAt: viewedAt };
+
+  saveHistory();
+} //recordPokemonView
+
+// ====================================
+// HISTORY QUERIES
+// ====================================
+
+/**
+ * Returns the history stack and cursor
+ * @returns {{index: number, entries: Array<Object>}} Stack (oldest first) and current index
+ */
+export function getHistoryStack() {
+  const { index, entries } = getHistory();
+
+  return { index, entries };
+}
+
+/**
+ * Returns the stack index one step back or forward, if there is one
+ * @param {number} step - -1 for back, 1 for forward
+ * @returns {number|null} Target index, or null at either end
+ */
+export function getHistoryStepIndex(step) {
+  const { index, entries } = getHistory();
+  const target = index + step;
+
+  return target >= 0 && target < entries.length ? target : null;
+}
+
+/**
+ * Returns how often a Pokemon was viewed
+ * @param {string} name - Pokemon (variety) name
+ * @returns {number} View count
+ */
+export function getViewCount(name) {
+  const count = getHistory().counts[name];
+
+  return count ? count.count : 0;
+}
+
+/**
+ * Summarizes the history for the drawer header
+ * @returns {{totalViews: number, uniquePokemon: number}} Totals across all recorded views
+ */
+export function getHistoryTotals() {
+  const counts = Object.values(getHistory().counts);
+
+  return {
+    totalViews: counts.reduce((total, count) => total + count.count, 0),
+    uniquePokemon: counts.length
+  };
+}
+
+// ====================================
+// CLEAR & EXPORT
+// ====================================
+
+/**
+ * Removes all history entries and view counts
+ */
+export function clearHistory() {
+  history = { version: HISTORY_SCHEMA_VERSION, index: -1, entries: [], counts: {} };
+  saveHistory();
+}
+
+/**
+ * Builds a JSON export of the history
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportHistory() {
+  const { version, index, entries, counts } = getHistory();
+
+  return JSON.stringify({ exportedAt: new Date().toISOString(), version, index, entries, counts }, null, 2);
+}
+
+// ====================================
+// FORMATTING
+// ====================================
+
+/**
+ * Formats a stored ISO timestamp for display (todo 128)
+ * Today's views show only the time, older views include the date
+ * @param {string} isoString - ISO 8601 timestamp
+ * @returns {string} Localized date/time, or an empty string if invalid
+ * @example
+ * formatDateTime('2025-08-06T14:03:00.000Z'); // "Aug 6, 2025, 2:03 PM"
+ */
+export function formatDateTime(isoString) {
+  const date = new Date(isoString);
+  if(isNaN(date.getTime())) {
+    return '';
+  }
+
+  const isToday = date.toDateString() === new Date().toDateString();
+
+  return isToday
+    ? `Today, ${date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`
+    : date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
@@ -0,0 +1,137 @@
+/**
+ * LANGUAGE-UTILS.JS - Localized PokeAPI Text
+ * ==========================================
+ *
+ * PokeAPI returns names, genera and flavor text in many languages, each
+ * entry tagged with language.name. This module picks the entries for the
+ * language chosen in Settings and falls back to English field by field, so
+ * a Pokemon without a Korean Pokédex entry still shows its Korean name.
+ *
+ * It also maps PokeAPI language codes onto speech synthesis voices.
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { getPreference } from './preferences-utils.js';
+
+// ====================================
+// LANGUAGE CONFIGURATION
+// ====================================
+
+/** @type {string} Language used when the chosen one has no entry */
+export const FALLBACK_LANGUAGE = 'en';
+
+/**
+ * BCP 47 tags for each PokeAPI language code
+ * Used for speech voices and the lang attribute of localized text
+ * @type {Object<string, string>}
+ */
+const LANGUAGE_TAGS = {
+  'en': 'en',
+  'es': 'es',
+  'fr': 'fr',
+  'de': 'de',
+  'it': 'it',
+  'pt-BR': 'pt-BR',
+  'cs': 'cs',
+  'ja': 'ja',
+  'ja-Hrkt': 'ja',
+  'roomaji': 'ja-Latn',
+  'ko': 'ko',
+  'zh-Hans': 'zh-CN',
+  'zh-Hant': 'zh-TW'
+};
+
+// ====================================
+// LOCALIZED ENTRIES
+// ====================================
+
+/**
+ * Returns the entries written in a language, or the English ones if there are none
+ * @param {Array<{language: {name: string}}>} entries - PokeAPI localized entries (names, genera, flavor_text_entries...)
+ * @param {string} [language] - PokeAPI language code (defaults to the language preference)
+ * @returns {{entries: Array<Object>, language: string|null}} Matching entries and the language they are in
+ * @example
+ * const { entries, language } = getLocalizedEntries(species.flavor_text_entries, 'ko');
+ */
+export function getLocalizedEntries(entries, language = getPreference('language')) {
+  if(!Array.isArray(entries)) {
+    return { entries: [], language: null };
+  }
+
+  for(const code of [language, FALLBACK_LANGUAGE]) {
+    const matches = entries.filter(entry => entry && entry.language && entry.language.name === code);
+    if(matches.length > 0) {
+      return { entries: matches, language: code };
+    }
+  }
+
+  return { entries: [], language: null };
+}
+
+/**
+ * Returns one field of the first entry in a language, with English fallback
+ * @param {Array<Object>} entries - PokeAPI localized entries
+ * @param {string} field - Field holding the text ('name', 'genus', 'flavor_text', 'text'...)
+ * @param {string} [language] - PokeAPI language code (defaults to the language preference)
+ * @returns {{text: string, language: string}|null} Text and its language, or null if neither exists
+ * @example
+ * getLocalizedText(species.names, 'name', 'ja'); // { text: 'フシギダネ', language: 'ja' }
+ */
+export function getLocalizedText(entries, field, language = getPreference('language')) {
+  const { entries: matches, language: found } = getLocalizedEntries(
+    Array.isArray(entries) ? entries.filter(entry => entry && entry[field]) : entries,
+    language
+  );
+
+  return matches.length > 0 ? { text: matches[0][field], language: found } : null;
+}
+
+// ====================================
+// SPEECH & MARKUP
+// ====================================
+
+/**
+ * Returns the BCP 47 tag for a PokeAPI language code
+ * @param {string} [language] - PokeAPI language code (defaults to the language preference)
+ * @returns {string} Language tag (e.g. 'zh-TW' for 'zh-Hant')
+ */
+export function getLanguageTag(language = getPreference('language')) {
+  return LANGUAGE_TAGS[language] || FALLBACK_LANGUAGE;
+}
+
+/**
+ * Finds the best installed speech voice for a language
+ * Prefers an exact region match, then any voice of the same language,
+ * and local voices over network ones within each group
+ * @param {Array<SpeechSynthesisVoice>} voices - Voices from speechSynthesis.getVoices()
+ * @param {string} [language] - PokeAPI language code (defaults to the language preference)
+ * @returns {SpeechSynthesisVoice|null} Matching voice, or null if none is installed
+ */
+export function findVoiceForLanguage(voices, language = getPreference('language')) {
+  const tag = getLanguageTag(language).toLowerCase();
+  const primary = tag.split('-')[0];
+  // Android reports tags like "ja_JP"
+  const voiceTag = voice => (voice.lang || '').replace('_', '-').toLowerCase();
+
+  const candidates = [
+    voices.filter(voice => voiceTag(voice) === tag || voiceTag(voice).startsWith(`${tag}-`)),
+    voices.filter(voice => voiceTag(voice).split('-')[0] === primary)
+  ];
+
+  for(const group of candidates) {
+    const voice = group.find(voice => voice.localService) || group[0];
+    if(voice) {
+      return voice;
+    }
+  }
+
+  return null;
+}
@@ -25,8 +25,9 @@
 // Import required dependencies
 import { showToast } from './dom-utils.js';
 import { requestPokemon } from '../requests.js';
-import { STORAGE_KEYS, getStorageItem, setStorageItem } from './storage-utils.js?v=20250802h';
+import { STORAGE_KEYS, getStorageItem, setStorageItem } from './storage-utils.js';
 import { normalizePokemonName } from './pokemon-names.js';
+import { watchPreferences } from './preferences-utils.js';
 
 // ====================================
 // NAVIGATION CONSTANTS
@@ -41,6 +42,22 @@ export const ORIGINAL_MAXIMUM_ID = 151;
 /** @type {number} Current maximum Pokemon ID (all generations) */
 let MAXIMUM_ID = 1025;
 
+/** 
+ * National Pokédex ID range introduced by each generation
+ * @type {Array<{generation: number, label: string, min: number, max: number}>}
+ */
+export const GENERATION_RANGES = [
+  { generation: 1, label: 'I', min: 1, max: 151 },
+  { generation: 2, label: 'II', min: 152, max: 251 },
+  { generation: 3, label: 'III', min: 252, max: 386 },
+  { generation: 4, label: 'IV', min: 387, max: 493 },
+  { generation: 5, label: 'V', min: 494, max: 649 },
+  { generation: 6, label: 'VI', min: 650, max: 721 },
+  { generation: 7, label: 'VII', min: 722, max: 809 },
+  { generation: 8, label: 'VIII', min: 810, max: 905 },
+  { generation: 9, label: 'IX', min: 906, max: 1025 }
+];
+
 /** @type {string} Standard text color for input validation */
 const TEXT_COLOR = 'rgba(98, 98, 98, 0.95)';
 
@@ -338,12 +355,16 @@ export function applyResponsiveLayout(deviceType) {
  * @param {number|string} id - Pokemon ID (1-1025) or Pokemon name (case-insensitive)
  * @param {string} visibility - Visibility state for generated Pokemon UI
  * @param {boolean} skipIdValidation - Whether to skip ID boundary validation
+ * @param {Object} [options] - Routing options passed through to the page
+ * @param {string} [options.historyMode='push'] - How the URL is recorded: 'push', 'replace' or 'none'
+ * @param {boolean} [options.shiny] - Show the shiny sprite once loaded (deep links)
+ * @param {number} [options.historyIndex] - Viewing history index when stepping back/forward
  * @example
  * generatePokemon(25, 'visible', false);        // Normal ID validation
  * generatePokemon('pikachu', 'visible', false);  // Pokemon name search
  * generatePokemon(152, 'visible', true);        // Skip validation for forms
  */
-export function generatePokemon(id, visibility = 'visible', skipIdValidation = false) {
+export function generatePokemon(id, visibility = 'visible', skipIdValidation = false, options = {}) {
   console.log(`🔍 [Generate Pokemon] Request for: ${id}, visibility: ${visibility}, skipValidation: ${skipIdValidation}`);
   
   // Get input textbox for color feedback
@@ -370,7 +391,7 @@ export function generatePokemon(id, visibility = 'visible', skipIdValidation = f
       }
       
       console.log(`✅ [Generate Pokemon] Requesting Pokemon by name: "${pokemonName}" (normalized from "${id}")`);
-      requestPokemon(pokemonName, visibility);
+      requestPokemon(pokemonName, visibility, options);
       if(textbox) {
         textbox.style.color = TEXT_COLOR;
         console.log(`🎨 [Generate Pokemon] Set textbox color to success state for name search`);
@@ -401,7 +422,7 @@ export function generatePokemon(id, visibility = 'visible', skipIdValidation = f
       // Normal validation - check boundaries
       if(pokemonId >= MINIMUM_ID && pokemonId <= MAXIMUM_ID) {
         console.log(`✅ [Generate Pokemon] ID ${pokemonId} is within valid range, requesting Pokemon data`);
-        requestPokemon(pokemonId, visibility);
+        requestPokemon(pokemonId, visibility, options);
         
         if(textbox) {
           textbox.style.color = TEXT_COLOR;
@@ -424,7 +445,7 @@ export function generatePokemon(id, visibility = 'visible', skipIdValidation = f
     } else {
       console.log(`⏭️ [Generate Pokemon] Skipping validation, requesting Pokemon data directly`);
       // Skip validation - used for forms, evolutions, etc.
-      requestPokemon(pokemonId, visibility);
+      requestPokemon(pokemonId, visibility, options);
 
       if(textbox) {
         textbox.style.color = TEXT_COLOR;
@@ -485,6 +506,24 @@ export function setPokedexType(showOnlyOriginal) {
   return MAXIMUM_ID;
 }
 
+// Follow the dex range preference, including live changes from Settings
+watchPreferences(['dexRange'], ({ dexRange }) => setPokedexType(dexRange === 'original'));
+
+/**
+ * Finds the generation that introduced a National Pokédex ID
+ * Alternate form IDs (10001+) do not map to a generation
+ * @param {number|string} id - Pokemon ID
+ * @returns {number|null} Generation number, or null for forms and unknown IDs
+ * @example
+ * getGenerationForId(152); // 2
+ */
+export function getGenerationForId(id) {
+  const pokemonId = parseInt(id, 10);
+  const range = GENERATION_RANGES.find(entry => pokemonId >= entry.min && pokemonId <= entry.max);
+
+  return range ? range.generation : null;
+}
+
 /**
  * Controls navigation button visibility based on current Pokemon ID and constraints
  * Manages Previous/Next button states and Recall button availability
@@ -0,0 +1,211 @@
+/**
+ * PANEL-UTILS.JS - Overlay Panel Utilities
+ * ========================================
+ *
+ * This module provides the shared overlay panel used by feature modules
+ * (type effectiveness, browsers, settings, ...). Only one panel is open at
+ * a time; opening a new one replaces the current panel.
+ *
+ * Key Features:
+ * - Accessible dialog markup (role="dialog", aria-modal, labelled title)
+ * - Closes on Escape, backdrop click or the close button
+ * - Keeps keyboard focus inside the panel and restores it on close
+ * - Optional onClose callback for feature cleanup
+ * - Small action buttons shared by panel toolbars
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// PANEL STATE
+// ====================================
+
+/**
+ * Currently open panel
+ * @type {{id: string, overlay: HTMLElement, body: HTMLElement, onClose: Function|null, returnFocus: Element|null}|null}
+ */
+let activePanel = null;
+
+/** @type {string} Selector for elements that can receive keyboard focus */
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// ====================================
+// PANEL LIFECYCLE
+// ====================================
+
+/**
+ * Opens an overlay panel and returns its body for the caller to fill
+ * @param {Object} options - Panel options
+ * @param {string} options.id - Unique panel ID (also used for the element ID)
+ * @param {string} options.title - Visible panel title
+ * @param {string} [options.className] - Extra class for feature specific styling
+ * @param {Function} [options.onClose] - Called after the panel closes
+ * @returns {{panel: HTMLElement, body: HTMLElement, close: Function}} Panel handles
+ * @example
+ * const { body } = openPanel({ id: 'type-panel', title: 'Fire Type' });
+ * body.appendChild(content);
+ */
+export function openPanel({ id, title, className = '', onClose = null }) {
+  const returnFocus = activePanel ? activePanel.returnFocus : document.activeElement;
+  closePanel({ restoreFocus: false });
+
+  const overlay = document.createElement('div');
+  overlay.className = 'panel-overlay';
+  overlay.addEventListener('click', event => {
+    if(event.target === overlay) {
+      closePanel();
+    }
+  });
+
+  const panel = document.createElement('section');
+  panel.id = id;
+  panel.className = `panel ${className}`.trim();
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-modal', 'true');
+  panel.setAttribute('aria-labelledby', `${id}-title`);
+
+  const header = document.createElement('header');
+  header.className = 'panel-header';
+
+  const heading = document.createElement('h2');
+  heading.id = `${id}-title`;
+  heading.className = 'panel-title';
+  heading.innerText = title;
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'panel-close-button';
+  closeButton.setAttribute('aria-label', 'Close panel');
+  closeButton.innerHTML = '&#10005;';
+  closeButton.addEventListener('click', () => closePanel());
+
+  const body = document.createElement('div');
+  body.className = 'panel-body';
+
+  header.appendChild(heading);
+  header.appendChild(closeButton);
+  panel.appendChild(header);
+  panel.appendChild(body);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+
+  activePanel = { id, overlay, body, onClose, returnFocus };
+  document.addEventListener('keydown', handlePanelKeydown);
+
+  window.requestAnimationFrame(() => {
+    overlay.classList.add('panel-overlay-visible');
+    closeButton.focus();
+  });
+
+  return { panel, body, close: () => closePanel() };
+} //openPanel
+
+/**
+ * Closes the open panel, if any
+ * @param {Object} [options] - Close options
+ * @param {boolean} [options.restoreFocus=true] - Return focus to the element that opened the panel
+ */
+export function closePanel({ restoreFocus = true } = {}) {
+  if(!activePanel) {
+    return;
+  }
+
+  const { overlay, onClose, returnFocus } = activePanel;
+  activePanel = null;
+
+  document.removeEventListener('keydown', handlePanelKeydown);
+  overlay.remove();
+
+  if(typeof onClose === 'function') {
+    onClose();
+  }
+
+  if(restoreFocus && returnFocus && typeof returnFocus.focus === 'function') {
+    returnFocus.focus();
+  }
+} //closePanel
+
+/**
+ * Checks whether a panel is open
+ * @param {string} [id] - Specific panel ID; any panel when omitted
+ * @returns {boolean} True if the panel is open
+ */
+export function isPanelOpen(id) {
+  return !!activePanel && (!id || activePanel.id === id);
+}
+
+/**
+ * Returns the body element of an open panel
+ * @param {string} id - Panel ID
+ * @returns {HTMLElement|null} Panel body, or null if that panel is not open
+ */
+export function getPanelBody(id) {
+  return isPanelOpen(id) ? activePanel.body : null;
+}
+
+/**
+ * Creates a small action button for panel toolbars and sections
+ * @param {string} label - Button text
+ * @param {string|null} icon - Font Awesome icon class, or null for text only
+ * @param {Function} onClick - Click handler
+ * @param {Object} [options] - Button options
+ * @param {string} [options.className] - Extra class, e.g. to find the button again
+ * @param {boolean} [options.disabled=false] - Whether the button starts disabled
+ * @returns {HTMLButtonElement} Button
+ * @example
+ * actions.appendChild(createActionButton('Export', 'fa-download', downloadHistory, { disabled: true }));
+ */
+export function createActionButton(label, icon, onClick, { className = '', disabled = false } = {}) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `secondary-btn panel-action-button ${className}`.trim();
+  if(icon) {
+    button.innerHTML = `<i class="fa-solid ${icon}"></i> `;
+  }
+  button.appendChild(document.createTextNode(label));
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+
+  return button;
+}
+
+/**
+ * Handles Escape and keeps Tab focus inside the panel
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handlePanelKeydown(event) {
+  if(!activePanel) {
+    return;
+  }
+
+  if(event.key === 'Escape') {
+    event.preventDefault();
+    closePanel();
+
+    return;
+  }
+
+  if(event.key !== 'Tab') {
+    return;
+  }
+
+  const focusable = [...activePanel.overlay.querySelectorAll(FOCUSABLE_SELECTOR)];
+  if(focusable.length === 0) {
+    return;
+  }
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+
+  if(event.shiftKey && document.activeElement === first) {
+    event.preventDefault();
+    last.focus();
+  } else if(!event.shiftKey && document.activeElement === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
@@ -79,12 +79,39 @@ export const NAME_VARIATIONS = {
   'porygonz': 'porygon-z',
   'porygon z': 'porygon-z',
   
-  // Flabébé variations
-  'flabebe': 'flabébé',
-  'flabébe': 'flabébé',
-  'flabébé': 'flabébé',
+  // Flabébé variations (PokeAPI uses the unaccented name)
+  'flabebe': 'flabebe',
+  'flabébe': 'flabebe',
+  'flabébé': 'flabebe',
 };
 
+// ====================================
+// NAME FOLDING
+// ====================================
+
+/**
+ * Removes accents and other combining marks (Flabébé → Flabebe)
+ * @param {string} text - Text to fold
+ * @returns {string} Text without diacritics
+ */
+export function foldDiacritics(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Builds the comparison key used by fuzzy search
+ * Folds diacritics, maps gender symbols and drops punctuation and spaces,
+ * so "Mr. Mime", "mr-mime" and "MrMime" all compare as "mrmime"
+ * @param {string} name - Pokemon name or user input
+ * @returns {string} Search key
+ */
+export function getSearchKey(name) {
+  return foldDiacritics(String(name).toLowerCase())
+    .replace(/♀/g, 'f')
+    .replace(/♂/g, 'm')
+    .replace(/[^a-z0-9]/g, '');
+}
+
 /**
  * Normalizes a Pokemon name for API requests
  * Handles common variations, special characters, and formatting
@@ -98,6 +125,10 @@ export function normalizePokemonName(name) {
 
   // Basic cleanup
   let normalized = name.toLowerCase().trim();
+  if(NAME_VARIATIONS[normalized]) {
+    return NAME_VARIATIONS[normalized];
+  }
+  normalized = foldDiacritics(normalized);
   if(normalized === '') {
     return '';
   }
@@ -136,36 +167,206 @@ export function getRandomPopularPokemon() {
   return POPULAR_POKEMON[Math.floor(Math.random() * POPULAR_POKEMON.length)];
 }
 
+// ====================================
+// COMPARISON SEARCH
+// ====================================
+
+/** @type {RegExp} Separator between names in a comparison search ("pikachu vs raichu") */
+export const COMPARE_SEPARATOR = /\s+vs\.?\s+/i;
+
+/**
+ * Splits search input on "vs" into its names
+ * @param {string} input - Search box text
+ * @returns {string[]} Trimmed names (one item when there is no "vs")
+ * @example
+ * splitCompareQuery('pikachu vs raichu'); // ['pikachu', 'raichu']
+ * splitCompareQuery('pikachu');           // ['pikachu']
+ */
+export function splitCompareQuery(input) {
+  return String(input || '').trim().split(COMPARE_SEPARATOR).map(name => name.trim());
+}
+
+// ====================================
+// FUZZY NAME SEARCH
+// ====================================
+
+/** @type {Map<string, string>|null} Search keys of NAME_VARIATIONS mapped to their API names */
+let aliasKeys = null;
+
 /**
- * Suggests similar Pokemon names based on input
- * Simple implementation using string similarity
+ * Suggests Pokemon names that match the input
  * @param {string} input - User input
- * @param {number} maxSuggestions - Maximum number of suggestions to return
+ * @param {number} [maxSuggestions=5] - Maximum number of suggestions to return
+ * @param {string[]} [names=POPULAR_POKEMON] - Names to search
  * @returns {string[]} Array of suggested Pokemon names
  */
-export function suggestPokemonNames(input, maxSuggestions = 5) {
-  if(!input || input.length < 2) {
+export function suggestPokemonNames(input, maxSuggestions = 5, names = POPULAR_POKEMON) {
+  const entries = names.map(name => ({ name }));
+
+  return searchPokemonNames(entries, input, maxSuggestions).map(entry => entry.name);
+}
+
+/**
+ * Ranks name index entries against user input
+ * Exact and prefix matches come first, then substring matches, then
+ * typo-tolerant matches. NAME_VARIATIONS aliases count as matches for
+ * their target, and numeric input matches Pokédex numbers.
+ * @param {Array<{name: string, id?: number, isForm?: boolean}>} entries - Name index entries
+ * @param {string} input - User input
+ * @param {number} [maxSuggestions=8] - Maximum number of results
+ * @returns {Array<Object>} Best matching entries, best first
+ * @example
+ * searchPokemonNames(index, 'flabebe'); // [{ id: 669, name: 'flabebe', ... }]
+ * searchPokemonNames(index, 'charzard'); // [{ id: 6, name: 'charizard', ... }]
+ */
+export function searchPokemonNames(entries, input, maxSuggestions = 8) {
+  const query = getSearchKey(input || '');
+  if(query === '') {
     return [];
   }
-  
-  const normalizedInput = input.toLowerCase().trim();
-  const suggestions = [];
-  
-  // First, check for exact starts
-  for(const pokemon of POPULAR_POKEMON) {
-    if(pokemon.startsWith(normalizedInput)) {
-      suggestions.push(pokemon);
+
+  // Numbers match Pokédex numbers rather than names
+  if(/^\d+$/.test(query)) {
+    return entries
+      .filter(entry => !entry.isForm && entry.id && String(entry.id).startsWith(query))
+      .sort((a, b) => a.id - b.id)
+      .slice(0, maxSuggestions);
+  }
+
+  const aliasTargets = getAliasTargets(query);
+  const scored = [];
+
+  entries.forEach(entry => {
+    let score = scoreNameMatch(getSearchKey(entry.name), query);
+    if(aliasTargets.has(entry.name)) {
+      score = Math.min(score, aliasTargets.get(entry.name));
+    }
+
+    if(score !== Infinity) {
+      // Alternate forms rank just below species with the same score
+      scored.push({ entry, score: entry.isForm ? score + 0.5 : score });
     }
+  });
+
+  return scored
+    .sort((a, b) => a.score - b.score || (a.entry.id || 0) - (b.entry.id || 0))
+    .slice(0, maxSuggestions)
+    .map(result => result.entry);
+}
+
+/**
+ * Checks whether a guess names a Pokemon
+ * Unlike search, a prefix is not enough: the guess must be the whole name,
+ * one of its NAME_VARIATIONS aliases, or the name with a few typos (one from
+ * four letters, two from seven). Names in other scripts must match exactly.
+ * @param {string} input - User guess
+ * @param {string} name - Correct name (API or localized)
+ * @returns {boolean} True when the guess counts
+ * @example
+ * isPokemonNameGuess('Charzard', 'charizard'); // true
+ * isPokemonNameGuess('char', 'charizard');     // false
+ * isPokemonNameGuess('ピカチュウ', 'ピカチュウ'); // true
+ */
+export function isPokemonNameGuess(input, name) {
+  const query = getSearchKey(input || '');
+  const key = getSearchKey(name || '');
+  if(query === '' || key === '') {
+    // Search keys only keep Latin letters, so compare other scripts as written
+    const scriptQuery = String(input || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+    return scriptQuery !== '' && scriptQuery === String(name || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
   }
-  
-  // Then check for contains
-  for(const pokemon of POPULAR_POKEMON) {
-    if(!suggestions.includes(pokemon) && pokemon.includes(normalizedInput)) {
-      suggestions.push(pokemon);
+
+  if(query === key || getAliasTargets(query).get(name) === 0) {
+    return true;
+  }
+
+  const allowedTypos = key.length >= 7 ? 2 : key.length >= 4 ? 1 : 0;
+
+  return allowedTypos > 0 && getEditDistance(query, key) <= allowedTypos;
+}
+
+/**
+ * Scores how well a name key matches the query (lower is better)
+ * @param {string} key - Search key of the name
+ * @param {string} query - Search key of the input
+ * @returns {number} 0 exact, 1-2 prefix, 2-3 substring, 3+ typo distance, Infinity for no match
+ */
+function scoreNameMatch(key, query) {
+  if(key === query) {
+    return 0;
+  }
+
+  if(key.startsWith(query)) {
+    return 1 + Math.min(key.length - query.length, 99) / 100;
+  }
+
+  const index = key.indexOf(query);
+  if(index !== -1) {
+    return 2 + Math.min(index, 99) / 100;
+  }
+
+  // Allow one typo from four letters and two from seven
+  const allowedTypos = query.length >= 7 ? 2 : query.length >= 4 ? 1 : 0;
+  if(allowedTypos === 0) {
+    return Infinity;
+  }
+
+  const distance = Math.min(
+    getEditDistance(query, key.slice(0, query.length)),
+    getEditDistance(query, key)
+  );
+
+  return distance <= allowedTypos ? 3 + distance : Infinity;
+}
+
+/**
+ * Finds NAME_VARIATIONS targets whose aliases match the query
+ * @param {string} query - Search key of the input
+ * @returns {Map<string, number>} API name → score
+ */
+function getAliasTargets(query) {
+  if(!aliasKeys) {
+    aliasKeys = new Map(Object.entries(NAME_VARIATIONS).map(([alias, target]) => [getSearchKey(alias), target]));
+  }
+
+  const targets = new Map();
+  aliasKeys.forEach((target, aliasKey) => {
+    if(aliasKey === query) {
+      targets.set(target, 0);
+    } else if(aliasKey.startsWith(query) && !targets.has(target)) {
+      targets.set(target, 1.5);
     }
+  });
+
+  return targets;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits between the strings
+ */
+function getEditDistance(a, b) {
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for(let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    for(let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if(previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+      }
+    }
+    previousRow = row;
+    row = nextRow;
   }
-  
-  return suggestions.slice(0, maxSuggestions);
+
+  return row[b.length];
 }
 
 /**
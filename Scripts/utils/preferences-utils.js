@@ -0,0 +1,384 @@
+/**
+ * PREFERENCES-UTILS.JS - Typed User Preferences Store
+ * ===================================================
+ *
+ * This module owns STORAGE_KEYS.USER_PREFERENCES: every setting the user
+ * can change, with a type, a default and a versioned schema. Reads always
+ * return valid values; invalid or missing stored values fall back to their
+ * defaults.
+ *
+ * Older versions kept settings in separate keys (originalPokédex,
+ * pokedexType, audioEnabled, speechEnabled). They are folded into the store
+ * once by the version 0 migration and then removed.
+ *
+ * Stored Shape (version 1):
+ *   { version: 1, preferences: { dexRange, units, language, preferredVersion,
+ *     audioEnabled, speechEnabled, cryVolume, visualEffects, theme,
+ *     dailyNotifications } }
+ *
+ * Every change is announced with a 'preferences-change' window event
+ * (including changes made in other tabs); watchPreferences() is the easy
+ * way for a module to apply settings live.
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { STORAGE_KEYS, getStorageItem, setStorageItem } from './storage-utils.js';
+
+// ====================================
+// SCHEMA CONFIGURATION
+// ====================================
+
+/** @type {number} Current version of the stored preferences schema */
+export const PREFERENCES_SCHEMA_VERSION = 1;
+
+/** @type {string} Window event fired after any change */
+export const PREFERENCES_CHANGE_EVENT = 'preferences-change';
+
+/** @type {Array<{code: string, label: string}>} PokeAPI languages offered for Pokémon text (English fills any gaps) */
+export const LANGUAGE_OPTIONS = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'fr', label: 'Français' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'it', label: 'Italiano' },
+  { code: 'pt-BR', label: 'Português (Brasil)' },
+  { code: 'cs', label: 'Čeština' },
+  { code: 'ja', label: '日本語' },
+  { code: 'ja-Hrkt', label: '日本語 (かな)' },
+  { code: 'roomaji', label: 'Nihongo (rōmaji)' },
+  { code: 'ko', label: '한국어' },
+  { code: 'zh-Hans', label: '简体中文' },
+  { code: 'zh-Hant', label: '繁體中文' }
+];
+
+/**
+ * Type, allowed values and default of every preference
+ * @type {Object<string, {type: string, default: *, values?: Array<string>, min?: number, max?: number, pattern?: RegExp}>}
+ */
+export const PREFERENCE_SCHEMA = {
+  dexRange: { type: 'enum', values: ['all', 'original'], default: 'all' },
+  units: { type: 'enum', values: ['imperial', 'metric'], default: 'imperial' },
+  language: { type: 'enum', values: LANGUAGE_OPTIONS.map(option => option.code), default: 'en' },
+  preferredVersion: { type: 'string', pattern: /^[a-z0-9-]{0,40}$/, default: '' }, // Pinned game for Pokédex entries ('' = random)
+  audioEnabled: { type: 'boolean', default: true },
+  speechEnabled: { type: 'boolean', default: true },
+  cryVolume: { type: 'number', min: 0, max: 1, default: 0.7 },
+  visualEffects: { type: 'boolean', default: true },
+  theme: { type: 'enum', values: ['system', 'light', 'dark'], default: 'system' },
+  dailyNotifications: { type: 'boolean', default: false } // Pokémon of the Day notification (daily-pokemon.js)
+};
+
+/** @type {Array<string>} Keys written by older versions, removed after migrating */
+const LEGACY_PREFERENCE_KEYS = [
+  'originalPokédex',
+  'maximumId',
+  STORAGE_KEYS.POKEDEX_TYPE,
+  STORAGE_KEYS.AUDIO_ENABLED,
+  STORAGE_KEYS.SPEECH_ENABLED
+];
+
+/**
+ * Upgrades stored data one version at a time
+ * Each key is the version being upgraded from
+ * @type {Object<number, Function>}
+ */
+const MIGRATIONS = {
+  // Unversioned data: the separate legacy keys collected by readLegacyPreferences
+  0: data => {
+    const legacy = data && typeof data === 'object' ? data : {};
+    const preferences = {};
+
+    if(legacy.originalPokedex === 'true' || legacy.pokedexType === 'original') {
+      preferences.dexRange = 'original';
+    }
+    if(legacy.audioEnabled === 'false') {
+      preferences.audioEnabled = false;
+    }
+    if(legacy.speechEnabled === 'false') {
+      preferences.speechEnabled = false;
+    }
+
+    return { version: 1, preferences };
+  }
+};
+
+/** @type {{version: number, preferences: Object}|null} Loaded store */
+let store = null;
+
+// ====================================
+// LOADING & SAVING
+// ====================================
+
+/**
+ * Returns the preferences store, loading and migrating it on first use
+ * @returns {{version: number, preferences: Object}} Preferences store
+ */
+function getStore() {
+  if(store) {
+    return store;
+  }
+
+  let data = null;
+  try {
+    data = JSON.parse(getStorageItem(STORAGE_KEYS.USER_PREFERENCES) || 'null');
+  } catch(error) {
+    console.warn('⚠️ [Preferences] Stored preferences are not valid JSON, using defaults');
+  }
+
+  const { value, migrated } = migratePreferences(data === null ? readLegacyPreferences() : data);
+  store = value;
+
+  if(migrated) {
+    setStorageItem(STORAGE_KEYS.USER_PREFERENCES, JSON.stringify(store));
+    LEGACY_PREFERENCE_KEYS.forEach(key => localStorage.removeItem(key));
+  }
+
+  return store;
+} //getStore
+
+/**
+ * Collects settings stored by older versions
+ * @returns {Object|null} Legacy values, or null when there are none
+ */
+function readLegacyPreferences() {
+  const legacy = {
+    originalPokedex: getStorageItem('originalPokédex'),
+    pokedexType: getStorageItem(STORAGE_KEYS.POKEDEX_TYPE),
+    audioEnabled: getStorageItem(STORAGE_KEYS.AUDIO_ENABLED),
+    speechEnabled: getStorageItem(STORAGE_KEYS.SPEECH_ENABLED)
+  };
+
+  return Object.values(legacy).some(value => value !== null) ? legacy : null;
+}
+
+/**
+ * Upgrades stored preferences to the current schema and drops invalid values
+ * @param {*} data - Parsed storage value (or collected legacy values)
+ * @returns {{value: {version: number, preferences: Object}, migrated: boolean}} Current-schema store
+ */
+export function migratePreferences(data) {
+  if(data === null || data === undefined) {
+    return { value: { version: PREFERENCES_SCHEMA_VERSION, preferences: {} }, migrated: false };
+  }
+
+  if(typeof data === 'object' && 'version' in data && !(Number.isInteger(data.version) && data.version >= 0)) {
+    console.warn(`⚠️ [Preferences] Stored schema version "${data.version}" is not valid, using defaults`);
+
+    return { value: { version: PREFERENCES_SCHEMA_VERSION, preferences: {} }, migrated: true };
+  }
+
+  let value = data;
+  let version = typeof data === 'object' ? data.version || 0 : 0;
+  const migrated = version < PREFERENCES_SCHEMA_VERSION;
+
+  if(version > PREFERENCES_SCHEMA_VERSION) {
+    console.warn(`⚠️ [Preferences] Stored schema v${version} is newer than v${PREFERENCES_SCHEMA_VERSION}, reading what is compatible`);
+    version = PREFERENCES_SCHEMA_VERSION;
+  }
+
+  while(version < PREFERENCES_SCHEMA_VERSION) {
+    value = MIGRATIONS[version](value);
+    version++;
+  }
+
+  // Keep only known keys with valid values; everything else uses its default
+  const preferences = {};
+  const stored = value.preferences && typeof value.preferences === 'object' ? value.preferences : {};
+  Object.keys(PREFERENCE_SCHEMA).forEach(key => {
+    const valid = coercePreference(key, stored[key]);
+    if(valid !== undefined) {
+      preferences[key] = valid;
+    }
+  });
+
+  return { value: { version: PREFERENCES_SCHEMA_VERSION, preferences }, migrated };
+} //migratePreferences
+
+/**
+ * Validates a value against the schema
+ * Numbers are clamped and numeric strings accepted, so form values can be passed as-is
+ * @param {string} key - Preference key
+ * @param {*} value - Candidate value
+ * @returns {*} Valid value, or undefined if the key is unknown or the value invalid
+ */
+function coercePreference(key, value) {
+  const definition = PREFERENCE_SCHEMA[key];
+  if(!definition || value === undefined || value === null) {
+    return undefined;
+  }
+
+  switch(definition.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'number': {
+      const number = typeof value === 'string' ? parseFloat(value) : value;
+
+      return typeof number === 'number' && isFinite(number) ? Math.min(Math.max(number, definition.min), definition.max) : undefined;
+    }
+    case 'enum':
+      return definition.values.includes(value) ? value : undefined;
+    case 'string':
+      return typeof value === 'string' && definition.pattern.test(value) ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Writes the store and announces which preferences changed
+ * @param {Array<string>} changed - Keys whose value changed
+ */
+function saveStore(changed) {
+  setStorageItem(STORAGE_KEYS.USER_PREFERENCES, JSON.stringify(store));
+  notifyChange(changed);
+}
+
+/**
+ * Fires the change event
+ * @param {Array<string>} changed - Keys whose value changed
+ */
+function notifyChange(changed) {
+  window.dispatchEvent(new CustomEvent(PREFERENCES_CHANGE_EVENT, {
+    detail: { changed, preferences: getPreferences() }
+  }));
+}
+
+// Another tab changed the preferences - reload and tell listeners what changed
+window.addEventListener('storage', event => {
+  if(event.key !== STORAGE_KEYS.USER_PREFERENCES) {
+    return;
+  }
+
+  const previous = getPreferences();
+  store = null;
+  const current = getPreferences();
+  const changed = Object.keys(PREFERENCE_SCHEMA).filter(key => previous[key] !== current[key]);
+
+  if(changed.length > 0) {
+    notifyChange(changed);
+  }
+});
+
+// ====================================
+// READING PREFERENCES
+// ====================================
+
+/**
+ * Returns every preference, with defaults filled in
+ * @returns {Object} Preferences keyed by name
+ * @example
+ * const { theme, cryVolume } = getPreferences();
+ */
+export function getPreferences() {
+  const { preferences } = getStore();
+  const values = {};
+
+  Object.entries(PREFERENCE_SCHEMA).forEach(([key, definition]) => {
+    values[key] = key in preferences ? preferences[key] : definition.default;
+  });
+
+  return values;
+}
+
+/**
+ * Returns one preference, or its default
+ * @param {string} key - Preference key
+ * @returns {*} Current value
+ * @example
+ * if(getPreference('dexRange') === 'original') { ... }
+ */
+export function getPreference(key) {
+  if(!PREFERENCE_SCHEMA[key]) {
+    console.warn(`⚠️ [Preferences] Unknown preference "${key}"`);
+
+    return undefined;
+  }
+
+  return getPreferences()[key];
+}
+
+/**
+ * Calls a callback now and whenever any of the given preferences change
+ * @param {Array<string>} keys - Preferences to watch
+ * @param {Function} callback - Receives all current preferences
+ * @returns {Function} Stops watching
+ * @example
+ * watchPreferences(['theme'], ({ theme }) => applyTheme(theme));
+ */
+export function watchPreferences(keys, callback) {
+  const handleChange = event => {
+    if(event.detail.changed.some(key => keys.includes(key))) {
+      callback(event.detail.preferences);
+    }
+  };
+
+  window.addEventListener(PREFERENCES_CHANGE_EVENT, handleChange);
+  callback(getPreferences());
+
+  return () => window.removeEventListener(PREFERENCES_CHANGE_EVENT, handleChange);
+}
+
+// ====================================
+// CHANGING PREFERENCES
+// ====================================
+
+/**
+ * Changes several preferences at once
+ * @param {Object} values - New values keyed by preference name
+ * @returns {boolean} False if any key is unknown or any value invalid (nothing is saved then)
+ * @example
+ * setPreferences({ audioEnabled: false, speechEnabled: false });
+ */
+export function setPreferences(values) {
+  const state = getStore();
+  const current = getPreferences();
+  const updates = {};
+
+  for(const [key, value] of Object.entries(values || {})) {
+    const valid = coercePreference(key, value);
+    if(valid === undefined) {
+      console.warn(`⚠️ [Preferences] Ignoring invalid value for "${key}":`, value);
+
+      return false;
+    }
+    updates[key] = valid;
+  }
+
+  const changed = Object.keys(updates).filter(key => updates[key] !== current[key]);
+  if(changed.length > 0) {
+    state.preferences = { ...state.preferences, ...updates };
+    saveStore(changed);
+  }
+
+  return true;
+} //setPreferences
+
+/**
+ * Changes one preference
+ * @param {string} key - Preference key
+ * @param {*} value - New value
+ * @returns {boolean} False if the key is unknown or the value invalid
+ * @example
+ * setPreference('theme', 'dark');
+ */
+export function setPreference(key, value) {
+  return setPreferences({ [key]: value });
+}
+
+/**
+ * Restores every preference to its default
+ */
+export function resetPreferences() {
+  const previous = getPreferences();
+  store = { version: PREFERENCES_SCHEMA_VERSION, preferences: {} };
+
+  saveStore(Object.keys(PREFERENCE_SCHEMA).filter(key => previous[key] !== PREFERENCE_SCHEMA[key].default));
+}
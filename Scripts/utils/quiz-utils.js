@@ -0,0 +1,114 @@
+/**
+ * QUIZ-UTILS.JS - Quiz Scores
+ * ===========================
+ *
+ * This module keeps the "Who's That Pokémon?" scores in localStorage. Each
+ * generation range is scored on its own, so an easy Generation I streak does
+ * not count towards an all-generations high score.
+ *
+ * Stored Shape (version 1):
+ *   { version: 1, ranges: { ['<from>-<to>']: { streak, bestStreak, correct, played } } }
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// MODULE IMPORTS
+// ====================================
+import { STORAGE_KEYS, getStorageItem, setStorageItem } from './storage-utils.js';
+
+// ====================================
+// QUIZ CONFIGURATION
+// ====================================
+
+/** @type {number} Current version of the stored scores schema */
+export const QUIZ_SCHEMA_VERSION = 1;
+
+/** @type {{streak: number, bestStreak: number, correct: number, played: number}} Score of an unplayed range */
+const EMPTY_SCORE = { streak: 0, bestStreak: 0, correct: 0, played: 0 };
+
+// ====================================
+// LOADING & SAVING
+// ====================================
+
+/**
+ * Reads the stored scores, repairing anything that is not a valid count
+ * @returns {{version: number, ranges: Object<string, Object>}} Scores
+ */
+function getQuizScores() {
+  let data = null;
+  try {
+    data = JSON.parse(getStorageItem(STORAGE_KEYS.QUIZ_SCORES) || 'null');
+  } catch(error) {
+    console.warn('⚠️ [Quiz] Stored scores are not valid JSON, starting fresh');
+  }
+
+  const ranges = {};
+  if(data && data.ranges && typeof data.ranges === 'object') {
+    Object.entries(data.ranges).forEach(([rangeKey, score]) => {
+      ranges[rangeKey] = Object.fromEntries(Object.keys(EMPTY_SCORE).map(field => {
+        const value = parseInt(score && score[field], 10);
+
+        return [field, isNaN(value) || value < 0 ? 0 : value];
+      }));
+    });
+  }
+
+  return { version: QUIZ_SCHEMA_VERSION, ranges };
+}
+
+// ====================================
+// SCORES
+// ====================================
+
+/**
+ * Builds the key scores are stored under
+ * @param {number} fromGeneration - First generation in the quiz
+ * @param {number} toGeneration - Last generation in the quiz
+ * @returns {string} Range key, e.g. '1-3'
+ */
+export function getQuizRangeKey(fromGeneration, toGeneration) {
+  return `${fromGeneration}-${toGeneration}`;
+}
+
+/**
+ * Returns the score for a generation range
+ * @param {string} rangeKey - Key from getQuizRangeKey
+ * @returns {{streak: number, bestStreak: number, correct: number, played: number}} Score
+ */
+export function getQuizScore(rangeKey) {
+  return { ...EMPTY_SCORE, ...getQuizScores().ranges[rangeKey] };
+}
+
+/**
+ * Records the result of one round
+ * @param {string} rangeKey - Key from getQuizRangeKey
+ * @param {boolean} correct - Whether the Pokémon was guessed
+ * @returns {{score: Object, newBest: boolean}} Updated score, and whether the streak beat the best
+ */
+export function recordQuizResult(rangeKey, correct) {
+  const scores = getQuizScores();
+  const score = { ...EMPTY_SCORE, ...scores.ranges[rangeKey] };
+
+  score.played++;
+  if(correct) {
+    score.correct++;
+    score.streak++;
+  } else {
+    score.streak = 0;
+  }
+
+  const newBest = score.streak > score.bestStreak;
+  if(newBest) {
+    score.bestStreak = score.streak;
+  }
+
+  scores.ranges[rangeKey] = score;
+  setStorageItem(STORAGE_KEYS.QUIZ_SCORES, JSON.stringify(scores));
+
+  return { score, newBest };
+}
@@ -0,0 +1,179 @@
+/**
+ * ROUTER-UTILS.JS - Deep Links & History Routing
+ * ==============================================
+ *
+ * This module keeps the page URL in sync with the Pokemon on screen so views
+ * can be bookmarked and shared (todo 083), e.g.
+ *
+ *   pokedex.html?pokemon=25&form=pikachu-phd&shiny=1
+ *
+ * Every navigation done through generatePokemon pushes a history entry;
+ * browser back/forward replays those entries with Recall semantics (the
+ * Pokemon being left becomes the "last" Pokemon). Unrelated query
+ * parameters are preserved.
+ *
+ * History Modes:
+ * - push: add a history entry (default for user navigation)
+ * - replace: rewrite the current entry (initial load, shiny toggle)
+ * - none: leave history untouched (replaying a popstate)
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// ROUTE CONFIGURATION
+// ====================================
+
+/** @type {Object<string, string>} Query parameter names used by routes */
+export const ROUTE_PARAMS = {
+  POKEMON: 'pokemon',
+  FORM: 'form',
+  SHINY: 'shiny'
+};
+
+/** @type {string} Key of the route inside history.state */
+const HISTORY_STATE_KEY = 'pokedexRoute';
+
+// ====================================
+// ROUTE PARSING
+// ====================================
+
+/**
+ * Reads a route from a query string
+ * @param {string} [search=window.location.search] - Query string to parse
+ * @returns {{pokemon: string, form: string|null, shiny: boolean}|null} Route, or null when the URL names no Pokemon
+ * @example
+ * parseRoute('?pokemon=25&shiny=1'); // { pokemon: '25', form: null, shiny: true }
+ */
+export function parseRoute(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const pokemon = (params.get(ROUTE_PARAMS.POKEMON) || '').trim().toLowerCase();
+  const form = (params.get(ROUTE_PARAMS.FORM) || '').trim().toLowerCase();
+
+  if(!pokemon && !form) {
+    return null;
+  }
+
+  return {
+    pokemon: pokemon || form,
+    form: form || null,
+    shiny: ['1', 'true', 'yes'].includes((params.get(ROUTE_PARAMS.SHINY) || '').toLowerCase())
+  };
+}
+
+/**
+ * Builds the relative URL for a route, keeping unrelated parameters and the hash
+ * @param {{pokemon: string|number, form?: string|null, shiny?: boolean}|null} route - Route to encode, null to drop it
+ * @returns {string} Path, query string and hash
+ */
+export function buildRouteUrl(route) {
+  const url = new URL(window.location.href);
+  Object.values(ROUTE_PARAMS).forEach(param => url.searchParams.delete(param));
+
+  if(route) {
+    url.searchParams.set(ROUTE_PARAMS.POKEMON, String(route.pokemon));
+    if(route.form) {
+      url.searchParams.set(ROUTE_PARAMS.FORM, route.form);
+    }
+    if(route.shiny) {
+      url.searchParams.set(ROUTE_PARAMS.SHINY, '1');
+    }
+  }
+
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+/**
+ * Builds the route for a loaded Pokemon
+ * Non-default varieties are recorded as a form of their species
+ * @param {Object} pokemonResponse - Raw Pokemon data from PokeAPI
+ * @param {Object} speciesResponse - Raw species data from PokeAPI
+ * @param {boolean} [shiny=false] - Whether the shiny sprite is shown
+ * @returns {{pokemon: string, form: string|null, shiny: boolean}} Route
+ */
+export function getRouteForPokemon(pokemonResponse, speciesResponse, shiny = false) {
+  return {
+    pokemon: String(speciesResponse.id),
+    form: pokemonResponse.is_default === false ? pokemonResponse.name : null,
+    shiny: Boolean(shiny)
+  };
+}
+
+// ====================================
+// HISTORY UPDATES
+// ====================================
+
+/**
+ * Records a route in the browser history
+ * Navigating to the Pokemon already in the URL replaces instead of pushing,
+ * so reloading or re-searching never creates duplicate entries
+ * @param {{pokemon: string, form: string|null, shiny: boolean}} route - Route to record
+ * @param {string} [historyMode='push'] - 'push', 'replace' or 'none'
+ * @example
+ * updateRoute({ pokemon: '25', form: null, shiny: false });
+ */
+export function updateRoute(route, historyMode = 'push') {
+  if(historyMode === 'none' || !window.history || typeof window.history.pushState !== 'function') {
+    return;
+  }
+
+  const url = buildRouteUrl(route);
+  const state = { ...window.history.state, [HISTORY_STATE_KEY]: route };
+
+  if(historyMode === 'replace' || isSameRoute(route, parseRoute())) {
+    window.history.replaceState(state, '', url);
+  } else {
+    window.history.pushState(state, '', url);
+  }
+}
+
+/**
+ * Updates only the shiny flag of the current route
+ * @param {boolean} shiny - Whether the shiny sprite is shown
+ */
+export function setRouteShiny(shiny) {
+  const route = parseRoute();
+  if(route && route.shiny !== Boolean(shiny)) {
+    updateRoute({ ...route, shiny: Boolean(shiny) }, 'replace');
+  }
+}
+
+/**
+ * Removes the route from the URL (used when the display is cleared)
+ */
+export function clearRoute() {
+  if(window.history && typeof window.history.replaceState === 'function' && parseRoute()) {
+    window.history.replaceState({}, '', buildRouteUrl(null));
+  }
+}
+
+/**
+ * Listens for browser back/forward and hands the restored route to the app
+ * @param {Function} onRouteChange - Called with the route of the history entry
+ * @example
+ * initializeRouter(route => generatePokemon(route.form || route.pokemon, 'visible', true, { historyMode: 'none' }));
+ */
+export function initializeRouter(onRouteChange) {
+  window.addEventListener('popstate', event => {
+    const route = (event.state && event.state[HISTORY_STATE_KEY]) || parseRoute();
+    if(route) {
+      onRouteChange(route);
+    }
+  });
+}
+
+/**
+ * Compares two routes, ignoring the shiny flag
+ * @param {Object|null} first - First route
+ * @param {Object|null} second - Second route
+ * @returns {boolean} True if both name the same Pokemon and form
+ */
+function isSameRoute(first, second) {
+  return !!first && !!second &&
+    String(first.pokemon) === String(second.pokemon) &&
+    (first.form || null) === (second.form || null);
+}
@@ -0,0 +1,143 @@
+/**
+ * STAT-UTILS.JS - Stat Formulas
+ * =============================
+ *
+ * This module computes a Pokemon's actual stats from its base stats using
+ * the mainline formulas (Generation III onward):
+ *
+ *   HP    = floor((2 × Base + IV + floor(EV / 4)) × Level / 100) + Level + 10
+ *   Other = floor((floor((2 × Base + IV + floor(EV / 4)) × Level / 100) + 5) × Nature)
+ *
+ * Nature is 1.1 for the stat a nature raises, 0.9 for the one it lowers and
+ * 1 otherwise. A base HP of 1 (Shedinja) always gives 1 HP.
+ *
+ * Stats are arrays in PokeAPI order: HP, Attack, Defense, Sp. Atk, Sp. Def, Speed.
+ *
+ * @author Kolby Landon
+ * @version 1.0
+ * @since 2025
+ */
+
+'use strict';
+
+// ====================================
+// STAT CONFIGURATION
+// ====================================
+
+/** @type {Array<string>} PokeAPI stat names, in API order */
+export const STAT_KEYS = ['hp', 'attack', 'defense', 'special-attack', 'special-defense', 'speed'];
+
+/** @type {Array<string>} Short labels for STAT_KEYS */
+export const STAT_LABELS = ['HP', 'Atk', 'Def', 'Sp. Atk', 'Sp. Def', 'Speed'];
+
+/** @type {number} Highest individual value per stat */
+export const MAX_IV = 31;
+
+/** @type {number} Highest effort values per stat and in total */
+export const MAX_EV = 252;
+export const MAX_TOTAL_EVS = 510;
+
+/** @type {number} Level range */
+export const MIN_LEVEL = 1;
+export const MAX_LEVEL = 100;
+
+/** @type {{raised: number, lowered: number}} Nature multipliers */
+const NATURE_MULTIPLIERS = { raised: 1.1, lowered: 0.9 };
+
+// ====================================
+// STAT FORMULAS
+// ====================================
+
+/**
+ * Returns the nature multiplier for one stat
+ * @param {{increased: string|null, decreased: string|null}|null} nature - Nature from requestNatures (null for neutral)
+ * @param {string} statKey - PokeAPI stat name
+ * @returns {number} 1.1, 0.9 or 1
+ */
+export function getNatureMultiplier(nature, statKey) {
+  if(!nature || nature.increased === nature.decreased) {
+    return 1;
+  }
+
+  return statKey === nature.increased ? NATURE_MULTIPLIERS.raised
+    : statKey === nature.decreased ? NATURE_MULTIPLIERS.lowered
+    : 1;
+}
+
+/**
+ * Computes one stat
+ * @param {number} base - Base stat
+ * @param {string} statKey - PokeAPI stat name
+ * @param {{level: number, iv: number, ev: number, multiplier?: number}} values - Level, IV, EV and nature multiplier
+ * @returns {number} Actual stat
+ * @example
+ * calculateStat(108, 'hp', { level: 100, iv: 31, ev: 252 }); // 420 (Garchomp)
+ */
+export function calculateStat(base, statKey, { level, iv, ev, multiplier = 1 }) {
+  const core = Math.floor((2 * base + iv + Math.floor(ev / 4)) * level / 100);
+
+  if(statKey === 'hp') {
+    return base === 1 ? 1 : core + level + 10;
+  }
+
+  // Round away floating point error (e.g. 1.1 × 130 = 143.00000000000003)
+  return Math.floor(Math.round((core + 5) * multiplier * 1000) / 1000);
+}
+
+/**
+ * Computes every stat
+ * @param {Array<number>} baseStats - Base stats in API order
+ * @param {{level: number, ivs: Array<number>, evs: Array<number>, nature: Object|null}} values - Calculator inputs
+ * @returns {Array<number>} Actual stats in API order
+ */
+export function calculateStats(baseStats, { level, ivs, evs, nature }) {
+  return baseStats.map((base, index) => calculateStat(base, STAT_KEYS[index], {
+    level,
+    iv: ivs[index],
+    ev: evs[index],
+    multiplier: getNatureMultiplier(nature, STAT_KEYS[index])
+  }));
+}
+
+/**
+ * Computes the lowest and highest possible value of every stat at a level
+ * Lowest: 0 IVs, 0 EVs, lowering nature; highest: 31 IVs, 252 EVs, raising nature
+ * @param {Array<number>} baseStats - Base stats in API order
+ * @param {number} level - Level
+ * @returns {Array<{min: number, max: number}>} Range per stat in API order
+ */
+export function getStatRanges(baseStats, level) {
+  return baseStats.map((base, index) => ({
+    min: calculateStat(base, STAT_KEYS[index], { level, iv: 0, ev: 0, multiplier: NATURE_MULTIPLIERS.lowered }),
+    max: calculateStat(base, STAT_KEYS[index], { level, iv: MAX_IV, ev: MAX_EV, multiplier: NATURE_MULTIPLIERS.raised })
+  }));
+}
+
+// ====================================
+// INPUT LIMITS
+// ====================================
+
+/**
+ * Clamps a number input to a whole number in range
+ * @param {*} value - Raw input
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @returns {number} Clamped whole number (min for invalid input)
+ */
+export function clampStatInput(value, min, max) {
+  const number = parseInt(value, 10);
+
+  return isNaN(number) ? min : Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Returns how many EVs one stat may have without the total passing MAX_TOTAL_EVS
+ * @param {Array<number>} evs - Current EVs
+ * @param {number} index - Stat being edited
+ * @returns {number} Highest allowed EV for that stat
+ */
+export function getEvLimit(evs, index) {
+  const others = evs.reduce((total, ev, evIndex) => evIndex === index ? total : total + ev, 0);
+
+  return Math.max(0, Math.min(MAX_EV, MAX_TOTAL_EVS - others));
+}
@@ -10,7 +10,7 @@
  * - Prefixed storage keys to avoid conflicts with other applications
  * - Type-safe storage operations with error handling
  * - Pokemon recall system with last-viewed tracking
- * - Geolocation capture and storage
+ * - Opt-in consent before any geolocation or IP lookup
  * - User preferences management
  * - Storage quota monitoring and cleanup
  * 
@@ -27,7 +27,7 @@
 // ====================================
 // MODULE IMPORTS
 // ====================================
-import { showToast } from './dom-utils.js?v=20250801i';
+import { showToast } from './dom-utils.js';
 
 // ====================================
 // STORAGE CONFIGURATION
@@ -47,17 +47,29 @@ export const STORAGE_KEYS = {
   POKEMON_CACHE: `${STORAGE_PREFIX}pokemonCache`,
   POKEDEX_TYPE: `${STORAGE_PREFIX}pokedexType`,
   AUDIO_ENABLED: `${STORAGE_PREFIX}audioEnabled`,
-  SPEECH_ENABLED: `${STORAGE_PREFIX}speechEnabled`
+  SPEECH_ENABLED: `${STORAGE_PREFIX}speechEnabled`,
+  API_CONFIG: `${STORAGE_PREFIX}apiConfig`,
+  COLLECTIONS: `${STORAGE_PREFIX}collections`,
+  VIEW_HISTORY: `${STORAGE_PREFIX}viewHistory`,
+  PRIVACY_CONSENT: `${STORAGE_PREFIX}privacyConsent`,
+  DAILY_POKEMON: `${STORAGE_PREFIX}dailyPokemon`,
+  QUIZ_SCORES: `${STORAGE_PREFIX}quizScores`
 };
 
+/** @type {Array<string>} Unprefixed keys written by older versions and by main.js */
+export const LEGACY_STORAGE_KEYS = ['currentPokémon', 'lastPokémon', 'id', 'originalPokédex', 'maximumId', 'deviceType'];
+
 // ====================================
 // CORE STORAGE FUNCTIONS
 // ====================================
 
-// Flag to track when we're in a recall/swap operation
-let isInRecallOperation = false;
-
-export function populateLocalStorage(pokemonId, isRecall = false) {
+/**
+ * Records a newly displayed Pokemon as current and moves the previous one to last
+ * Recall simply navigates to the last Pokemon, so this same rule swaps the two
+ * once the recalled Pokemon is on screen - no flag or timer is needed
+ * @param {number|string} pokemonId - ID of the Pokemon now on screen
+ */
+export function populateLocalStorage(pokemonId) {
   if(!pokemonId) {
     return;
   }
@@ -67,25 +79,16 @@ export function populateLocalStorage(pokemonId, isRecall = false) {
     return;
   }
 
-  // If this is a recall operation, don't modify the storage - it's already been set by swapCurrentAndLastPokemon
-  if(isRecall || isInRecallOperation) {
-    setStorageItem(STORAGE_KEYS.DATE_TIME, getDateTime());
-    getGeoLocation();
-    getUserIP();
-  
-    return;
-  }
-
   const oldCurrent = getStorageItem(STORAGE_KEYS.CURRENT_POKEMON);
   
   // Simple rule: if we have an old current and it's different from new, store it as last
   if(oldCurrent && oldCurrent !== validId.toString()) {
     setStorageItem(STORAGE_KEYS.LAST_POKEMON, oldCurrent);
-  } else {
-    // If no old current or they're the same, clear last to prevent duplicates
-    // This ensures CURRENT and LAST are never the same
+  } else if(!oldCurrent) {
+    // Nothing to recall yet
     setStorageItem(STORAGE_KEYS.LAST_POKEMON, '');
   }
+  // Reloading the same Pokemon keeps the existing last Pokemon for Recall
   
   // Set new current
   setStorageItem(STORAGE_KEYS.CURRENT_POKEMON, validId.toString());
@@ -95,36 +98,24 @@ export function populateLocalStorage(pokemonId, isRecall = false) {
   getUserIP();
 }
 
-export function swapCurrentAndLastPokemon() {
+/**
+ * Returns the Pokemon the Recall button should show
+ * @returns {string|null} Last Pokemon ID, or null if there is nothing different to recall
+ */
+export function getRecallPokemonId() {
   const currentPokemon = getStorageItem(STORAGE_KEYS.CURRENT_POKEMON);
   const lastPokemon = getStorageItem(STORAGE_KEYS.LAST_POKEMON);
   
   // Check if both values exist and are valid (not null, empty, "null" string, or "0")
   if(currentPokemon && lastPokemon && 
       currentPokemon !== lastPokemon && 
-      lastPokemon !== '' && 
       lastPokemon !== '0' &&
       lastPokemon !== 'null' &&
       currentPokemon !== 'null') {
-    // Set flag to prevent populateLocalStorage from interfering
-    isInRecallOperation = true;
-    
-    // Swap the values
-    setStorageItem(STORAGE_KEYS.CURRENT_POKEMON, lastPokemon);
-    setStorageItem(STORAGE_KEYS.LAST_POKEMON, currentPokemon);
-    setStorageItem(STORAGE_KEYS.DATE_TIME, getDateTime());
-    
-    getGeoLocation();
-    
-    // Clear flag after a short delay to allow generatePokemon to complete
-    setTimeout(() => {
-      isInRecallOperation = false;
-    }, 100);
-    
-    return lastPokemon; // Return the new current pokemon
+    return lastPokemon;
   }
   
-  return null; // No swap possible
+  return null; // Nothing to recall
 }
 
 export function setStorageItem(key, value) {
@@ -174,7 +165,11 @@ function getDateTime() {
 }
 
 function getGeoLocation() {
-  // Simplified geolocation
+  // Location is opt-in - never prompt or read it without consent
+  if(!hasPrivacyConsent(CONSENT_CATEGORIES.LOCATION)) {
+    return;
+  }
+
   if('geolocation' in navigator) {
     navigator.geolocation.getCurrentPosition(
       (position) => {
@@ -191,6 +186,11 @@ function getGeoLocation() {
  * Uses multiple fallback services for reliability
  */
 async function getUserIP() {
+  // IP lookups contact third-party services - only after the user opted in
+  if(!hasPrivacyConsent(CONSENT_CATEGORIES.IP)) {
+    return;
+  }
+
   // Check if IP is already stored and still fresh (within 24 hours)
   const existingIP = getStorageItem(STORAGE_KEYS.USER_IP);
   if(existingIP) {
@@ -313,6 +313,10 @@ export function getStoredIP() {
  * @returns {Promise<void>}
  */
 export async function refreshUserIP() {
+  if(!hasPrivacyConsent(CONSENT_CATEGORIES.IP)) {
+    return;
+  }
+
   // Clear existing IP data
   setStorageItem(STORAGE_KEYS.USER_IP, '');
   
@@ -320,6 +324,134 @@ export async function refreshUserIP() {
   await getUserIP();
 }
 
+// ====================================
+// PRIVACY CONSENT
+// ====================================
+
+/** @type {number} Bump to ask every user again when the consent text changes */
+export const PRIVACY_CONSENT_VERSION = 1;
+
+/** @type {Object<string, string>} Data categories that need opt-in consent */
+export const CONSENT_CATEGORIES = {
+  LOCATION: 'location',
+  IP: 'ip'
+};
+
+/**
+ * Returns the user's consent choices
+ * @returns {{version: number, location: boolean, ip: boolean, decidedAt: string}|null} Choices, or null if the user has not decided yet
+ */
+export function getPrivacyConsent() {
+  try {
+    const consent = JSON.parse(getStorageItem(STORAGE_KEYS.PRIVACY_CONSENT) || 'null');
+
+    return consent && consent.version === PRIVACY_CONSENT_VERSION ? consent : null;
+  } catch(error) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether the user opted in to a data category
+ * @param {string} category - One of CONSENT_CATEGORIES
+ * @returns {boolean} True only after an explicit opt-in
+ */
+export function hasPrivacyConsent(category) {
+  const consent = getPrivacyConsent();
+
+  return !!consent && consent[category] === true;
+}
+
+/**
+ * Saves the user's consent choices
+ * Withdrawn categories are purged right away; newly granted ones are captured
+ * @param {{location?: boolean, ip?: boolean}} choices - Opt-in per category
+ * @example
+ * setPrivacyConsent({ location: false, ip: false }); // Decline everything
+ */
+export function setPrivacyConsent({ location = false, ip = false } = {}) {
+  const previous = getPrivacyConsent() || {};
+  const consent = {
+    version: PRIVACY_CONSENT_VERSION,
+    location: location === true,
+    ip: ip === true,
+    decidedAt: new Date().toISOString()
+  };
+
+  setStorageItem(STORAGE_KEYS.PRIVACY_CONSENT, JSON.stringify(consent));
+
+  if(!consent.location) {
+    removeStorageItem(STORAGE_KEYS.COORDINATES);
+  } else if(!previous.location) {
+    getGeoLocation();
+  }
+
+  if(!consent.ip) {
+    removeStorageItem(STORAGE_KEYS.USER_IP);
+  } else if(!previous.ip) {
+    getUserIP();
+  }
+}
+
+/**
+ * Lists every value this app keeps in localStorage
+ * @returns {Array<{key: string, value: string}>} Stored keys and raw values
+ */
+export function getStoredAppData() {
+  if(!isStorageAvailable()) {
+    return [];
+  }
+
+  const entries = [];
+  for(let index = 0; index < localStorage.length; index++) {
+    const key = localStorage.key(index);
+    if(key.startsWith(STORAGE_PREFIX) || LEGACY_STORAGE_KEYS.includes(key)) {
+      entries.push({ key, value: localStorage.getItem(key) });
+    }
+  }
+
+  return entries.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Deletes everything this app keeps in localStorage, including the consent choice
+ * @returns {number} Number of removed keys
+ */
+export function purgeStoredAppData() {
+  const entries = getStoredAppData();
+  entries.forEach(({ key }) => {
+    removeStorageItem(key);
+    notifyStorageChange(key);
+  });
+
+  return entries.length;
+}
+
+/**
+ * Tells this tab's stores that a key was rewritten outside their own setters
+ * Modules that cache storage already reload on 'storage' events from other
+ * tabs; this fires the same event for changes made in this tab
+ * @param {string} key - Storage key that changed
+ * @example
+ * setStorageItem(STORAGE_KEYS.COLLECTIONS, json);
+ * notifyStorageChange(STORAGE_KEYS.COLLECTIONS);
+ */
+export function notifyStorageChange(key) {
+  window.dispatchEvent(new StorageEvent('storage', { key }));
+}
+
+/**
+ * Removes a storage item
+ * @param {string} key - Storage key
+ */
+function removeStorageItem(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch(error) {
+    console.error('Error removing storage item:', error);
+  }
+}
+
 /**
  * Development-only logging utilities
  * Enables verbose logging in non-production environments
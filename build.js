@@ -1,7 +1,73 @@
 // build.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const esbuild = require('esbuild');
 
-esbuild.build({
+// Precache manifest read by service-worker.js (importScripts)
+const PRECACHE_MANIFEST = 'dist/precache-manifest.js';
+
+// Daily pick shared with service-worker.js (importScripts), exposed as self.DailyUtils
+const DAILY_UTILS_SCRIPT = 'dist/daily-utils.js';
+
+// App files precached besides the bundles; directories are included whole
+const PRECACHE_FILES = [
+  'index.html',
+  'Pages/pokedex.html',
+  'offline.html',
+  'manifest.json',
+  'Scripts/index.js',
+  'StyleSheets',
+  'Images'
+];
+
+/**
+ * Lists the files under a path
+ * @param {string} entry - File or directory, relative to the project root
+ * @returns {Array<string>} File paths
+ */
+function listFiles(entry) {
+  if(!fs.statSync(entry).isDirectory()) {
+    return [entry];
+  }
+
+  return fs.readdirSync(entry).flatMap(name => listFiles(path.join(entry, name)));
+}
+
+/**
+ * Short content hash of a file
+ * @param {string} file - File path
+ * @returns {string} First 10 hex digits of the SHA-256
+ */
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 10);
+}
+
+/**
+ * Writes the precache manifest: every app file with its content hash, and a
+ * version derived from all hashes that names the service worker's static cache
+ * @param {Array<string>} outputs - Files written by esbuild
+ */
+function writePrecacheManifest(outputs) {
+  const files = [...PRECACHE_FILES.flatMap(listFiles), ...outputs]
+    .map(file => file.split(path.sep).join('/'))
+    .filter((file, index, all) => all.indexOf(file) === index)
+    .sort();
+
+  const assets = files.map(file => ({ url: `./${file}`, revision: hashFile(file) }));
+  // The start URL is served as index.html
+  assets.unshift({ url: './', revision: hashFile('index.html') });
+
+  const version = crypto.createHash('sha256')
+    .update(assets.map(asset => `${asset.url} ${asset.revision}`).join('\n'))
+    .digest('hex')
+    .slice(0, 10);
+
+  fs.writeFileSync(PRECACHE_MANIFEST, `// Generated by build.js - do not edit\nself.PRECACHE_MANIFEST = ${JSON.stringify({ version, assets }, null, 2)};\n`);
+  console.log(`Precache manifest: ${assets.length} files, version ${version}`);
+}
+
+const moduleBuild = esbuild.build({
   entryPoints: [
     'Scripts/index.js',
     'Scripts/main.js',
@@ -19,4 +85,25 @@ esbuild.build({
   sourcemap: false,
   splitting: true,
   format: 'esm',
-}).catch(() => process.exit(1));
+  metafile: true,
+});
+
+// Service workers cannot import ES modules everywhere, so the daily pick is also built as a classic script
+const dailyUtilsBuild = esbuild.build({
+  entryPoints: ['Scripts/utils/daily-utils.js'],
+  bundle: true,
+  minify: true,
+  outfile: DAILY_UTILS_SCRIPT,
+  format: 'iife',
+  globalName: 'DailyUtils',
+});
+
+Promise.all([moduleBuild, dailyUtilsBuild]).then(([result]) => {
+  writePrecacheManifest(Object.keys(result.metafile.outputs));
+}).catch(error => {
+  // esbuild reports its own errors
+  if(!error.errors) {
+    console.error(error);
+  }
+  process.exit(1);
+});
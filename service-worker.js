@@ -17,11 +17,17 @@
  * - API Cache: PokeAPI responses with intelligent invalidation
  * 
  * Features:
- * - Automatic cache management with versioning
+ * - Precache manifest generated by build.js: the static cache is named after
+ *   the content hashes, so any changed file installs a new worker and only
+ *   changed files are downloaded again
  * - Intelligent cache strategy selection based on resource type
  * - Graceful fallbacks for offline scenarios
  * - Background sync for pending requests when connectivity returns
  * - Cache size management to prevent storage bloat
+ * - Opt-in offline Pokédex: every Pokemon, species, artwork and cry, downloaded
+ *   in resumable batches into a cache that is never trimmed or versioned
+ * - Cache inspection (entries, sizes, ages, cached Pokémon) and targeted purges
+ * - Pokémon of the Day notification through Periodic Background Sync
  * 
  * @author Kolby Landon
  * @version 3.0
@@ -34,36 +40,41 @@
 // CACHE CONFIGURATION AND VERSIONING
 // ====================================
 
-const CACHE_NAME = 'pokedex-cache-v24';
-const STATIC_CACHE = 'pokedex-static-v24';
-const DYNAMIC_CACHE = 'pokedex-dynamic-v24';
-const API_CACHE = 'pokedex-api-v24';
-
-// Static assets to cache immediately
-const STATIC_ASSETS = [
-  './',
-  './index.html',
-  './Pages/pokedex.html',
-  './StyleSheets/main.css',
-  './Scripts/main.js',
-  './Scripts/pokemon.js',
-  './Scripts/requests.js',
-  './Scripts/statsChart.js',
-  './Scripts/performance.js',
-  './Scripts/sw-manager.js',
-  './Scripts/utils/dom-utils.js',
-  './Scripts/utils/audio-utils.js',
-  './Scripts/utils/data-utils.js',
-  './Scripts/utils/navigation-utils.js',
-  './Scripts/utils/storage-utils.js',
-  './Scripts/utils/color-utils.js',
-  './Scripts/utils/placeholder-utils.js',
-  './Scripts/utils/pokemon-names.js',
-  './Images/pokeball.png',
-  './Images/pokeball-bullet.png',
-  './manifest.json',
-  './offline.html'
-];
+// Precache manifest written by build.js: every app file with its content hash
+try {
+  importScripts('./dist/precache-manifest.js');
+} catch (error) {
+  console.error('[ServiceWorker] Precache manifest missing, run "node build.js":', error);
+}
+
+// Pokémon of the Day pick, bundled from Scripts/utils/daily-utils.js by build.js so the
+// notification always names the same Pokémon as the launch card
+try {
+  importScripts('./dist/daily-utils.js');
+} catch (error) {
+  console.error('[ServiceWorker] Daily pick script missing, run "node build.js":', error);
+}
+
+const PRECACHE_MANIFEST = self.PRECACHE_MANIFEST || {
+  version: 'unbuilt',
+  assets: [{ url: './', revision: null }, { url: './index.html', revision: null }, { url: './offline.html', revision: null }]
+};
+
+const STATIC_CACHE_PREFIX = 'pokedex-static-';
+const STATIC_CACHE = STATIC_CACHE_PREFIX + PRECACHE_MANIFEST.version;
+const DYNAMIC_CACHE = 'pokedex-dynamic';
+const API_CACHE = 'pokedex-api';
+
+// Offline Pokédex download - kept across app updates
+const OFFLINE_DEX_CACHE = 'pokedex-offline-dex';
+
+// Pokémon of the Day notification settings sent by the page
+const DAILY_POKEMON_CACHE = 'pokedex-daily-pokemon';
+
+// Absolute URL → content hash of every precached file
+const PRECACHE_REVISIONS = new Map(
+  PRECACHE_MANIFEST.assets.map(asset => [new URL(asset.url, self.location).href, asset.revision])
+);
 
 // API patterns that should be cached
 const API_PATTERNS = [
@@ -104,19 +115,7 @@ self.addEventListener('fetch', event => {
 // Modularized install logic
 async function handleInstall() {
   try {
-    const staticCache = await caches.open(STATIC_CACHE);
-    try {
-      await staticCache.addAll(STATIC_ASSETS);
-    } catch (addAllError) {
-      // Try to cache assets one by one and log failures
-      for(const asset of STATIC_ASSETS) {
-        try {
-          await staticCache.add(asset);
-        } catch (assetError) {
-          log('error', `Failed to cache asset: ${asset}`, assetError);
-        }
-      }
-    }
+    await precacheAssets();
     await Promise.all([
       caches.open(DYNAMIC_CACHE),
       caches.open(API_CACHE)
@@ -128,10 +127,61 @@ async function handleInstall() {
   }
 }
 
+/**
+ * Fills the static cache from the precache manifest
+ * Files whose hash has not changed are copied from the previous static cache;
+ * the rest are downloaded past the HTTP cache so no outdated copy slips in.
+ */
+async function precacheAssets() {
+  const staticCache = await caches.open(STATIC_CACHE);
+  const previousCaches = await Promise.all((await caches.keys())
+    .filter(cacheName => cacheName.startsWith(STATIC_CACHE_PREFIX) && cacheName !== STATIC_CACHE)
+    .map(cacheName => caches.open(cacheName)));
+
+  const results = await Promise.allSettled(PRECACHE_MANIFEST.assets.map(async ({ url, revision }) => {
+    if(revision) {
+      const current = await staticCache.match(url);
+      if(current && current.headers.get('sw-revision') === revision) {
+        return 'kept';
+      }
+
+      for(const previousCache of previousCaches) {
+        const previous = await previousCache.match(url);
+        if(previous && previous.headers.get('sw-revision') === revision) {
+          await staticCache.put(url, previous);
+
+          return 'kept';
+        }
+      }
+    }
+
+    const response = await fetch(url, { cache: 'reload' });
+    if(!response.ok) {
+      throw new Error(`${response.status} ${url}`);
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set('sw-revision', revision || '');
+    await staticCache.put(url, new Response(await response.blob(), {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    }));
+
+    return 'downloaded';
+  }));
+
+  const count = value => results.filter(result => result.value === value).length;
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => log('error', 'Failed to cache asset:', result.reason));
+  log('info', `Precache ${PRECACHE_MANIFEST.version}: ${count('downloaded')} downloaded, ${count('kept')} unchanged`);
+} //precacheAssets
+
 // Modularized activate logic
 async function handleActivate() {
   log('info', 'Activating...');
-  const expectedCaches = [STATIC_CACHE, DYNAMIC_CACHE, API_CACHE];
+  const expectedCaches = [STATIC_CACHE, DYNAMIC_CACHE, API_CACHE, OFFLINE_DEX_CACHE, DAILY_POKEMON_CACHE];
   try {
     const cacheNames = await caches.keys();
     await Promise.all(
@@ -169,6 +219,14 @@ async function handleFetchEvent(event) {
   // Serve placeholder for known external sprite hosts when they fail
   const isSpriteHost = url.hostname.includes('raw.githubusercontent.com') || url.hostname.includes('play.pokemonshowdown.com') || url.hostname.includes('pokemoncries.com');
 
+  // Offline with a downloaded Pokédex: answer right away instead of waiting out network retries
+  if(!navigator.onLine && (isSpriteHost || isApiRequest(request))) {
+    const downloaded = await matchOfflineDex(request);
+    if(downloaded) {
+      return downloaded;
+    }
+  }
+
   // Offline fallback for navigation requests (HTML)
   if(request.mode === 'navigate' || request.destination === 'document') {
     try {
@@ -214,6 +272,9 @@ async function handleFetchEvent(event) {
 
       throw new Error('Sprite network response not ok');
     } catch (err) {
+      const downloaded = await matchOfflineDex(request);
+      if(downloaded) return downloaded;
+
       log('warn', 'Sprite fetch failed, returning placeholder:', err, request.url);
       const placeholder = await caches.match('./Images/pokeball.png');
       if(placeholder) return placeholder;
@@ -363,7 +424,7 @@ async function staleWhileRevalidate(request, cacheName) {
     return response;
   } catch (error) {
     log('warn', 'staleWhileRevalidate failed, serving cache if available:', error);
-    return cachedResponse || Response.error();
+    return cachedResponse || await matchOfflineDex(request) || Response.error();
   }
 }
 
@@ -382,8 +443,8 @@ async function staleWhileRevalidate(request, cacheName) {
 function isStaticAsset(request) {
   const url = new URL(request.url);
   
-  // Check if it's in our static assets list
-  if(STATIC_ASSETS.some(asset => request.url.includes(asset) || url.pathname === asset)) {
+  // Check if it's in the precache manifest
+  if(PRECACHE_REVISIONS.has(url.origin + url.pathname)) {
     return true;
   }
   
@@ -511,6 +572,17 @@ async function performCacheHealthCheck() {
 // MESSAGE HANDLING
 // ====================================
 
+/** @type {Object<string, Function>} Messages answered with a status through ports[0] */
+const MESSAGE_TASKS = {
+  OFFLINE_DEX_BATCH: downloadOfflineDexBatch,
+  OFFLINE_DEX_STATUS: getOfflineDexStatus,
+  OFFLINE_DEX_DELETE: deleteOfflineDex,
+  INSPECT_CACHES: inspectCaches,
+  PURGE_CACHE_ENTRIES: purgeCacheEntries,
+  REFRESH_STALE_CACHE: updateStaleCache,
+  DAILY_POKEMON_CONFIG: setDailyPokemonConfig
+};
+
 /**
  * Message handling for cache updates and commands
  * Provides communication interface between main thread and service worker
@@ -525,11 +597,16 @@ self.addEventListener('message', event => {
   if(data && data.type === 'CLEAR_CACHE') {
     event.waitUntil(
       caches.keys().then(cacheNames => {
+        // One cache when named, otherwise all of them; the offline Pokédex is only removed on request
+        // (OFFLINE_DEX_DELETE) and the notification settings are not a cache of anything
         return Promise.all(
-          cacheNames.map(cacheName => caches.delete(cacheName))
+          cacheNames
+            .filter(cacheName => data.cacheName ? cacheName === data.cacheName
+              : cacheName !== OFFLINE_DEX_CACHE && cacheName !== DAILY_POKEMON_CACHE)
+            .map(cacheName => caches.delete(cacheName))
         );
       }).then(() => {
-        console.log('[ServiceWorker] All caches cleared');
+        console.log(`[ServiceWorker] ${data.cacheName ? `Cache ${data.cacheName}` : 'All caches'} cleared`);
         
         if(event.ports && event.ports[0]) {
           event.ports[0].postMessage({ success: true });
@@ -569,6 +646,548 @@ self.addEventListener('message', event => {
       })
     );
   }
+
+  const task = data && MESSAGE_TASKS[data.type];
+  if(task) {
+    event.waitUntil(
+      task(data).then(status => {
+        if(event.ports && event.ports[0]) {
+          event.ports[0].postMessage({ success: true, status });
+        }
+      }).catch(err => {
+        console.error(`[ServiceWorker] ${data.type} failed:`, err);
+        if(event.ports && event.ports[0]) {
+          event.ports[0].postMessage({ success: false, error: err.message });
+        }
+      })
+    );
+  }
+});
+
+// ====================================
+// CACHE INSPECTOR
+// ====================================
+
+/** @type {Array<{name: string, kind: string}>} Caches shown by the storage screen */
+const INSPECTED_CACHES = [
+  { name: STATIC_CACHE, kind: 'static' },
+  { name: DYNAMIC_CACHE, kind: 'dynamic' },
+  { name: API_CACHE, kind: 'api' }
+];
+
+/** @type {RegExp} Sprite, artwork or cry file below a /pokemon/ or /cries/ folder: captures the Pokemon ID or name */
+const POKEMON_FILE_PATTERN = /\/([a-z0-9-]+)\.(?:png|gif|svg|ogg|mp3|wav)$/i;
+
+/** @type {RegExp} Pokemon or species resource (REST or static mode): captures the ID or name */
+const POKEMON_RESOURCE_PATTERN = /\/pokemon(?:-species)?\/([a-z0-9-]+)(?:\/encounters)?(?:\/index\.json)?\/?$/i;
+
+/**
+ * Finds the Pokemon an API or sprite entry belongs to
+ * @param {string} url - Cached URL
+ * @returns {string|null} Pokemon ID or name, or null for other entries
+ */
+function getPokemonCacheKey(url) {
+  if(!API_PATTERNS.some(pattern => pattern.test(url)) && !url.includes('/api/v2/')) {
+    return null;
+  }
+
+  const { pathname } = new URL(url);
+  const isPokemonFile = pathname.includes('/pokemon/') || pathname.includes('/cries/');
+  const match = (isPokemonFile && pathname.match(POKEMON_FILE_PATTERN)) || pathname.match(POKEMON_RESOURCE_PATTERN);
+
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Lists entry counts, sizes and ages of the app caches, plus the Pokemon they hold
+ * Pokemon entries fetched by name and by ID are grouped using the IDs found in
+ * cached Pokemon and species data.
+ * @returns {Promise<{caches: Array<Object>, pokemon: Array<Object>}>} Cache and Pokemon summaries
+ */
+async function inspectCaches() {
+  const aliases = new Map();
+  const pokemonEntries = [];
+
+  const summaries = await Promise.all(INSPECTED_CACHES.map(async ({ name, kind }) => {
+    const cache = await caches.open(name);
+    const requests = await cache.keys();
+    const summary = { name, kind, count: requests.length, bytes: 0, oldest: null, newest: null };
+
+    for(const request of requests) {
+      const response = await cache.match(request);
+      if(!response) {
+        continue;
+      }
+
+      const blob = await response.blob();
+      const dateHeader = response.headers.get('sw-cache-date') || response.headers.get('date');
+      const date = dateHeader ? new Date(dateHeader).toISOString() : null;
+      summary.bytes += blob.size;
+
+      if(date && (!summary.oldest || date < summary.oldest.date)) {
+        summary.oldest = { url: request.url, date };
+      }
+      if(date && (!summary.newest || date > summary.newest.date)) {
+        summary.newest = { url: request.url, date };
+      }
+
+      const key = kind === 'static' ? null : getPokemonCacheKey(request.url);
+      if(!key) {
+        continue;
+      }
+
+      pokemonEntries.push({ key, cacheName: name, url: request.url, bytes: blob.size });
+      if(!/\.(?:png|gif|svg|ogg|mp3|wav)$/i.test(request.url)) {
+        try {
+          const data = JSON.parse(await blob.text());
+          if(data && data.id && data.name) {
+            aliases.set(data.name, String(data.id));
+          }
+        } catch (error) {
+          // Not JSON; grouped by its key alone
+        }
+      }
+    }
+
+    return summary;
+  }));
+
+  // Group by ID where one is known
+  const groups = new Map();
+  pokemonEntries.forEach(entry => {
+    const id = /^\d+$/.test(entry.key) ? entry.key : aliases.get(entry.key) || null;
+    const groupKey = id || entry.key;
+    const group = groups.get(groupKey) || { id: id ? Number(id) : null, name: id ? null : entry.key, count: 0, bytes: 0, entries: [] };
+
+    if(!group.name && !/^\d+$/.test(entry.key)) {
+      group.name = entry.key;
+    }
+    group.count++;
+    group.bytes += entry.bytes;
+    group.entries.push({ cacheName: entry.cacheName, url: entry.url });
+    groups.set(groupKey, group);
+  });
+
+  const pokemon = [...groups.values()].sort((a, b) => (a.id || Infinity) - (b.id || Infinity) || String(a.name).localeCompare(String(b.name)));
+
+  return { caches: summaries, pokemon };
+} //inspectCaches
+
+/**
+ * Deletes single entries, e.g. everything cached for one Pokemon
+ * @param {{entries: Array<{cacheName: string, url: string}>}} data - Entries from inspectCaches
+ * @returns {Promise<{deleted: number}>} Number of entries removed
+ */
+async function purgeCacheEntries({ entries = [] }) {
+  const allowed = INSPECTED_CACHES.map(cache => cache.name);
+  const results = await Promise.all(entries
+    .filter(entry => allowed.includes(entry.cacheName))
+    .map(entry => caches.open(entry.cacheName).then(cache => cache.delete(entry.url))));
+
+  return { deleted: results.filter(Boolean).length };
+}
+
+// ====================================
+// OFFLINE POKÉDEX
+// ====================================
+
+/** @type {number} List limit used by the app for the full /pokemon and /pokemon-species lists */
+const OFFLINE_DEX_LIST_LIMIT = 100000;
+
+/** @type {number} First ID PokeAPI uses for alternate forms (no species, artwork or cry of their own) */
+const OFFLINE_DEX_FORM_ID_START = 10001;
+
+/** @type {number} Parallel downloads within a batch */
+const OFFLINE_DEX_CONCURRENCY = 6;
+
+/** @type {number} Largest batch a client may ask for */
+const OFFLINE_DEX_MAX_BATCH = 50;
+
+/**
+ * Synthetic URL holding the download state (sources, name aliases, failures, bytes)
+ * @returns {string} Absolute URL inside the worker scope
+ */
+function getOfflineDexMetaUrl() {
+  return new URL('offline-dex-meta.json', self.registration.scope).href;
+}
+
+/**
+ * Maps an API path onto the configured source, like resolveApiUrl in config-utils.js
+ * @param {string} path - Path below the API base, e.g. '/pokemon/25'
+ * @param {{apiBaseUrl: string, apiMode: string}} sources - Data sources sent by the page
+ * @returns {string} URL the page will request
+ */
+function resolveOfflineDexApiUrl(path, sources) {
+  if(sources.apiMode === 'static') {
+    return `${sources.apiBaseUrl}${path.split(/[?#]/)[0].replace(/\/+$/, '')}/index.json`;
+  }
+
+  return `${sources.apiBaseUrl}${path}`;
+}
+
+/**
+ * Reads the download state
+ * @param {Cache} cache - Offline Pokédex cache
+ * @returns {Promise<Object|null>} Stored state, or null before the first download
+ */
+async function readOfflineDexMeta(cache) {
+  const response = await cache.match(getOfflineDexMetaUrl());
+
+  return response ? response.json() : null;
+}
+
+/**
+ * Saves the download state
+ * @param {Cache} cache - Offline Pokédex cache
+ * @param {Object} meta - Download state
+ * @returns {Promise<void>}
+ */
+function writeOfflineDexMeta(cache, meta) {
+  return cache.put(getOfflineDexMetaUrl(), new Response(JSON.stringify(meta), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+/**
+ * Fetches one resource and stores it in the offline Pokédex
+ * @param {Cache} cache - Offline Pokédex cache
+ * @param {string} url - Resource URL
+ * @returns {Promise<number>} Stored size in bytes
+ */
+async function storeOfflineDexEntry(cache, url) {
+  const response = await fetch(url);
+  if(!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const body = await response.blob();
+  const headers = new Headers(response.headers);
+  headers.set('sw-cache-date', new Date().toISOString());
+  await cache.put(url, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+
+  return body.size;
+}
+
+/**
+ * Loads a full list (/pokemon or /pokemon-species), downloading it on the first batch
+ * @param {Cache} cache - Offline Pokédex cache
+ * @param {string} url - List URL
+ * @param {Object} meta - Download state (bytes are added to it)
+ * @returns {Promise<Array<{name: string, id: number}>>} List entries
+ */
+async function loadOfflineDexList(cache, url, meta) {
+  let response = await cache.match(url);
+  if(!response) {
+    const size = await storeOfflineDexEntry(cache, url);
+    meta.bytes += size;
+    response = await cache.match(url);
+  }
+
+  const list = await response.json();
+
+  return (list.results || []).map(result => ({
+    name: result.name,
+    id: parseInt(result.url.split('/').slice(-2, -1)[0], 10)
+  }));
+}
+
+/**
+ * Lists every URL of a full download, grouped per Pokemon so partial downloads are usable
+ * @param {Array<{id: number}>} pokemonList - /pokemon list entries
+ * @param {Object} sources - Data sources sent by the page
+ * @returns {Array<string>} Resource URLs
+ */
+function getOfflineDexUrls(pokemonList, sources) {
+  const urls = [];
+
+  pokemonList.forEach(({ id }) => {
+    urls.push(resolveOfflineDexApiUrl(`/pokemon/${id}`, sources));
+
+    if(id < OFFLINE_DEX_FORM_ID_START) {
+      urls.push(resolveOfflineDexApiUrl(`/pokemon-species/${id}`, sources));
+      urls.push(`${sources.spriteBaseUrl}/pokemon/other/official-artwork/${id}.png`);
+      urls.push(`${sources.cryBaseUrl}/pokemon/latest/${id}.ogg`);
+    }
+  });
+
+  return urls;
+}
+
+/**
+ * Downloads the next batch of the offline Pokédex
+ * Resumable: whatever is already in the cache is skipped, so a batch can be
+ * repeated after the worker was stopped, the page closed or the network lost
+ * @param {{sources: Object, batchSize?: number, retryFailed?: boolean}} options - Sent by sw-manager.js
+ * @returns {Promise<Object>} Download status after the batch
+ */
+async function downloadOfflineDexBatch({ sources, batchSize = 25, retryFailed = false }) {
+  if(!sources || !sources.apiBaseUrl) {
+    throw new Error('Missing data sources');
+  }
+
+  const cache = await caches.open(OFFLINE_DEX_CACHE);
+  const meta = await readOfflineDexMeta(cache) || { version: 1, bytes: 0, failed: [], aliases: {} };
+  meta.sources = sources;
+  if(retryFailed) {
+    meta.failed = [];
+  }
+
+  const [pokemonList, speciesList] = await Promise.all([
+    loadOfflineDexList(cache, resolveOfflineDexApiUrl(`/pokemon?limit=${OFFLINE_DEX_LIST_LIMIT}`, sources), meta),
+    loadOfflineDexList(cache, resolveOfflineDexApiUrl(`/pokemon-species?limit=${OFFLINE_DEX_LIST_LIMIT}`, sources), meta)
+  ]);
+
+  // Name lookups (/pokemon/pikachu) are answered from the ID entries
+  meta.aliases = {
+    pokemon: Object.fromEntries(pokemonList.map(entry => [entry.name, entry.id])),
+    'pokemon-species': Object.fromEntries(speciesList.map(entry => [entry.name, entry.id]))
+  };
+
+  const urls = getOfflineDexUrls(pokemonList, sources);
+  const stored = new Set((await cache.keys()).map(request => request.url));
+  const failed = new Set(meta.failed);
+  const pending = urls.filter(url => !stored.has(url) && !failed.has(url));
+  const batch = pending.slice(0, Math.min(Math.max(1, batchSize), OFFLINE_DEX_MAX_BATCH));
+
+  let errors = 0;
+  let next = 0;
+  const worker = async () => {
+    while(next < batch.length) {
+      const url = batch[next++];
+      try {
+        const size = await storeOfflineDexEntry(cache, url);
+        meta.bytes += size;
+      } catch (error) {
+        // Missing resources (no cry, no artwork) are skipped; network errors are retried next batch
+        if(error.status >= 400 && error.status < 500) {
+          meta.failed.push(url);
+        } else {
+          errors++;
+        }
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: OFFLINE_DEX_CONCURRENCY }, worker));
+
+  meta.total = urls.length;
+  meta.remaining = pending.length - batch.length + errors;
+  meta.updatedAt = new Date().toISOString();
+  await writeOfflineDexMeta(cache, meta);
+
+  log('info', `Offline Pokédex batch: ${batch.length - errors} stored, ${meta.remaining} remaining`);
+
+  return { ...summarizeOfflineDex(meta), errors };
+} //downloadOfflineDexBatch
+
+/**
+ * Reports the download state without downloading anything
+ * @returns {Promise<Object>} Download status
+ */
+async function getOfflineDexStatus() {
+  const cache = await caches.open(OFFLINE_DEX_CACHE);
+
+  return summarizeOfflineDex(await readOfflineDexMeta(cache));
+}
+
+/**
+ * Deletes the offline Pokédex
+ * @returns {Promise<Object>} Empty download status
+ */
+async function deleteOfflineDex() {
+  await caches.delete(OFFLINE_DEX_CACHE);
+  log('info', 'Offline Pokédex deleted');
+
+  return summarizeOfflineDex(null);
+}
+
+/**
+ * Converts the stored state into the status sent to the page
+ * @param {Object|null} meta - Download state
+ * @returns {{total: number, completed: number, remaining: number, failed: number, bytes: number, updatedAt: string|null}} Status
+ */
+function summarizeOfflineDex(meta) {
+  if(!meta || !meta.total) {
+    return { total: 0, completed: 0, remaining: 0, failed: 0, bytes: meta ? meta.bytes : 0, updatedAt: null };
+  }
+
+  return {
+    total: meta.total,
+    completed: meta.total - meta.remaining,
+    remaining: meta.remaining,
+    failed: meta.failed.length,
+    bytes: meta.bytes,
+    updatedAt: meta.updatedAt
+  };
+}
+
+/**
+ * Finds a request in the offline Pokédex
+ * Also answers name URLs (/pokemon/pikachu) through the stored ID of that name
+ * @param {Request} request - Request that could not be served from the network
+ * @returns {Promise<Response|undefined>} Downloaded response, if any
+ */
+async function matchOfflineDex(request) {
+  if(!(await caches.has(OFFLINE_DEX_CACHE))) {
+    return undefined;
+  }
+
+  const cache = await caches.open(OFFLINE_DEX_CACHE);
+  const url = request.url.replace(/\/+($|\?)/, '$1');
+  const match = await cache.match(url);
+  if(match) {
+    return match;
+  }
+
+  const named = url.match(/\/(pokemon|pokemon-species)\/([a-z0-9-]*[a-z][a-z0-9-]*)$/);
+  const meta = named ? await readOfflineDexMeta(cache) : null;
+  const id = meta && meta.aliases[named[1]] ? meta.aliases[named[1]][named[2]] : undefined;
+
+  return id ? cache.match(resolveOfflineDexApiUrl(`/${named[1]}/${id}`, meta.sources)) : undefined;
+} //matchOfflineDex
+
+// ====================================
+// POKÉMON OF THE DAY
+// ====================================
+
+/** @type {string} Periodic Background Sync tag registered by sw-manager.js */
+const DAILY_POKEMON_SYNC_TAG = 'daily-pokemon';
+
+/**
+ * Synthetic URL holding the notification settings and the last day notified
+ * @returns {string} Absolute URL inside the worker scope
+ */
+function getDailyPokemonConfigUrl() {
+  return new URL('daily-pokemon.json', self.registration.scope).href;
+}
+
+/**
+ * Reads the notification settings
+ * @returns {Promise<Object|null>} Settings, or null before the page sent any
+ */
+async function readDailyPokemonConfig() {
+  const cache = await caches.open(DAILY_POKEMON_CACHE);
+  const response = await cache.match(getDailyPokemonConfigUrl());
+
+  return response ? response.json() : null;
+}
+
+/**
+ * Saves the notification settings
+ * @param {Object} config - Settings to store
+ * @returns {Promise<void>}
+ */
+async function writeDailyPokemonConfig(config) {
+  const cache = await caches.open(DAILY_POKEMON_CACHE);
+
+  return cache.put(getDailyPokemonConfigUrl(), new Response(JSON.stringify(config), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+/**
+ * Stores the settings sent by the page; the service worker cannot read localStorage
+ * @param {{config: {enabled: boolean, maximumId: number, language: string, sources: Object}}} data - Message data
+ * @returns {Promise<{enabled: boolean}>} Stored state
+ */
+async function setDailyPokemonConfig({ config }) {
+  const current = await readDailyPokemonConfig() || {};
+  await writeDailyPokemonConfig({ ...current, ...config });
+
+  return { enabled: !!config.enabled };
+}
+
+/**
+ * Looks up the species name in the chosen language, falling back to English
+ * Uses the network, then any cached or downloaded copy
+ * @param {number} id - Pokédex number
+ * @param {Object} config - Notification settings
+ * @returns {Promise<string|null>} Name, or null when unavailable
+ */
+async function getDailyPokemonName(id, config) {
+  const request = new Request(resolveOfflineDexApiUrl(`/pokemon-species/${id}`, config.sources));
+
+  let response = null;
+  try {
+    response = await fetch(request);
+  } catch (error) {
+    response = await caches.match(request) || await matchOfflineDex(request);
+  }
+  if(!response || !response.ok) {
+    return null;
+  }
+
+  const species = await response.json();
+  const names = species.names || [];
+  const localized = names.find(entry => entry.language.name === config.language)
+    || names.find(entry => entry.language.name === 'en');
+
+  return localized ? localized.name : species.name;
+}
+
+/**
+ * Shows today's notification, once per day
+ * @returns {Promise<void>}
+ */
+async function showDailyPokemonNotification() {
+  if(!self.DailyUtils) {
+    return;
+  }
+
+  const { getDailyDateKey, getDailyPokemonId } = self.DailyUtils;
+  const config = await readDailyPokemonConfig();
+  const dateKey = getDailyDateKey();
+  if(!config || !config.enabled || config.lastNotified === dateKey) {
+    return;
+  }
+
+  const id = getDailyPokemonId(dateKey, config.maximumId);
+  const name = await getDailyPokemonName(id, config).catch(() => null);
+
+  await self.registration.showNotification('Pokémon of the Day', {
+    body: name ? `#${id} ${name}` : `Pokédex #${id}`,
+    icon: `${config.sources.spriteBaseUrl}/pokemon/other/official-artwork/${id}.png`,
+    badge: new URL('./Images/pokeball.png', self.registration.scope).href,
+    tag: DAILY_POKEMON_SYNC_TAG,
+    data: { url: new URL(`./Pages/pokedex.html?pokemon=${id}`, self.registration.scope).href }
+  });
+
+  await writeDailyPokemonConfig({ ...config, lastNotified: dateKey });
+} //showDailyPokemonNotification
+
+/**
+ * Opens the Pokédex on the notified Pokémon, reusing an open window when there is one
+ * @param {string} url - Pokédex URL with the Pokémon route
+ * @returns {Promise<void>}
+ */
+async function openDailyPokemon(url) {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  const pokedexWindow = windows.find(client => client.url.includes('/Pages/pokedex.html'));
+
+  if(pokedexWindow) {
+    await pokedexWindow.focus();
+    await pokedexWindow.navigate(url).catch(() => {});
+
+    return;
+  }
+
+  await self.clients.openWindow(url);
+}
+
+self.addEventListener('periodicsync', event => {
+  if(event.tag === DAILY_POKEMON_SYNC_TAG) {
+    event.waitUntil(showDailyPokemonNotification());
+  }
+});
+
+self.addEventListener('notificationclick', event => {
+  if(event.notification.tag !== DAILY_POKEMON_SYNC_TAG) {
+    return;
+  }
+
+  event.notification.close();
+  event.waitUntil(openDailyPokemon(event.notification.data.url));
 });
 
 // ====================================
@@ -659,8 +1278,11 @@ async function doBackgroundSync() {
 
 /**
  * Update stale cache entries in background
+ * @returns {Promise<{checked: number, stale: number, updated: number, failed: number}>} What was refreshed
  */
 async function updateStaleCache() {
+  const summary = { checked: 0, stale: 0, updated: 0, failed: 0 };
+
   try {
     const cache = await caches.open(API_CACHE);
     const keys = await cache.keys();
@@ -669,11 +1291,14 @@ async function updateStaleCache() {
       const cachedResponse = await cache.match(request);
 
       if(cachedResponse) {
+        summary.checked++;
         const cachedDate = new Date(cachedResponse.headers.get('sw-cache-date') || cachedResponse.headers.get('date') || 0);
         const age = new Date() - cachedDate;
         
         // Update if older than 15 minutes
         if(age > 15 * 60 * 1000) {
+          summary.stale++;
+
           try {
             const networkResponse = await fetch(request);
             if(networkResponse.ok) {
@@ -689,9 +1314,13 @@ async function updateStaleCache() {
               });
 
               await cache.put(request, responseWithTimestamp);
+              summary.updated++;
               console.log('[ServiceWorker] Updated stale cache for:', request.url);
+            } else {
+              summary.failed++;
             }
           } catch (error) {
+            summary.failed++;
             console.warn('[ServiceWorker] Failed to update stale cache for:', request.url, error.message);
           }
         }
@@ -700,6 +1329,8 @@ async function updateStaleCache() {
   } catch (error) {
     console.error('[ServiceWorker] Stale cache update failed:', error);
   }
+
+  return summary;
 }
 
 // Periodic cache health check (every 30 minutes)